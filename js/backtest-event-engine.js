@@ -0,0 +1,507 @@
+/**
+ * Event-Driven Backtest Module
+ * Bar-by-bar event loop for single-instrument strategies. Strategies see a bar only after it
+ * closes and can only submit orders, which fill from the next bar onward:
+ *  - market orders at the next open
+ *  - limit orders at the limit (or a better open) once the bar trades through it
+ *  - stop orders at the stop (or a worse open) once triggered, then like market orders
+ * Fills are capped at a share of each bar's volume, so large orders can fill over several bars.
+ * Every fill and borrow charge is written to a cash ledger.
+ */
+
+class EventDrivenBacktest {
+    /**
+     * @param {BacktestEngine} engine - Engine providing order pricing and trade records
+     * @param {Array} data - Historical OHLCV bars
+     * @param {Object} params - Resolved strategy parameters, including the position settings
+     */
+    constructor(engine, data, params = {}) {
+        this.engine = engine;
+        this.data = data;
+        this.params = params;
+        this.costs = engine.resolveCostModel(params.costs);
+        this.participationRate = params.participationRate !== undefined ? params.participationRate : 10;
+        this.cash = params.initialCapital || 10000;
+        this.position = 0; // Signed share count: positive long, negative short
+        this.entry = null;
+        this.nextOrderId = 1;
+        this.orders = [];
+        this.trades = [];
+        this.ledger = [];
+        this.portfolioValues = [];
+        this.totalBorrowCost = 0;
+        this.annotations = {};
+        // Reuses the bar engine's sizing rules; fed this run's closed trade returns for Kelly sizing
+        this.sizer = new PositionManager(engine, data, params);
+    }
+
+    /**
+     * Run the event loop
+     * @param {Function} onBar - Called with the strategy context after each bar closes
+     * @param {number} start - First bar handed to the strategy
+     * @returns {Object} { trades, portfolioValues, finalValue, borrowCost, orders, ledger }
+     */
+    run(onBar, start = 0) {
+        for (let i = Math.max(0, start); i < this.data.length; i++) {
+            this.processOrders(i);
+            this.chargeBorrow(i);
+            this.trailStops(i);
+            this.annotations = {};
+            onBar(this.createContext(i));
+            this.record(i);
+        }
+
+        if (this.portfolioValues.length === 0) {
+            throw new Error('Not enough data for the event-driven backtest');
+        }
+
+        return this.finish();
+    }
+
+    /**
+     * What the strategy can see and do at the close of bar i
+     */
+    createContext(i) {
+        const bar = this.data[i];
+        return {
+            index: i,
+            date: bar.date,
+            bar: bar,
+            position: this.position,
+            cash: this.cash,
+            equity: this.equity(bar.close),
+            openOrders: this.openOrders(),
+            submit: order => this.submitOrder(i, order),
+            cancel: id => this.cancelOrder(id),
+            target: (direction, extra = {}) => this.targetPosition(i, direction, extra),
+            annotate: fields => Object.assign(this.annotations, fields)
+        };
+    }
+
+    /**
+     * Queue an order; it can fill from the next bar
+     * @param {number} i - Bar index the order is submitted on
+     * @param {Object} request - { side: 'buy'|'sell', quantity, type: 'market'|'limit'|'stop', limitPrice, stopPrice, reason,
+     *        reduceOnly (only closes an opposite position), details (extra trade log fields) }
+     * @returns {Object} The order
+     */
+    submitOrder(i, request) {
+        const type = request.type || 'market';
+        if (!['buy', 'sell'].includes(request.side)) {
+            throw new Error(`Order side must be buy or sell, got ${request.side}`);
+        }
+        if (!['market', 'limit', 'stop'].includes(type)) {
+            throw new Error(`Unsupported order type: ${type}`);
+        }
+        if (type === 'limit' && !(request.limitPrice > 0)) {
+            throw new Error('Limit orders need a positive limitPrice');
+        }
+        if (type === 'stop' && !(request.stopPrice > 0)) {
+            throw new Error('Stop orders need a positive stopPrice');
+        }
+
+        const quantity = Math.floor(request.quantity / this.costs.lotSize) * this.costs.lotSize;
+        const order = {
+            id: this.nextOrderId++,
+            side: request.side,
+            type: type,
+            quantity: quantity,
+            limitPrice: request.limitPrice,
+            stopPrice: request.stopPrice,
+            reason: request.reason || 'signal',
+            reduceOnly: Boolean(request.reduceOnly || request.protective),
+            protective: Boolean(request.protective),
+            details: request.details || {},
+            submitted: this.data[i].date,
+            activeFrom: i + 1,
+            filled: 0,
+            averagePrice: 0,
+            triggered: false,
+            status: quantity > 0 ? 'open' : 'rejected'
+        };
+        this.orders.push(order);
+        return order;
+    }
+
+    /**
+     * Cancel an open order
+     * @returns {boolean} Whether an open order was cancelled
+     */
+    cancelOrder(id) {
+        const order = this.orders.find(o => o.id === id);
+        if (!order || !this.isOpen(order)) return false;
+        order.status = 'cancelled';
+        return true;
+    }
+
+    isOpen(order) {
+        return order.status === 'open' || order.status === 'partial';
+    }
+
+    openOrders() {
+        return this.orders.filter(order => this.isOpen(order));
+    }
+
+    /**
+     * Move towards a long, short or flat position with market orders at the next open
+     * Works like PositionManager.target: repeated calls with the same direction are ignored
+     * while the position (including unfilled signal orders) already points that way.
+     * @param {number} i - Bar index
+     * @param {number|null} direction - 1 long, -1 short, 0 flat; null or undefined keeps the current position
+     * @param {Object} extra - Extra fields for the trade log
+     */
+    targetPosition(i, direction, extra = {}) {
+        if (direction === null || direction === undefined) return;
+
+        let desired = Math.sign(direction);
+        if (desired < 0 && !this.params.allowShort) desired = 0;
+
+        const signalOrders = this.openOrders().filter(order => !order.protective);
+        const pending = signalOrders.reduce((sum, order) => {
+            return sum + (order.side === 'buy' ? 1 : -1) * (order.quantity - order.filled);
+        }, 0);
+        if (desired === Math.sign(this.position + pending)) return;
+
+        signalOrders.forEach(order => this.cancelOrder(order.id));
+        const reason = extra.reason || 'signal';
+
+        if (this.position !== 0) {
+            this.submitOrder(i, {
+                side: this.position > 0 ? 'sell' : 'buy',
+                quantity: Math.abs(this.position),
+                reason: reason,
+                reduceOnly: true,
+                details: extra
+            });
+        }
+
+        if (desired !== 0) {
+            // Sized at today's close; a buy the cash cannot cover at the open is reduced when it fills
+            const price = this.data[i].close;
+            const fraction = this.sizer.sizingFraction(i);
+            const shares = Math.floor(this.equity(price) * fraction / price);
+            if (shares > 0) {
+                this.submitOrder(i, {
+                    side: desired > 0 ? 'buy' : 'sell',
+                    quantity: shares,
+                    reason: reason,
+                    details: { sizing: fraction, ...extra }
+                });
+            }
+        }
+    }
+
+    /**
+     * Fill whatever the bar's prices and volume allow
+     * Orders that trade at the open (market orders, triggered stops and gaps through a stop or
+     * limit) fill first, then stops and limits touched during the bar; oldest order first in each.
+     */
+    processOrders(i) {
+        const bar = this.data[i];
+        let volumeLeft = this.participationRate > 0 && bar.volume > 0
+            ? Math.floor(bar.volume * this.participationRate / 100)
+            : Infinity;
+
+        for (const atOpen of [true, false]) {
+            for (const order of this.orders) {
+                if (!this.isOpen(order) || order.activeFrom > i || this.fillsAtOpen(order, bar) !== atOpen) continue;
+                // Exits for a position that has since closed (e.g. by a stop) are no longer needed
+                if (order.reduceOnly && !this.reduces(order)) {
+                    order.status = 'cancelled';
+                    continue;
+                }
+
+                const price = this.triggerPrice(order, bar);
+                if (price === null) continue;
+
+                let quantity = Math.min(order.quantity - order.filled, volumeLeft);
+                if (order.reduceOnly) quantity = Math.min(quantity, Math.abs(this.position));
+                quantity = Math.floor(quantity / this.costs.lotSize) * this.costs.lotSize;
+                if (quantity <= 0) continue;
+
+                const filled = this.fill(i, order, quantity, price);
+                if (filled === 0) {
+                    order.status = 'rejected';
+                    continue;
+                }
+
+                order.averagePrice = (order.averagePrice * order.filled + price * filled) / (order.filled + filled);
+                order.filled += filled;
+                volumeLeft -= filled;
+                if (order.filled >= order.quantity) {
+                    order.status = 'filled';
+                } else if (filled < quantity) {
+                    // Short of cash or nothing left to close: the remainder is dropped
+                    order.status = 'cancelled';
+                } else {
+                    order.status = 'partial';
+                }
+            }
+        }
+
+        this.updateProtectiveOrders(i);
+    }
+
+    /**
+     * Whether an order would reduce the current position
+     */
+    reduces(order) {
+        return this.position !== 0 && Math.sign(this.position) !== (order.side === 'buy' ? 1 : -1);
+    }
+
+    /**
+     * Whether an order trades at the bar's open rather than somewhere inside the bar
+     */
+    fillsAtOpen(order, bar) {
+        const open = bar.open || bar.close;
+        const isBuy = order.side === 'buy';
+
+        if (order.type === 'market' || (order.type === 'stop' && order.triggered)) return true;
+        if (order.type === 'limit') return isBuy ? open <= order.limitPrice : open >= order.limitPrice;
+        return isBuy ? open >= order.stopPrice : open <= order.stopPrice;
+    }
+
+    /**
+     * Price an order would fill at on this bar, or null when it does not trade
+     */
+    triggerPrice(order, bar) {
+        const open = bar.open || bar.close;
+        const high = bar.high || bar.close;
+        const low = bar.low || bar.close;
+        const isBuy = order.side === 'buy';
+
+        if (order.type === 'market' || (order.type === 'stop' && order.triggered)) {
+            return open;
+        }
+
+        if (order.type === 'limit') {
+            if (isBuy) {
+                return open <= order.limitPrice ? open : low <= order.limitPrice ? order.limitPrice : null;
+            }
+            return open >= order.limitPrice ? open : high >= order.limitPrice ? order.limitPrice : null;
+        }
+
+        // Stop: a gap through the level fills at the open; once triggered it keeps filling at market
+        const gapped = isBuy ? open >= order.stopPrice : open <= order.stopPrice;
+        const touched = isBuy ? high >= order.stopPrice : low <= order.stopPrice;
+        if (!gapped && !touched) return null;
+        order.triggered = true;
+        return gapped ? open : order.stopPrice;
+    }
+
+    /**
+     * Execute part of an order, closing before opening when it crosses through flat
+     * @returns {number} Shares filled
+     */
+    fill(i, order, quantity, price) {
+        let remaining = quantity;
+        let filled = 0;
+        const direction = order.side === 'buy' ? 1 : -1;
+
+        // Reduce or close the existing position first
+        if (this.position !== 0 && Math.sign(this.position) !== direction) {
+            const closing = Math.min(remaining, Math.abs(this.position));
+            const isLong = this.position > 0;
+            const execution = isLong
+                ? this.engine.sellOrder(closing, price, this.costs)
+                : this.engine.buyOrder(Infinity, price, this.costs, closing);
+            this.applyFill(i, order, isLong ? 'SELL' : 'COVER', execution, -Math.sign(this.position) * closing);
+            remaining -= closing;
+            filled += closing;
+        }
+
+        // Open or add to a position with what is left
+        if (remaining > 0 && !order.reduceOnly) {
+            const execution = direction > 0
+                ? this.engine.buyOrder(this.cash, price, this.costs, remaining)
+                : this.engine.sellOrder(remaining, price, this.costs);
+            if (execution && execution.shares > 0) {
+                this.applyFill(i, order, direction > 0 ? 'BUY' : 'SHORT', execution, direction * execution.shares);
+                filled += execution.shares;
+            }
+        }
+
+        return filled;
+    }
+
+    /**
+     * Book a fill: cash, position, round-trip accounting, trade log and ledger
+     * @param {number} change - Signed change in shares held
+     */
+    applyFill(i, order, action, execution, change) {
+        const opening = action === 'BUY' || action === 'SHORT';
+        this.cash += execution.cashChange;
+        this.position += change;
+
+        if (opening) {
+            if (!this.entry) {
+                this.entry = { index: i, price: execution.price, basis: 0, cashChange: 0, closeCash: 0, borrowCost: 0, extreme: execution.price };
+            }
+            this.entry.basis += Math.abs(execution.cashChange);
+            this.entry.cashChange += execution.cashChange;
+        } else {
+            this.entry.closeCash += execution.cashChange;
+        }
+
+        const borrowCost = action === 'COVER' && this.position === 0 ? this.entry.borrowCost : undefined;
+        this.trades.push(this.engine.tradeRecord(this.data[i].date, action, execution, this.cash, {
+            reason: order.reason,
+            orderId: order.id,
+            orderType: order.type,
+            ...order.details,
+            ...(borrowCost !== undefined ? { borrowCost } : {})
+        }));
+        this.ledger.push({
+            date: this.data[i].date,
+            type: 'fill',
+            orderId: order.id,
+            action: action,
+            shares: execution.shares,
+            price: execution.price,
+            fees: execution.fees,
+            amount: execution.cashChange,
+            cash: this.cash,
+            position: this.position
+        });
+
+        // A completed round trip feeds Kelly sizing
+        if (this.position === 0) {
+            const pnl = this.entry.cashChange + this.entry.closeCash - this.entry.borrowCost;
+            this.sizer.closedReturns.push(this.entry.basis > 0 ? pnl / this.entry.basis : 0);
+            this.entry = null;
+        }
+    }
+
+    /**
+     * Keep stop-loss and take-profit orders in line with the open position
+     * Protection is placed when a position opens and resized as partial fills add to it.
+     */
+    updateProtectiveOrders(i) {
+        const { stopLoss, takeProfit, trailingStop } = this.params;
+        if (!(stopLoss > 0) && !(takeProfit > 0) && !(trailingStop > 0)) return;
+
+        const protective = this.openOrders().filter(order => order.protective);
+        if (this.position === 0) {
+            protective.forEach(order => this.cancelOrder(order.id));
+            return;
+        }
+
+        const quantity = Math.abs(this.position);
+        const side = this.position > 0 ? 'sell' : 'buy';
+        const sign = this.position > 0 ? 1 : -1;
+        if (protective.length > 0 && protective.every(order => order.side === side)) {
+            protective.forEach(order => {
+                order.quantity = order.filled + quantity;
+            });
+            return;
+        }
+        protective.forEach(order => this.cancelOrder(order.id));
+
+        const entryPrice = this.entry.price;
+        const stops = [];
+        if (stopLoss > 0) stops.push({ level: entryPrice * (1 - sign * stopLoss / 100), reason: 'stopLoss' });
+        if (trailingStop > 0) stops.push({ level: entryPrice * (1 - sign * trailingStop / 100), reason: 'trailingStop' });
+        const stop = stops.sort((a, b) => sign * (b.level - a.level))[0];
+
+        // Protection placed on the fill bar is active from the next bar
+        if (stop) {
+            this.submitOrder(i, { side, quantity, type: 'stop', stopPrice: stop.level, reason: stop.reason, protective: true });
+        }
+        if (takeProfit > 0) {
+            this.submitOrder(i, {
+                side, quantity, type: 'limit',
+                limitPrice: entryPrice * (1 + sign * takeProfit / 100),
+                reason: 'takeProfit',
+                protective: true
+            });
+        }
+    }
+
+    /**
+     * Ratchet the trailing stop from the best price seen since entry
+     */
+    trailStops(i) {
+        const trailingStop = this.params.trailingStop;
+        if (!(trailingStop > 0) || this.position === 0) return;
+
+        const bar = this.data[i];
+        const isLong = this.position > 0;
+        this.entry.extreme = isLong
+            ? Math.max(this.entry.extreme, bar.high || bar.close)
+            : Math.min(this.entry.extreme, bar.low || bar.close);
+        const level = this.entry.extreme * (1 - (isLong ? 1 : -1) * trailingStop / 100);
+
+        this.openOrders()
+            .filter(order => order.protective && order.type === 'stop' && !order.triggered)
+            .forEach(order => {
+                const tighter = isLong ? level > order.stopPrice : level < order.stopPrice;
+                if (tighter) {
+                    order.stopPrice = level;
+                    order.reason = 'trailingStop';
+                }
+            });
+    }
+
+    /**
+     * Charge a day of borrow on open shorts
+     */
+    chargeBorrow(i) {
+        if (this.position >= 0 || !(this.params.borrowRate > 0)) return;
+
+        const cost = Math.abs(this.position) * this.data[i].close * this.params.borrowRate / 100 / 252;
+        this.cash -= cost;
+        this.entry.borrowCost += cost;
+        this.totalBorrowCost += cost;
+        this.ledger.push({
+            date: this.data[i].date,
+            type: 'borrow',
+            amount: -cost,
+            cash: this.cash,
+            position: this.position
+        });
+    }
+
+    /**
+     * Account value at a price
+     */
+    equity(price) {
+        return this.cash + this.position * price;
+    }
+
+    /**
+     * Append the end-of-bar portfolio value
+     */
+    record(i) {
+        const price = this.data[i].close;
+        this.portfolioValues.push({
+            date: this.data[i].date,
+            value: this.equity(price),
+            price: price,
+            position: this.position,
+            cash: this.cash,
+            ...this.annotations
+        });
+        this.engine.reportProgress(i + 1, this.data.length);
+    }
+
+    /**
+     * Results in the shape every strategy returns, plus the order book and ledger
+     */
+    finish() {
+        this.openOrders().forEach(order => {
+            order.status = 'expired';
+        });
+
+        return {
+            trades: this.trades,
+            portfolioValues: this.portfolioValues,
+            finalValue: this.equity(this.data[this.data.length - 1].close),
+            borrowCost: this.totalBorrowCost,
+            orders: this.orders,
+            ledger: this.ledger
+        };
+    }
+}
+
+// Export for use in other modules
+window.EventDrivenBacktest = EventDrivenBacktest;
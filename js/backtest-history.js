@@ -0,0 +1,152 @@
+/**
+ * Backtest History Module
+ * Keeps completed backtest runs in local storage so they can be named and compared later
+ */
+
+class BacktestHistory {
+    /**
+     * @param {string} storageKey - localStorage key for the run list
+     * @param {number} maxRuns - Oldest runs are dropped beyond this many
+     */
+    constructor(storageKey = 'backtestHistory', maxRuns = 50) {
+        this.storageKey = storageKey;
+        this.maxRuns = maxRuns;
+        this.maxEquityPoints = 500; // Equity curves are thinned to keep storage small
+        this.runs = this.loadRuns();
+    }
+
+    /**
+     * Read saved runs from localStorage
+     */
+    loadRuns() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('Error loading backtest history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write runs to localStorage, dropping the oldest when the quota is exceeded
+     * @returns {boolean} Whether the runs were saved
+     */
+    saveRuns() {
+        while (true) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.runs));
+                return true;
+            } catch (error) {
+                if (this.runs.length <= 1) {
+                    console.error('Error saving backtest history:', error);
+                    return false;
+                }
+                this.runs.pop();
+            }
+        }
+    }
+
+    /**
+     * Save a completed run
+     * @param {Object} results - Results from runBacktest or runPortfolioBacktest
+     * @param {Object} context - { name, label, dataFingerprint }
+     * @returns {Object} Saved run
+     */
+    addRun(results, context = {}) {
+        const createdAt = new Date().toISOString();
+        const run = {
+            id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+            name: context.name || `${context.label || results.strategy} ${createdAt.slice(0, 16).replace('T', ' ')}`,
+            createdAt,
+            strategy: results.strategy,
+            strategyLabel: context.label || results.strategy,
+            parameters: results.parameters,
+            seed: results.seed,
+            dataSource: results.dataSource || 'simulated',
+            dataFingerprint: context.dataFingerprint || null,
+            initialCapital: results.parameters && results.parameters.initialCapital ? results.parameters.initialCapital : 10000,
+            finalValue: results.finalValue,
+            metrics: this.summarizeMetrics(results.metrics, results.benchmark),
+            equity: this.thinEquity(results.portfolioValues)
+        };
+
+        this.runs.unshift(run);
+        this.runs = this.runs.slice(0, this.maxRuns);
+        this.saveRuns();
+        return run;
+    }
+
+    /**
+     * Metrics worth keeping; per-bar series like rolling Sharpe are left out
+     */
+    summarizeMetrics(metrics = {}, benchmark = null) {
+        const { rollingSharpe, monthlyReturns, ...summary } = metrics;
+        if (benchmark) {
+            summary.benchmark = { name: benchmark.name, ...benchmark.metrics };
+        }
+        return summary;
+    }
+
+    /**
+     * Evenly spaced subset of an equity curve that keeps the first and last point
+     * @param {Array} values - [{ date, value }]
+     * @returns {Array} [{ date, value }]
+     */
+    thinEquity(values = []) {
+        const step = Math.max(1, Math.ceil(values.length / this.maxEquityPoints));
+        const thinned = [];
+        for (let i = 0; i < values.length; i += step) {
+            thinned.push({ date: values[i].date, value: values[i].value });
+        }
+        const last = values[values.length - 1];
+        if (last && thinned[thinned.length - 1].date !== last.date) {
+            thinned.push({ date: last.date, value: last.value });
+        }
+        return thinned;
+    }
+
+    /**
+     * All saved runs, newest first
+     */
+    getRuns() {
+        return this.runs;
+    }
+
+    /**
+     * Look up a run by id
+     */
+    getRun(id) {
+        return this.runs.find(run => run.id === id) || null;
+    }
+
+    /**
+     * Rename a run
+     */
+    renameRun(id, name) {
+        const run = this.getRun(id);
+        const trimmed = String(name || '').trim();
+        if (!run || !trimmed) return false;
+        run.name = trimmed;
+        return this.saveRuns();
+    }
+
+    /**
+     * Delete a run
+     */
+    removeRun(id) {
+        this.runs = this.runs.filter(run => run.id !== id);
+        return this.saveRuns();
+    }
+
+    /**
+     * Delete every saved run
+     */
+    clear() {
+        this.runs = [];
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+// Export for use in other modules
+window.BacktestHistory = BacktestHistory;
@@ -0,0 +1,465 @@
+/**
+ * Backtest Optimizer Module - Parameter Search and Walk-Forward Analysis
+ * Sweeps a strategy's parameter space on top of BacktestEngine
+ */
+
+class StrategyOptimizer {
+    /**
+     * @param {BacktestEngine} engine - Engine that owns the strategies and data
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.maxCombinations = 500;
+        this.objectives = {
+            sharpeRatio: 'Sharpe Ratio',
+            totalReturn: 'Total Return',
+            returnOverDrawdown: 'Return / Max Drawdown'
+        };
+        this.onProgress = null; // Optional callback(fraction) as parameter sets are evaluated
+        this.progress = { done: 0, total: 0 };
+    }
+
+    /**
+     * Reset the evaluation counter used for progress reporting
+     * @param {number} total - Parameter set evaluations the search will run
+     */
+    startProgress(total) {
+        this.progress = { done: 0, total: total, skipped: 0 };
+    }
+
+    /**
+     * Build the list of parameter sets to evaluate
+     * @param {Object} definition - Strategy definition
+     * @param {Object} options - Search options
+     * @param {string} options.mode - 'grid' (every combination) or 'random' (sampled)
+     * @param {number} options.steps - Grid points per parameter when no explicit range is given
+     * @param {number} options.samples - Number of random parameter sets
+     * @param {Object} options.ranges - Optional { param: { min, max, step } } overrides
+     * @param {number} options.seed - Seed for random search (defaults to the engine seed)
+     * @returns {Array} Parameter sets
+     */
+    buildParameterSets(definition, options = {}) {
+        const mode = options.mode || 'grid';
+        const steps = Math.max(2, options.steps || 5);
+        const ranges = options.ranges || {};
+        const keys = Object.keys(definition.parameters);
+
+        if (keys.length === 0) {
+            return [{}];
+        }
+
+        const axes = keys.map(key => ({
+            key,
+            spec: definition.parameters[key],
+            range: this.resolveRange(definition.parameters[key], ranges[key])
+        }));
+
+        if (mode === 'random') {
+            const seed = options.seed !== undefined ? options.seed : this.engine.seed;
+            return this.sampleParameterSets(axes, options.samples || 50, new SeededRandom(seed).fork('parameterSearch'));
+        }
+
+        const values = axes.map(axis => this.rangeValues(axis.spec, axis.range, steps));
+        const total = values.reduce((product, v) => product * v.length, 1);
+        if (total > this.maxCombinations) {
+            throw new Error(`Grid has ${total} combinations (limit ${this.maxCombinations}); use fewer steps or random search`);
+        }
+
+        let sets = [{}];
+        axes.forEach((axis, i) => {
+            const next = [];
+            for (const set of sets) {
+                for (const value of values[i]) {
+                    next.push({ ...set, [axis.key]: value });
+                }
+            }
+            sets = next;
+        });
+
+        return sets;
+    }
+
+    /**
+     * Determine the search range for one parameter
+     */
+    resolveRange(spec, override = {}) {
+        const min = override.min !== undefined ? override.min
+            : spec.min !== undefined ? spec.min : spec.default * 0.5;
+        const max = override.max !== undefined ? override.max
+            : spec.max !== undefined ? spec.max : spec.default * 1.5;
+        return { min: Math.min(min, max), max: Math.max(min, max), step: override.step };
+    }
+
+    /**
+     * Every value of a select or boolean parameter; null for numeric parameters
+     */
+    choiceValues(spec) {
+        if (spec.type === 'select') return spec.options.map(option => option.value);
+        if (spec.type === 'boolean') return [false, true];
+        return null;
+    }
+
+    /**
+     * Evenly spaced values across a range, rounded for integer parameters
+     */
+    rangeValues(spec, range, steps) {
+        const choices = this.choiceValues(spec);
+        if (choices) return choices;
+
+        const values = [];
+
+        if (range.step) {
+            for (let v = range.min; v <= range.max + 1e-9; v += range.step) {
+                values.push(v);
+            }
+        } else {
+            for (let i = 0; i < steps; i++) {
+                values.push(range.min + (range.max - range.min) * i / (steps - 1));
+            }
+        }
+
+        return [...new Set(values.map(v => spec.type === 'integer' ? Math.round(v) : parseFloat(v.toFixed(6))))];
+    }
+
+    /**
+     * Draw unique random parameter sets from the ranges
+     * @param {SeededRandom} rng - Random source
+     */
+    sampleParameterSets(axes, samples, rng) {
+        const sets = [];
+        const seen = new Set();
+        let attempts = 0;
+
+        while (sets.length < samples && attempts < samples * 20) {
+            attempts++;
+            const set = {};
+            axes.forEach(({ key, spec, range }) => {
+                const choices = this.choiceValues(spec);
+                if (choices) {
+                    set[key] = choices[rng.integer(0, choices.length - 1)];
+                    return;
+                }
+                const value = rng.uniform(range.min, range.max);
+                set[key] = spec.type === 'integer' ? Math.round(value) : parseFloat(value.toFixed(4));
+            });
+
+            const id = JSON.stringify(set);
+            if (!seen.has(id)) {
+                seen.add(id);
+                sets.push(set);
+            }
+        }
+
+        return sets;
+    }
+
+    /**
+     * Score a simulation on the chosen objective
+     * @param {Object} results - { portfolioValues, finalValue }
+     * @param {number} initialCapital - Starting capital
+     * @param {string} objective - Key of this.objectives
+     * @returns {Object} { score, totalReturn, sharpeRatio, maxDrawdown }
+     */
+    scoreResults(results, initialCapital, objective) {
+        const values = results.portfolioValues.map(v => v.value);
+        const returns = [];
+        for (let i = 1; i < values.length; i++) {
+            returns.push((values[i] - values[i - 1]) / values[i - 1]);
+        }
+
+        const startValue = values.length > 0 ? values[0] : initialCapital;
+        const totalReturn = (results.finalValue - initialCapital) / initialCapital;
+        const avgReturn = returns.length > 0 ? returns.reduce((a, b) => a + b, 0) / returns.length : 0;
+        const std = returns.length > 0
+            ? Math.sqrt(returns.reduce((sq, r) => sq + Math.pow(r - avgReturn, 2), 0) / returns.length)
+            : 0;
+        const sharpeRatio = std > 0 ? (avgReturn * 252 - 0.02) / (std * Math.sqrt(252)) : 0;
+
+        let maxDrawdown = 0;
+        let peak = startValue;
+        for (const value of values) {
+            if (value > peak) peak = value;
+            maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+        }
+
+        const scores = {
+            sharpeRatio: sharpeRatio,
+            totalReturn: totalReturn,
+            returnOverDrawdown: maxDrawdown > 0 ? totalReturn / maxDrawdown : totalReturn
+        };
+
+        return {
+            score: scores[objective] !== undefined ? scores[objective] : sharpeRatio,
+            totalReturn,
+            sharpeRatio,
+            maxDrawdown
+        };
+    }
+
+    /**
+     * Evaluate every parameter set on a data series
+     * Sets that cannot run on the series are counted in progress.skipped.
+     * @returns {Array} [{ params, score, totalReturn, sharpeRatio, maxDrawdown }] sorted best first
+     */
+    evaluateParameterSets(definition, data, parameterSets, baseParams, objective) {
+        const initialCapital = baseParams.initialCapital || 10000;
+        const evaluations = [];
+
+        for (const set of parameterSets) {
+            try {
+                const params = this.engine.resolveStrategyParams(definition, { ...baseParams, ...set });
+                const results = this.engine.executeStrategy(definition, data, params);
+                if (results.portfolioValues.length >= 2) {
+                    evaluations.push({
+                        params: set,
+                        ...this.scoreResults(results, initialCapital, objective)
+                    });
+                } else {
+                    this.progress.skipped++;
+                }
+            } catch (error) {
+                // Parameter sets that cannot run on this window (e.g. lookback longer than data) are skipped
+                this.progress.skipped++;
+            }
+            this.progress.done++;
+            if (this.onProgress && this.progress.total > 0) {
+                this.onProgress(Math.min(1, this.progress.done / this.progress.total));
+            }
+        }
+
+        return evaluations.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Grid or random search with a single in-sample/out-of-sample split
+     * @param {string} strategyName - Registered strategy
+     * @param {Object} options - Search options (see buildParameterSets) plus:
+     * @param {string} options.objective - Key of this.objectives
+     * @param {number} options.inSampleRatio - Fraction of bars used for fitting (default 0.7)
+     * @param {Object} options.baseParams - Fixed parameters such as initialCapital and costs
+     * @returns {Object} { evaluations, best, inSample, outOfSample, skipped } where skipped counts parameter sets that could not run
+     */
+    async optimize(strategyName, options = {}) {
+        const definition = this.requireStrategy(strategyName);
+        const data = this.requireData();
+        const objective = options.objective || 'sharpeRatio';
+        const baseParams = options.baseParams || {};
+        const initialCapital = baseParams.initialCapital || 10000;
+        const inSampleRatio = Math.min(0.95, Math.max(0.1, options.inSampleRatio || 0.7));
+
+        const split = Math.floor(data.length * inSampleRatio);
+        const inSampleData = data.slice(0, split);
+        const outOfSampleData = data.slice(split);
+        if (inSampleData.length < 2 || outOfSampleData.length < 2) {
+            throw new Error('Not enough data for an in-sample/out-of-sample split');
+        }
+
+        const parameterSets = this.buildParameterSets(definition, options);
+        this.startProgress(parameterSets.length);
+        const evaluations = this.evaluateParameterSets(definition, inSampleData, parameterSets, baseParams, objective);
+        if (evaluations.length === 0) {
+            throw new Error('No parameter set could be evaluated on the in-sample data');
+        }
+
+        const best = evaluations[0];
+        const oosParams = this.engine.resolveStrategyParams(definition, { ...baseParams, ...best.params });
+        const oosRun = this.runOnWindow(definition, data, split, data.length, oosParams);
+        const equityCurve = this.rebaseEquity(oosRun, initialCapital);
+        if (equityCurve.length === 0) {
+            throw new Error('Best parameter set produced no out-of-sample equity');
+        }
+        const oosFinal = equityCurve[equityCurve.length - 1].value;
+
+        return {
+            strategy: strategyName,
+            objective,
+            seed: this.engine.seed,
+            evaluations,
+            skipped: this.progress.skipped,
+            best,
+            inSample: { start: inSampleData[0].date, end: inSampleData[inSampleData.length - 1].date },
+            outOfSample: {
+                start: outOfSampleData[0].date,
+                end: outOfSampleData[outOfSampleData.length - 1].date,
+                ...this.scoreResults({ portfolioValues: equityCurve, finalValue: oosFinal }, initialCapital, objective)
+            },
+            equityCurve
+        };
+    }
+
+    /**
+     * Rolling walk-forward optimization: fit on each training window, trade the next test window
+     * @param {string} strategyName - Registered strategy
+     * @param {Object} options - Search options plus:
+     * @param {number} options.trainBars - Bars in each training window (default 126)
+     * @param {number} options.testBars - Bars in each test window (default 42)
+     * @returns {Object} { windows, equityCurve, heatmap evaluations, summary, skipped } where skipped counts
+     *          parameter sets that could not run, summed over the training windows
+     */
+    async walkForward(strategyName, options = {}) {
+        const definition = this.requireStrategy(strategyName);
+        const data = this.requireData();
+        const objective = options.objective || 'sharpeRatio';
+        const baseParams = options.baseParams || {};
+        const initialCapital = baseParams.initialCapital || 10000;
+        const trainBars = Math.max(10, Math.floor(options.trainBars || 126));
+        const testBars = Math.max(5, Math.floor(options.testBars || 42));
+
+        if (data.length < trainBars + testBars) {
+            throw new Error(`Walk-forward needs at least ${trainBars + testBars} bars, only ${data.length} loaded`);
+        }
+
+        const parameterSets = this.buildParameterSets(definition, options);
+        this.startProgress(parameterSets.length * Math.ceil((data.length - trainBars) / testBars));
+        const windows = [];
+        const equityCurve = [];
+        const aggregate = new Map();
+        let equity = initialCapital;
+
+        for (let testStart = trainBars; testStart < data.length; testStart += testBars) {
+            const testEnd = Math.min(testStart + testBars, data.length);
+            const trainData = data.slice(testStart - trainBars, testStart);
+
+            const evaluations = this.evaluateParameterSets(definition, trainData, parameterSets, baseParams, objective);
+            if (evaluations.length === 0) continue;
+
+            // Accumulate in-sample scores across windows for the parameter heatmap
+            evaluations.forEach(e => {
+                const id = JSON.stringify(e.params);
+                const entry = aggregate.get(id) || { params: e.params, total: 0, count: 0 };
+                entry.total += e.score;
+                entry.count++;
+                aggregate.set(id, entry);
+            });
+
+            const best = evaluations[0];
+            const params = this.engine.resolveStrategyParams(definition, { ...baseParams, ...best.params });
+            const run = this.runOnWindow(definition, data, testStart, testEnd, params, trainBars);
+            const segment = this.rebaseEquity(run, equity);
+            if (segment.length === 0) continue;
+
+            // Chain this window's returns onto the stitched out-of-sample curve
+            const startEquity = equity;
+            segment.forEach(point => {
+                equityCurve.push({ date: point.date, value: point.value, window: windows.length });
+            });
+            equity = segment[segment.length - 1].value;
+
+            windows.push({
+                trainStart: trainData[0].date,
+                trainEnd: trainData[trainData.length - 1].date,
+                testStart: data[testStart].date,
+                testEnd: data[testEnd - 1].date,
+                params: best.params,
+                inSampleScore: best.score,
+                outOfSample: this.scoreResults(
+                    { portfolioValues: segment, finalValue: equity },
+                    startEquity,
+                    objective
+                )
+            });
+        }
+
+        if (windows.length === 0) {
+            throw new Error('No walk-forward window could be evaluated');
+        }
+
+        const evaluations = [...aggregate.values()]
+            .map(e => ({ params: e.params, score: e.total / e.count }))
+            .sort((a, b) => b.score - a.score);
+
+        return {
+            strategy: strategyName,
+            objective,
+            seed: this.engine.seed,
+            windows,
+            evaluations,
+            skipped: this.progress.skipped,
+            equityCurve,
+            summary: {
+                windows: windows.length,
+                ...this.scoreResults({ portfolioValues: equityCurve, finalValue: equity }, initialCapital, objective),
+                avgInSampleScore: windows.reduce((sum, w) => sum + w.inSampleScore, 0) / windows.length,
+                avgOutOfSampleScore: windows.reduce((sum, w) => sum + w.outOfSample.score, 0) / windows.length
+            }
+        };
+    }
+
+    /**
+     * Run a strategy so that its equity over [start, end) can be read off
+     * Up to `contextBars` preceding bars are included so indicators are warmed up.
+     * The returned `anchorValue` is the equity on the bar before `start`, so the first
+     * bar's return is not lost when windows are chained.
+     */
+    runOnWindow(definition, data, start, end, params, contextBars = start) {
+        const from = Math.max(0, start - contextBars);
+        const results = this.engine.executeStrategy(definition, data.slice(from, end), params);
+        const firstDate = data[start].date;
+        const before = results.portfolioValues.filter(v => v.date < firstDate);
+        const portfolioValues = results.portfolioValues.filter(v => v.date >= firstDate);
+        return {
+            ...results,
+            portfolioValues,
+            anchorValue: before.length > 0
+                ? before[before.length - 1].value
+                : (portfolioValues.length > 0 ? portfolioValues[0].value : 0),
+            finalValue: portfolioValues.length > 0 ? portfolioValues[portfolioValues.length - 1].value : results.finalValue
+        };
+    }
+
+    /**
+     * Scale an equity segment so that its anchor equals the initial capital
+     */
+    rebaseEquity(run, initialCapital) {
+        if (run.portfolioValues.length === 0 || !run.anchorValue) return [];
+        return run.portfolioValues.map(v => ({ date: v.date, value: initialCapital * v.value / run.anchorValue }));
+    }
+
+    /**
+     * Average scores onto a two-parameter grid for heatmap display
+     * @param {Array} evaluations - [{ params, score }]
+     * @param {string} xKey - Parameter on the x axis
+     * @param {string} yKey - Parameter on the y axis (optional)
+     * @returns {Object} { xValues, yValues, cells[y][x] }
+     */
+    buildHeatmap(evaluations, xKey, yKey) {
+        const xValues = [...new Set(evaluations.map(e => e.params[xKey]))].sort((a, b) => a - b);
+        const yValues = yKey
+            ? [...new Set(evaluations.map(e => e.params[yKey]))].sort((a, b) => a - b)
+            : [null];
+
+        const sums = yValues.map(() => xValues.map(() => ({ total: 0, count: 0 })));
+        evaluations.forEach(e => {
+            const x = xValues.indexOf(e.params[xKey]);
+            const y = yKey ? yValues.indexOf(e.params[yKey]) : 0;
+            sums[y][x].total += e.score;
+            sums[y][x].count++;
+        });
+
+        return {
+            xKey,
+            yKey,
+            xValues,
+            yValues,
+            cells: sums.map(row => row.map(c => c.count > 0 ? c.total / c.count : null))
+        };
+    }
+
+    requireStrategy(strategyName) {
+        const definition = this.engine.getStrategy(strategyName);
+        if (!definition) {
+            throw new Error(`Strategy ${strategyName} not found`);
+        }
+        return definition;
+    }
+
+    requireData() {
+        if (this.engine.historicalData.length === 0) {
+            throw new Error('Load historical data before optimizing');
+        }
+        return this.engine.historicalData;
+    }
+}
+
+// Export for use in other modules
+window.StrategyOptimizer = StrategyOptimizer;
@@ -0,0 +1,266 @@
+/**
+ * Position Manager Module
+ * Tracks a single-instrument position for backtest strategies: long/short entries,
+ * position sizing, borrow cost on shorts and stop-loss/take-profit/trailing exits
+ */
+
+class PositionManager {
+    /**
+     * @param {BacktestEngine} engine - Engine providing order pricing and trade records
+     * @param {Array} data - Historical OHLCV bars
+     * @param {Object} params - Resolved strategy parameters, including the position settings
+     */
+    constructor(engine, data, params = {}) {
+        this.engine = engine;
+        this.data = data;
+        this.params = params;
+        this.costs = engine.resolveCostModel(params.costs);
+        this.cash = params.initialCapital || 10000;
+        this.position = 0; // Signed share count: positive long, negative short
+        this.entry = null;
+        this.stoppedAt = -1;
+        this.trades = [];
+        this.portfolioValues = [];
+        this.closedReturns = [];
+        this.totalBorrowCost = 0;
+    }
+
+    /**
+     * Start of a bar: apply stops against the bar's range, then charge borrow on open shorts
+     * @param {number} i - Bar index
+     */
+    beginBar(i) {
+        if (this.position !== 0 && i > this.entry.index) {
+            this.checkStops(i);
+        }
+
+        if (this.position < 0 && this.params.borrowRate > 0) {
+            const cost = Math.abs(this.position) * this.data[i].close * this.params.borrowRate / 100 / 252;
+            this.cash -= cost;
+            this.entry.borrowCost += cost;
+            this.totalBorrowCost += cost;
+        }
+    }
+
+    /**
+     * Move to the requested direction at the bar's close
+     * @param {number} i - Bar index
+     * @param {number|null} direction - 1 long, -1 short, 0 flat; null or undefined keeps the current position
+     * @param {Object} extra - Extra fields for the trade log
+     */
+    target(i, direction, extra = {}) {
+        if (direction === null || direction === undefined) return;
+
+        let desired = Math.sign(direction);
+        if (desired < 0 && !this.params.allowShort) desired = 0;
+        if (desired === Math.sign(this.position)) return;
+
+        const price = this.data[i].close;
+        if (this.position !== 0) {
+            this.exit(i, price, { reason: 'signal', ...extra });
+        }
+        // No re-entry on the bar a stop fired
+        if (desired !== 0 && this.stoppedAt !== i) {
+            this.enter(i, desired, price, extra);
+        }
+    }
+
+    /**
+     * Open a position sized by the configured sizing mode
+     */
+    enter(i, direction, price, extra = {}) {
+        const equity = this.equity(price);
+        const fraction = this.sizingFraction(i);
+        if (fraction <= 0 || equity <= 0) return;
+
+        // Size with a buy quote so lot size and fees are honoured for both directions
+        const budget = direction > 0 ? Math.min(this.cash, equity * fraction) : equity * fraction;
+        const quote = this.engine.buyOrder(budget, price, this.costs);
+        if (!quote) return;
+
+        const order = direction > 0 ? quote : this.engine.sellOrder(quote.shares, price, this.costs);
+        this.position = direction * order.shares;
+        this.cash += order.cashChange;
+        this.entry = {
+            index: i,
+            price: price,
+            basis: Math.abs(order.cashChange),
+            cashChange: order.cashChange,
+            extreme: price,
+            borrowCost: 0
+        };
+        this.trades.push(this.engine.tradeRecord(this.data[i].date, direction > 0 ? 'BUY' : 'SHORT', order, this.cash, {
+            reason: 'signal',
+            sizing: fraction,
+            ...extra
+        }));
+    }
+
+    /**
+     * Close the whole position at a price
+     */
+    exit(i, price, extra = {}) {
+        const shares = Math.abs(this.position);
+        const isLong = this.position > 0;
+        const order = isLong
+            ? this.engine.sellOrder(shares, price, this.costs)
+            : this.engine.buyOrder(Infinity, price, this.costs, shares);
+
+        this.cash += order.cashChange;
+        const pnl = this.entry.cashChange + order.cashChange - this.entry.borrowCost;
+        this.closedReturns.push(this.entry.basis > 0 ? pnl / this.entry.basis : 0);
+        this.trades.push(this.engine.tradeRecord(this.data[i].date, isLong ? 'SELL' : 'COVER', order, this.cash, {
+            ...(isLong ? {} : { borrowCost: this.entry.borrowCost }),
+            ...extra
+        }));
+
+        this.position = 0;
+        this.entry = null;
+    }
+
+    /**
+     * Exit on stop-loss, trailing stop or take-profit using the bar's high and low
+     * A bar that gaps through a level fills at the open. When both a stop and the
+     * profit target fall inside the same bar the stop is assumed to trigger first.
+     * @param {number} i - Bar index
+     */
+    checkStops(i) {
+        const bar = this.data[i];
+        const open = bar.open || bar.close;
+        const high = bar.high || bar.close;
+        const low = bar.low || bar.close;
+        const { stopLoss, takeProfit, trailingStop } = this.params;
+        const entryPrice = this.entry.price;
+        const isLong = this.position > 0;
+        const side = isLong ? 1 : -1;
+
+        // Protective levels below a long (above a short); the tighter one wins
+        const stops = [];
+        if (stopLoss > 0) {
+            stops.push({ level: entryPrice * (1 - side * stopLoss / 100), reason: 'stopLoss' });
+        }
+        if (trailingStop > 0) {
+            stops.push({ level: this.entry.extreme * (1 - side * trailingStop / 100), reason: 'trailingStop' });
+        }
+        const stop = stops.sort((a, b) => side * (b.level - a.level))[0];
+
+        if (stop && (isLong ? low <= stop.level : high >= stop.level)) {
+            const fill = isLong ? Math.min(open, stop.level) : Math.max(open, stop.level);
+            this.exit(i, fill, { reason: stop.reason });
+            this.stoppedAt = i;
+            return;
+        }
+
+        if (takeProfit > 0) {
+            const level = entryPrice * (1 + side * takeProfit / 100);
+            if (isLong ? high >= level : low <= level) {
+                const fill = isLong ? Math.max(open, level) : Math.min(open, level);
+                this.exit(i, fill, { reason: 'takeProfit' });
+                this.stoppedAt = i;
+                return;
+            }
+        }
+
+        // Trail from the best price seen while the position is open
+        this.entry.extreme = isLong ? Math.max(this.entry.extreme, high) : Math.min(this.entry.extreme, low);
+    }
+
+    /**
+     * Share of equity to commit to a new position
+     * @param {number} i - Bar index of the entry
+     * @returns {number} Fraction between 0 and 1
+     */
+    sizingFraction(i) {
+        const fixed = (this.params.positionFraction || 100) / 100;
+
+        switch (this.params.positionSizing) {
+            case 'fixedFraction':
+                return fixed;
+            case 'volatilityTarget': {
+                const volatility = this.realizedVolatility(i, this.params.volatilityLookback || 20);
+                if (volatility <= 0) return fixed;
+                return Math.min(1, (this.params.targetVolatility || 15) / 100 / volatility);
+            }
+            case 'kelly':
+                return this.kellyFraction(fixed);
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * Annualized volatility of close-to-close returns over the lookback ending at bar i
+     */
+    realizedVolatility(i, lookback) {
+        const start = Math.max(1, i - lookback + 1);
+        const returns = [];
+        for (let j = start; j <= i; j++) {
+            returns.push(this.data[j].close / this.data[j - 1].close - 1);
+        }
+        if (returns.length < 2) return 0;
+
+        const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+        const variance = returns.reduce((sq, r) => sq + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+        return Math.sqrt(variance * 252);
+    }
+
+    /**
+     * Kelly bet f = W - (1 - W) / R from this run's closed trades, scaled by the Kelly fraction
+     * @param {number} fallback - Fraction used until enough trades have closed
+     */
+    kellyFraction(fallback) {
+        const returns = this.closedReturns;
+        if (returns.length < 5) return fallback;
+
+        const wins = returns.filter(r => r > 0);
+        const losses = returns.filter(r => r < 0);
+        if (wins.length === 0) return 0;
+        if (losses.length === 0) return 1;
+
+        const winRate = wins.length / returns.length;
+        const payoff = (wins.reduce((a, b) => a + b, 0) / wins.length) /
+            Math.abs(losses.reduce((a, b) => a + b, 0) / losses.length);
+        const kelly = winRate - (1 - winRate) / payoff;
+        return Math.max(0, Math.min(1, kelly * (this.params.kellyFraction || 50) / 100));
+    }
+
+    /**
+     * Account value at a price
+     */
+    equity(price) {
+        return this.cash + this.position * price;
+    }
+
+    /**
+     * Append the end-of-bar portfolio value
+     * @param {number} i - Bar index
+     * @param {Object} extra - Strategy fields to keep with the value (e.g. indicator readings)
+     */
+    record(i, extra = {}) {
+        const price = this.data[i].close;
+        this.portfolioValues.push({
+            date: this.data[i].date,
+            value: this.equity(price),
+            price: price,
+            position: this.position,
+            ...extra
+        });
+        this.engine.reportProgress(i + 1, this.data.length);
+    }
+
+    /**
+     * Results in the shape every strategy returns
+     * @returns {Object} { trades, portfolioValues, finalValue, borrowCost }
+     */
+    finish() {
+        return {
+            trades: this.trades,
+            portfolioValues: this.portfolioValues,
+            finalValue: this.equity(this.data[this.data.length - 1].close),
+            borrowCost: this.totalBorrowCost
+        };
+    }
+}
+
+// Export for use in other modules
+window.PositionManager = PositionManager;
@@ -0,0 +1,259 @@
+/**
+ * Backtest Report Module
+ * Turns backtest results into downloadable files: CSV trade log and equity curve,
+ * the full run as JSON, and a self-contained HTML tear sheet
+ */
+
+class BacktestReport {
+    /**
+     * @param {Object} results - Results from runBacktest or runPortfolioBacktest
+     * @param {Object} context - { title, symbol, dataFingerprint, drawdowns }
+     */
+    constructor(results, context = {}) {
+        this.results = results;
+        this.context = context;
+    }
+
+    /**
+     * Quote a CSV field when it contains a delimiter, quote or line break
+     */
+    csvField(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build CSV text from a header row and data rows
+     */
+    toCsv(headers, rows) {
+        return [headers, ...rows].map(row => row.map(value => this.csvField(value)).join(',')).join('\n');
+    }
+
+    /**
+     * Trade log as CSV
+     */
+    tradesCsv() {
+        const headers = ['Date', 'Symbol', 'Action', 'Reason', 'Price', 'Market Price', 'Shares', 'Value', 'Fees', 'Slippage', 'Borrow Cost', 'Cash'];
+        const symbol = this.context.symbol || '';
+        const rows = this.results.trades.map(trade => [
+            trade.date,
+            trade.symbol || symbol,
+            trade.action,
+            trade.reason || '',
+            trade.price,
+            trade.marketPrice,
+            trade.shares,
+            trade.value,
+            trade.fees,
+            trade.slippage,
+            trade.borrowCost || 0,
+            trade.cash
+        ]);
+        return this.toCsv(headers, rows);
+    }
+
+    /**
+     * Daily equity curve as CSV, with drawdown and the benchmark when one was selected
+     */
+    equityCsv() {
+        const benchmark = this.results.benchmark;
+        const benchmarkValues = benchmark ? new Map(benchmark.values.map(v => [v.date, v.value])) : null;
+        const headers = ['Date', 'Equity', 'Drawdown'];
+        if (this.results.portfolioValues.some(v => v.price !== undefined)) headers.push('Price', 'Position');
+        if (benchmarkValues) headers.push(benchmark.name);
+
+        let peak = -Infinity;
+        const rows = this.results.portfolioValues.map(point => {
+            peak = Math.max(peak, point.value);
+            const row = [point.date, point.value, peak > 0 ? (point.value - peak) / peak : 0];
+            if (headers.includes('Price')) row.push(point.price, point.position);
+            if (benchmarkValues) row.push(benchmarkValues.has(point.date) ? benchmarkValues.get(point.date) : '');
+            return row;
+        });
+        return this.toCsv(headers, rows);
+    }
+
+    /**
+     * The complete run, including trades, equity and metrics
+     */
+    runJson() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            title: this.context.title || this.results.strategy,
+            dataFingerprint: this.context.dataFingerprint || null,
+            ...this.results
+        }, null, 2);
+    }
+
+    /**
+     * Escape text for the tear sheet
+     */
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    percent(value, digits = 2) {
+        return Number.isFinite(value) ? (value * 100).toFixed(digits) + '%' : '-';
+    }
+
+    ratio(value, digits = 2) {
+        if (value === null) return '—';
+        return Number.isFinite(value) ? value.toFixed(digits) : '-';
+    }
+
+    currency(value) {
+        return Number.isFinite(value)
+            ? (value < 0 ? '-$' : '$') + Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+            : '-';
+    }
+
+    /**
+     * Two-column table of label/value pairs
+     */
+    renderTable(title, rows) {
+        return `
+    <section>
+        <h2>${this.escapeHtml(title)}</h2>
+        <table>
+            ${rows.map(([label, value]) => `<tr><th>${this.escapeHtml(label)}</th><td>${this.escapeHtml(value)}</td></tr>`).join('')}
+        </table>
+    </section>`;
+    }
+
+    /**
+     * Strategy parameters flattened to label/value pairs (cost model and assets included)
+     */
+    parameterRows() {
+        const rows = [];
+        Object.entries(this.results.parameters || {}).forEach(([key, value]) => {
+            if (key === 'assets' && Array.isArray(value)) {
+                rows.push(['assets', value.map(a => `${a.symbol} ${(a.weight * 100).toFixed(1)}%`).join(', ')]);
+            } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([subKey, subValue]) => rows.push([`${key}.${subKey}`, subValue]));
+            } else {
+                rows.push([key, value]);
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * Self-contained HTML tear sheet
+     * @param {string} chartImage - Data URL of the equity chart, if available
+     * @returns {string} HTML document
+     */
+    tearSheetHtml(chartImage = null) {
+        const results = this.results;
+        const m = results.metrics;
+        const data = this.context.dataFingerprint;
+        const title = this.context.title || results.strategy;
+        const drawdowns = this.context.drawdowns || [];
+
+        const metricRows = [
+            ['Total Return', this.percent(m.totalReturn)],
+            ['Annualized Return', this.percent(m.annualizedReturn)],
+            ['Final Value', this.currency(m.finalValue)],
+            ['Volatility (annualized)', this.percent(m.volatility)],
+            ['Sharpe Ratio', this.ratio(m.sharpeRatio)],
+            ['Sortino Ratio', this.ratio(m.sortinoRatio)],
+            ['Calmar Ratio', this.ratio(m.calmarRatio)],
+            ['Max Drawdown', this.percent(m.maxDrawdown)],
+            ['Exposure', this.percent(m.exposure, 1)],
+            ['Total Trades', m.totalTrades],
+            ['Win Rate', this.percent(m.winRate)],
+            ['Profit Factor', this.ratio(m.profitFactor)],
+            ['Average Holding Period', `${(m.averageHoldingDays || 0).toFixed(1)} days`],
+            ['Total Costs', this.currency(m.totalCosts)],
+            ['Cost Drag', this.percent(m.costDrag)]
+        ];
+
+        const benchmarkSection = results.benchmark
+            ? this.renderTable(`Benchmark: ${results.benchmark.name}`, [
+                ['Benchmark Return', this.percent(results.benchmark.metrics.benchmarkReturn)],
+                ['Excess Return', this.percent(results.benchmark.metrics.excessReturn)],
+                ['Alpha (annualized)', this.percent(results.benchmark.metrics.alpha)],
+                ['Beta', this.ratio(results.benchmark.metrics.beta)],
+                ['Tracking Error', this.percent(results.benchmark.metrics.trackingError)],
+                ['Information Ratio', this.ratio(results.benchmark.metrics.informationRatio)]
+            ])
+            : '';
+
+        const drawdownRows = drawdowns.map((d, i) => `
+                <tr>
+                    <td>${i + 1}</td>
+                    <td>${this.escapeHtml(d.peakDate)}</td>
+                    <td>${this.escapeHtml(d.troughDate)}</td>
+                    <td>${d.recoveryDate ? this.escapeHtml(d.recoveryDate) : 'Not recovered'}</td>
+                    <td class="num">${this.percent(-d.depth)}</td>
+                    <td class="num">${d.bars}</td>
+                </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${this.escapeHtml(title)} - Backtest Tear Sheet</title>
+<style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; margin: 32px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+    .meta { color: #6b7280; font-size: 12px; }
+    .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 0 32px; }
+    table { border-collapse: collapse; width: 100%; font-size: 12px; }
+    th, td { padding: 4px 8px; border-bottom: 1px solid #f3f4f6; text-align: left; }
+    td.num, table.metrics td { text-align: right; }
+    img { max-width: 100%; border: 1px solid #e5e7eb; }
+    @media print { body { margin: 12mm; } section { break-inside: avoid; } }
+</style>
+</head>
+<body>
+    <h1>${this.escapeHtml(title)}</h1>
+    <div class="meta">
+        Generated ${this.escapeHtml(new Date().toLocaleString())}
+        · ${results.dataSource === 'file' ? 'Imported data' : `Seed ${this.escapeHtml(results.seed)}`}
+        ${data ? `· ${this.escapeHtml(data.symbols.join(', '))} ${this.escapeHtml(data.start)} to ${this.escapeHtml(data.end)} (${data.bars} bars, data #${this.escapeHtml(data.hash)})` : ''}
+    </div>
+    ${chartImage ? `<section><h2>Equity Curve</h2><img src="${chartImage}" alt="Equity curve"></section>` : ''}
+    <div class="grid">
+        ${this.renderTable('Performance', metricRows).replace('<table>', '<table class="metrics">')}
+        <div>
+            ${this.renderTable('Parameters', this.parameterRows())}
+            ${benchmarkSection}
+        </div>
+    </div>
+    <section>
+        <h2>Largest Drawdowns</h2>
+        ${drawdowns.length > 0 ? `
+        <table>
+            <tr><th>#</th><th>Peak</th><th>Trough</th><th>Recovery</th><th class="num">Depth</th><th class="num">Length (bars)</th></tr>
+            ${drawdownRows}
+        </table>` : '<p class="meta">No drawdowns</p>'}
+    </section>
+</body>
+</html>`;
+    }
+
+    /**
+     * Save text as a file through a temporary link
+     */
+    download(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use in other modules
+window.BacktestReport = BacktestReport;
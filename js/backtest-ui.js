@@ -5,13 +5,31 @@
 
 // Initialize backtest engine
 let backtestEngine = null;
+let strategyOptimizer = null;
+let activeBacktestJob = null;
+let backtestHistory = null;
+
+// Strategy definitions registered before the engine was created
+const pendingStrategyDefinitions = [];
 
 /**
  * Initialize backtest module
  */
 function initBacktest() {
     backtestEngine = new BacktestEngine();
+    pendingStrategyDefinitions.splice(0).forEach(definition => {
+        try {
+            backtestEngine.registerStrategy(definition);
+        } catch (error) {
+            console.error('Failed to register backtest strategy:', error);
+        }
+    });
+    populateStrategyOptions();
+    refreshBenchmarkOptions();
+    strategyOptimizer = new StrategyOptimizer(backtestEngine);
+    backtestHistory = new BacktestHistory();
     setupBacktestEventListeners();
+    renderBacktestHistory();
 }
 
 /**
@@ -30,12 +48,45 @@ function setupBacktestEventListeners() {
         runButton.addEventListener('click', runBacktest);
     }
     
+    // Compare bar-close and event-driven fills
+    const compareExecutionButton = document.getElementById('compareExecutionBtn');
+    if (compareExecutionButton) {
+        compareExecutionButton.addEventListener('click', compareExecutionModels);
+    }
+    
+    // Run portfolio backtest button
+    const runPortfolioButton = document.getElementById('runPortfolioBacktestBtn');
+    if (runPortfolioButton) {
+        runPortfolioButton.addEventListener('click', runPortfolioBacktest);
+    }
+    
+    // Optimization buttons
+    const optimizeButton = document.getElementById('runOptimizationBtn');
+    if (optimizeButton) {
+        optimizeButton.addEventListener('click', () => runOptimization('split'));
+    }
+    const walkForwardButton = document.getElementById('runWalkForwardBtn');
+    if (walkForwardButton) {
+        walkForwardButton.addEventListener('click', () => runOptimization('walkForward'));
+    }
+    
     // Load data button
     const loadDataBtn = document.getElementById('loadHistoricalDataBtn');
     if (loadDataBtn) {
         loadDataBtn.addEventListener('click', loadHistoricalData);
     }
     
+    // Import data file
+    const dataFileInput = document.getElementById('historicalDataFile');
+    if (dataFileInput) {
+        dataFileInput.addEventListener('change', function() {
+            if (this.files && this.files[0]) {
+                importHistoricalDataFile(this.files[0]);
+                this.value = '';
+            }
+        });
+    }
+    
     // Symbol change - clear previous results
     const symbolInput = document.getElementById('backtestSymbol');
     if (symbolInput) {
@@ -62,6 +113,56 @@ function setupBacktestEventListeners() {
     if (endDateInput) {
         endDateInput.addEventListener('change', clearBacktestResults);
     }
+    
+    // Run history: rename, delete, compare and clear
+    const historyList = document.getElementById('backtestHistoryList');
+    if (historyList) {
+        historyList.addEventListener('change', event => {
+            const id = event.target.dataset.runName;
+            if (id && !backtestHistory.renameRun(id, event.target.value)) {
+                event.target.value = backtestHistory.getRun(id)?.name || '';
+            }
+        });
+        historyList.addEventListener('click', event => {
+            const button = event.target.closest('[data-remove-run]');
+            if (button) {
+                backtestHistory.removeRun(button.dataset.removeRun);
+                renderBacktestHistory();
+            }
+        });
+    }
+    const compareButton = document.getElementById('compareBacktestRunsBtn');
+    if (compareButton) {
+        compareButton.addEventListener('click', compareBacktestRuns);
+    }
+    const clearHistoryButton = document.getElementById('clearBacktestHistoryBtn');
+    if (clearHistoryButton) {
+        clearHistoryButton.addEventListener('click', () => {
+            if (confirm('Delete all saved backtest runs?')) {
+                backtestHistory.clear();
+                renderBacktestHistory();
+                document.getElementById('backtestComparison')?.classList.add('hidden');
+            }
+        });
+    }
+    
+    const resetZoomButton = document.getElementById('resetBacktestZoomBtn');
+    if (resetZoomButton) {
+        resetZoomButton.addEventListener('click', resetBacktestZoom);
+    }
+    
+    // Export buttons carry their format in data-backtest-export
+    document.querySelectorAll('[data-backtest-export]').forEach(button => {
+        button.addEventListener('click', () => exportBacktestResults(button.dataset.backtestExport));
+    });
+    
+    // Cancel the running backtest job
+    const cancelJobBtn = document.getElementById('backtestJobCancel');
+    if (cancelJobBtn) {
+        cancelJobBtn.addEventListener('click', () => {
+            if (activeBacktestJob) activeBacktestJob.cancel();
+        });
+    }
 }
 
 /**
@@ -78,73 +179,184 @@ function clearBacktestResults() {
  * Update strategy parameter inputs based on selected strategy
  */
 function updateStrategyParameters() {
-    const strategy = document.getElementById('backtestStrategy').value;
+    const strategySelect = document.getElementById('backtestStrategy');
     const paramsContainer = document.getElementById('strategyParameters');
     
-    if (!paramsContainer) return;
+    if (!paramsContainer || !strategySelect || !backtestEngine) return;
     
-    let paramsHTML = '';
+    const definition = backtestEngine.getStrategy(strategySelect.value);
+    if (!definition) {
+        paramsContainer.innerHTML = '';
+        return;
+    }
     
-    switch(strategy) {
-        case 'momentum':
-            paramsHTML = `
-                <div class="mb-3">
-                    <label class="block text-sm font-medium text-gray-700 mb-1">MA Period</label>
-                    <input type="number" id="maPeriod" value="20" min="5" max="200" 
-                           class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
-                    <span class="text-xs text-gray-500">Moving average period for momentum signals</span>
-                </div>
-            `;
-            break;
-            
-        case 'meanReversion':
-            paramsHTML = `
-                <div class="mb-3">
-                    <label class="block text-sm font-medium text-gray-700 mb-1">Lookback Period</label>
-                    <input type="number" id="lookback" value="20" min="10" max="100" 
-                           class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
-                </div>
-                <div class="mb-3">
-                    <label class="block text-sm font-medium text-gray-700 mb-1">Z-Score Threshold</label>
-                    <input type="number" id="zScoreThreshold" value="2" min="1" max="3" step="0.1" 
-                           class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
-                    <span class="text-xs text-gray-500">Standard deviations for entry/exit signals</span>
-                </div>
-            `;
-            break;
-            
-        case 'macdCrossover':
-            paramsHTML = `
-                <div class="mb-3">
-                    <label class="block text-sm font-medium text-gray-700 mb-1">Fast Period</label>
-                    <input type="number" id="fastPeriod" value="12" min="5" max="50" 
-                           class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
-                </div>
-                <div class="mb-3">
-                    <label class="block text-sm font-medium text-gray-700 mb-1">Slow Period</label>
-                    <input type="number" id="slowPeriod" value="26" min="10" max="100" 
-                           class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
-                </div>
-                <div class="mb-3">
-                    <label class="block text-sm font-medium text-gray-700 mb-1">Signal Period</label>
-                    <input type="number" id="signalPeriod" value="9" min="5" max="20" 
-                           class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
-                </div>
-            `;
-            break;
-            
-        case 'buyAndHold':
-        default:
-            paramsHTML = `
-                <div class="text-sm text-gray-600">
-                    <i class="fas fa-info-circle mr-1"></i>
-                    Buy and hold strategy has no additional parameters
-                </div>
-            `;
-            break;
+    const params = Object.entries(definition.parameters);
+    const strategyFields = params.length === 0
+        ? `
+            <div class="text-sm text-gray-600 mb-3">
+                <i class="fas fa-info-circle mr-1"></i>
+                ${escapeBacktestHtml(definition.label)} strategy has no additional parameters
+            </div>
+        `
+        : params.map(([key, spec]) => renderParameterField(key, spec, 'strategy')).join('');
+    
+    // Sizing, shorting and stop settings apply to every strategy
+    const positionFields = Object.entries(backtestEngine.getPositionParameters())
+        .map(([key, spec]) => renderParameterField(key, spec, 'position')).join('');
+    
+    paramsContainer.innerHTML = `
+        ${strategyFields}
+        <details class="mb-3 border border-gray-200 rounded-lg">
+            <summary class="px-3 py-2 text-sm font-medium text-gray-700 cursor-pointer">Position &amp; Risk</summary>
+            <div class="px-3 pt-2">
+                ${positionFields}
+            </div>
+        </details>
+    `;
+    
+    // Strategies with only a full-run function cannot fill from the next open
+    const eventDriven = backtestEngine.hasEventVersion(definition.name);
+    const nextOpenOption = paramsContainer.querySelector('[data-position-param="execution"] option[value="nextOpen"]');
+    if (nextOpenOption && !eventDriven) nextOpenOption.remove();
+    const compareExecutionButton = document.getElementById('compareExecutionBtn');
+    if (compareExecutionButton) {
+        compareExecutionButton.disabled = !eventDriven;
+        compareExecutionButton.title = eventDriven ? '' : `${definition.label} has no event-driven version`;
+    }
+}
+
+/**
+ * Render one schema-driven parameter input
+ * @param {string} key - Parameter name
+ * @param {Object} spec - Normalized parameter spec
+ * @param {string} group - 'strategy' or 'position'; sets the id prefix and data attribute
+ */
+function renderParameterField(key, spec, group) {
+    const id = `${group}Param-${escapeBacktestHtml(key)}`;
+    const dataAttribute = `data-${group}-param="${escapeBacktestHtml(key)}"`;
+    const description = spec.description ? `<span class="text-xs text-gray-500">${escapeBacktestHtml(spec.description)}</span>` : '';
+    
+    if (spec.type === 'boolean') {
+        return `
+            <div class="mb-3">
+                <label class="inline-flex items-center text-sm font-medium text-gray-700">
+                    <input type="checkbox" id="${id}" ${dataAttribute} ${spec.default ? 'checked' : ''} class="mr-2">
+                    ${escapeBacktestHtml(spec.label)}
+                </label>
+                ${description ? `<div>${description}</div>` : ''}
+            </div>
+        `;
+    }
+    
+    const control = spec.type === 'select'
+        ? `<select id="${id}" ${dataAttribute}
+                   class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+               ${spec.options.map(option => `
+                   <option value="${escapeBacktestHtml(option.value)}" ${option.value === spec.default ? 'selected' : ''}>${escapeBacktestHtml(option.label)}</option>
+               `).join('')}
+           </select>`
+        : `<input type="number" id="${id}" ${dataAttribute}
+                  value="${spec.default}" step="${spec.step}"
+                  ${spec.min !== undefined ? `min="${spec.min}"` : ''} ${spec.max !== undefined ? `max="${spec.max}"` : ''}
+                  class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">`;
+    
+    return `
+        <div class="mb-3">
+            <label class="block text-sm font-medium text-gray-700 mb-1">${escapeBacktestHtml(spec.label)}</label>
+            ${control}
+            ${description}
+        </div>
+    `;
+}
+
+/**
+ * Rebuild the strategy dropdown from the engine's strategy registry
+ */
+function populateStrategyOptions() {
+    const strategySelect = document.getElementById('backtestStrategy');
+    if (!strategySelect || !backtestEngine) return;
+    
+    const selected = strategySelect.value;
+    strategySelect.innerHTML = backtestEngine.getStrategies().map(definition => `
+        <option value="${escapeBacktestHtml(definition.name)}">${escapeBacktestHtml(definition.label)}</option>
+    `).join('');
+    
+    if (backtestEngine.getStrategy(selected)) {
+        strategySelect.value = selected;
+    }
+}
+
+/**
+ * Read strategy and position/risk parameter values from the generated form
+ * @returns {Object} Parameter values keyed by parameter name
+ */
+function collectStrategyParameters() {
+    return {
+        ...readParameterInputs('#strategyParameters [data-strategy-param]', 'strategyParam'),
+        ...readParameterInputs('#strategyParameters [data-position-param]', 'positionParam')
+    };
+}
+
+/**
+ * Read generated parameter inputs into an object
+ * @param {string} selector - Inputs to read
+ * @param {string} datasetKey - Dataset property holding the parameter name
+ */
+function readParameterInputs(selector, datasetKey) {
+    const params = {};
+    document.querySelectorAll(selector).forEach(input => {
+        const key = input.dataset[datasetKey];
+        if (input.type === 'checkbox') {
+            params[key] = input.checked;
+        } else if (input.tagName === 'SELECT') {
+            params[key] = input.value;
+        } else if (input.value !== '') {
+            params[key] = parseFloat(input.value);
+        }
+    });
+    return params;
+}
+
+/**
+ * Read the transaction cost settings
+ * @returns {Object} { commission, feeBps, slippageBps, lotSize }
+ */
+function collectCostModel() {
+    const readNumber = (id, fallback) => {
+        const input = document.getElementById(id);
+        const value = input ? parseFloat(input.value) : NaN;
+        return isNaN(value) ? fallback : value;
+    };
+    
+    return {
+        commission: readNumber('backtestCommission', 0),
+        feeBps: readNumber('backtestFeeBps', 0),
+        slippageBps: readNumber('backtestSlippageBps', 0),
+        lotSize: readNumber('backtestLotSize', 1)
+    };
+}
+
+/**
+ * Register a user-defined strategy with the backtester
+ * Can be called before the backtest module initializes; definitions are queued until then.
+ * @param {Object} definition - Strategy definition (see BacktestEngine.registerStrategy)
+ */
+function registerBacktestStrategy(definition) {
+    if (!backtestEngine) {
+        pendingStrategyDefinitions.push(definition);
+        return;
     }
     
-    paramsContainer.innerHTML = paramsHTML;
+    backtestEngine.registerStrategy(definition);
+    populateStrategyOptions();
+    updateStrategyParameters();
+}
+
+/**
+ * Escape user-supplied text (e.g. custom strategy labels) before inserting it as HTML
+ */
+function escapeBacktestHtml(value) {
+    return window.SecurityUtils ? window.SecurityUtils.escapeHtml(String(value)) : String(value);
 }
 
 /**
@@ -166,11 +378,14 @@ async function loadHistoricalData() {
     loadBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Loading...';
     
     try {
+        applyBacktestSeed();
+        applyCorporateActionSettings(symbol);
         await backtestEngine.loadHistoricalData(symbol, startDate, endDate);
         showAlert(`Historical data loaded for ${symbol}`, 'success');
         
         // Display data summary
         displayDataSummary();
+        refreshBenchmarkOptions();
     } catch (error) {
         showAlert('Failed to load historical data: ' + error.message, 'error');
     } finally {
@@ -179,6 +394,102 @@ async function loadHistoricalData() {
     }
 }
 
+/**
+ * Rebuild the benchmark dropdown from the series currently loaded in the engine
+ */
+function refreshBenchmarkOptions() {
+    const select = document.getElementById('backtestBenchmark');
+    if (!select || !backtestEngine) return;
+    
+    const current = select.value;
+    const symbols = backtestEngine.getLoadedSeries();
+    select.innerHTML = `
+        <option value="">None</option>
+        <option value="self">Buy &amp; hold (same symbol)</option>
+        ${symbols.map(symbol => `<option value="${escapeBacktestHtml(symbol)}">${escapeBacktestHtml(symbol)}</option>`).join('')}
+    `;
+    select.value = [...select.options].some(option => option.value === current) ? current : 'self';
+}
+
+/**
+ * Benchmark chosen in the dropdown ('' for none)
+ */
+function getSelectedBenchmark() {
+    const select = document.getElementById('backtestBenchmark');
+    return select ? select.value : '';
+}
+
+/**
+ * Seed the engine from the seed input (drawing a new one when blank) and show it
+ * @returns {number} Seed in use
+ */
+function applyBacktestSeed() {
+    const seedInput = document.getElementById('backtestSeed');
+    const seed = backtestEngine.setSeed(seedInput ? seedInput.value.trim() : undefined);
+    if (seedInput) seedInput.value = seed;
+    return seed;
+}
+
+/**
+ * Pass the corporate action settings to the engine
+ * Actions typed in the form replace earlier typed ones for the symbol; actions read from an
+ * imported file are kept.
+ * @param {string} symbol - Symbol being loaded
+ */
+function applyCorporateActionSettings(symbol) {
+    const modeSelect = document.getElementById('backtestCorporateActionMode');
+    if (modeSelect) backtestEngine.setCorporateActionAdjustment(modeSelect.value);
+    
+    const actionsInput = document.getElementById('backtestCorporateActions');
+    if (!actionsInput || !symbol) return;
+    const imported = backtestEngine.importedData[backtestEngine.normalizeSymbol(symbol)];
+    const fileActions = imported ? imported.report.corporateActions || [] : [];
+    const typedActions = new CorporateActions().parseList(actionsInput.value, symbol);
+    backtestEngine.setCorporateActions(symbol, [...fileActions, ...typedActions], true);
+}
+
+/**
+ * Import daily bars from a user-selected CSV or JSON file
+ * @param {File} file - Selected file
+ */
+function importHistoricalDataFile(file) {
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            const symbolInput = document.getElementById('backtestSymbol');
+            const modeSelect = document.getElementById('backtestCorporateActionMode');
+            if (modeSelect) backtestEngine.setCorporateActionAdjustment(modeSelect.value);
+            const { symbol, report } = backtestEngine.importHistoricalData(e.target.result, {
+                fileName: file.name,
+                defaultSymbol: symbolInput ? symbolInput.value : ''
+            });
+            
+            // Point the data configuration at the imported series
+            if (symbolInput) symbolInput.value = symbol;
+            const startDateInput = document.getElementById('backtestStartDate');
+            const endDateInput = document.getElementById('backtestEndDate');
+            if (startDateInput) startDateInput.value = report.startDate;
+            if (endDateInput) endDateInput.value = report.endDate;
+            
+            clearBacktestResults();
+            displayDataSummary();
+            refreshBenchmarkOptions();
+            
+            const issues = report.invalidCount + report.duplicateCount + report.gaps.length;
+            showAlert(
+                `Imported ${report.validRows} bars for ${symbol}` + (issues > 0 ? ` with ${issues} issue(s) - see data summary` : ''),
+                issues > 0 ? 'warning' : 'success'
+            );
+        } catch (error) {
+            showAlert('Import failed: ' + error.message, 'error');
+        }
+    };
+    reader.onerror = function() {
+        showAlert('Import failed: could not read ' + file.name, 'error');
+    };
+    reader.readAsText(file);
+}
+
 /**
  * Display summary of loaded historical data
  */
@@ -208,14 +519,151 @@ function displayDataSummary() {
                     </span>
                 </div>
             </div>
+            ${renderDataValidationReport(backtestEngine.dataReport)}
         </div>
     `;
 }
 
 /**
- * Run backtest with selected strategy and parameters
+ * Dividends and splits recorded for the loaded symbol and whether they adjusted its prices
  */
-async function runBacktest() {
+function renderCorporateActions(report) {
+    const actions = backtestEngine.getCorporateActions(report.symbol);
+    if (actions.length === 0) return '';
+    
+    const model = new CorporateActions();
+    const applied = new Set((report.appliedCorporateActions || []).map(action => action.id));
+    const modeLabels = { total: 'splits and dividends', splits: 'splits only', none: 'none' };
+    const note = report.adjusted
+        ? 'prices already adjusted from the adj close column'
+        : `adjusting for ${modeLabels[report.corporateActionAdjustment] || 'splits and dividends'}`;
+    
+    return `
+        <div class="mt-2 text-blue-900">Corporate actions (${escapeBacktestHtml(note)}):</div>
+        <ul class="list-disc ml-5 text-xs text-gray-700">
+            ${actions.slice(0, 10).map(action => `
+                <li>${escapeBacktestHtml(action.date)}: ${escapeBacktestHtml(model.describe(action))}${applied.has(action.id) ? '' : ' <span class="text-gray-400">(not applied)</span>'}</li>
+            `).join('')}
+            ${actions.length > 10 ? `<li>... ${actions.length - 10} more</li>` : ''}
+        </ul>
+    `;
+}
+
+/**
+ * Render the validation report produced when data was loaded or imported
+ */
+function renderDataValidationReport(report) {
+    if (!report) return '';
+    
+    const source = report.source === 'file'
+        ? `Imported from ${escapeBacktestHtml(report.fileName || report.format.toUpperCase() + ' file')}`
+        : `Simulated prices (seed ${report.seed})`;
+    
+    if (report.source !== 'file') {
+        return `
+            <div class="mt-3 pt-3 border-t border-blue-200 text-sm text-yellow-700">
+                <i class="fas fa-exclamation-triangle mr-1"></i>${source}: ${escapeBacktestHtml(report.warnings[0])}
+            </div>
+        `;
+    }
+    
+    const listItems = (items, render) => items.slice(0, 5).map(item => `<li>${render(item)}</li>`).join('') +
+        (items.length > 5 ? `<li>... ${items.length - 5} more</li>` : '');
+    
+    return `
+        <div class="mt-3 pt-3 border-t border-blue-200 text-sm">
+            <div class="font-medium text-blue-900 mb-1">Validation Report</div>
+            <div class="grid grid-cols-2 gap-2">
+                <div class="col-span-2"><span class="text-gray-600">Source:</span> ${source}</div>
+                <div><span class="text-gray-600">Rows read:</span> ${report.totalRows}</div>
+                <div><span class="text-gray-600">Valid bars:</span> ${report.validRows}</div>
+                <div><span class="text-gray-600">Invalid rows:</span>
+                    <span class="${report.invalidCount > 0 ? 'text-red-600 font-semibold' : ''}">${report.invalidCount}</span></div>
+                <div><span class="text-gray-600">Duplicate dates:</span>
+                    <span class="${report.duplicateCount > 0 ? 'text-red-600 font-semibold' : ''}">${report.duplicateCount}</span></div>
+                <div><span class="text-gray-600">Gaps (2+ weekdays):</span>
+                    <span class="${report.gaps.length > 0 ? 'text-yellow-700 font-semibold' : ''}">${report.gaps.length}</span></div>
+                <div><span class="text-gray-600">Single-day gaps (holidays?):</span> ${report.holidayGaps}</div>
+            </div>
+            ${report.invalidRows.length > 0 ? `
+                <div class="mt-2 text-red-700">Invalid rows (dropped):</div>
+                <ul class="list-disc ml-5 text-xs text-red-700">
+                    ${listItems(report.invalidRows, r => `Line ${r.line}: ${escapeBacktestHtml(r.reason)}`)}
+                </ul>` : ''}
+            ${report.duplicates.length > 0 ? `
+                <div class="mt-2 text-red-700">Duplicate dates (first row kept):</div>
+                <ul class="list-disc ml-5 text-xs text-red-700">
+                    ${listItems(report.duplicates, d => `${d.date} (lines ${d.lines.join(', ')})`)}
+                </ul>` : ''}
+            ${report.gaps.length > 0 ? `
+                <div class="mt-2 text-yellow-700">Gaps:</div>
+                <ul class="list-disc ml-5 text-xs text-yellow-700">
+                    ${listItems(report.gaps, g => `${g.from} to ${g.to}: ${g.missingWeekdays} weekdays missing`)}
+                </ul>` : ''}
+            ${renderCorporateActions(report)}
+            ${report.warnings.length > 0 ? `
+                <div class="mt-2 text-yellow-700">Warnings:</div>
+                <ul class="list-disc ml-5 text-xs text-yellow-700">
+                    ${listItems(report.warnings, w => escapeBacktestHtml(w))}
+                </ul>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Loaded data and seed in the form a simulation job needs to rebuild the engine
+ */
+function getBacktestJobState() {
+    return {
+        seed: backtestEngine.seed,
+        data: backtestEngine.historicalData,
+        dataReport: backtestEngine.dataReport,
+        importedData: backtestEngine.importedData,
+        portfolioData: backtestEngine.portfolioData,
+        corporateActions: backtestEngine.corporateActions,
+        corporateActionAdjustment: backtestEngine.corporateActionAdjustment
+    };
+}
+
+/**
+ * Run a simulation job off the main thread, showing its progress and a cancel button
+ * Starting a new job cancels the one still running.
+ * @param {string} type - Job type (see SimulationJobHandlers)
+ * @param {Object} payload - Job input
+ * @param {string} label - Text shown above the progress bar
+ * @returns {Promise<Object>} Job result; rejects with error.cancelled set when cancelled
+ */
+async function runBacktestJob(type, payload, label) {
+    if (activeBacktestJob) activeBacktestJob.cancel();
+    
+    const panel = document.getElementById('backtestJobProgress');
+    const bar = document.getElementById('backtestJobBar');
+    document.getElementById('backtestJobLabel').textContent = label;
+    bar.style.width = '0%';
+    panel.classList.remove('hidden');
+    
+    const job = simulationJobRunner.run(type, payload, {
+        onProgress: progress => {
+            bar.style.width = `${Math.round(progress * 100)}%`;
+        }
+    });
+    activeBacktestJob = job;
+    
+    try {
+        return await job.promise;
+    } finally {
+        if (activeBacktestJob === job) {
+            activeBacktestJob = null;
+            panel.classList.add('hidden');
+        }
+    }
+}
+
+/**
+ * Validate the form, load the symbol's data and collect the run parameters
+ * @returns {Promise<Object|null>} { strategy, params }, or null after alerting the user
+ */
+async function prepareBacktestRun() {
     const strategy = document.getElementById('backtestStrategy').value;
     const initialCapital = parseFloat(document.getElementById('backtestCapital').value);
     const symbol = document.getElementById('backtestSymbol').value;
@@ -224,51 +672,46 @@ async function runBacktest() {
     
     if (!initialCapital || initialCapital <= 0) {
         showAlert('Please enter a valid initial capital amount', 'warning');
-        return;
+        return null;
     }
     
     if (!symbol) {
         showAlert('Please enter a symbol', 'warning');
-        return;
+        return null;
     }
     
-    // Load historical data for the selected symbol
+    // Load historical data for the selected symbol with the seed shown in the form
     try {
+        applyBacktestSeed();
+        applyCorporateActionSettings(symbol);
         await backtestEngine.loadHistoricalData(symbol, startDate, endDate);
         if (!backtestEngine.historicalData || backtestEngine.historicalData.length === 0) {
             showAlert('No historical data available for ' + symbol, 'error');
-            return;
+            return null;
         }
     } catch (error) {
         showAlert('Failed to load data for ' + symbol + ': ' + error.message, 'error');
-        return;
+        return null;
     }
     
     // Collect strategy-specific parameters
-    const params = { initialCapital };
+    const params = {
+        ...collectStrategyParameters(),
+        initialCapital,
+        costs: collectCostModel(),
+        benchmark: getSelectedBenchmark()
+    };
     
-    switch(strategy) {
-        case 'momentum':
-            const maPeriod = document.getElementById('maPeriod');
-            if (maPeriod) params.maPeriod = parseInt(maPeriod.value);
-            break;
-            
-        case 'meanReversion':
-            const lookback = document.getElementById('lookback');
-            const zScore = document.getElementById('zScoreThreshold');
-            if (lookback) params.lookback = parseInt(lookback.value);
-            if (zScore) params.zScoreThreshold = parseFloat(zScore.value);
-            break;
-            
-        case 'macdCrossover':
-            const fast = document.getElementById('fastPeriod');
-            const slow = document.getElementById('slowPeriod');
-            const signal = document.getElementById('signalPeriod');
-            if (fast) params.fastPeriod = parseInt(fast.value);
-            if (slow) params.slowPeriod = parseInt(slow.value);
-            if (signal) params.signalPeriod = parseInt(signal.value);
-            break;
-    }
+    return { strategy, params };
+}
+
+/**
+ * Run backtest with selected strategy and parameters
+ */
+async function runBacktest() {
+    const run = await prepareBacktestRun();
+    if (!run) return;
+    const { strategy, params } = run;
     
     const runBtn = document.getElementById('runBacktestBtn');
     const originalText = runBtn.innerHTML;
@@ -276,10 +719,22 @@ async function runBacktest() {
     runBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Running Backtest...';
     
     try {
-        const results = await backtestEngine.runBacktest(strategy, params);
+        // Strategies registered at runtime only exist in this page's engine
+        let results;
+        if (backtestEngine.isBuiltInStrategy(strategy)) {
+            results = await runBacktestJob('backtest', { ...getBacktestJobState(), strategy, params }, 'Running backtest...');
+            backtestEngine.results = results;
+        } else {
+            results = await backtestEngine.runBacktest(strategy, params);
+        }
         displayBacktestResults(results);
+        saveBacktestRun(results);
         showAlert('Backtest completed successfully', 'success');
     } catch (error) {
+        if (error.cancelled) {
+            showAlert('Backtest cancelled', 'info');
+            return;
+        }
         showAlert('Backtest failed: ' + error.message, 'error');
         console.error('Backtest error:', error);
     } finally {
@@ -289,96 +744,781 @@ async function runBacktest() {
 }
 
 /**
- * Display backtest results
+ * Run the selected strategy with bar-close fills and on the event-driven engine, then show both
  */
-function displayBacktestResults(results) {
-    // Display metrics
-    displayBacktestMetrics(results.metrics);
-    
-    // Display trades
-    displayBacktestTrades(results.trades);
+async function compareExecutionModels() {
+    const run = await prepareBacktestRun();
+    if (!run) return;
+    const { strategy, params } = run;
     
-    // Display chart
-    displayBacktestChart(results);
+    const compareBtn = document.getElementById('compareExecutionBtn');
+    const originalText = compareBtn.innerHTML;
+    compareBtn.disabled = true;
+    compareBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Comparing...';
     
-    // Show results section
-    const resultsSection = document.getElementById('backtestResults');
-    if (resultsSection) {
-        resultsSection.classList.remove('hidden');
-        resultsSection.scrollIntoView({ behavior: 'smooth' });
+    try {
+        const comparison = backtestEngine.isBuiltInStrategy(strategy)
+            ? await runBacktestJob('compareExecution', { ...getBacktestJobState(), strategy, params }, 'Comparing fill models...')
+            : backtestEngine.compareExecutionModels(strategy, params);
+        displayExecutionComparison(comparison);
+    } catch (error) {
+        if (error.cancelled) {
+            showAlert('Comparison cancelled', 'info');
+            return;
+        }
+        showAlert('Comparison failed: ' + error.message, 'error');
+        console.error('Execution comparison error:', error);
+    } finally {
+        compareBtn.disabled = false;
+        compareBtn.innerHTML = originalText;
     }
 }
 
 /**
- * Display performance metrics
+ * Table of bar-close vs. next-open results
+ * @param {Object} comparison - Result of BacktestEngine.compareExecutionModels
  */
-function displayBacktestMetrics(metrics) {
-    const metricsDiv = document.getElementById('backtestMetrics');
-    if (!metricsDiv) return;
+function displayExecutionComparison(comparison) {
+    const container = document.getElementById('executionComparison');
+    if (!container) return;
     
-    metricsDiv.innerHTML = `
-        <div class="grid md:grid-cols-4 gap-4">
-            <div class="bg-white p-4 rounded-lg border ${parseFloat(metrics.totalReturn) >= 0 ? 'border-green-200' : 'border-red-200'}">
-                <div class="text-sm text-gray-600">Total Return</div>
-                <div class="text-2xl font-bold ${parseFloat(metrics.totalReturn) >= 0 ? 'text-green-600' : 'text-red-600'}">
-                    ${metrics.totalReturn}
-                </div>
-            </div>
-            <div class="bg-white p-4 rounded-lg border border-gray-200">
-                <div class="text-sm text-gray-600">Annualized Return</div>
-                <div class="text-2xl font-bold text-gray-800">${metrics.annualizedReturn}</div>
-            </div>
-            <div class="bg-white p-4 rounded-lg border border-gray-200">
-                <div class="text-sm text-gray-600">Sharpe Ratio</div>
-                <div class="text-2xl font-bold text-gray-800">${metrics.sharpeRatio}</div>
-            </div>
-            <div class="bg-white p-4 rounded-lg border border-gray-200">
-                <div class="text-sm text-gray-600">Max Drawdown</div>
-                <div class="text-2xl font-bold text-red-600">${metrics.maxDrawdown}</div>
-            </div>
-            <div class="bg-white p-4 rounded-lg border border-gray-200">
-                <div class="text-sm text-gray-600">Volatility</div>
-                <div class="text-xl font-semibold text-gray-800">${metrics.volatility}</div>
-            </div>
-            <div class="bg-white p-4 rounded-lg border border-gray-200">
-                <div class="text-sm text-gray-600">Total Trades</div>
-                <div class="text-xl font-semibold text-gray-800">${metrics.totalTrades}</div>
-            </div>
-            <div class="bg-white p-4 rounded-lg border border-gray-200">
-                <div class="text-sm text-gray-600">Win Rate</div>
-                <div class="text-xl font-semibold text-gray-800">${metrics.winRate}</div>
-            </div>
-            <div class="bg-white p-4 rounded-lg border border-gray-200">
-                <div class="text-sm text-gray-600">Final Value</div>
-                <div class="text-xl font-semibold text-gray-800">$${metrics.finalValue}</div>
-            </div>
+    const percent = value => Number.isFinite(value) ? (value * 100).toFixed(2) + '%' : '-';
+    const ratio = value => Number.isFinite(value) ? value.toFixed(2) : '-';
+    const currency = value => '$' + value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const signed = (value, format) => (value > 0 ? '+' : value < 0 ? '-' : '') + format(Math.abs(value));
+    const rows = [
+        ['Final Value', currency(comparison.close.finalValue), currency(comparison.nextOpen.finalValue), signed(comparison.differences.finalValue, currency)],
+        ['Total Return', percent(comparison.close.metrics.totalReturn), percent(comparison.nextOpen.metrics.totalReturn), signed(comparison.differences.totalReturn, percent)],
+        ['Sharpe Ratio', ratio(comparison.close.metrics.sharpeRatio), ratio(comparison.nextOpen.metrics.sharpeRatio), signed(comparison.differences.sharpeRatio, ratio)],
+        ['Max Drawdown', percent(comparison.close.metrics.maxDrawdown), percent(comparison.nextOpen.metrics.maxDrawdown), signed(comparison.differences.maxDrawdown, percent)],
+        ['Trades', comparison.close.trades, comparison.nextOpen.trades, signed(comparison.differences.trades, String)]
+    ];
+    
+    container.innerHTML = `
+        <div class="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+            <table class="w-full text-sm">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-4 py-2 text-left font-medium text-gray-700">Metric</th>
+                        <th class="px-4 py-2 text-right font-medium text-gray-700">Bar Close</th>
+                        <th class="px-4 py-2 text-right font-medium text-gray-700">Next Open (Event-Driven)</th>
+                        <th class="px-4 py-2 text-right font-medium text-gray-700">Difference</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([label, close, nextOpen, diff]) => `
+                        <tr class="border-t border-gray-100">
+                            <td class="px-4 py-2 text-gray-700">${label}</td>
+                            <td class="px-4 py-2 text-right">${close}</td>
+                            <td class="px-4 py-2 text-right">${nextOpen}</td>
+                            <td class="px-4 py-2 text-right text-gray-600">${diff}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         </div>
+        <p class="text-xs text-gray-500 mt-2">Event-driven fills happen at the next bar's open and are capped by the volume participation setting.</p>
     `;
+    container.classList.remove('hidden');
 }
 
 /**
- * Display trade history
+ * Parse a basket string such as "AAPL:40, MSFT:30, TLT:30"
+ * Symbols without a weight share the basket equally.
+ * @param {string} text - Basket definition
+ * @returns {Array} [{ symbol, weight }]
  */
-function displayBacktestTrades(trades) {
-    const tradesDiv = document.getElementById('backtestTrades');
-    if (!tradesDiv) return;
+function parsePortfolioBasket(text) {
+    return text.split(',')
+        .map(part => part.trim())
+        .filter(part => part.length > 0)
+        .map(part => {
+            const [symbol, weight] = part.split(':').map(p => p.trim());
+            return {
+                symbol: symbol.toUpperCase(),
+                weight: weight === undefined ? 1 : parseFloat(weight)
+            };
+        });
+}
+
+/**
+ * Run a multi-asset backtest with target weights and rebalancing
+ */
+async function runPortfolioBacktest() {
+    const initialCapital = parseFloat(document.getElementById('backtestCapital').value);
+    const startDate = document.getElementById('backtestStartDate').value;
+    const endDate = document.getElementById('backtestEndDate').value;
+    const assets = parsePortfolioBasket(document.getElementById('portfolioBacktestAssets').value);
+    const rebalance = document.getElementById('portfolioRebalanceFrequency').value;
+    const driftThreshold = (parseFloat(document.getElementById('portfolioDriftThreshold').value) || 0) / 100;
     
-    if (trades.length === 0) {
-        tradesDiv.innerHTML = '<p class="text-gray-500">No trades executed</p>';
+    if (!initialCapital || initialCapital <= 0) {
+        showAlert('Please enter a valid initial capital amount', 'warning');
         return;
     }
     
-    const tradesHTML = trades.slice(0, 20).map(trade => `
-        <tr class="border-b hover:bg-gray-50">
-            <td class="px-4 py-2 text-sm">${trade.date}</td>
-            <td class="px-4 py-2">
-                <span class="px-2 py-1 text-xs rounded ${trade.action === 'BUY' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}">
-                    ${trade.action}
-                </span>
-            </td>
-            <td class="px-4 py-2 text-sm text-right">$${trade.price.toFixed(2)}</td>
-            <td class="px-4 py-2 text-sm text-right">${trade.shares}</td>
-            <td class="px-4 py-2 text-sm text-right">$${(trade.price * trade.shares).toFixed(2)}</td>
+    if (assets.length === 0) {
+        showAlert('Please enter at least one symbol for the portfolio', 'warning');
+        return;
+    }
+    
+    const runBtn = document.getElementById('runPortfolioBacktestBtn');
+    const originalText = runBtn.innerHTML;
+    runBtn.disabled = true;
+    runBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Running Portfolio Backtest...';
+    
+    try {
+        applyBacktestSeed();
+        applyCorporateActionSettings(null);
+        await backtestEngine.loadPortfolioData(assets.map(a => a.symbol), startDate, endDate);
+        refreshBenchmarkOptions();
+        const config = {
+            assets,
+            rebalance,
+            driftThreshold,
+            initialCapital,
+            costs: collectCostModel(),
+            benchmark: getSelectedBenchmark()
+        };
+        const results = await runBacktestJob('portfolioBacktest', { ...getBacktestJobState(), config }, 'Running portfolio backtest...');
+        backtestEngine.results = results;
+        displayBacktestResults(results);
+        saveBacktestRun(results);
+        showAlert('Portfolio backtest completed successfully', 'success');
+    } catch (error) {
+        if (error.cancelled) {
+            showAlert('Portfolio backtest cancelled', 'info');
+            return;
+        }
+        showAlert('Portfolio backtest failed: ' + error.message, 'error');
+        console.error('Portfolio backtest error:', error);
+    } finally {
+        runBtn.disabled = false;
+        runBtn.innerHTML = originalText;
+    }
+}
+
+/**
+ * Run a parameter search for the selected strategy
+ * @param {string} type - 'split' for a single in/out-of-sample split, 'walkForward' for rolling windows
+ */
+async function runOptimization(type) {
+    const strategy = document.getElementById('backtestStrategy').value;
+    const initialCapital = parseFloat(document.getElementById('backtestCapital').value);
+    const mode = document.getElementById('optimizationMode').value;
+    const steps = parseInt(document.getElementById('optimizationSteps').value) || 5;
+    
+    if (!initialCapital || initialCapital <= 0) {
+        showAlert('Please enter a valid initial capital amount', 'warning');
+        return;
+    }
+    
+    const definition = backtestEngine.getStrategy(strategy);
+    if (!definition || Object.keys(definition.parameters).length === 0) {
+        showAlert('The selected strategy has no parameters to optimize', 'warning');
+        return;
+    }
+    
+    // Data generated from another seed is regenerated below
+    const previousSeed = backtestEngine.seed;
+    if (applyBacktestSeed() !== previousSeed) {
+        backtestEngine.historicalData = [];
+    }
+    
+    const options = {
+        mode,
+        steps,
+        samples: steps,
+        objective: document.getElementById('optimizationObjective').value,
+        inSampleRatio: (parseFloat(document.getElementById('optimizationInSample').value) || 70) / 100,
+        trainBars: parseInt(document.getElementById('walkForwardTrainBars').value),
+        testBars: parseInt(document.getElementById('walkForwardTestBars').value),
+        baseParams: {
+            ...readParameterInputs('#strategyParameters [data-position-param]', 'positionParam'),
+            initialCapital,
+            costs: collectCostModel()
+        }
+    };
+    
+    const button = document.getElementById(type === 'walkForward' ? 'runWalkForwardBtn' : 'runOptimizationBtn');
+    const originalText = button.innerHTML;
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Optimizing...';
+    
+    try {
+        if (backtestEngine.historicalData.length === 0) {
+            const symbol = document.getElementById('backtestSymbol').value;
+            const startDate = document.getElementById('backtestStartDate').value;
+            const endDate = document.getElementById('backtestEndDate').value;
+            await backtestEngine.loadHistoricalData(symbol, startDate, endDate);
+        }
+        
+        let results;
+        if (backtestEngine.isBuiltInStrategy(strategy)) {
+            const label = type === 'walkForward' ? 'Running walk-forward...' : 'Optimizing parameters...';
+            results = await runBacktestJob('optimize', { ...getBacktestJobState(), strategy, type, options }, label);
+        } else {
+            results = type === 'walkForward'
+                ? await strategyOptimizer.walkForward(strategy, options)
+                : await strategyOptimizer.optimize(strategy, options);
+        }
+        displayOptimizationResults(results, definition, type);
+        showAlert('Optimization completed', 'success');
+    } catch (error) {
+        if (error.cancelled) {
+            showAlert('Optimization cancelled', 'info');
+            return;
+        }
+        showAlert('Optimization failed: ' + error.message, 'error');
+        console.error('Optimization error:', error);
+    } finally {
+        button.disabled = false;
+        button.innerHTML = originalText;
+    }
+}
+
+/**
+ * Display optimization summary, parameter heatmap and out-of-sample equity
+ */
+function displayOptimizationResults(results, definition, type) {
+    const container = document.getElementById('optimizationResults');
+    if (!container) return;
+    
+    const objectiveLabel = strategyOptimizer.objectives[results.objective] || results.objective;
+    const formatScore = value => results.objective === 'totalReturn'
+        ? (value * 100).toFixed(2) + '%'
+        : value.toFixed(2);
+    const formatParams = params => Object.entries(params)
+        .map(([key, value]) => `${escapeBacktestHtml(definition.parameters[key] ? definition.parameters[key].label : key)}: ${value}`)
+        .join(', ');
+    
+    const summaryDiv = document.getElementById('optimizationSummary');
+    if (type === 'walkForward') {
+        const summary = results.summary;
+        summaryDiv.innerHTML = `
+            <div class="grid md:grid-cols-4 gap-4 mb-4">
+                <div class="bg-white p-4 rounded-lg border border-gray-200">
+                    <div class="text-sm text-gray-600">Windows</div>
+                    <div class="text-xl font-semibold text-gray-800">${summary.windows}</div>
+                </div>
+                <div class="bg-white p-4 rounded-lg border border-gray-200">
+                    <div class="text-sm text-gray-600">OOS Total Return</div>
+                    <div class="text-xl font-semibold ${summary.totalReturn >= 0 ? 'text-green-600' : 'text-red-600'}">${(summary.totalReturn * 100).toFixed(2)}%</div>
+                </div>
+                <div class="bg-white p-4 rounded-lg border border-gray-200">
+                    <div class="text-sm text-gray-600">Avg In-Sample ${escapeBacktestHtml(objectiveLabel)}</div>
+                    <div class="text-xl font-semibold text-gray-800">${formatScore(summary.avgInSampleScore)}</div>
+                </div>
+                <div class="bg-white p-4 rounded-lg border border-gray-200">
+                    <div class="text-sm text-gray-600">Avg Out-of-Sample ${escapeBacktestHtml(objectiveLabel)}</div>
+                    <div class="text-xl font-semibold text-gray-800">${formatScore(summary.avgOutOfSampleScore)}</div>
+                </div>
+            </div>
+            <div class="overflow-x-auto">
+                <table class="w-full text-sm">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-4 py-2 text-left font-medium text-gray-700">Test Window</th>
+                            <th class="px-4 py-2 text-left font-medium text-gray-700">Selected Parameters</th>
+                            <th class="px-4 py-2 text-right font-medium text-gray-700">In-Sample</th>
+                            <th class="px-4 py-2 text-right font-medium text-gray-700">Out-of-Sample</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${results.windows.map(w => `
+                            <tr class="border-b">
+                                <td class="px-4 py-2">${w.testStart} to ${w.testEnd}</td>
+                                <td class="px-4 py-2">${formatParams(w.params)}</td>
+                                <td class="px-4 py-2 text-right">${formatScore(w.inSampleScore)}</td>
+                                <td class="px-4 py-2 text-right">${formatScore(w.outOfSample.score)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } else {
+        summaryDiv.innerHTML = `
+            <div class="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm">
+                <div><span class="text-gray-600">Best parameters:</span> ${formatParams(results.best.params)}</div>
+                <div><span class="text-gray-600">In-sample (${results.inSample.start} to ${results.inSample.end}) ${escapeBacktestHtml(objectiveLabel)}:</span> ${formatScore(results.best.score)}</div>
+                <div><span class="text-gray-600">Out-of-sample (${results.outOfSample.start} to ${results.outOfSample.end}) ${escapeBacktestHtml(objectiveLabel)}:</span> ${formatScore(results.outOfSample.score)}</div>
+                <div><span class="text-gray-600">Parameter sets evaluated:</span> ${results.evaluations.length}</div>
+            </div>
+        `;
+    }
+    if (results.skipped > 0) {
+        summaryDiv.insertAdjacentHTML('beforeend', `
+            <p class="text-sm text-yellow-700 mt-2"><i class="fas fa-exclamation-triangle mr-1"></i>${results.skipped} parameter set${results.skipped === 1 ? '' : 's'} could not run on the data and ${results.skipped === 1 ? 'was' : 'were'} skipped.</p>
+        `);
+    }
+    
+    displayParameterHeatmap(results.evaluations, definition, formatScore);
+    displayWalkForwardChart(results.equityCurve, type === 'walkForward' ? 'Walk-Forward Out-of-Sample Equity' : 'Out-of-Sample Equity');
+    
+    container.classList.remove('hidden');
+}
+
+/**
+ * Render a parameter heatmap over the first two strategy parameters
+ */
+function displayParameterHeatmap(evaluations, definition, formatScore) {
+    const heatmapDiv = document.getElementById('optimizationHeatmap');
+    if (!heatmapDiv) return;
+    
+    const keys = Object.keys(definition.parameters);
+    const heatmap = strategyOptimizer.buildHeatmap(evaluations, keys[0], keys[1]);
+    const scores = heatmap.cells.flat().filter(v => v !== null);
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    
+    const cellColor = value => {
+        if (value === null) return 'rgb(243, 244, 246)';
+        const t = max > min ? (value - min) / (max - min) : 0.5;
+        // Red (worst) through white to green (best)
+        return t < 0.5
+            ? `rgb(239, ${Math.round(68 + 374 * t)}, ${Math.round(68 + 374 * t)})`
+            : `rgb(${Math.round(255 - 442 * (t - 0.5))}, ${Math.round(255 - 116 * (t - 0.5))}, ${Math.round(255 - 322 * (t - 0.5))})`;
+    };
+    
+    const xLabel = escapeBacktestHtml(definition.parameters[heatmap.xKey].label);
+    const yLabel = heatmap.yKey ? escapeBacktestHtml(definition.parameters[heatmap.yKey].label) : '';
+    
+    heatmapDiv.innerHTML = `
+        <h5 class="font-semibold text-gray-800 mb-2">Parameter Heatmap</h5>
+        <table class="text-xs border-collapse">
+            <thead>
+                <tr>
+                    <th class="px-2 py-1 text-gray-600">${yLabel}${yLabel ? " / " : ""}${xLabel}</th>
+                    ${heatmap.xValues.map(x => `<th class="px-2 py-1 text-gray-700">${x}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${heatmap.yValues.map((y, yi) => `
+                    <tr>
+                        <th class="px-2 py-1 text-gray-700">${y === null ? '' : y}</th>
+                        ${heatmap.cells[yi].map(value => `
+                            <td class="px-2 py-1 text-center border border-white" style="background-color: ${cellColor(value)}">
+                                ${value === null ? '' : formatScore(value)}
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Plot the out-of-sample equity curve from an optimization run
+ */
+function displayWalkForwardChart(equityCurve, title) {
+    const canvasElement = document.getElementById('walkForwardChart');
+    if (!canvasElement || typeof Chart === 'undefined') return;
+    
+    const existingChart = Chart.getChart(canvasElement);
+    if (existingChart) {
+        existingChart.destroy();
+    }
+    
+    new Chart(canvasElement.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: equityCurve.map(v => v.date),
+            datasets: [{
+                label: 'Out-of-Sample Equity',
+                data: equityCurve.map(v => v.value),
+                borderColor: 'rgb(16, 185, 129)',
+                backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                pointRadius: 0,
+                tension: 0.1,
+                fill: true
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: title
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        maxTicksLimit: 8
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Portfolio Value ($)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Display backtest results
+ */
+function displayBacktestResults(results) {
+    const runInfo = document.getElementById('backtestRunInfo');
+    if (runInfo) {
+        runInfo.textContent = results.dataSource === 'file' ? 'Imported data' : `Seed: ${results.seed}`;
+    }
+    
+    // Display metrics
+    displayBacktestMetrics(results.metrics, results.benchmark);
+    
+    // Display per-asset contribution for portfolio backtests
+    displayBacktestContributions(results);
+    
+    // Display trades
+    displayBacktestTrades(results.trades);
+    
+    // Display chart
+    displayBacktestChart(results);
+    
+    // Show results section
+    const resultsSection = document.getElementById('backtestResults');
+    if (resultsSection) {
+        resultsSection.classList.remove('hidden');
+        resultsSection.scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+/**
+ * Format a fractional metric as a percentage
+ */
+function formatMetricPercent(value, digits = 2) {
+    return Number.isFinite(value) ? (value * 100).toFixed(digits) + '%' : '-';
+}
+
+/**
+ * Format a ratio metric; a metric with no value (e.g. profit factor with no losses) shows as —
+ */
+function formatMetricRatio(value, digits = 2) {
+    if (value === null) return '—';
+    return Number.isFinite(value) ? value.toFixed(digits) : '-';
+}
+
+/**
+ * Format a currency metric
+ */
+function formatMetricCurrency(value) {
+    return Number.isFinite(value)
+        ? (value < 0 ? '-$' : '$') + Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+        : '-';
+}
+
+/**
+ * Render one metric card
+ * @param {string} label - Metric name
+ * @param {string} value - Formatted value
+ * @param {string} valueClass - Tailwind color class for the value
+ * @param {string} note - Optional small print under the value
+ */
+function renderMetricCard(label, value, valueClass = 'text-gray-800', note = '') {
+    return `
+        <div class="bg-white p-4 rounded-lg border border-gray-200">
+            <div class="text-sm text-gray-600">${label}</div>
+            <div class="text-xl font-semibold ${valueClass}">${value}</div>
+            ${note ? `<div class="text-xs text-gray-500">${note}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Display performance metrics grouped into returns, risk, trades, costs and benchmark comparison
+ * @param {Object} metrics - Numeric metrics from calculatePerformanceMetrics
+ * @param {Object} benchmark - Optional { name, metrics } from compareToBenchmark
+ */
+function displayBacktestMetrics(metrics, benchmark = null) {
+    const metricsDiv = document.getElementById('backtestMetrics');
+    if (!metricsDiv) return;
+    
+    const signClass = value => value >= 0 ? 'text-green-600' : 'text-red-600';
+    const longest = metrics.longestDrawdown;
+    const drawdownNote = longest.bars > 0
+        ? `${longest.start} → ${longest.end}${longest.recovered ? '' : ' (not recovered)'}`
+        : 'No drawdown';
+    
+    const groups = [
+        {
+            title: 'Returns',
+            cards: [
+                renderMetricCard('Total Return', formatMetricPercent(metrics.totalReturn), signClass(metrics.totalReturn)),
+                renderMetricCard('Annualized Return', formatMetricPercent(metrics.annualizedReturn), signClass(metrics.annualizedReturn)),
+                renderMetricCard('Final Value', formatMetricCurrency(metrics.finalValue)),
+                renderMetricCard('Exposure', formatMetricPercent(metrics.exposure, 1), 'text-gray-800', 'Share of bars holding a position')
+            ]
+        },
+        {
+            title: 'Risk',
+            cards: [
+                renderMetricCard('Volatility', formatMetricPercent(metrics.volatility), 'text-gray-800', 'Annualized'),
+                renderMetricCard('Sharpe Ratio', formatMetricRatio(metrics.sharpeRatio)),
+                renderMetricCard('Sortino Ratio', formatMetricRatio(metrics.sortinoRatio)),
+                renderMetricCard('Calmar Ratio', formatMetricRatio(metrics.calmarRatio)),
+                renderMetricCard('Max Drawdown', formatMetricPercent(metrics.maxDrawdown), 'text-red-600'),
+                renderMetricCard('Longest Drawdown', `${longest.days} days`, 'text-gray-800', drawdownNote)
+            ]
+        },
+        {
+            title: 'Trades',
+            cards: [
+                renderMetricCard('Total Trades', metrics.totalTrades, 'text-gray-800',
+                    `${metrics.closedTrades} round trips · ${metrics.shortTrades} short · ${metrics.stopExits} stop exits`),
+                renderMetricCard('Win Rate', formatMetricPercent(metrics.winRate)),
+                renderMetricCard('Profit Factor', formatMetricRatio(metrics.profitFactor)),
+                renderMetricCard('Average Win', formatMetricCurrency(metrics.averageWin), 'text-green-600'),
+                renderMetricCard('Average Loss', formatMetricCurrency(metrics.averageLoss), 'text-red-600'),
+                renderMetricCard('Avg Holding Period', `${metrics.averageHoldingDays.toFixed(1)} days`)
+            ]
+        },
+        {
+            title: 'Costs',
+            cards: [
+                renderMetricCard('Gross Return', formatMetricPercent(metrics.grossReturn)),
+                renderMetricCard('Net Return', formatMetricPercent(metrics.netReturn)),
+                renderMetricCard('Cost Drag', formatMetricPercent(metrics.costDrag), 'text-red-600'),
+                renderMetricCard('Total Costs', formatMetricCurrency(metrics.totalCosts), 'text-gray-800',
+                    `Fees ${formatMetricCurrency(metrics.totalFees)} · Slippage ${formatMetricCurrency(metrics.totalSlippage)}` +
+                    (metrics.totalBorrowCost > 0 ? ` · Borrow ${formatMetricCurrency(metrics.totalBorrowCost)}` : ''))
+            ]
+        }
+    ];
+    
+    if (benchmark) {
+        const b = benchmark.metrics;
+        groups.push({
+            title: `Benchmark: ${escapeBacktestHtml(benchmark.name)}`,
+            cards: [
+                renderMetricCard('Benchmark Return', formatMetricPercent(b.benchmarkReturn), signClass(b.benchmarkReturn),
+                    `Excess ${formatMetricPercent(b.excessReturn)}`),
+                renderMetricCard('Alpha', formatMetricPercent(b.alpha), signClass(b.alpha), 'Annualized'),
+                renderMetricCard('Beta', formatMetricRatio(b.beta), 'text-gray-800', `Correlation ${formatMetricRatio(b.correlation)}`),
+                renderMetricCard('Tracking Error', formatMetricPercent(b.trackingError), 'text-gray-800', 'Annualized'),
+                renderMetricCard('Information Ratio', formatMetricRatio(b.informationRatio)),
+                renderMetricCard('Up / Down Capture', `${formatMetricPercent(b.upCapture, 0)} / ${formatMetricPercent(b.downCapture, 0)}`)
+            ]
+        });
+    }
+    
+    metricsDiv.innerHTML = `
+        ${groups.map(group => `
+            <div class="mb-4">
+                <h5 class="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">${group.title}</h5>
+                <div class="grid md:grid-cols-3 lg:grid-cols-6 gap-4">
+                    ${group.cards.join('')}
+                </div>
+            </div>
+        `).join('')}
+        ${renderMonthlyReturnsTable(metrics.monthlyReturns)}
+        <div class="bg-white rounded-lg p-4 mt-4 ${metrics.rollingSharpe.length > 0 ? '' : 'hidden'}">
+            <h5 class="font-semibold text-gray-800 mb-3">Rolling Sharpe Ratio (63-day)</h5>
+            <div style="height: 200px;">
+                <canvas id="rollingSharpeChart"></canvas>
+            </div>
+        </div>
+    `;
+    
+    displayRollingSharpeChart(metrics.rollingSharpe);
+}
+
+/**
+ * Render calendar month returns as a year x month table with a yearly total
+ * @param {Array} monthlyReturns - [{ year, month, return }]
+ */
+function renderMonthlyReturnsTable(monthlyReturns) {
+    if (!monthlyReturns || monthlyReturns.length === 0) return '';
+    
+    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const years = {};
+    monthlyReturns.forEach(m => {
+        if (!years[m.year]) years[m.year] = {};
+        years[m.year][m.month] = m.return;
+    });
+    
+    // Heatmap shading scales with the size of the month's return
+    const maxAbs = Math.max(...monthlyReturns.map(m => Math.abs(m.return)), 1e-9);
+    const cellClass = value => {
+        if (value === undefined) return 'text-gray-300';
+        return value >= 0 ? 'text-green-800' : 'text-red-800';
+    };
+    const cellStyle = value => {
+        if (value === undefined) return '';
+        const alpha = (0.1 + 0.6 * Math.min(1, Math.abs(value) / maxAbs)).toFixed(2);
+        return value >= 0 ? `background-color: rgba(22, 163, 74, ${alpha})` : `background-color: rgba(220, 38, 38, ${alpha})`;
+    };
+    
+    const rows = Object.keys(years).sort().map(year => {
+        const months = years[year];
+        const yearReturn = Object.values(months).reduce((total, r) => total * (1 + r), 1) - 1;
+        return `
+            <tr class="border-b">
+                <td class="px-2 py-1 text-sm font-medium">${year}</td>
+                ${monthNames.map((_, index) => `
+                    <td class="px-2 py-1 text-xs text-right ${cellClass(months[index + 1])}" style="${cellStyle(months[index + 1])}">
+                        ${months[index + 1] === undefined ? '' : formatMetricPercent(months[index + 1], 1)}
+                    </td>
+                `).join('')}
+                <td class="px-2 py-1 text-xs text-right font-semibold ${cellClass(yearReturn)}">${formatMetricPercent(yearReturn, 1)}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    return `
+        <div class="bg-white rounded-lg p-4 mt-4">
+            <h5 class="font-semibold text-gray-800 mb-3">Monthly Returns</h5>
+            <div class="overflow-x-auto">
+                <table class="w-full">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-2 py-1 text-left text-xs font-medium text-gray-700">Year</th>
+                            ${monthNames.map(name => `<th class="px-2 py-1 text-right text-xs font-medium text-gray-700">${name}</th>`).join('')}
+                            <th class="px-2 py-1 text-right text-xs font-medium text-gray-700">Year</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Draw the rolling Sharpe ratio line
+ * @param {Array} rollingSharpe - [{ date, value }]
+ */
+function displayRollingSharpeChart(rollingSharpe) {
+    const canvas = document.getElementById('rollingSharpeChart');
+    if (!canvas || typeof Chart === 'undefined' || rollingSharpe.length === 0) return;
+    
+    const existingChart = Chart.getChart(canvas);
+    if (existingChart) {
+        existingChart.destroy();
+    }
+    
+    new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: rollingSharpe.map(p => p.date),
+            datasets: [{
+                label: 'Rolling Sharpe',
+                data: rollingSharpe.map(p => p.value),
+                borderColor: 'rgb(99, 102, 241)',
+                borderWidth: 1.5,
+                pointRadius: 0,
+                fill: false
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false }
+            },
+            scales: {
+                x: { ticks: { maxTicksLimit: 8 } }
+            }
+        }
+    });
+}
+
+/**
+ * Display per-asset contribution and rebalance summary for portfolio backtests
+ */
+function displayBacktestContributions(results) {
+    const contributionsDiv = document.getElementById('backtestContributions');
+    if (!contributionsDiv) return;
+    
+    if (!results.contributions) {
+        contributionsDiv.innerHTML = '';
+        return;
+    }
+    
+    const rows = results.contributions.map(c => `
+        <tr class="border-b hover:bg-gray-50">
+            <td class="px-4 py-2 text-sm font-medium">${escapeBacktestHtml(c.symbol)}</td>
+            <td class="px-4 py-2 text-sm text-right">${(c.targetWeight * 100).toFixed(1)}%</td>
+            <td class="px-4 py-2 text-sm text-right">${(c.finalWeight * 100).toFixed(1)}%</td>
+            <td class="px-4 py-2 text-sm text-right ${c.pnl >= 0 ? 'text-green-600' : 'text-red-600'}">$${c.pnl.toFixed(2)}</td>
+            <td class="px-4 py-2 text-sm text-right ${c.contribution >= 0 ? 'text-green-600' : 'text-red-600'}">${(c.contribution * 100).toFixed(2)}%</td>
+        </tr>
+    `).join('');
+    
+    const scheduled = results.rebalances.filter(r => r.reason !== 'initial');
+    const avgTurnover = scheduled.length > 0
+        ? scheduled.reduce((sum, r) => sum + r.turnover, 0) / scheduled.length
+        : 0;
+    
+    contributionsDiv.innerHTML = `
+        <div class="bg-white rounded-lg p-4">
+            <h5 class="font-semibold text-gray-800 mb-3">Per-Asset Contribution</h5>
+            <div class="overflow-x-auto">
+                <table class="w-full">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-4 py-2 text-left text-sm font-medium text-gray-700">Symbol</th>
+                            <th class="px-4 py-2 text-right text-sm font-medium text-gray-700">Target Weight</th>
+                            <th class="px-4 py-2 text-right text-sm font-medium text-gray-700">Final Weight</th>
+                            <th class="px-4 py-2 text-right text-sm font-medium text-gray-700">P&amp;L</th>
+                            <th class="px-4 py-2 text-right text-sm font-medium text-gray-700">Contribution</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+            <p class="text-sm text-gray-500 mt-2">
+                ${scheduled.length} rebalance${scheduled.length === 1 ? '' : 's'}, average turnover ${(avgTurnover * 100).toFixed(1)}%
+            </p>
+        </div>
+    `;
+}
+
+/**
+ * Display trade history
+ */
+function displayBacktestTrades(trades) {
+    const tradesDiv = document.getElementById('backtestTrades');
+    if (!tradesDiv) return;
+    
+    if (trades.length === 0) {
+        tradesDiv.innerHTML = '<p class="text-gray-500">No trades executed</p>';
+        return;
+    }
+    
+    const showSymbol = trades.some(trade => trade.symbol);
+    
+    const actionClasses = {
+        BUY: 'bg-green-100 text-green-800',
+        SELL: 'bg-red-100 text-red-800',
+        SHORT: 'bg-purple-100 text-purple-800',
+        COVER: 'bg-blue-100 text-blue-800'
+    };
+    const exitLabels = { stopLoss: 'Stop loss', takeProfit: 'Take profit', trailingStop: 'Trailing stop' };
+    
+    const tradesHTML = trades.slice(0, 20).map(trade => `
+        <tr class="border-b hover:bg-gray-50">
+            <td class="px-4 py-2 text-sm">${trade.date}</td>
+            ${showSymbol ? `<td class="px-4 py-2 text-sm font-medium">${escapeBacktestHtml(trade.symbol || '')}</td>` : ''}
+            <td class="px-4 py-2">
+                <span class="px-2 py-1 text-xs rounded ${actionClasses[trade.action] || 'bg-gray-100 text-gray-800'}">
+                    ${trade.action}
+                </span>
+                ${exitLabels[trade.reason] ? `<span class="text-xs text-gray-500 ml-1">${exitLabels[trade.reason]}</span>` : ''}
+            </td>
+            <td class="px-4 py-2 text-sm text-right">$${trade.price.toFixed(2)}</td>
+            <td class="px-4 py-2 text-sm text-right">${trade.shares}</td>
+            <td class="px-4 py-2 text-sm text-right">$${(trade.price * trade.shares).toFixed(2)}</td>
         </tr>
     `).join('');
     
@@ -388,6 +1528,7 @@ function displayBacktestTrades(trades) {
                 <thead class="bg-gray-50">
                     <tr>
                         <th class="px-4 py-2 text-left text-sm font-medium text-gray-700">Date</th>
+                        ${showSymbol ? '<th class="px-4 py-2 text-left text-sm font-medium text-gray-700">Symbol</th>' : ''}
                         <th class="px-4 py-2 text-left text-sm font-medium text-gray-700">Action</th>
                         <th class="px-4 py-2 text-right text-sm font-medium text-gray-700">Price</th>
                         <th class="px-4 py-2 text-right text-sm font-medium text-gray-700">Shares</th>
@@ -403,26 +1544,165 @@ function displayBacktestTrades(trades) {
     `;
 }
 
+// Charts that share the backtest time axis; zooming or panning one moves the others
+const backtestTimeCharts = ['backtestPriceChart', 'backtestChart', 'backtestUnderwaterChart'];
+
 /**
- * Display backtest chart
+ * Display the backtest panels: price with trades, equity, underwater and return distribution
  */
 function displayBacktestChart(results) {
-    const canvasElement = document.getElementById('backtestChart');
-    if (!canvasElement) return;
-    
-    // Check if Chart.js is loaded
     if (typeof Chart === 'undefined') {
-        console.error('Chart.js is not loaded. Backtest chart will not be displayed.');
+        console.error('Chart.js is not loaded. Backtest charts will not be displayed.');
         return;
     }
     
-    // Destroy existing chart using Chart.getChart()
-    const existingChart = Chart.getChart(canvasElement);
-    if (existingChart) {
-        existingChart.destroy();
-    }
+    displayPriceChart(results);
+    displayEquityChart(results);
+    displayUnderwaterChart(results);
+    displayReturnsHistogram(results);
+}
+
+/**
+ * Zoom and pan options for the time-axis panels (chartjs-plugin-zoom)
+ */
+function getBacktestZoomOptions() {
+    return {
+        zoom: {
+            wheel: { enabled: true },
+            pinch: { enabled: true },
+            drag: { enabled: true, modifierKey: 'shift' },
+            mode: 'x',
+            onZoomComplete: syncBacktestZoom
+        },
+        pan: {
+            enabled: true,
+            mode: 'x',
+            onPanComplete: syncBacktestZoom
+        }
+    };
+}
+
+/**
+ * Apply one panel's visible date range to the other time-axis panels
+ */
+function syncBacktestZoom({ chart }) {
+    const { min, max } = chart.scales.x;
+    backtestTimeCharts.forEach(id => {
+        const canvas = document.getElementById(id);
+        const other = canvas ? Chart.getChart(canvas) : null;
+        if (other && other !== chart && other.zoomScale) {
+            other.zoomScale('x', { min, max }, 'none');
+        }
+    });
+}
+
+/**
+ * Show the full period on every time-axis panel
+ */
+function resetBacktestZoom() {
+    backtestTimeCharts.forEach(id => {
+        const canvas = document.getElementById(id);
+        const chart = canvas && typeof Chart !== 'undefined' ? Chart.getChart(canvas) : null;
+        if (chart && chart.resetZoom) chart.resetZoom('none');
+    });
+}
+
+/**
+ * Shared options for the stacked time-axis panels
+ * @param {string} yTitle - Y axis title
+ * @param {boolean} showDates - Only the bottom panel labels the dates
+ */
+function getTimePanelOptions(yTitle, showDates = false) {
+    return {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: {
+            mode: 'index',
+            intersect: false
+        },
+        plugins: {
+            zoom: getBacktestZoomOptions()
+        },
+        scales: {
+            x: {
+                display: showDates,
+                ticks: { maxTicksLimit: 12 }
+            },
+            y: {
+                title: {
+                    display: true,
+                    text: yTitle
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Price panel with strategy indicators and trade markers (single-asset runs only)
+ */
+function displayPriceChart(results) {
+    const canvasElement = document.getElementById('backtestPriceChart');
+    if (!canvasElement) return;
+    Chart.getChart(canvasElement)?.destroy();
     
-    const ctx = canvasElement.getContext('2d');
+    const values = results.portfolioValues;
+    const panel = canvasElement.parentElement;
+    const hasPrice = values.length > 0 && values[0].price !== undefined;
+    panel.classList.toggle('hidden', !hasPrice);
+    if (!hasPrice) return;
+    
+    const datasets = [{
+        label: 'Price',
+        data: values.map(v => v.price),
+        borderColor: 'rgb(31, 41, 55)',
+        borderWidth: 1.5,
+        pointRadius: 0,
+        tension: 0.1,
+        fill: false
+    }];
+    
+    // Indicator lines recorded by the strategy, drawn in price units
+    const overlays = [
+        { key: 'ma', label: 'Moving Average', color: 'rgb(239, 68, 68)' },
+        { key: 'fastMA', label: 'Fast MA', color: 'rgb(59, 130, 246)' },
+        { key: 'slowMA', label: 'Slow MA', color: 'rgb(245, 158, 11)' },
+        { key: 'upperBand', label: 'Upper Band', color: 'rgb(156, 163, 175)' },
+        { key: 'middleBand', label: 'Middle Band', color: 'rgb(107, 114, 128)' },
+        { key: 'lowerBand', label: 'Lower Band', color: 'rgb(156, 163, 175)' },
+        { key: 'channelHigh', label: 'Channel High', color: 'rgb(16, 185, 129)' },
+        { key: 'channelLow', label: 'Channel Low', color: 'rgb(239, 68, 68)' }
+    ];
+    overlays.filter(overlay => values.some(v => v[overlay.key] !== undefined)).forEach(overlay => {
+        datasets.push({
+            label: overlay.label,
+            data: values.map(v => v[overlay.key] === undefined ? null : v[overlay.key]),
+            borderColor: overlay.color,
+            borderWidth: 1,
+            borderDash: [5, 5],
+            pointRadius: 0,
+            tension: 0.1,
+            fill: false
+        });
+    });
+    
+    const chart = new Chart(canvasElement.getContext('2d'), {
+        type: 'line',
+        data: { labels: values.map(v => v.date), datasets },
+        options: getTimePanelOptions('Price ($)')
+    });
+    
+    addTradeMarkers(chart, results.trades);
+}
+
+/**
+ * Equity panel with the benchmark overlay
+ */
+function displayEquityChart(results) {
+    const canvasElement = document.getElementById('backtestChart');
+    if (!canvasElement) return;
+    Chart.getChart(canvasElement)?.destroy();
     
     const chartData = {
         labels: results.portfolioValues.map(v => v.date),
@@ -431,27 +1711,341 @@ function displayBacktestChart(results) {
             data: results.portfolioValues.map(v => v.value),
             borderColor: 'rgb(59, 130, 246)',
             backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            pointRadius: 0,
             tension: 0.1,
             fill: true
         }]
     };
     
-    // Add strategy-specific indicators
-    if (results.portfolioValues[0].ma) {
+    // Overlay the benchmark on the dates it shares with the strategy
+    if (results.benchmark) {
+        const benchmarkValues = new Map(results.benchmark.values.map(v => [v.date, v.value]));
         chartData.datasets.push({
-            label: 'Moving Average',
-            data: results.portfolioValues.map(v => v.ma),
-            borderColor: 'rgb(239, 68, 68)',
-            borderDash: [5, 5],
+            label: results.benchmark.name,
+            data: results.portfolioValues.map(v => benchmarkValues.has(v.date) ? benchmarkValues.get(v.date) : null),
+            borderColor: 'rgb(107, 114, 128)',
+            borderWidth: 1.5,
+            pointRadius: 0,
             tension: 0.1,
+            spanGaps: true,
             fill: false
         });
     }
     
-    // Create new chart (no need to store in global variable)
-    new Chart(ctx, {
+    const options = getTimePanelOptions('Portfolio Value ($)');
+    options.plugins.title = {
+        display: true,
+        text: 'Backtest Performance'
+    };
+    options.plugins.tooltip = {
+        callbacks: {
+            label: function(context) {
+                return context.dataset.label + ': $' + context.parsed.y.toFixed(2);
+            }
+        }
+    };
+    
+    new Chart(canvasElement.getContext('2d'), {
         type: 'line',
         data: chartData,
+        options
+    });
+}
+
+/**
+ * Underwater panel: percent below the running equity peak
+ */
+function displayUnderwaterChart(results) {
+    const canvasElement = document.getElementById('backtestUnderwaterChart');
+    if (!canvasElement) return;
+    Chart.getChart(canvasElement)?.destroy();
+    
+    let peak = -Infinity;
+    const drawdowns = results.portfolioValues.map(v => {
+        peak = Math.max(peak, v.value);
+        return peak > 0 ? (v.value / peak - 1) * 100 : 0;
+    });
+    
+    const options = getTimePanelOptions('Drawdown (%)', true);
+    options.plugins.legend = { display: false };
+    options.scales.y.max = 0;
+    options.plugins.tooltip = {
+        callbacks: {
+            label: context => `Drawdown: ${context.parsed.y.toFixed(2)}%`
+        }
+    };
+    
+    new Chart(canvasElement.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: results.portfolioValues.map(v => v.date),
+            datasets: [{
+                label: 'Drawdown',
+                data: drawdowns,
+                borderColor: 'rgb(220, 38, 38)',
+                backgroundColor: 'rgba(220, 38, 38, 0.2)',
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: 'origin'
+            }]
+        },
+        options
+    });
+}
+
+/**
+ * Histogram of daily returns
+ * @param {Object} results - Backtest results
+ * @param {number} binCount - Number of bins
+ */
+function displayReturnsHistogram(results, binCount = 30) {
+    const canvasElement = document.getElementById('backtestReturnsHistogram');
+    if (!canvasElement) return;
+    Chart.getChart(canvasElement)?.destroy();
+    
+    const values = results.portfolioValues;
+    const returns = [];
+    for (let i = 1; i < values.length; i++) {
+        if (values[i - 1].value > 0) returns.push((values[i].value / values[i - 1].value - 1) * 100);
+    }
+    if (returns.length === 0) return;
+    
+    const min = Math.min(...returns);
+    const max = Math.max(...returns);
+    const width = max > min ? (max - min) / binCount : 1;
+    const counts = new Array(binCount).fill(0);
+    returns.forEach(r => {
+        counts[Math.min(binCount - 1, Math.floor((r - min) / width))]++;
+    });
+    const centers = counts.map((_, i) => min + width * (i + 0.5));
+    
+    new Chart(canvasElement.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: centers.map(c => c.toFixed(2) + '%'),
+            datasets: [{
+                label: 'Days',
+                data: counts,
+                backgroundColor: centers.map(c => c < 0 ? 'rgba(220, 38, 38, 0.6)' : 'rgba(22, 163, 74, 0.6)'),
+                barPercentage: 1,
+                categoryPercentage: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                title: {
+                    display: true,
+                    text: `Daily Returns (${returns.length} days)`
+                }
+            },
+            scales: {
+                x: {
+                    title: { display: true, text: 'Daily return' },
+                    ticks: { maxTicksLimit: 10 }
+                },
+                y: {
+                    title: { display: true, text: 'Days' }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Label, symbol and data fingerprint of a run on the currently loaded data
+ * @param {Object} results - Results from runBacktest or runPortfolioBacktest
+ * @returns {Object} { label, symbol, dataFingerprint }
+ */
+function describeBacktestRun(results) {
+    if (results.strategy === 'portfolio') {
+        const symbols = results.parameters.assets.map(a => a.symbol);
+        const series = {};
+        symbols.forEach(symbol => {
+            series[symbol] = backtestEngine.portfolioData[symbol];
+        });
+        return {
+            label: `Portfolio (${symbols.join(', ')})`,
+            symbol: '',
+            dataFingerprint: backtestEngine.getDataFingerprint(series)
+        };
+    }
+    
+    const definition = backtestEngine.getStrategy(results.strategy);
+    const symbol = backtestEngine.normalizeSymbol(backtestEngine.dataReport && backtestEngine.dataReport.symbol
+        ? backtestEngine.dataReport.symbol
+        : document.getElementById('backtestSymbol').value);
+    return {
+        label: `${definition ? definition.label : results.strategy} · ${symbol}`,
+        symbol,
+        dataFingerprint: backtestEngine.getDataFingerprint({ [symbol]: backtestEngine.historicalData })
+    };
+}
+
+/**
+ * Save a completed run to the history with the data it was run on
+ * @param {Object} results - Results from runBacktest or runPortfolioBacktest
+ */
+function saveBacktestRun(results) {
+    const { label, dataFingerprint } = describeBacktestRun(results);
+    backtestHistory.addRun(results, { label, dataFingerprint });
+    renderBacktestHistory();
+}
+
+/**
+ * Download the displayed run
+ * @param {string} format - 'trades' | 'equity' | 'json' | 'tearsheet'
+ */
+function exportBacktestResults(format) {
+    const results = backtestEngine && backtestEngine.results;
+    if (!results) {
+        showAlert('Run a backtest before exporting', 'warning');
+        return;
+    }
+    
+    const description = describeBacktestRun(results);
+    const report = new BacktestReport(results, {
+        title: description.label,
+        symbol: description.symbol,
+        dataFingerprint: description.dataFingerprint,
+        drawdowns: backtestEngine.listDrawdowns(results.portfolioValues, 10)
+    });
+    const baseName = `backtest_${[results.strategy, description.symbol].filter(Boolean).join('_')}_${new Date().toISOString().split('T')[0]}`;
+    
+    switch (format) {
+        case 'trades':
+            report.download(report.tradesCsv(), `${baseName}_trades.csv`, 'text/csv');
+            break;
+        case 'equity':
+            report.download(report.equityCsv(), `${baseName}_equity.csv`, 'text/csv');
+            break;
+        case 'json':
+            report.download(report.runJson(), `${baseName}.json`, 'application/json');
+            break;
+        case 'tearsheet': {
+            const chart = typeof Chart !== 'undefined' ? Chart.getChart(document.getElementById('backtestChart')) : null;
+            report.download(report.tearSheetHtml(chart ? chart.toBase64Image() : null), `${baseName}_tearsheet.html`, 'text/html');
+            break;
+        }
+    }
+}
+
+/**
+ * List saved runs with selection boxes for comparison
+ */
+function renderBacktestHistory() {
+    const listDiv = document.getElementById('backtestHistoryList');
+    if (!listDiv || !backtestHistory) return;
+    
+    const runs = backtestHistory.getRuns();
+    if (runs.length === 0) {
+        listDiv.innerHTML = '<p class="text-sm text-gray-500">Completed backtests are saved here automatically.</p>';
+        return;
+    }
+    
+    const rows = runs.map(run => {
+        const data = run.dataFingerprint;
+        const dataText = data ? `${data.symbols.join(', ')} · ${data.bars} bars · #${data.hash}` : '-';
+        return `
+            <tr class="border-b hover:bg-gray-50">
+                <td class="px-2 py-2"><input type="checkbox" data-compare-run="${escapeBacktestHtml(run.id)}"></td>
+                <td class="px-2 py-2">
+                    <input type="text" value="${escapeBacktestHtml(run.name)}" data-run-name="${escapeBacktestHtml(run.id)}"
+                           class="w-full px-2 py-1 text-sm border border-gray-200 rounded">
+                </td>
+                <td class="px-2 py-2 text-sm">${escapeBacktestHtml(run.strategyLabel)}</td>
+                <td class="px-2 py-2 text-xs text-gray-500 font-mono" title="${escapeBacktestHtml(data ? `${data.start} → ${data.end}` : '')}">${escapeBacktestHtml(dataText)}</td>
+                <td class="px-2 py-2 text-xs text-gray-500 font-mono">${run.dataSource === 'file' ? 'file' : escapeBacktestHtml(run.seed)}</td>
+                <td class="px-2 py-2 text-sm text-right ${run.metrics.totalReturn >= 0 ? 'text-green-600' : 'text-red-600'}">${formatMetricPercent(run.metrics.totalReturn)}</td>
+                <td class="px-2 py-2 text-sm text-right">${formatMetricRatio(run.metrics.sharpeRatio)}</td>
+                <td class="px-2 py-2 text-xs text-gray-500">${escapeBacktestHtml(new Date(run.createdAt).toLocaleString())}</td>
+                <td class="px-2 py-2 text-right">
+                    <button data-remove-run="${escapeBacktestHtml(run.id)}" class="text-gray-400 hover:text-red-600" title="Delete run">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    listDiv.innerHTML = `
+        <div class="overflow-x-auto">
+            <table class="w-full">
+                <thead class="bg-gray-100">
+                    <tr>
+                        <th class="px-2 py-2"></th>
+                        <th class="px-2 py-2 text-left text-sm font-medium text-gray-700">Name</th>
+                        <th class="px-2 py-2 text-left text-sm font-medium text-gray-700">Strategy</th>
+                        <th class="px-2 py-2 text-left text-sm font-medium text-gray-700">Data</th>
+                        <th class="px-2 py-2 text-left text-sm font-medium text-gray-700">Seed</th>
+                        <th class="px-2 py-2 text-right text-sm font-medium text-gray-700">Return</th>
+                        <th class="px-2 py-2 text-right text-sm font-medium text-gray-700">Sharpe</th>
+                        <th class="px-2 py-2 text-left text-sm font-medium text-gray-700">Saved</th>
+                        <th class="px-2 py-2"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Overlay the selected runs' equity curves and tabulate their metrics side by side
+ */
+function compareBacktestRuns() {
+    const ids = Array.from(document.querySelectorAll('#backtestHistoryList [data-compare-run]:checked'))
+        .map(input => input.dataset.compareRun);
+    const runs = ids.map(id => backtestHistory.getRun(id)).filter(Boolean);
+    
+    if (runs.length < 2) {
+        showAlert('Select at least two runs to compare', 'warning');
+        return;
+    }
+    
+    const comparison = document.getElementById('backtestComparison');
+    comparison.classList.remove('hidden');
+    displayComparisonChart(runs);
+    displayComparisonTable(runs);
+    comparison.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Equity curves of several runs as percent growth, on the union of their dates
+ */
+function displayComparisonChart(runs) {
+    const canvasElement = document.getElementById('backtestComparisonChart');
+    if (!canvasElement || typeof Chart === 'undefined') return;
+    
+    Chart.getChart(canvasElement)?.destroy();
+    
+    const colors = ['rgb(59, 130, 246)', 'rgb(239, 68, 68)', 'rgb(16, 185, 129)', 'rgb(245, 158, 11)',
+        'rgb(139, 92, 246)', 'rgb(236, 72, 153)', 'rgb(107, 114, 128)'];
+    const dates = [...new Set(runs.flatMap(run => run.equity.map(point => point.date)))].sort();
+    
+    // Runs can start from different capital, so curves are compared as growth since their first point
+    const datasets = runs.map((run, index) => {
+        const base = run.equity.length > 0 ? run.equity[0].value : run.initialCapital;
+        const values = new Map(run.equity.map(point => [point.date, (point.value / base - 1) * 100]));
+        return {
+            label: run.name,
+            data: dates.map(date => values.has(date) ? values.get(date) : null),
+            borderColor: colors[index % colors.length],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            tension: 0.1,
+            spanGaps: true,
+            fill: false
+        };
+    });
+    
+    new Chart(canvasElement.getContext('2d'), {
+        type: 'line',
+        data: { labels: dates, datasets },
         options: {
             responsive: true,
             maintainAspectRatio: false,
@@ -462,42 +2056,118 @@ function displayBacktestChart(results) {
             plugins: {
                 title: {
                     display: true,
-                    text: 'Backtest Performance'
+                    text: 'Equity Curves'
                 },
                 tooltip: {
                     callbacks: {
-                        label: function(context) {
-                            return context.dataset.label + ': $' + context.parsed.y.toFixed(2);
-                        }
+                        label: context => `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`
                     }
                 }
             },
             scales: {
                 x: {
-                    display: false // Hide dates for cleaner look
+                    ticks: { maxTicksLimit: 12 }
                 },
                 y: {
                     title: {
                         display: true,
-                        text: 'Portfolio Value ($)'
+                        text: 'Return (%)'
                     }
                 }
             }
         }
     });
+}
+
+/**
+ * Metrics of several runs in one table, one column per run
+ */
+function displayComparisonTable(runs) {
+    const tableDiv = document.getElementById('backtestComparisonTable');
+    if (!tableDiv) return;
+    
+    const rows = [
+        ['Strategy', run => escapeBacktestHtml(run.strategyLabel)],
+        ['Data', run => run.dataFingerprint
+            ? escapeBacktestHtml(`${run.dataFingerprint.start} → ${run.dataFingerprint.end} · #${run.dataFingerprint.hash}`)
+            : '-'],
+        ['Seed', run => run.dataSource === 'file' ? 'Imported data' : escapeBacktestHtml(run.seed)],
+        ['Total Return', run => formatMetricPercent(run.metrics.totalReturn)],
+        ['Annualized Return', run => formatMetricPercent(run.metrics.annualizedReturn)],
+        ['Final Value', run => formatMetricCurrency(run.metrics.finalValue)],
+        ['Volatility', run => formatMetricPercent(run.metrics.volatility)],
+        ['Sharpe Ratio', run => formatMetricRatio(run.metrics.sharpeRatio)],
+        ['Sortino Ratio', run => formatMetricRatio(run.metrics.sortinoRatio)],
+        ['Calmar Ratio', run => formatMetricRatio(run.metrics.calmarRatio)],
+        ['Max Drawdown', run => formatMetricPercent(run.metrics.maxDrawdown)],
+        ['Total Trades', run => escapeBacktestHtml(run.metrics.totalTrades)],
+        ['Win Rate', run => formatMetricPercent(run.metrics.winRate)],
+        ['Profit Factor', run => formatMetricRatio(run.metrics.profitFactor)],
+        ['Total Costs', run => formatMetricCurrency(run.metrics.totalCosts)],
+        ['Alpha', run => run.metrics.benchmark ? formatMetricPercent(run.metrics.benchmark.alpha) : '-'],
+        ['Beta', run => run.metrics.benchmark ? formatMetricRatio(run.metrics.benchmark.beta) : '-']
+    ];
     
-    // Add trade markers
-    addTradeMarkers(results.trades);
+    const hashes = new Set(runs.map(run => run.dataFingerprint ? run.dataFingerprint.hash : null));
+    const note = hashes.size > 1
+        ? '<p class="text-sm text-yellow-700 mt-2"><i class="fas fa-exclamation-triangle mr-1"></i>These runs used different price data, so their results are not directly comparable.</p>'
+        : '';
+    
+    tableDiv.innerHTML = `
+        <table class="w-full">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="px-4 py-2 text-left text-sm font-medium text-gray-700">Metric</th>
+                    ${runs.map(run => `<th class="px-4 py-2 text-right text-sm font-medium text-gray-700">${escapeBacktestHtml(run.name)}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(([label, format]) => `
+                    <tr class="border-b">
+                        <td class="px-4 py-2 text-sm text-gray-600">${label}</td>
+                        ${runs.map(run => `<td class="px-4 py-2 text-sm text-right">${format(run)}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${note}
+    `;
 }
 
 /**
- * Add trade markers to the chart
+ * Add buy/sell markers to the price chart
+ * Entries (BUY, COVER) are green up-triangles, exits and shorts (SELL, SHORT) red down-triangles.
+ * @param {Chart} chart - Price chart whose labels are the bar dates
+ * @param {Array} trades - Trade log
  */
-function addTradeMarkers(trades) {
-    if (!backtestChart || trades.length === 0) return;
+function addTradeMarkers(chart, trades) {
+    if (!chart || trades.length === 0) return;
     
-    // This would add visual markers for buy/sell points
-    // Implementation depends on Chart.js plugins
+    const labels = chart.data.labels;
+    const markerData = actions => {
+        const prices = new Map(trades.filter(t => actions.includes(t.action)).map(t => [t.date, t.price]));
+        return labels.map(date => prices.has(date) ? prices.get(date) : null);
+    };
+    
+    chart.data.datasets.push({
+        label: 'Buy / Cover',
+        data: markerData(['BUY', 'COVER']),
+        showLine: false,
+        pointStyle: 'triangle',
+        pointRadius: 6,
+        pointBackgroundColor: 'rgb(22, 163, 74)',
+        borderColor: 'rgb(22, 163, 74)'
+    }, {
+        label: 'Sell / Short',
+        data: markerData(['SELL', 'SHORT']),
+        showLine: false,
+        pointStyle: 'triangle',
+        rotation: 180,
+        pointRadius: 6,
+        pointBackgroundColor: 'rgb(220, 38, 38)',
+        borderColor: 'rgb(220, 38, 38)'
+    });
+    chart.update('none');
 }
 
 // Initialize on DOM ready
@@ -6,13 +6,455 @@
 class BacktestEngine {
     constructor() {
         this.historicalData = [];
-        this.strategies = {
-            'buyAndHold': this.buyAndHoldStrategy,
-            'momentum': this.momentumStrategy,
-            'meanReversion': this.meanReversionStrategy,
-            'macdCrossover': this.macdStrategy
-        };
+        this.strategies = {};
+        this.portfolioData = {};
+        this.importedData = {};
+        this.corporateActions = {}; // Normalized dividends and splits keyed by symbol
+        this.corporateActionAdjustment = 'total'; // 'total', 'splits' or 'none'
+        this.dataReport = null;
+        this.seed = new SeededRandom().seed;
         this.results = null;
+        this.positionParameters = this.normalizeParameters(this.definePositionParameters(), 'position settings');
+        this.onProgress = null; // Optional callback(fraction) for long runs, e.g. from a worker job
+        this.lastProgress = -1;
+        this.indicators = new TechnicalIndicators();
+        this.registerBuiltInStrategies();
+        this.builtInStrategies = new Set(Object.keys(this.strategies));
+    }
+
+    /**
+     * Whether a strategy ships with the engine (and so also exists in a fresh engine inside a worker)
+     */
+    isBuiltInStrategy(name) {
+        return this.builtInStrategies.has(name);
+    }
+
+    /**
+     * Whether a strategy can run on the event-driven engine (an events factory or a signal function)
+     */
+    hasEventVersion(name) {
+        const definition = this.strategies[name];
+        return Boolean(definition && (definition.events || definition.signal));
+    }
+
+    /**
+     * Forward run progress to onProgress, at most once per percent
+     * @param {number} done - Bars processed
+     * @param {number} total - Bars in the run
+     */
+    reportProgress(done, total) {
+        if (!this.onProgress || total <= 0) return;
+        const percent = Math.floor(done / total * 100);
+        if (percent !== this.lastProgress) {
+            this.lastProgress = percent;
+            this.onProgress(done / total);
+        }
+    }
+
+    /**
+     * Position and risk settings shared by every strategy
+     * Percentages are entered as whole numbers (2 = 2%); 0 disables a stop.
+     */
+    definePositionParameters() {
+        return {
+            positionSizing: {
+                label: 'Position Sizing',
+                type: 'select',
+                default: 'allIn',
+                options: [
+                    { value: 'allIn', label: 'All-in' },
+                    { value: 'fixedFraction', label: 'Fixed fraction of equity' },
+                    { value: 'volatilityTarget', label: 'Volatility target' },
+                    { value: 'kelly', label: 'Kelly fraction' }
+                ]
+            },
+            positionFraction: {
+                label: 'Position Fraction (%)',
+                type: 'number', default: 100, min: 1, max: 100, step: 1,
+                description: 'Equity per position for fixed fraction; Kelly uses it until 5 trades have closed'
+            },
+            targetVolatility: {
+                label: 'Target Volatility (%/yr)',
+                type: 'number', default: 15, min: 1, max: 100, step: 0.5,
+                description: 'Volatility target sizing scales exposure to this level (max 100% of equity)'
+            },
+            volatilityLookback: { label: 'Volatility Lookback', type: 'integer', default: 20, min: 5, max: 250 },
+            kellyFraction: {
+                label: 'Kelly Fraction (%)',
+                type: 'number', default: 50, min: 1, max: 100, step: 1,
+                description: 'Share of the full Kelly bet estimated from closed trades'
+            },
+            allowShort: {
+                label: 'Allow Short Selling',
+                type: 'boolean',
+                default: false,
+                description: 'Bearish signals open short positions instead of only exiting'
+            },
+            borrowRate: { label: 'Borrow Cost (%/yr)', type: 'number', default: 2, min: 0, max: 50, step: 0.1 },
+            stopLoss: { label: 'Stop Loss (%)', type: 'number', default: 0, min: 0, max: 50, step: 0.5 },
+            takeProfit: { label: 'Take Profit (%)', type: 'number', default: 0, min: 0, max: 200, step: 0.5 },
+            trailingStop: {
+                label: 'Trailing Stop (%)',
+                type: 'number', default: 0, min: 0, max: 50, step: 0.5,
+                description: 'Stops are checked against each bar\'s high and low'
+            },
+            execution: {
+                label: 'Order Execution',
+                type: 'select',
+                default: 'close',
+                options: [
+                    { value: 'close', label: 'Bar close (legacy)' },
+                    { value: 'nextOpen', label: 'Next bar open (event-driven)' }
+                ],
+                description: 'Event-driven runs queue orders on the signal bar and fill them from the next open'
+            },
+            participationRate: {
+                label: 'Volume Participation (%)',
+                type: 'number', default: 10, min: 0, max: 100, step: 1,
+                description: 'Event-driven fills per bar are capped at this share of volume; 0 removes the cap'
+            }
+        };
+    }
+
+    /**
+     * Position and risk parameter schema (see definePositionParameters)
+     */
+    getPositionParameters() {
+        return this.positionParameters;
+    }
+
+    /**
+     * Register the strategies that ship with the engine
+     */
+    registerBuiltInStrategies() {
+        this.registerStrategy({
+            name: 'buyAndHold',
+            label: 'Buy and Hold',
+            description: 'Buy on the first bar and hold until the end of the period',
+            run: this.buyAndHoldStrategy,
+            events: this.buyAndHoldEvents
+        });
+
+        this.registerStrategy({
+            name: 'momentum',
+            label: 'Momentum',
+            description: 'Buy when price rises above its moving average, sell when it falls below',
+            parameters: {
+                maPeriod: {
+                    label: 'MA Period',
+                    type: 'integer',
+                    default: 20,
+                    min: 5,
+                    max: 200,
+                    description: 'Moving average period for momentum signals'
+                }
+            },
+            run: this.momentumStrategy,
+            events: this.momentumEvents
+        });
+
+        this.registerStrategy({
+            name: 'meanReversion',
+            label: 'Mean Reversion',
+            description: 'Buy when price is oversold relative to its recent mean',
+            parameters: {
+                lookback: {
+                    label: 'Lookback Period',
+                    type: 'integer',
+                    default: 20,
+                    min: 10,
+                    max: 100
+                },
+                zScoreThreshold: {
+                    label: 'Z-Score Threshold',
+                    type: 'number',
+                    default: 2,
+                    min: 1,
+                    max: 3,
+                    step: 0.1,
+                    description: 'Standard deviations for entry/exit signals'
+                }
+            },
+            run: this.meanReversionStrategy,
+            events: this.meanReversionEvents
+        });
+
+        this.registerStrategy({
+            name: 'macdCrossover',
+            label: 'MACD Crossover',
+            description: 'Trade MACD line crossovers of its signal line',
+            parameters: {
+                fastPeriod: { label: 'Fast Period', type: 'integer', default: 12, min: 5, max: 50 },
+                slowPeriod: { label: 'Slow Period', type: 'integer', default: 26, min: 10, max: 100 },
+                signalPeriod: { label: 'Signal Period', type: 'integer', default: 9, min: 5, max: 20 }
+            },
+            run: this.macdStrategy,
+            events: this.macdEvents
+        });
+
+        this.registerStrategy({
+            name: 'rsiReversal',
+            label: 'RSI Reversal',
+            description: 'Buy when RSI is oversold, short when overbought, exit as RSI returns to its midline',
+            parameters: {
+                rsiPeriod: { label: 'RSI Period', type: 'integer', default: 14, min: 2, max: 50 },
+                oversold: { label: 'Oversold Level', type: 'number', default: 30, min: 5, max: 45, step: 1 },
+                overbought: { label: 'Overbought Level', type: 'number', default: 70, min: 55, max: 95, step: 1 },
+                exitLevel: {
+                    label: 'Exit Level',
+                    type: 'number',
+                    default: 50,
+                    min: 30,
+                    max: 70,
+                    step: 1,
+                    description: 'RSI level at which open positions are closed'
+                }
+            },
+            run: this.rsiReversalStrategy,
+            events: this.rsiReversalEvents
+        });
+
+        this.registerStrategy({
+            name: 'bollingerSqueeze',
+            label: 'Bollinger Squeeze',
+            description: 'Trade breakouts from the bands after their width contracts to a multi-month low',
+            parameters: {
+                period: { label: 'Band Period', type: 'integer', default: 20, min: 5, max: 100 },
+                stdDevs: { label: 'Band Width (σ)', type: 'number', default: 2, min: 1, max: 4, step: 0.1 },
+                squeezeLookback: {
+                    label: 'Squeeze Lookback',
+                    type: 'integer',
+                    default: 120,
+                    min: 20,
+                    max: 250,
+                    description: 'Bars of band width history used to detect a squeeze'
+                },
+                squeezePercentile: {
+                    label: 'Squeeze Percentile',
+                    type: 'number',
+                    default: 20,
+                    min: 1,
+                    max: 50,
+                    step: 1,
+                    description: 'Band width at or below this percentile of the lookback counts as a squeeze'
+                }
+            },
+            run: this.bollingerSqueezeStrategy,
+            events: this.bollingerSqueezeEvents
+        });
+
+        this.registerStrategy({
+            name: 'donchianBreakout',
+            label: 'Donchian Breakout',
+            description: 'Turtle-style breakout: enter on a new N-bar high or low, exit on a shorter channel or an ATR stop',
+            parameters: {
+                entryPeriod: { label: 'Entry Channel', type: 'integer', default: 20, min: 5, max: 100 },
+                exitPeriod: { label: 'Exit Channel', type: 'integer', default: 10, min: 2, max: 50 },
+                atrPeriod: { label: 'ATR Period', type: 'integer', default: 20, min: 5, max: 50 },
+                atrStop: {
+                    label: 'ATR Stop (x)',
+                    type: 'number',
+                    default: 2,
+                    min: 0,
+                    max: 5,
+                    step: 0.5,
+                    description: 'Exit when the close moves this many ATRs against the entry; 0 disables'
+                }
+            },
+            run: this.donchianBreakoutStrategy,
+            events: this.donchianBreakoutEvents
+        });
+
+        this.registerStrategy({
+            name: 'dualMovingAverage',
+            label: 'Dual MA Crossover',
+            description: 'Long when the fast moving average crosses above the slow one, exit (or short) on the cross below',
+            parameters: {
+                fastPeriod: { label: 'Fast Period', type: 'integer', default: 20, min: 2, max: 100 },
+                slowPeriod: { label: 'Slow Period', type: 'integer', default: 50, min: 5, max: 250 },
+                maType: {
+                    label: 'Average Type',
+                    type: 'select',
+                    default: 'sma',
+                    options: [
+                        { value: 'sma', label: 'Simple' },
+                        { value: 'ema', label: 'Exponential' }
+                    ]
+                }
+            },
+            run: this.dualMovingAverageStrategy,
+            events: this.dualMovingAverageEvents
+        });
+    }
+
+    /**
+     * Register a strategy so it can be selected and run like the built-in ones
+     *
+     * A definition supplies either `run(data, params)`, which performs the whole
+     * simulation and returns { trades, portfolioValues, finalValue }, or
+     * `signal(data, index, params)`, which returns the desired position for bar
+     * `index` (1 = long, -1 = short, 0 = flat, null/undefined = keep current position).
+     * Short signals only open positions when the allowShort setting is on; otherwise they exit.
+     *
+     * @param {Object} definition - Strategy definition
+     * @param {string} definition.name - Unique strategy key
+     * @param {string} [definition.label] - Display name
+     * @param {string} [definition.description] - Short description for the UI
+     * @param {Object} [definition.parameters] - Parameter schema keyed by parameter name,
+     *        each entry { label, type: 'integer'|'number'|'boolean'|'select', default, min, max, step, options, description }
+     * @param {Function} [definition.run] - Full simulation function
+     * @param {Function} [definition.signal] - Per-bar signal function over OHLCV bars
+     * @param {number|Function} [definition.warmup] - First bar index to evaluate, or a function of params
+     * @param {Function} [definition.events] - Event-driven version: (data, params) => { start, onBar(context) }
+     * @returns {Object} The registered definition
+     */
+    registerStrategy(definition) {
+        if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+            throw new Error('Strategy definition requires a name');
+        }
+        if (typeof definition.run !== 'function' && typeof definition.signal !== 'function') {
+            throw new Error(`Strategy ${definition.name} must provide a run or signal function`);
+        }
+
+        const parameters = this.normalizeParameters(definition.parameters || {}, `strategy ${definition.name}`);
+
+        const normalized = {
+            name: definition.name,
+            label: definition.label || definition.name,
+            description: definition.description || '',
+            parameters: parameters,
+            run: definition.run,
+            signal: definition.signal,
+            events: definition.events,
+            warmup: definition.warmup || 0
+        };
+
+        this.strategies[normalized.name] = normalized;
+        return normalized;
+    }
+
+    /**
+     * Validate a parameter schema and fill in display defaults
+     * @param {Object} schema - Parameters keyed by name
+     * @param {string} owner - Name used in error messages
+     * @returns {Object} Normalized schema
+     */
+    normalizeParameters(schema, owner) {
+        const parameters = {};
+        for (const [key, spec] of Object.entries(schema)) {
+            const type = ['integer', 'boolean', 'select'].includes(spec.type) ? spec.type : 'number';
+            if (type === 'boolean' && typeof spec.default !== 'boolean') {
+                throw new Error(`Parameter ${key} of ${owner} needs a true/false default`);
+            }
+            if (type === 'select' && !(spec.options || []).some(option => option.value === spec.default)) {
+                throw new Error(`Parameter ${key} of ${owner} needs options that include its default`);
+            }
+            if ((type === 'integer' || type === 'number') && (typeof spec.default !== 'number' || isNaN(spec.default))) {
+                throw new Error(`Parameter ${key} of ${owner} needs a numeric default`);
+            }
+            parameters[key] = {
+                label: spec.label || key,
+                type: type,
+                default: spec.default,
+                min: spec.min,
+                max: spec.max,
+                step: spec.step || (type === 'integer' ? 1 : 'any'),
+                options: type === 'select' ? spec.options : undefined,
+                description: spec.description || ''
+            };
+        }
+        return parameters;
+    }
+
+    /**
+     * Get a registered strategy definition
+     * @param {string} name - Strategy key
+     * @returns {Object|null} Strategy definition
+     */
+    getStrategy(name) {
+        return this.strategies[name] || null;
+    }
+
+    /**
+     * List all registered strategy definitions
+     * @returns {Array} Strategy definitions in registration order
+     */
+    getStrategies() {
+        return Object.values(this.strategies);
+    }
+
+    /**
+     * Merge user parameters with schema defaults and validate ranges
+     * @param {Object} definition - Strategy definition
+     * @param {Object} params - User supplied parameters
+     * @returns {Object} Resolved parameters
+     */
+    resolveStrategyParams(definition, params = {}) {
+        const resolved = { ...params };
+        const schema = { ...this.positionParameters, ...definition.parameters };
+
+        for (const [key, spec] of Object.entries(schema)) {
+            resolved[key] = this.resolveParameterValue(spec, params[key]);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Coerce one parameter value to its schema type, falling back to the default
+     */
+    resolveParameterValue(spec, value) {
+        if (spec.type === 'boolean') {
+            if (value === undefined || value === null || value === '') return spec.default;
+            return value === true || value === 'true' || value === 1 || value === '1';
+        }
+        if (spec.type === 'select') {
+            if (value === undefined || value === null || value === '') return spec.default;
+            if (!spec.options.some(option => option.value === value)) {
+                throw new Error(`${spec.label} must be one of ${spec.options.map(o => o.label).join(', ')}`);
+            }
+            return value;
+        }
+
+        if (value === undefined || value === null || value === '' || isNaN(value)) {
+            value = spec.default;
+        }
+        value = Number(value);
+        if (spec.type === 'integer') {
+            value = Math.round(value);
+        }
+        if (spec.min !== undefined && value < spec.min) {
+            throw new Error(`${spec.label} must be at least ${spec.min}`);
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            throw new Error(`${spec.label} must be at most ${spec.max}`);
+        }
+        return value;
+    }
+
+    /**
+     * Run a signal-based strategy through the position manager
+     * @param {Object} definition - Strategy definition with a signal function
+     * @param {Array} data - Historical price data
+     * @param {Object} params - Strategy parameters
+     */
+    runSignalStrategy(definition, data, params = {}) {
+        const warmup = typeof definition.warmup === 'function'
+            ? definition.warmup(params)
+            : definition.warmup;
+        const positions = new PositionManager(this, data, params);
+
+        for (let i = Math.max(0, warmup); i < data.length; i++) {
+            positions.beginBar(i);
+            positions.target(i, definition.signal.call(this, data, i, params));
+            positions.record(i);
+        }
+
+        if (positions.portfolioValues.length === 0) {
+            throw new Error(`Not enough data for strategy ${definition.name}`);
+        }
+
+        return positions.finish();
     }
 
     /**
@@ -20,12 +462,14 @@ class BacktestEngine {
      * @param {number} days - Number of historical days
      * @param {number} startPrice - Initial price
      * @param {number} volatility - Daily volatility (0-1)
+     * @param {Object} options - { rng: SeededRandom (defaults to the engine seed), endDate: last date (defaults to today) }
      * @returns {Array} Historical price data
      */
-    generateHistoricalData(days = 252, startPrice = 100, volatility = 0.02) {
+    generateHistoricalData(days = 252, startPrice = 100, volatility = 0.02, options = {}) {
+        const rng = options.rng || new SeededRandom(this.seed);
         const data = [];
         let currentPrice = startPrice;
-        const startDate = new Date();
+        const startDate = options.endDate ? new Date(options.endDate) : new Date();
         startDate.setDate(startDate.getDate() - days);
 
         for (let i = 0; i < days; i++) {
@@ -33,18 +477,20 @@ class BacktestEngine {
             date.setDate(date.getDate() + i);
             
             // Generate realistic price movement
-            const dailyReturn = (Math.random() - 0.5) * 2 * volatility;
+            const dailyReturn = (rng.next() - 0.5) * 2 * volatility;
             const trendComponent = 0.0002; // Small upward bias
             currentPrice = currentPrice * (1 + dailyReturn + trendComponent);
             
             // Add volume (simulated)
-            const volume = Math.floor(1000000 + Math.random() * 500000);
+            const volume = Math.floor(1000000 + rng.next() * 500000);
             
+            // Keep the open inside the bar's range so stops see a consistent high/low
+            const open = currentPrice * (1 + (rng.next() - 0.5) * 0.01);
             data.push({
                 date: date.toISOString().split('T')[0],
-                open: currentPrice * (1 + (Math.random() - 0.5) * 0.01),
-                high: currentPrice * (1 + Math.random() * 0.02),
-                low: currentPrice * (1 - Math.random() * 0.02),
+                open: open,
+                high: Math.max(open, currentPrice * (1 + rng.next() * 0.02)),
+                low: Math.min(open, currentPrice * (1 - rng.next() * 0.02)),
                 close: currentPrice,
                 volume: volume,
                 returns: dailyReturn + trendComponent
@@ -54,18 +500,271 @@ class BacktestEngine {
         return data;
     }
 
+    /**
+     * Set the seed used for simulated data so runs can be reproduced
+     * @param {number|string} seed - Seed value; a new random seed is drawn when empty
+     * @returns {number} The normalized seed
+     */
+    setSeed(seed) {
+        this.seed = new SeededRandom(seed).seed;
+        return this.seed;
+    }
+
     /**
      * Load real historical data from API or storage
+     * Imported files for the symbol take precedence over the simulated fallback.
      * @param {string} symbol - Stock symbol
      * @param {string} startDate - Start date
      * @param {string} endDate - End date
      */
     async loadHistoricalData(symbol, startDate, endDate) {
+        this.historicalData = await this.fetchHistoricalData(symbol, startDate, endDate);
+
+        const imported = this.importedData[this.normalizeSymbol(symbol)];
+        this.dataReport = imported
+            ? {
+                ...imported.report,
+                rangeStart: startDate,
+                rangeEnd: endDate,
+                rowsInRange: this.historicalData.length,
+                corporateActionAdjustment: this.corporateActionAdjustment,
+                appliedCorporateActions: this.getAppliedCorporateActions(symbol, this.historicalData)
+            }
+            : {
+                source: 'simulated',
+                symbol: symbol,
+                seed: this.seed,
+                validRows: this.historicalData.length,
+                warnings: ['No file imported for this symbol; prices are simulated']
+            };
+
+        return this.historicalData;
+    }
+
+    /**
+     * Fetch historical data for a symbol without making it the active series
+     * @param {string} symbol - Stock symbol
+     * @param {string} startDate - Start date
+     * @param {string} endDate - End date
+     * @returns {Array} Historical price data
+     */
+    async fetchHistoricalData(symbol, startDate, endDate) {
+        const imported = this.importedData[this.normalizeSymbol(symbol)];
+        if (imported) {
+            const data = imported.data.filter(bar =>
+                (!startDate || bar.date >= startDate) && (!endDate || bar.date <= endDate));
+            if (data.length === 0) {
+                throw new Error(`Imported data for ${symbol} has no bars between ${startDate} and ${endDate}`);
+            }
+            return this.adjustForCorporateActions(symbol, data);
+        }
+
         // In a real implementation, this would fetch from a data provider
-        // For now, generate simulated data
+        // For now, generate simulated data; each symbol gets its own stream from the engine seed
         const days = Math.floor((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
-        this.historicalData = this.generateHistoricalData(days);
-        return this.historicalData;
+        return this.generateHistoricalData(days, 100, 0.02, {
+            rng: new SeededRandom(this.seed).fork(this.normalizeSymbol(symbol)),
+            endDate: endDate
+        });
+    }
+
+    /**
+     * Import daily OHLCV bars from a CSV or JSON file's contents
+     * The imported series replaces simulated data for its symbol in later loads. Dividend and
+     * split columns in the file are added to the symbol's corporate actions.
+     * @param {string} content - File contents
+     * @param {Object} options - { fileName, format, adjust } (see HistoricalDataLoader.load) plus
+     *        `symbol` to force a symbol and `defaultSymbol` for files that do not name one
+     * @returns {Object} { symbol, data, report }
+     */
+    importHistoricalData(content, options = {}) {
+        const loader = new HistoricalDataLoader();
+        const { data, report } = loader.load(content, options);
+        const symbol = this.normalizeSymbol(options.symbol || report.symbol || options.defaultSymbol || 'IMPORTED');
+
+        report.symbol = symbol;
+        this.importedData[symbol] = { data, report };
+        this.setCorporateActions(symbol, report.corporateActions);
+        this.historicalData = this.adjustForCorporateActions(symbol, data);
+        this.dataReport = {
+            ...report,
+            corporateActionAdjustment: this.corporateActionAdjustment,
+            appliedCorporateActions: this.getAppliedCorporateActions(symbol, data)
+        };
+
+        return { symbol, data: this.historicalData, report: this.dataReport };
+    }
+
+    /**
+     * Record dividends and splits for a symbol
+     * They adjust the symbol's imported series from the next load; simulated series have no
+     * corporate actions in them and are never adjusted.
+     * @param {string} symbol - Stock symbol
+     * @param {Array} actions - Actions as accepted by CorporateActions.normalize
+     * @param {boolean} replace - Replace the symbol's actions instead of adding to them
+     * @returns {Array} The symbol's actions in ex-date order
+     */
+    setCorporateActions(symbol, actions = [], replace = false) {
+        const model = new CorporateActions();
+        const key = this.normalizeSymbol(symbol);
+        const normalized = actions.map(action => model.normalize({ ...action, symbol: key, id: undefined }));
+        this.corporateActions[key] = model.merge(replace ? [] : this.getCorporateActions(key), normalized);
+        return this.corporateActions[key];
+    }
+
+    /**
+     * Recorded corporate actions for a symbol
+     */
+    getCorporateActions(symbol) {
+        return this.corporateActions[this.normalizeSymbol(symbol)] || [];
+    }
+
+    /**
+     * Choose how imported series are adjusted
+     * @param {string} mode - 'total' (splits and dividends), 'splits' or 'none'
+     */
+    setCorporateActionAdjustment(mode) {
+        if (!['total', 'splits', 'none'].includes(mode)) {
+            throw new Error(`Unknown corporate action adjustment: ${mode}`);
+        }
+        this.corporateActionAdjustment = mode;
+        return mode;
+    }
+
+    /**
+     * Actions that adjustForCorporateActions applies to a series
+     * Files whose prices were already adjusted from an adj close column are left alone.
+     * @param {string} symbol - Stock symbol
+     * @param {Array} data - Unadjusted bars
+     */
+    getAppliedCorporateActions(symbol, data) {
+        const imported = this.importedData[this.normalizeSymbol(symbol)];
+        if (!imported || imported.report.adjusted || this.corporateActionAdjustment === 'none' || data.length < 2) {
+            return [];
+        }
+        const first = data[0].date;
+        const last = data[data.length - 1].date;
+        return this.getCorporateActions(symbol).filter(action => action.date > first && action.date <= last &&
+            (action.type !== 'dividend' || this.corporateActionAdjustment === 'total'));
+    }
+
+    /**
+     * Back-adjust an imported series for its symbol's splits (and dividends in 'total' mode)
+     * @param {string} symbol - Stock symbol
+     * @param {Array} data - Unadjusted bars
+     * @returns {Array} Adjusted copy, or the same bars when nothing applies
+     */
+    adjustForCorporateActions(symbol, data) {
+        const actions = this.getAppliedCorporateActions(symbol, data);
+        if (actions.length === 0) return data;
+        return new CorporateActions().adjustSeries(data, actions, this.corporateActionAdjustment).data;
+    }
+
+    normalizeSymbol(symbol) {
+        return String(symbol || '').trim().toUpperCase();
+    }
+
+    /**
+     * Load historical data for every symbol in a basket
+     * @param {Array<string>} symbols - Stock symbols
+     * @param {string} startDate - Start date
+     * @param {string} endDate - End date
+     * @returns {Object} Historical price data keyed by symbol
+     */
+    async loadPortfolioData(symbols, startDate, endDate) {
+        const dataBySymbol = {};
+        for (const symbol of symbols) {
+            dataBySymbol[symbol] = await this.fetchHistoricalData(symbol, startDate, endDate);
+        }
+        this.portfolioData = dataBySymbol;
+        return dataBySymbol;
+    }
+
+    /**
+     * Resolve the transaction cost model for a run
+     * @param {Object} costs - Cost settings
+     * @param {number} costs.commission - Fixed commission per trade
+     * @param {number} costs.feeBps - Proportional fee in basis points of traded value
+     * @param {number} costs.slippageBps - Half-spread/slippage in basis points, paid on every fill
+     * @param {number} costs.lotSize - Minimum tradable lot; order sizes are rounded down to it
+     * @returns {Object} Cost model with defaults applied
+     */
+    resolveCostModel(costs = {}) {
+        const model = {
+            commission: Math.max(0, Number(costs.commission) || 0),
+            feeBps: Math.max(0, Number(costs.feeBps) || 0),
+            slippageBps: Math.max(0, Number(costs.slippageBps) || 0),
+            lotSize: Math.max(1, Math.floor(Number(costs.lotSize) || 1))
+        };
+        return model;
+    }
+
+    /**
+     * Price a buy order that spends at most `cash`
+     * @param {number} cash - Cash available for the purchase, including costs
+     * @param {number} price - Market price
+     * @param {Object} costs - Resolved cost model
+     * @param {number} maxShares - Optional cap on the number of shares
+     * @returns {Object|null} Fill details, or null if not even one lot is affordable
+     */
+    buyOrder(cash, price, costs, maxShares = Infinity) {
+        const fillPrice = price * (1 + costs.slippageBps / 10000);
+        const perShare = fillPrice * (1 + costs.feeBps / 10000);
+        let shares = Math.min(maxShares, Math.floor((cash - costs.commission) / perShare));
+        shares = Math.floor(shares / costs.lotSize) * costs.lotSize;
+        if (shares <= 0) return null;
+
+        const notional = shares * fillPrice;
+        const fees = costs.commission + notional * costs.feeBps / 10000;
+        return {
+            shares: shares,
+            price: fillPrice,
+            marketPrice: price,
+            notional: notional,
+            fees: fees,
+            slippage: shares * (fillPrice - price),
+            cashChange: -(notional + fees)
+        };
+    }
+
+    /**
+     * Price a sell order for a number of shares
+     * @param {number} shares - Shares to sell
+     * @param {number} price - Market price
+     * @param {Object} costs - Resolved cost model
+     * @returns {Object} Fill details
+     */
+    sellOrder(shares, price, costs) {
+        const fillPrice = price * (1 - costs.slippageBps / 10000);
+        const notional = shares * fillPrice;
+        const fees = costs.commission + notional * costs.feeBps / 10000;
+        return {
+            shares: shares,
+            price: fillPrice,
+            marketPrice: price,
+            notional: notional,
+            fees: fees,
+            slippage: shares * (price - fillPrice),
+            cashChange: notional - fees
+        };
+    }
+
+    /**
+     * Build a trade log entry from an order fill
+     */
+    tradeRecord(date, action, order, cash, extra = {}) {
+        return {
+            date: date,
+            action: action,
+            price: order.price,
+            marketPrice: order.marketPrice,
+            shares: order.shares,
+            value: order.notional,
+            fees: order.fees,
+            slippage: order.slippage,
+            cash: cash,
+            ...extra
+        };
     }
 
     /**
@@ -74,35 +773,16 @@ class BacktestEngine {
      * @param {Object} params - Strategy parameters
      */
     buyAndHoldStrategy(data, params = {}) {
-        const initialCapital = params.initialCapital || 10000;
-        const trades = [];
-        
-        // Buy on first day
-        const buyPrice = data[0].close;
-        const shares = Math.floor(initialCapital / buyPrice);
-        const buyValue = shares * buyPrice;
+        const positions = new PositionManager(this, data, params);
         
-        trades.push({
-            date: data[0].date,
-            action: 'BUY',
-            price: buyPrice,
-            shares: shares,
-            value: buyValue,
-            cash: initialCapital - buyValue
-        });
-        
-        // Track portfolio value
-        const portfolioValues = data.map(day => ({
-            date: day.date,
-            value: shares * day.close + (initialCapital - buyValue),
-            price: day.close
-        }));
+        // Buy on first day; stops may close the position early
+        for (let i = 0; i < data.length; i++) {
+            positions.beginBar(i);
+            if (i === 0) positions.target(i, 1);
+            positions.record(i);
+        }
         
-        return {
-            trades: trades,
-            portfolioValues: portfolioValues,
-            finalValue: portfolioValues[portfolioValues.length - 1].value
-        };
+        return positions.finish();
     }
 
     /**
@@ -111,12 +791,8 @@ class BacktestEngine {
      * @param {Object} params - Strategy parameters
      */
     momentumStrategy(data, params = {}) {
-        const initialCapital = params.initialCapital || 10000;
         const maPeriod = params.maPeriod || 20;
-        const trades = [];
-        let position = 0;
-        let cash = initialCapital;
-        const portfolioValues = [];
+        const positions = new PositionManager(this, data, params);
         
         for (let i = maPeriod; i < data.length; i++) {
             // Calculate moving average
@@ -124,56 +800,19 @@ class BacktestEngine {
                 .reduce((sum, d) => sum + d.close, 0) / maPeriod;
             
             const currentPrice = data[i].close;
+            positions.beginBar(i);
             
-            // Buy signal: price crosses above MA
-            if (position === 0 && currentPrice > ma * 1.02) {
-                const shares = Math.floor(cash / currentPrice);
-                if (shares > 0) {
-                    position = shares;
-                    cash -= shares * currentPrice;
-                    trades.push({
-                        date: data[i].date,
-                        action: 'BUY',
-                        price: currentPrice,
-                        shares: shares,
-                        value: shares * currentPrice,
-                        cash: cash
-                    });
-                }
-            }
-            // Sell signal: price falls below MA
-            else if (position > 0 && currentPrice < ma * 0.98) {
-                cash += position * currentPrice;
-                trades.push({
-                    date: data[i].date,
-                    action: 'SELL',
-                    price: currentPrice,
-                    shares: position,
-                    value: position * currentPrice,
-                    cash: cash
-                });
-                position = 0;
+            // Long when price crosses above MA, exit (or short) when it falls below
+            if (currentPrice > ma * 1.02) {
+                positions.target(i, 1);
+            } else if (currentPrice < ma * 0.98) {
+                positions.target(i, -1);
             }
             
-            portfolioValues.push({
-                date: data[i].date,
-                value: position * currentPrice + cash,
-                price: currentPrice,
-                ma: ma
-            });
-        }
-        
-        // Close any open position
-        if (position > 0) {
-            const lastPrice = data[data.length - 1].close;
-            cash += position * lastPrice;
+            positions.record(i, { ma: ma });
         }
         
-        return {
-            trades: trades,
-            portfolioValues: portfolioValues,
-            finalValue: cash
-        };
+        return positions.finish();
     }
 
     /**
@@ -182,60 +821,30 @@ class BacktestEngine {
      * @param {Object} params - Strategy parameters
      */
     meanReversionStrategy(data, params = {}) {
-        const initialCapital = params.initialCapital || 10000;
         const lookback = params.lookback || 20;
         const zScoreThreshold = params.zScoreThreshold || 2;
-        const trades = [];
-        let position = 0;
-        let cash = initialCapital;
-        const portfolioValues = [];
+        const positions = new PositionManager(this, data, params);
         
         for (let i = lookback; i < data.length; i++) {
             const prices = data.slice(i - lookback, i).map(d => d.close);
             const mean = prices.reduce((a, b) => a + b, 0) / prices.length;
             const std = Math.sqrt(prices.reduce((sq, n) => sq + Math.pow(n - mean, 2), 0) / prices.length);
             const zScore = (data[i].close - mean) / std;
+            positions.beginBar(i);
             
-            // Buy when oversold (z-score < -threshold)
-            if (position === 0 && zScore < -zScoreThreshold) {
-                const shares = Math.floor(cash / data[i].close);
-                if (shares > 0) {
-                    position = shares;
-                    cash -= shares * data[i].close;
-                    trades.push({
-                        date: data[i].date,
-                        action: 'BUY',
-                        price: data[i].close,
-                        shares: shares,
-                        zScore: zScore
-                    });
-                }
-            }
-            // Sell when overbought or back to mean
-            else if (position > 0 && (zScore > 0 || zScore > zScoreThreshold)) {
-                cash += position * data[i].close;
-                trades.push({
-                    date: data[i].date,
-                    action: 'SELL',
-                    price: data[i].close,
-                    shares: position,
-                    zScore: zScore
-                });
-                position = 0;
+            // Buy when oversold, short when overbought; exit once price is back through the mean
+            if (zScore < -zScoreThreshold) {
+                positions.target(i, 1, { zScore: zScore });
+            } else if (zScore > zScoreThreshold) {
+                positions.target(i, -1, { zScore: zScore });
+            } else if ((positions.position > 0 && zScore > 0) || (positions.position < 0 && zScore < 0)) {
+                positions.target(i, 0, { zScore: zScore });
             }
             
-            portfolioValues.push({
-                date: data[i].date,
-                value: position * data[i].close + cash,
-                zScore: zScore
-            });
+            positions.record(i, { zScore: zScore });
         }
         
-        return {
-            trades: trades,
-            portfolioValues: portfolioValues,
-            finalValue: position * data[data.length - 1].close + cash
-        };
+        return positions.finish();
     }
 
     /**
@@ -244,74 +853,425 @@ class BacktestEngine {
      * @param {Object} params - Strategy parameters
      */
     macdStrategy(data, params = {}) {
-        const initialCapital = params.initialCapital || 10000;
         const fastPeriod = params.fastPeriod || 12;
         const slowPeriod = params.slowPeriod || 26;
         const signalPeriod = params.signalPeriod || 9;
         
         // Calculate MACD
         const macdData = this.calculateMACD(data, fastPeriod, slowPeriod, signalPeriod);
-        
-        const trades = [];
-        let position = 0;
-        let cash = initialCapital;
-        const portfolioValues = [];
+        const positions = new PositionManager(this, data, params);
         
         for (let i = 0; i < macdData.length; i++) {
             const macd = macdData[i];
             if (!macd.signal) continue;
+            positions.beginBar(i);
             
-            // Buy signal: MACD crosses above signal
-            if (position === 0 && macd.macd > macd.signal && i > 0 && macdData[i-1].macd <= macdData[i-1].signal) {
-                const shares = Math.floor(cash / macd.price);
-                if (shares > 0) {
-                    position = shares;
-                    cash -= shares * macd.price;
-                    trades.push({
-                        date: macd.date,
-                        action: 'BUY',
-                        price: macd.price,
-                        shares: shares
-                    });
-                }
-            }
-            // Sell signal: MACD crosses below signal
-            else if (position > 0 && macd.macd < macd.signal && i > 0 && macdData[i-1].macd >= macdData[i-1].signal) {
-                cash += position * macd.price;
-                trades.push({
-                    date: macd.date,
-                    action: 'SELL',
-                    price: macd.price,
-                    shares: position
-                });
-                position = 0;
+            // Long when MACD crosses above signal, exit (or short) when it crosses below
+            if (macd.macd > macd.signal && i > 0 && macdData[i-1].macd <= macdData[i-1].signal) {
+                positions.target(i, 1);
+            } else if (macd.macd < macd.signal && i > 0 && macdData[i-1].macd >= macdData[i-1].signal) {
+                positions.target(i, -1);
             }
             
-            portfolioValues.push({
-                date: macd.date,
-                value: position * macd.price + cash,
-                macd: macd.macd,
-                signal: macd.signal
-            });
+            positions.record(i, { macd: macd.macd, signal: macd.signal });
         }
         
-        return {
-            trades: trades,
-            portfolioValues: portfolioValues,
-            finalValue: position * macdData[macdData.length - 1].price + cash
-        };
+        return positions.finish();
     }
 
     /**
-     * Calculate MACD indicator
+     * RSI Reversal Strategy
+     * @param {Array} data - Historical price data
+     * @param {Object} params - Strategy parameters
      */
-    calculateMACD(data, fastPeriod, slowPeriod, signalPeriod) {
-        const prices = data.map(d => d.close);
-        const emaFast = this.calculateEMA(prices, fastPeriod);
-        const emaSlow = this.calculateEMA(prices, slowPeriod);
+    rsiReversalStrategy(data, params = {}) {
+        const rsiPeriod = params.rsiPeriod || 14;
+        const oversold = params.oversold || 30;
+        const overbought = params.overbought || 70;
+        const exitLevel = params.exitLevel || 50;
+        const rsi = this.indicators.rsi(data.map(d => d.close), rsiPeriod);
+        const positions = new PositionManager(this, data, params);
         
-        const macdLine = emaFast.map((fast, i) => ({
-            date: data[i].date,
+        for (let i = rsiPeriod; i < data.length; i++) {
+            positions.beginBar(i);
+            
+            if (rsi[i] < oversold) {
+                positions.target(i, 1, { rsi: rsi[i] });
+            } else if (rsi[i] > overbought) {
+                positions.target(i, -1, { rsi: rsi[i] });
+            } else if ((positions.position > 0 && rsi[i] >= exitLevel) || (positions.position < 0 && rsi[i] <= exitLevel)) {
+                positions.target(i, 0, { rsi: rsi[i] });
+            }
+            
+            positions.record(i, { rsi: rsi[i] });
+        }
+        
+        return positions.finish();
+    }
+
+    /**
+     * Bollinger Squeeze Strategy
+     * A squeeze is band width in the lowest percentile of its recent history; the first
+     * close outside the bands afterwards sets the direction, and the middle band is the exit.
+     * @param {Array} data - Historical price data
+     * @param {Object} params - Strategy parameters
+     */
+    bollingerSqueezeStrategy(data, params = {}) {
+        const period = params.period || 20;
+        const stdDevs = params.stdDevs || 2;
+        const squeezeLookback = params.squeezeLookback || 120;
+        const squeezePercentile = params.squeezePercentile || 20;
+        const bands = this.indicators.bollingerBands(data.map(d => d.close), period, stdDevs);
+        const positions = new PositionManager(this, data, params);
+        let squeezed = false;
+        
+        for (let i = period; i < data.length; i++) {
+            const band = bands[i];
+            const close = data[i].close;
+            positions.beginBar(i);
+            
+            // Is yesterday's band width among the narrowest of the lookback window?
+            const history = bands.slice(Math.max(period - 1, i - squeezeLookback), i).map(b => b.bandwidth);
+            if (history.length >= Math.min(squeezeLookback, 20)) {
+                const rank = history.filter(width => width <= history[history.length - 1]).length / history.length;
+                if (rank <= squeezePercentile / 100) squeezed = true;
+            }
+            
+            if (squeezed && close > band.upper) {
+                positions.target(i, 1, { squeeze: true });
+                squeezed = false;
+            } else if (squeezed && close < band.lower) {
+                positions.target(i, -1, { squeeze: true });
+                squeezed = false;
+            } else if ((positions.position > 0 && close < band.middle) || (positions.position < 0 && close > band.middle)) {
+                positions.target(i, 0);
+            }
+            
+            positions.record(i, { upperBand: band.upper, middleBand: band.middle, lowerBand: band.lower });
+        }
+        
+        return positions.finish();
+    }
+
+    /**
+     * Donchian (Turtle) Breakout Strategy
+     * Channels are taken over the bars before the current one so a close can break them.
+     * @param {Array} data - Historical price data
+     * @param {Object} params - Strategy parameters
+     */
+    donchianBreakoutStrategy(data, params = {}) {
+        const entryPeriod = params.entryPeriod || 20;
+        const exitPeriod = params.exitPeriod || 10;
+        const atrPeriod = params.atrPeriod || 20;
+        const atrStop = params.atrStop !== undefined ? params.atrStop : 2;
+        const entryChannel = this.indicators.donchianChannel(data, entryPeriod);
+        const exitChannel = this.indicators.donchianChannel(data, exitPeriod);
+        const atr = this.indicators.atr(data, atrPeriod);
+        const positions = new PositionManager(this, data, params);
+        let stopLevel = null;
+        
+        for (let i = Math.max(entryPeriod, exitPeriod, atrPeriod); i < data.length; i++) {
+            const close = data[i].close;
+            const entry = entryChannel[i - 1];
+            const exit = exitChannel[i - 1];
+            positions.beginBar(i);
+            if (positions.position === 0) stopLevel = null;
+            
+            if (positions.position > 0 && (close < exit.lower || (stopLevel !== null && close < stopLevel))) {
+                positions.target(i, 0, { atr: atr[i] });
+            } else if (positions.position < 0 && (close > exit.upper || (stopLevel !== null && close > stopLevel))) {
+                positions.target(i, 0, { atr: atr[i] });
+            }
+            
+            const before = Math.sign(positions.position);
+            if (positions.position <= 0 && close > entry.upper) {
+                positions.target(i, 1, { atr: atr[i] });
+            } else if (positions.position >= 0 && close < entry.lower) {
+                positions.target(i, -1, { atr: atr[i] });
+            }
+            
+            // The stop is fixed when a position is opened and kept until it closes
+            const direction = Math.sign(positions.position);
+            if (direction !== 0 && direction !== before) {
+                stopLevel = atrStop > 0 ? close - direction * atrStop * atr[i] : null;
+            }
+            
+            positions.record(i, { channelHigh: entry.upper, channelLow: entry.lower });
+        }
+        
+        return positions.finish();
+    }
+
+    /**
+     * Dual Moving Average Crossover Strategy
+     * @param {Array} data - Historical price data
+     * @param {Object} params - Strategy parameters
+     */
+    dualMovingAverageStrategy(data, params = {}) {
+        const fastPeriod = params.fastPeriod || 20;
+        const slowPeriod = params.slowPeriod || 50;
+        const maType = params.maType || 'sma';
+        if (fastPeriod >= slowPeriod) {
+            throw new Error('Fast period must be shorter than slow period');
+        }
+        
+        const closes = data.map(d => d.close);
+        const fast = this.indicators.movingAverage(closes, fastPeriod, maType);
+        const slow = this.indicators.movingAverage(closes, slowPeriod, maType);
+        const positions = new PositionManager(this, data, params);
+        
+        for (let i = slowPeriod; i < data.length; i++) {
+            positions.beginBar(i);
+            
+            const cross = this.indicators.crossover(fast, slow, i);
+            if (cross !== 0) {
+                positions.target(i, cross);
+            }
+            
+            positions.record(i, { fastMA: fast[i], slowMA: slow[i] });
+        }
+        
+        return positions.finish();
+    }
+
+    /**
+     * Buy and Hold on the event-driven engine: a market order on the first bar fills at the second open
+     */
+    buyAndHoldEvents(data, params = {}) {
+        return {
+            start: 0,
+            onBar: context => {
+                if (context.index === 0) context.target(1);
+            }
+        };
+    }
+
+    /**
+     * Momentum on the event-driven engine
+     */
+    momentumEvents(data, params = {}) {
+        const maPeriod = params.maPeriod || 20;
+
+        return {
+            start: maPeriod,
+            onBar: context => {
+                const i = context.index;
+                const ma = data.slice(i - maPeriod, i)
+                    .reduce((sum, d) => sum + d.close, 0) / maPeriod;
+
+                if (data[i].close > ma * 1.02) {
+                    context.target(1);
+                } else if (data[i].close < ma * 0.98) {
+                    context.target(-1);
+                }
+                context.annotate({ ma: ma });
+            }
+        };
+    }
+
+    /**
+     * Mean Reversion on the event-driven engine
+     */
+    meanReversionEvents(data, params = {}) {
+        const lookback = params.lookback || 20;
+        const zScoreThreshold = params.zScoreThreshold || 2;
+
+        return {
+            start: lookback,
+            onBar: context => {
+                const i = context.index;
+                const prices = data.slice(i - lookback, i).map(d => d.close);
+                const mean = prices.reduce((a, b) => a + b, 0) / prices.length;
+                const std = Math.sqrt(prices.reduce((sq, n) => sq + Math.pow(n - mean, 2), 0) / prices.length);
+                const zScore = (data[i].close - mean) / std;
+
+                if (zScore < -zScoreThreshold) {
+                    context.target(1, { zScore: zScore });
+                } else if (zScore > zScoreThreshold) {
+                    context.target(-1, { zScore: zScore });
+                } else if ((context.position > 0 && zScore > 0) || (context.position < 0 && zScore < 0)) {
+                    context.target(0, { zScore: zScore });
+                }
+                context.annotate({ zScore: zScore });
+            }
+        };
+    }
+
+    /**
+     * MACD Crossover on the event-driven engine
+     */
+    macdEvents(data, params = {}) {
+        // EMAs only look back, so computing them up front does not leak future prices
+        const macdData = this.calculateMACD(data, params.fastPeriod || 12, params.slowPeriod || 26, params.signalPeriod || 9);
+
+        return {
+            start: 1,
+            onBar: context => {
+                const i = context.index;
+                const macd = macdData[i];
+                const prev = macdData[i - 1];
+
+                if (macd.macd > macd.signal && prev.macd <= prev.signal) {
+                    context.target(1);
+                } else if (macd.macd < macd.signal && prev.macd >= prev.signal) {
+                    context.target(-1);
+                }
+                context.annotate({ macd: macd.macd, signal: macd.signal });
+            }
+        };
+    }
+
+    /**
+     * RSI Reversal on the event-driven engine
+     */
+    rsiReversalEvents(data, params = {}) {
+        const rsiPeriod = params.rsiPeriod || 14;
+        const oversold = params.oversold || 30;
+        const overbought = params.overbought || 70;
+        const exitLevel = params.exitLevel || 50;
+        // Wilder's RSI only looks back, so computing it up front does not leak future prices
+        const rsi = this.indicators.rsi(data.map(d => d.close), rsiPeriod);
+
+        return {
+            start: rsiPeriod,
+            onBar: context => {
+                const i = context.index;
+
+                if (rsi[i] < oversold) {
+                    context.target(1, { rsi: rsi[i] });
+                } else if (rsi[i] > overbought) {
+                    context.target(-1, { rsi: rsi[i] });
+                } else if ((context.position > 0 && rsi[i] >= exitLevel) || (context.position < 0 && rsi[i] <= exitLevel)) {
+                    context.target(0, { rsi: rsi[i] });
+                }
+                context.annotate({ rsi: rsi[i] });
+            }
+        };
+    }
+
+    /**
+     * Bollinger Squeeze on the event-driven engine
+     */
+    bollingerSqueezeEvents(data, params = {}) {
+        const period = params.period || 20;
+        const squeezeLookback = params.squeezeLookback || 120;
+        const squeezePercentile = params.squeezePercentile || 20;
+        const bands = this.indicators.bollingerBands(data.map(d => d.close), period, params.stdDevs || 2);
+        let squeezed = false;
+
+        return {
+            start: period,
+            onBar: context => {
+                const i = context.index;
+                const band = bands[i];
+                const close = data[i].close;
+
+                const history = bands.slice(Math.max(period - 1, i - squeezeLookback), i).map(b => b.bandwidth);
+                if (history.length >= Math.min(squeezeLookback, 20)) {
+                    const rank = history.filter(width => width <= history[history.length - 1]).length / history.length;
+                    if (rank <= squeezePercentile / 100) squeezed = true;
+                }
+
+                if (squeezed && close > band.upper) {
+                    context.target(1, { squeeze: true });
+                    squeezed = false;
+                } else if (squeezed && close < band.lower) {
+                    context.target(-1, { squeeze: true });
+                    squeezed = false;
+                } else if ((context.position > 0 && close < band.middle) || (context.position < 0 && close > band.middle)) {
+                    context.target(0);
+                }
+                context.annotate({ upperBand: band.upper, middleBand: band.middle, lowerBand: band.lower });
+            }
+        };
+    }
+
+    /**
+     * Donchian Breakout on the event-driven engine
+     * The ATR stop is taken from the signal bar and applies once the entry order has filled.
+     */
+    donchianBreakoutEvents(data, params = {}) {
+        const entryPeriod = params.entryPeriod || 20;
+        const exitPeriod = params.exitPeriod || 10;
+        const atrPeriod = params.atrPeriod || 20;
+        const atrStop = params.atrStop !== undefined ? params.atrStop : 2;
+        const entryChannel = this.indicators.donchianChannel(data, entryPeriod);
+        const exitChannel = this.indicators.donchianChannel(data, exitPeriod);
+        const atr = this.indicators.atr(data, atrPeriod);
+        const signalStops = {}; // Stop for an entry in each direction, from its signal bar
+        let held = 0;
+        let stopLevel = null;
+
+        return {
+            start: Math.max(entryPeriod, exitPeriod, atrPeriod),
+            onBar: context => {
+                const i = context.index;
+                const close = data[i].close;
+                const entry = entryChannel[i - 1];
+                const exit = exitChannel[i - 1];
+
+                const direction = Math.sign(context.position);
+                if (direction !== held) {
+                    stopLevel = direction !== 0 && signalStops[direction] !== undefined ? signalStops[direction] : null;
+                    held = direction;
+                }
+
+                if (context.position > 0 && (close < exit.lower || (stopLevel !== null && close < stopLevel))) {
+                    context.target(0, { atr: atr[i] });
+                } else if (context.position < 0 && (close > exit.upper || (stopLevel !== null && close > stopLevel))) {
+                    context.target(0, { atr: atr[i] });
+                }
+
+                if (context.position <= 0 && close > entry.upper) {
+                    context.target(1, { atr: atr[i] });
+                    signalStops[1] = atrStop > 0 ? close - atrStop * atr[i] : undefined;
+                } else if (context.position >= 0 && close < entry.lower) {
+                    context.target(-1, { atr: atr[i] });
+                    signalStops[-1] = atrStop > 0 ? close + atrStop * atr[i] : undefined;
+                }
+                context.annotate({ channelHigh: entry.upper, channelLow: entry.lower });
+            }
+        };
+    }
+
+    /**
+     * Dual Moving Average Crossover on the event-driven engine
+     */
+    dualMovingAverageEvents(data, params = {}) {
+        const fastPeriod = params.fastPeriod || 20;
+        const slowPeriod = params.slowPeriod || 50;
+        const maType = params.maType || 'sma';
+        if (fastPeriod >= slowPeriod) {
+            throw new Error('Fast period must be shorter than slow period');
+        }
+
+        const closes = data.map(d => d.close);
+        const fast = this.indicators.movingAverage(closes, fastPeriod, maType);
+        const slow = this.indicators.movingAverage(closes, slowPeriod, maType);
+
+        return {
+            start: slowPeriod,
+            onBar: context => {
+                const i = context.index;
+                const cross = this.indicators.crossover(fast, slow, i);
+                if (cross !== 0) {
+                    context.target(cross);
+                }
+                context.annotate({ fastMA: fast[i], slowMA: slow[i] });
+            }
+        };
+    }
+
+    /**
+     * Calculate MACD indicator
+     */
+    calculateMACD(data, fastPeriod, slowPeriod, signalPeriod) {
+        const prices = data.map(d => d.close);
+        const emaFast = this.calculateEMA(prices, fastPeriod);
+        const emaSlow = this.calculateEMA(prices, slowPeriod);
+        
+        const macdLine = emaFast.map((fast, i) => ({
+            date: data[i].date,
             price: data[i].close,
             macd: fast - emaSlow[i]
         }));
@@ -328,101 +1288,821 @@ class BacktestEngine {
      * Calculate Exponential Moving Average
      */
     calculateEMA(data, period) {
-        const k = 2 / (period + 1);
-        const ema = [data[0]];
-        
-        for (let i = 1; i < data.length; i++) {
-            ema.push(data[i] * k + ema[i - 1] * (1 - k));
+        return this.indicators.ema(data, period);
+    }
+
+    /**
+     * Simulate a strategy over a data series without touching engine state
+     * @param {Object} definition - Strategy definition
+     * @param {Array} data - Historical price data
+     * @param {Object} params - Resolved strategy parameters
+     * @returns {Object} { trades, portfolioValues, finalValue }
+     */
+    executeStrategy(definition, data, params) {
+        if (params.execution === 'nextOpen') {
+            return this.runEventStrategy(definition, data, params);
         }
-        
-        return ema;
+        return definition.run
+            ? definition.run.call(this, data, params)
+            : this.runSignalStrategy(definition, data, params);
     }
 
     /**
-     * Run backtest with specified strategy
+     * Simulate a strategy on the event-driven engine (orders fill from the next bar's open)
+     * Uses the strategy's events factory, or adapts a signal function to market orders.
+     * @param {Object} definition - Strategy definition
+     * @param {Array} data - Historical price data
+     * @param {Object} params - Resolved strategy parameters
+     * @returns {Object} { trades, portfolioValues, finalValue, borrowCost, orders, ledger }
+     */
+    runEventStrategy(definition, data, params) {
+        let handler;
+        if (definition.events) {
+            handler = definition.events.call(this, data, params);
+        } else if (definition.signal) {
+            const warmup = typeof definition.warmup === 'function' ? definition.warmup(params) : definition.warmup;
+            handler = {
+                start: warmup,
+                onBar: context => context.target(definition.signal.call(this, data, context.index, params))
+            };
+        } else {
+            throw new Error(`${definition.label} has no event-driven version; use bar close execution`);
+        }
+
+        return new EventDrivenBacktest(this, data, params).run(handler.onBar, handler.start);
+    }
+
+    /**
+     * Run a strategy with bar-close fills and with the event-driven engine on the same data
      * @param {string} strategyName - Name of strategy to run
      * @param {Object} params - Strategy parameters
+     * @returns {Object} { close, nextOpen, differences } where close and nextOpen hold { finalValue, trades, metrics }
+     */
+    compareExecutionModels(strategyName, params = {}) {
+        const definition = this.getStrategy(strategyName);
+        if (!definition) {
+            throw new Error(`Strategy ${strategyName} not found`);
+        }
+        if (this.historicalData.length === 0) {
+            this.historicalData = this.generateHistoricalData();
+            this.dataReport = { source: 'simulated', seed: this.seed, validRows: this.historicalData.length, warnings: [] };
+        }
+
+        const runs = {};
+        ['close', 'nextOpen'].forEach(execution => {
+            this.lastProgress = -1;
+            const resolvedParams = this.resolveStrategyParams(definition, { ...params, execution });
+            const results = this.executeStrategy(definition, this.historicalData, resolvedParams);
+            const metrics = this.calculatePerformanceMetrics(results, resolvedParams.initialCapital || 10000);
+            const { rollingSharpe, monthlyReturns, ...summary } = metrics;
+            runs[execution] = { finalValue: results.finalValue, trades: results.trades.length, metrics: summary };
+        });
+
+        return {
+            strategy: strategyName,
+            ...runs,
+            differences: {
+                finalValue: runs.nextOpen.finalValue - runs.close.finalValue,
+                totalReturn: runs.nextOpen.metrics.totalReturn - runs.close.metrics.totalReturn,
+                sharpeRatio: runs.nextOpen.metrics.sharpeRatio - runs.close.metrics.sharpeRatio,
+                maxDrawdown: runs.nextOpen.metrics.maxDrawdown - runs.close.metrics.maxDrawdown,
+                trades: runs.nextOpen.trades - runs.close.trades
+            }
+        };
+    }
+
+    /**
+     * Run backtest with specified strategy
+     * @param {string} strategyName - Name of strategy to run
+     * @param {Object} params - Strategy parameters; params.benchmark ('self' or a loaded symbol) adds a benchmark comparison
      */
     async runBacktest(strategyName, params = {}) {
-        if (!this.strategies[strategyName]) {
+        const definition = this.getStrategy(strategyName);
+        if (!definition) {
             throw new Error(`Strategy ${strategyName} not found`);
         }
         
         if (this.historicalData.length === 0) {
             // Generate default data if none loaded
             this.historicalData = this.generateHistoricalData();
+            this.dataReport = { source: 'simulated', seed: this.seed, validRows: this.historicalData.length, warnings: [] };
         }
         
-        const strategy = this.strategies[strategyName].bind(this);
-        const results = strategy(this.historicalData, params);
+        const resolvedParams = this.resolveStrategyParams(definition, params);
+        this.lastProgress = -1;
+        const results = this.executeStrategy(definition, this.historicalData, resolvedParams);
         
         // Calculate performance metrics
-        const metrics = this.calculatePerformanceMetrics(results, params.initialCapital || 10000);
+        const metrics = this.calculatePerformanceMetrics(results, resolvedParams.initialCapital || 10000);
         
         this.results = {
             strategy: strategyName,
+            parameters: resolvedParams,
+            seed: this.seed,
+            dataSource: this.dataReport ? this.dataReport.source : 'simulated',
             ...results,
             metrics: metrics
         };
         
+        if (params.benchmark) {
+            this.results.benchmark = this.compareToBenchmark(this.results, params.benchmark, resolvedParams.initialCapital || 10000);
+        }
+        
         return this.results;
     }
 
+    /**
+     * Run a multi-asset backtest of a target-weight basket with periodic rebalancing
+     * @param {Object} config - Portfolio configuration
+     * @param {Array} config.assets - [{ symbol, weight }]; weights are normalized to sum to 1
+     * @param {string} config.rebalance - 'none', 'monthly' or 'quarterly'
+     * @param {number} config.driftThreshold - Rebalance when any weight drifts more than this (0.05 = 5%); 0 disables
+     * @param {number} config.initialCapital - Starting capital
+     * @param {Object} config.costs - Transaction cost settings (see resolveCostModel)
+     * @param {string} config.benchmark - Optional loaded symbol to compare against
+     * @param {Object} dataBySymbol - Historical data keyed by symbol (defaults to loaded portfolio data)
+     */
+    async runPortfolioBacktest(config, dataBySymbol = this.portfolioData) {
+        const initialCapital = config.initialCapital || 10000;
+        const rebalance = config.rebalance || 'none';
+        const driftThreshold = config.driftThreshold || 0;
+        const costs = this.resolveCostModel(config.costs);
+        const assets = this.normalizeTargetWeights(config.assets || []);
+        const symbols = assets.map(a => a.symbol);
+
+        for (const symbol of symbols) {
+            if (!dataBySymbol[symbol] || dataBySymbol[symbol].length === 0) {
+                throw new Error(`No historical data loaded for ${symbol}`);
+            }
+        }
+
+        const bars = this.alignSeries(dataBySymbol, symbols);
+        if (bars.length < 2) {
+            throw new Error('Not enough overlapping history across the selected symbols');
+        }
+        this.lastProgress = -1;
+
+        const targets = {};
+        const shares = {};
+        const pnl = {};
+        assets.forEach(a => {
+            targets[a.symbol] = a.weight;
+            shares[a.symbol] = 0;
+            pnl[a.symbol] = 0;
+        });
+
+        let cash = initialCapital;
+        const trades = [];
+        const rebalances = [];
+        const portfolioValues = [];
+
+        const rebalanceTo = (bar, reason) => {
+            const prices = bar.prices;
+            const total = cash + symbols.reduce((sum, s) => sum + shares[s] * prices[s], 0);
+            const orders = symbols.map(s => {
+                const targetShares = Math.floor(total * targets[s] / prices[s] / costs.lotSize) * costs.lotSize;
+                return { symbol: s, delta: targetShares - shares[s] };
+            });
+            let turnover = 0;
+
+            // Sell first so the proceeds can fund the buys
+            orders.sort((a, b) => a.delta - b.delta).forEach(({ symbol, delta }) => {
+                if (delta === 0) return;
+
+                const order = delta > 0
+                    ? this.buyOrder(cash, prices[symbol], costs, delta)
+                    : this.sellOrder(-delta, prices[symbol], costs);
+                if (!order) return;
+
+                shares[symbol] += delta > 0 ? order.shares : -order.shares;
+                cash += order.cashChange;
+                pnl[symbol] -= order.fees + order.slippage;
+                turnover += order.notional;
+                trades.push(this.tradeRecord(bar.date, delta > 0 ? 'BUY' : 'SELL', order, cash, {
+                    symbol: symbol,
+                    reason: reason
+                }));
+            });
+
+            rebalances.push({
+                date: bar.date,
+                reason: reason,
+                turnover: total > 0 ? turnover / total : 0
+            });
+        };
+
+        for (let i = 0; i < bars.length; i++) {
+            const bar = bars[i];
+
+            if (i > 0) {
+                const prev = bars[i - 1];
+                symbols.forEach(s => {
+                    pnl[s] += shares[s] * (bar.prices[s] - prev.prices[s]);
+                });
+            }
+
+            if (i === 0) {
+                rebalanceTo(bar, 'initial');
+            } else {
+                const weights = this.currentWeights(shares, cash, bar.prices);
+                const maxDrift = Math.max(...symbols.map(s => Math.abs(weights[s] - targets[s])));
+
+                if (this.isCalendarRebalance(rebalance, bars[i - 1].date, bar.date)) {
+                    rebalanceTo(bar, rebalance);
+                } else if (driftThreshold > 0 && maxDrift > driftThreshold) {
+                    rebalanceTo(bar, 'threshold');
+                }
+            }
+
+            portfolioValues.push({
+                date: bar.date,
+                value: cash + symbols.reduce((sum, s) => sum + shares[s] * bar.prices[s], 0),
+                weights: this.currentWeights(shares, cash, bar.prices)
+            });
+            this.reportProgress(i + 1, bars.length);
+        }
+
+        const finalValue = portfolioValues[portfolioValues.length - 1].value;
+        const finalWeights = portfolioValues[portfolioValues.length - 1].weights;
+        const contributions = assets.map(a => ({
+            symbol: a.symbol,
+            targetWeight: a.weight,
+            finalWeight: finalWeights[a.symbol],
+            pnl: pnl[a.symbol],
+            contribution: pnl[a.symbol] / initialCapital
+        }));
+
+        const results = {
+            trades: trades,
+            portfolioValues: portfolioValues,
+            finalValue: finalValue,
+            contributions: contributions,
+            rebalances: rebalances
+        };
+
+        this.results = {
+            strategy: 'portfolio',
+            parameters: { initialCapital, rebalance, driftThreshold, assets, costs },
+            seed: this.seed,
+            ...results,
+            metrics: this.calculatePerformanceMetrics(results, initialCapital)
+        };
+
+        if (config.benchmark && config.benchmark !== 'self') {
+            this.results.benchmark = this.compareToBenchmark(this.results, config.benchmark, initialCapital);
+        }
+
+        return this.results;
+    }
+
+    /**
+     * Identify the exact price data a run used, so saved runs can tell whether they are comparable
+     * @param {Object} dataBySymbol - { symbol: bars }
+     * @returns {Object} { symbols, bars, start, end, hash }
+     */
+    getDataFingerprint(dataBySymbol) {
+        const symbols = Object.keys(dataBySymbol).sort();
+        const hasher = new SeededRandom(0);
+        let bars = 0;
+        let start = null;
+        let end = null;
+        let text = '';
+
+        symbols.forEach(symbol => {
+            const data = dataBySymbol[symbol] || [];
+            bars = Math.max(bars, data.length);
+            if (data.length > 0) {
+                if (!start || data[0].date < start) start = data[0].date;
+                if (!end || data[data.length - 1].date > end) end = data[data.length - 1].date;
+            }
+            text += symbol + '|' + data.map(bar => `${bar.date}:${bar.close}`).join(',') + ';';
+        });
+
+        return {
+            symbols,
+            bars,
+            start,
+            end,
+            hash: hasher.hashString(text).toString(16).padStart(8, '0')
+        };
+    }
+
+    /**
+     * Symbols whose price series are loaded and can serve as a benchmark
+     * @returns {Array<string>} Symbols from imported files and the last portfolio load
+     */
+    getLoadedSeries() {
+        return [...new Set([...Object.keys(this.importedData), ...Object.keys(this.portfolioData)])].sort();
+    }
+
+    /**
+     * Price series for a benchmark choice
+     * @param {string} benchmark - 'self' for buy-and-hold of the backtested data, or a loaded symbol
+     * @returns {Object} { name, data }
+     */
+    getBenchmarkData(benchmark) {
+        if (benchmark === 'self') {
+            const symbol = this.dataReport && this.dataReport.symbol ? this.dataReport.symbol : 'Underlying';
+            return { name: `${symbol} buy & hold`, data: this.historicalData };
+        }
+
+        const symbol = this.normalizeSymbol(benchmark);
+        if (this.importedData[symbol]) {
+            return { name: symbol, data: this.adjustForCorporateActions(symbol, this.importedData[symbol].data) };
+        }
+        const portfolioSymbol = Object.keys(this.portfolioData).find(s => this.normalizeSymbol(s) === symbol);
+        if (portfolioSymbol) {
+            return { name: symbol, data: this.portfolioData[portfolioSymbol] };
+        }
+        throw new Error(`Benchmark ${symbol} is not loaded`);
+    }
+
+    /**
+     * Compare a run against a buy-and-hold benchmark on the dates both series share
+     * @param {Object} results - Backtest results with portfolioValues
+     * @param {string} benchmark - 'self' or a loaded symbol (see getBenchmarkData)
+     * @param {number} initialCapital - Capital the benchmark curve starts from
+     * @returns {Object} { name, values: [{ date, value }], metrics }
+     */
+    compareToBenchmark(results, benchmark, initialCapital) {
+        const { name, data } = this.getBenchmarkData(benchmark);
+        const closes = new Map(data.map(bar => [bar.date, bar.close]));
+        const paired = results.portfolioValues.filter(v => closes.has(v.date));
+        if (paired.length < 2) {
+            throw new Error(`Benchmark ${name} shares fewer than two dates with the backtest`);
+        }
+
+        // Benchmark curve is scaled so it starts at the strategy's value on the first shared date
+        const startClose = closes.get(paired[0].date);
+        const startValue = paired[0].value || initialCapital;
+        const values = paired.map(v => ({
+            date: v.date,
+            value: startValue * closes.get(v.date) / startClose
+        }));
+
+        return {
+            name: name,
+            values: values,
+            metrics: this.calculateBenchmarkMetrics(paired, values)
+        };
+    }
+
+    /**
+     * Relative performance statistics against a benchmark
+     * @param {Array} strategyValues - Strategy values [{ date, value }]
+     * @param {Array} benchmarkValues - Benchmark values on the same dates
+     * @returns {Object} alpha (annualized Jensen's alpha), beta, correlation, trackingError,
+     *   informationRatio, upCapture, downCapture, benchmarkReturn, excessReturn
+     */
+    calculateBenchmarkMetrics(strategyValues, benchmarkValues) {
+        const dailyRiskFree = 0.02 / 252;
+        const strategyReturns = [];
+        const benchmarkReturns = [];
+        for (let i = 1; i < strategyValues.length; i++) {
+            strategyReturns.push(strategyValues[i].value / strategyValues[i - 1].value - 1);
+            benchmarkReturns.push(benchmarkValues[i].value / benchmarkValues[i - 1].value - 1);
+        }
+
+        const mean = arr => arr.length > 0 ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+        const meanStrategy = mean(strategyReturns);
+        const meanBenchmark = mean(benchmarkReturns);
+
+        let covariance = 0;
+        let benchmarkVariance = 0;
+        let strategyVariance = 0;
+        for (let i = 0; i < strategyReturns.length; i++) {
+            covariance += (strategyReturns[i] - meanStrategy) * (benchmarkReturns[i] - meanBenchmark);
+            benchmarkVariance += Math.pow(benchmarkReturns[i] - meanBenchmark, 2);
+            strategyVariance += Math.pow(strategyReturns[i] - meanStrategy, 2);
+        }
+        const beta = benchmarkVariance > 0 ? covariance / benchmarkVariance : 0;
+        const correlation = benchmarkVariance > 0 && strategyVariance > 0
+            ? covariance / Math.sqrt(benchmarkVariance * strategyVariance)
+            : 0;
+        const alpha = ((meanStrategy - dailyRiskFree) - beta * (meanBenchmark - dailyRiskFree)) * 252;
+
+        const activeReturns = strategyReturns.map((r, i) => r - benchmarkReturns[i]);
+        const meanActive = mean(activeReturns);
+        const trackingError = Math.sqrt(mean(activeReturns.map(r => Math.pow(r - meanActive, 2)))) * Math.sqrt(252);
+        const informationRatio = trackingError > 0 ? meanActive * 252 / trackingError : 0;
+
+        // Capture ratios compare average returns on the benchmark's up and down days
+        const capture = predicate => {
+            const indices = benchmarkReturns.map((r, i) => i).filter(i => predicate(benchmarkReturns[i]));
+            const benchmarkMean = mean(indices.map(i => benchmarkReturns[i]));
+            return benchmarkMean !== 0 ? mean(indices.map(i => strategyReturns[i])) / benchmarkMean : 0;
+        };
+
+        const last = strategyValues.length - 1;
+        const strategyReturn = strategyValues[last].value / strategyValues[0].value - 1;
+        const benchmarkReturn = benchmarkValues[last].value / benchmarkValues[0].value - 1;
+
+        return {
+            alpha: alpha,
+            beta: beta,
+            correlation: correlation,
+            trackingError: trackingError,
+            informationRatio: informationRatio,
+            upCapture: capture(r => r > 0),
+            downCapture: capture(r => r < 0),
+            benchmarkReturn: benchmarkReturn,
+            excessReturn: strategyReturn - benchmarkReturn
+        };
+    }
+
+    /**
+     * Normalize target weights so they sum to 1
+     * @param {Array} assets - [{ symbol, weight }]
+     */
+    normalizeTargetWeights(assets) {
+        if (assets.length === 0) {
+            throw new Error('Portfolio backtest requires at least one asset');
+        }
+
+        const symbols = new Set();
+        for (const asset of assets) {
+            if (!asset.symbol) {
+                throw new Error('Every portfolio asset needs a symbol');
+            }
+            if (symbols.has(asset.symbol)) {
+                throw new Error(`Duplicate symbol ${asset.symbol} in portfolio`);
+            }
+            if (!(asset.weight > 0)) {
+                throw new Error(`Weight for ${asset.symbol} must be positive`);
+            }
+            symbols.add(asset.symbol);
+        }
+
+        const totalWeight = assets.reduce((sum, a) => sum + a.weight, 0);
+        return assets.map(a => ({ symbol: a.symbol, weight: a.weight / totalWeight }));
+    }
+
+    /**
+     * Align several price series on the dates they all share
+     * @returns {Array} [{ date, prices: { symbol: close } }] in date order
+     */
+    alignSeries(dataBySymbol, symbols) {
+        const closes = {};
+        symbols.forEach(s => {
+            closes[s] = new Map(dataBySymbol[s].map(d => [d.date, d.close]));
+        });
+
+        return dataBySymbol[symbols[0]]
+            .map(d => d.date)
+            .filter(date => symbols.every(s => closes[s].has(date)))
+            .sort()
+            .map(date => {
+                const prices = {};
+                symbols.forEach(s => {
+                    prices[s] = closes[s].get(date);
+                });
+                return { date, prices };
+            });
+    }
+
+    /**
+     * Current portfolio weight of each holding
+     */
+    currentWeights(shares, cash, prices) {
+        const values = {};
+        let total = cash;
+        for (const [symbol, qty] of Object.entries(shares)) {
+            values[symbol] = qty * prices[symbol];
+            total += values[symbol];
+        }
+        for (const symbol of Object.keys(values)) {
+            values[symbol] = total > 0 ? values[symbol] / total : 0;
+        }
+        return values;
+    }
+
+    /**
+     * Whether a calendar rebalance falls between two consecutive bar dates
+     * @param {string} frequency - 'monthly', 'quarterly' or 'none'
+     */
+    isCalendarRebalance(frequency, prevDate, date) {
+        const prevMonth = parseInt(prevDate.slice(5, 7), 10) - 1;
+        const month = parseInt(date.slice(5, 7), 10) - 1;
+        const yearChanged = prevDate.slice(0, 4) !== date.slice(0, 4);
+
+        if (frequency === 'monthly') {
+            return yearChanged || prevMonth !== month;
+        }
+        if (frequency === 'quarterly') {
+            return yearChanged || Math.floor(prevMonth / 3) !== Math.floor(month / 3);
+        }
+        return false;
+    }
+
     /**
      * Calculate performance metrics
+     * All values are numeric; ratios and returns are fractions (0.05 = 5%) and formatting is left to the UI.
+     * @param {Object} results - { trades, portfolioValues, finalValue }
+     * @param {number} initialCapital - Starting capital
+     * @returns {Object} Metrics
      */
     calculatePerformanceMetrics(results, initialCapital) {
-        const returns = [];
+        const riskFreeRate = 0.02;
         const values = results.portfolioValues;
+        const returns = [];
         
         for (let i = 1; i < values.length; i++) {
             returns.push((values[i].value - values[i-1].value) / values[i-1].value);
         }
         
         const totalReturn = (results.finalValue - initialCapital) / initialCapital;
-        const annualizedReturn = Math.pow(1 + totalReturn, 252 / values.length) - 1;
-        const avgReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
-        const std = Math.sqrt(returns.reduce((sq, n) => sq + Math.pow(n - avgReturn, 2), 0) / returns.length);
-        const sharpeRatio = (annualizedReturn - 0.02) / (std * Math.sqrt(252)); // Assuming 2% risk-free rate
+        const annualizedReturn = values.length > 0 ? Math.pow(1 + totalReturn, 252 / values.length) - 1 : 0;
+        const avgReturn = returns.length > 0 ? returns.reduce((a, b) => a + b, 0) / returns.length : 0;
+        const std = returns.length > 0
+            ? Math.sqrt(returns.reduce((sq, n) => sq + Math.pow(n - avgReturn, 2), 0) / returns.length)
+            : 0;
+        const volatility = std * Math.sqrt(252);
+        const sharpeRatio = volatility > 0 ? (annualizedReturn - riskFreeRate) / volatility : 0;
+        
+        // Sortino only penalizes downside deviation
+        const downsideDeviation = returns.length > 0
+            ? Math.sqrt(returns.reduce((sq, r) => sq + Math.pow(Math.min(r, 0), 2), 0) / returns.length) * Math.sqrt(252)
+            : 0;
+        const sortinoRatio = downsideDeviation > 0 ? (annualizedReturn - riskFreeRate) / downsideDeviation : 0;
+        
+        const drawdown = this.calculateDrawdowns(values);
+        const calmarRatio = drawdown.maxDrawdown > 0 ? annualizedReturn / drawdown.maxDrawdown : 0;
+        
+        const roundTrips = this.matchRoundTrips(results.trades);
+        const wins = roundTrips.filter(t => t.pnl > 0);
+        const losses = roundTrips.filter(t => t.pnl < 0);
+        const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+        const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+        const matchedShares = roundTrips.reduce((sum, t) => sum + t.shares, 0);
         
-        // Calculate max drawdown
+        // Transaction costs: gross return adds back everything paid in fees, slippage and short borrow
+        const totalFees = results.trades.reduce((sum, t) => sum + (t.fees || 0), 0);
+        const totalSlippage = results.trades.reduce((sum, t) => sum + (t.slippage || 0), 0);
+        const totalBorrowCost = results.borrowCost || 0;
+        const totalCosts = totalFees + totalSlippage + totalBorrowCost;
+        const grossReturn = (results.finalValue + totalCosts - initialCapital) / initialCapital;
+        
+        return {
+            totalReturn: totalReturn,
+            grossReturn: grossReturn,
+            netReturn: totalReturn,
+            costDrag: grossReturn - totalReturn,
+            totalFees: totalFees,
+            totalSlippage: totalSlippage,
+            totalBorrowCost: totalBorrowCost,
+            totalCosts: totalCosts,
+            annualizedReturn: annualizedReturn,
+            volatility: volatility,
+            sharpeRatio: sharpeRatio,
+            sortinoRatio: sortinoRatio,
+            calmarRatio: calmarRatio,
+            maxDrawdown: drawdown.maxDrawdown,
+            longestDrawdown: drawdown.longest,
+            exposure: this.calculateExposure(values, results.trades),
+            totalTrades: results.trades.length,
+            shortTrades: results.trades.filter(t => t.action === 'SHORT').length,
+            stopExits: results.trades.filter(t => ['stopLoss', 'takeProfit', 'trailingStop'].includes(t.reason)).length,
+            closedTrades: roundTrips.length,
+            winRate: roundTrips.length > 0 ? wins.length / roundTrips.length : 0,
+            // Undefined without a losing trade; null keeps the metrics JSON-safe
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? null : 0),
+            averageWin: wins.length > 0 ? grossProfit / wins.length : 0,
+            averageLoss: losses.length > 0 ? -grossLoss / losses.length : 0,
+            averageHoldingDays: matchedShares > 0
+                ? roundTrips.reduce((sum, t) => sum + t.holdingDays * t.shares, 0) / matchedShares
+                : 0,
+            monthlyReturns: this.calculateMonthlyReturns(values, initialCapital),
+            rollingSharpe: this.calculateRollingSharpe(values),
+            finalValue: results.finalValue
+        };
+    }
+
+    /**
+     * Pair closing trades with earlier opening trades of the same symbol (first in, first out)
+     * Sells close buys and covers close shorts. Fees of both legs, and borrow cost on
+     * shorts, are allocated to the matched shares, so partial exits are handled.
+     * @param {Array} trades - Trade log
+     * @returns {Array} [{ symbol, side, entryDate, exitDate, shares, pnl, return, holdingDays }]
+     */
+    matchRoundTrips(trades) {
+        const openLots = {};
+        const roundTrips = [];
+        const opens = { BUY: 'long', SHORT: 'short' };
+        const closes = { SELL: 'long', COVER: 'short' };
+        
+        for (const trade of trades) {
+            const side = opens[trade.action] || closes[trade.action];
+            if (!side) continue;
+            
+            const key = `${trade.symbol || ''}:${side}`;
+            if (!openLots[key]) openLots[key] = [];
+            const feePerShare = trade.shares > 0 ? ((trade.fees || 0) + (trade.borrowCost || 0)) / trade.shares : 0;
+            
+            if (opens[trade.action]) {
+                openLots[key].push({
+                    date: trade.date,
+                    price: trade.price,
+                    shares: trade.shares,
+                    feePerShare: feePerShare
+                });
+                continue;
+            }
+            
+            let remaining = trade.shares;
+            const lots = openLots[key];
+            while (remaining > 0 && lots.length > 0) {
+                const lot = lots[0];
+                const shares = Math.min(remaining, lot.shares);
+                const direction = side === 'long' ? 1 : -1;
+                const pnl = shares * (direction * (trade.price - lot.price) - lot.feePerShare - feePerShare);
+                const basis = shares * (lot.price + (side === 'long' ? lot.feePerShare : 0));
+                
+                roundTrips.push({
+                    symbol: trade.symbol || '',
+                    side: side,
+                    entryDate: lot.date,
+                    exitDate: trade.date,
+                    shares: shares,
+                    pnl: pnl,
+                    return: basis > 0 ? pnl / basis : 0,
+                    holdingDays: Math.round((new Date(trade.date) - new Date(lot.date)) / (1000 * 60 * 60 * 24))
+                });
+                
+                lot.shares -= shares;
+                remaining -= shares;
+                if (lot.shares <= 0) lots.shift();
+            }
+        }
+        
+        return roundTrips;
+    }
+
+    /**
+     * Maximum drawdown and the longest time spent below a previous peak
+     * @param {Array} values - Portfolio values [{ date, value }]
+     * @returns {Object} { maxDrawdown, longest: { start, end, bars, days, recovered } }
+     */
+    calculateDrawdowns(values) {
         let maxDrawdown = 0;
+        let longest = { start: null, end: null, bars: 0, days: 0, recovered: true };
+        if (values.length === 0) return { maxDrawdown, longest };
+        
         let peak = values[0].value;
-        for (const v of values) {
-            if (v.value > peak) peak = v.value;
-            const drawdown = (peak - v.value) / peak;
+        let peakIndex = 0;
+        
+        const closeDrawdown = (endIndex, recovered) => {
+            const bars = endIndex - peakIndex;
+            if (bars > longest.bars) {
+                longest = {
+                    start: values[peakIndex].date,
+                    end: values[endIndex].date,
+                    bars: bars,
+                    days: Math.round((new Date(values[endIndex].date) - new Date(values[peakIndex].date)) / (1000 * 60 * 60 * 24)),
+                    recovered: recovered
+                };
+            }
+        };
+        
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i].value;
+            if (value >= peak) {
+                if (i - peakIndex > 1) closeDrawdown(i, true);
+                peak = value;
+                peakIndex = i;
+                continue;
+            }
+            const drawdown = (peak - value) / peak;
             if (drawdown > maxDrawdown) maxDrawdown = drawdown;
         }
+        if (values[values.length - 1].value < peak) {
+            closeDrawdown(values.length - 1, false);
+        }
         
-        // Win rate - match buy/sell pairs correctly
-        let winningTrades = 0;
-        let totalClosedTrades = 0;
-        let buyPrice = null;
-        
-        for (const trade of results.trades) {
-            if (trade.action === 'BUY') {
-                buyPrice = trade.price;
-            } else if (trade.action === 'SELL' && buyPrice !== null) {
-                totalClosedTrades++;
-                if (trade.price > buyPrice) {
-                    winningTrades++;
+        return { maxDrawdown, longest };
+    }
+
+    /**
+     * Individual drawdown episodes, deepest first
+     * @param {Array} values - [{ date, value }]
+     * @param {number} limit - Episodes to return
+     * @returns {Array} [{ peakDate, troughDate, recoveryDate, depth, bars, recoveryBars }]; recoveryDate is null while underwater
+     */
+    listDrawdowns(values, limit = 5) {
+        const episodes = [];
+        let peakIndex = 0;
+        let current = null;
+
+        for (let i = 1; i < values.length; i++) {
+            const peak = values[peakIndex].value;
+            if (values[i].value >= peak) {
+                if (current) {
+                    current.recoveryDate = values[i].date;
+                    current.recoveryBars = i - current.troughIndex;
+                    current.bars = i - peakIndex;
+                    episodes.push(current);
+                    current = null;
                 }
-                buyPrice = null;
+                peakIndex = i;
+                continue;
+            }
+
+            const depth = (peak - values[i].value) / peak;
+            if (!current) {
+                current = { peakDate: values[peakIndex].date, troughDate: null, troughIndex: i, recoveryDate: null, depth: 0, bars: 0, recoveryBars: null };
             }
+            if (depth > current.depth) {
+                current.depth = depth;
+                current.troughDate = values[i].date;
+                current.troughIndex = i;
+            }
+        }
+        if (current) {
+            current.bars = values.length - 1 - peakIndex;
+            episodes.push(current);
+        }
+
+        return episodes
+            .sort((a, b) => b.depth - a.depth)
+            .slice(0, limit)
+            .map(({ troughIndex, ...episode }) => episode);
+    }
+
+    /**
+     * Share of bars that ended with an open long or short position
+     * Uses the position recorded with each value when available, otherwise replays the trade log.
+     * @param {Array} values - Portfolio values [{ date, value, position? }]
+     * @param {Array} trades - Trade log
+     * @returns {number} Exposure as a fraction (0-1)
+     */
+    calculateExposure(values, trades) {
+        if (values.length === 0) return 0;
+        if (values[0].position !== undefined) {
+            return values.filter(v => v.position !== 0).length / values.length;
+        }
+        
+        const sharesByDate = {};
+        const signs = { BUY: 1, COVER: 1, SELL: -1, SHORT: -1 };
+        for (const trade of trades) {
+            sharesByDate[trade.date] = (sharesByDate[trade.date] || 0) + (signs[trade.action] || 0) * trade.shares;
         }
         
-        const winRate = totalClosedTrades > 0 ? winningTrades / totalClosedTrades : 0;
+        let position = 0;
+        let exposedBars = 0;
+        for (const v of values) {
+            position += sharesByDate[v.date] || 0;
+            if (position !== 0) exposedBars++;
+        }
+        return exposedBars / values.length;
+    }
+
+    /**
+     * Calendar month returns from month-end portfolio values
+     * @param {Array} values - Portfolio values [{ date, value }]
+     * @param {number} initialCapital - Value the first month is measured from
+     * @returns {Array} [{ year, month (1-12), return }]
+     */
+    calculateMonthlyReturns(values, initialCapital) {
+        const monthly = [];
+        let startValue = initialCapital;
         
-        return {
-            totalReturn: (totalReturn * 100).toFixed(2) + '%',
-            annualizedReturn: (annualizedReturn * 100).toFixed(2) + '%',
-            sharpeRatio: sharpeRatio.toFixed(2),
-            maxDrawdown: (maxDrawdown * 100).toFixed(2) + '%',
-            volatility: (std * Math.sqrt(252) * 100).toFixed(2) + '%',
-            totalTrades: results.trades.length,
-            winRate: (winRate * 100).toFixed(2) + '%',
-            finalValue: results.finalValue.toFixed(2)
-        };
+        for (let i = 0; i < values.length; i++) {
+            const key = values[i].date.slice(0, 7);
+            const isMonthEnd = i === values.length - 1 || values[i + 1].date.slice(0, 7) !== key;
+            if (!isMonthEnd) continue;
+            
+            monthly.push({
+                year: parseInt(key.slice(0, 4)),
+                month: parseInt(key.slice(5, 7)),
+                return: startValue > 0 ? values[i].value / startValue - 1 : 0
+            });
+            startValue = values[i].value;
+        }
+        
+        return monthly;
+    }
+
+    /**
+     * Annualized Sharpe ratio over a trailing window of daily returns
+     * @param {Array} values - Portfolio values [{ date, value }]
+     * @param {number} window - Window length in bars (63 = one quarter)
+     * @returns {Array} [{ date, value }]
+     */
+    calculateRollingSharpe(values, window = 63) {
+        const rolling = [];
+        const returns = [];
+        for (let i = 1; i < values.length; i++) {
+            returns.push((values[i].value - values[i - 1].value) / values[i - 1].value);
+            if (returns.length < window) continue;
+            
+            const slice = returns.slice(-window);
+            const mean = slice.reduce((a, b) => a + b, 0) / window;
+            const std = Math.sqrt(slice.reduce((sq, r) => sq + Math.pow(r - mean, 2), 0) / window);
+            rolling.push({
+                date: values[i].date,
+                value: std > 0 ? (mean * 252 - 0.02) / (std * Math.sqrt(252)) : 0
+            });
+        }
+        return rolling;
     }
 }
 
@@ -0,0 +1,409 @@
+/**
+ * Broker Import Module
+ * Reads activity or position CSVs exported by a broker into ledger transactions. Each file's
+ * columns are mapped to the fields below (guessed from the headers, or taken from a saved
+ * mapping profile), and every row is previewed with its status before anything is recorded:
+ * ok, already in the portfolio (duplicate), or an error explaining why it cannot be imported.
+ */
+
+class BrokerImport {
+    constructor() {
+        this.storageKey = 'brokerImportProfiles';
+        this.fields = {
+            date: 'Date',
+            symbol: 'Symbol',
+            action: 'Action',
+            quantity: 'Quantity',
+            price: 'Price',
+            fees: 'Fees',
+            currency: 'Currency',
+            amount: 'Amount'
+        };
+        // Accepted header spellings, normalized to lowercase without spaces, dashes or underscores
+        this.columnAliases = {
+            date: ['date', 'tradedate', 'transactiondate', 'rundate', 'activitydate', 'settlementdate', 'settledate', 'datetime'],
+            symbol: ['symbol', 'ticker', 'instrument', 'security', 'securityid', 'code', 'stockcode'],
+            action: ['action', 'type', 'transactiontype', 'activity', 'activitytype', 'side', 'buysell', 'transcode', 'description'],
+            quantity: ['quantity', 'qty', 'shares', 'units', 'amountofshares', 'quantityshares'],
+            price: ['price', 'tradeprice', 'unitprice', 'executionprice', 'priceshare', 'pricepershare', 'costpershare', 'averagecost', 'avgprice', 'costbasispershare'],
+            fees: ['fees', 'fee', 'commission', 'commissions', 'commissionsandfees', 'feesandcommissions', 'charges'],
+            currency: ['currency', 'ccy', 'tradecurrency', 'settlementcurrency', 'currencycode'],
+            amount: ['amount', 'netamount', 'amountusd', 'total', 'totalamount', 'net', 'proceeds', 'value']
+        };
+        // Action spellings used by brokers, normalized like headers; longer descriptions
+        // ("YOU BOUGHT APPLE INC") match on the aliases of four letters or more
+        this.actionAliases = {
+            buy: ['buy', 'b', 'bot', 'bought', 'purchase', 'buytoopen', 'buytocover', 'openingbuy'],
+            sell: ['sell', 's', 'sld', 'sold', 'sale', 'selltoclose', 'sellshort', 'closingsell'],
+            dividend: ['dividend', 'div', 'dividends', 'cashdividend', 'qualifieddividend', 'ordinarydividend', 'dividendreceived'],
+            deposit: ['deposit', 'contribution', 'transferin', 'wirein', 'achin', 'cashin', 'fundsreceived'],
+            withdrawal: ['withdrawal', 'withdraw', 'transferout', 'wireout', 'achout', 'cashout', 'disbursement'],
+            fee: ['fee', 'fees', 'commission', 'servicefee', 'managementfee', 'adrfee', 'accountfee']
+        };
+        // Same rule as symbols entered by hand
+        this.symbolPattern = /^[A-Z0-9.^-]{1,12}$/;
+        this.dateFormats = {
+            auto: 'Detect (ISO, else month/day/year)',
+            mdy: 'Month/Day/Year',
+            dmy: 'Day/Month/Year'
+        };
+        this.csv = new HistoricalDataLoader();
+        this.profiles = [];
+        this.loadProfiles();
+    }
+
+    // ========== Mapping Profiles ==========
+
+    loadProfiles() {
+        try {
+            this.profiles = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('Error loading import profiles:', error);
+            this.profiles = [];
+        }
+    }
+
+    saveProfiles() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.profiles));
+            return true;
+        } catch (error) {
+            console.error('Error saving import profiles:', error);
+            return false;
+        }
+    }
+
+    getProfiles() {
+        return this.profiles.slice();
+    }
+
+    getProfile(name) {
+        return this.profiles.find(profile => profile.name === name) || null;
+    }
+
+    /**
+     * Save a mapping under a name, replacing a profile of the same name
+     * @param {string} name - e.g. the broker's name
+     * @param {Object} mapping - { field: header }
+     * @param {Object} options - { dateFormat, currency }
+     * @returns {Object} The saved profile
+     */
+    saveProfile(name, mapping, options = {}) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Profile name is required');
+        }
+        this.validateMapping(mapping);
+        const profile = {
+            name: trimmed,
+            mapping: { ...mapping },
+            options: { dateFormat: options.dateFormat || 'auto', currency: options.currency || '' },
+            updatedAt: new Date().toISOString()
+        };
+        this.profiles = this.profiles.filter(p => p.name !== trimmed).concat(profile);
+        this.saveProfiles();
+        return profile;
+    }
+
+    deleteProfile(name) {
+        this.profiles = this.profiles.filter(profile => profile.name !== name);
+        this.saveProfiles();
+    }
+
+    /**
+     * Profile whose mapped columns are all in a file, preferring the one mapping the most columns
+     * @param {Array<string>} headers - The file's headers
+     */
+    findProfile(headers) {
+        const available = new Set(headers);
+        return this.profiles
+            .filter(profile => Object.values(profile.mapping).every(header => available.has(header)))
+            .sort((a, b) => Object.keys(b.mapping).length - Object.keys(a.mapping).length)[0] || null;
+    }
+
+    // ========== Parsing ==========
+
+    /**
+     * Split a delimited file into its header and rows
+     * @returns {Object} { headers, rows: [{ line, cells }] }
+     */
+    parse(content) {
+        if (typeof content !== 'string' || content.trim() === '') {
+            throw new Error('The selected file is empty');
+        }
+        const lines = content.replace(/^\uFEFF/, '').split(/\r\n|\n|\r/);
+        const headerIndex = lines.findIndex(line => line.trim() !== '');
+        const headerLine = lines[headerIndex];
+        const delimiter = [',', ';', '\t'].reduce((best, d) =>
+            headerLine.split(d).length > headerLine.split(best).length ? d : best, ',');
+        const headers = this.csv.splitCSVLine(headerLine, delimiter);
+
+        const rows = [];
+        for (let i = headerIndex + 1; i < lines.length; i++) {
+            if (lines[i].trim() === '') continue;
+            const cells = this.csv.splitCSVLine(lines[i], delimiter);
+            // Brokers often end a statement with totals or disclaimers in the first column only
+            if (cells.filter(cell => cell !== '').length < 2) continue;
+            rows.push({ line: i + 1, cells });
+        }
+        if (rows.length === 0) {
+            throw new Error('The CSV file has no data rows');
+        }
+
+        return { headers, rows };
+    }
+
+    /**
+     * Guess each field's column from the header names
+     * @returns {Object} { field: header }
+     */
+    guessMapping(headers) {
+        const normalized = headers.map(header => this.normalizeText(header));
+        const mapping = {};
+        Object.entries(this.columnAliases).forEach(([field, aliases]) => {
+            // Earlier aliases win, so "Action" is preferred to "Description"
+            const alias = aliases.find(a => normalized.includes(a) && !Object.values(mapping).includes(headers[normalized.indexOf(a)]));
+            if (alias) mapping[field] = headers[normalized.indexOf(alias)];
+        });
+        return mapping;
+    }
+
+    /**
+     * A file needs a quantity (with symbol and price for trades) or an amount (cash entries)
+     */
+    validateMapping(mapping) {
+        if (mapping.amount) return;
+        const missing = ['symbol', 'quantity', 'price'].filter(field => !mapping[field]);
+        if (missing.length > 0) {
+            throw new Error(`Map a column for: ${missing.map(field => this.fields[field]).join(', ')} (or an Amount column for cash entries)`);
+        }
+    }
+
+    normalizeText(value) {
+        return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Transaction type for a broker's action text
+     * @returns {string|null} Ledger type, or null if not recognized
+     */
+    parseAction(value) {
+        const text = this.normalizeText(value);
+        if (!text) return null;
+        const types = Object.keys(this.actionAliases);
+        const exact = types.find(type => this.actionAliases[type].includes(text));
+        if (exact) return exact;
+        return types.find(type => this.actionAliases[type].some(alias => alias.length >= 4 && text.includes(alias))) || null;
+    }
+
+    /**
+     * Parse a numeric cell: thousands separators, currency signs and (parentheses) for negatives
+     * @returns {number} NaN when blank or not a number
+     */
+    parseNumber(value) {
+        let text = String(value === undefined || value === null ? '' : value).trim();
+        const negative = /^\(.*\)$/.test(text);
+        text = text.replace(/[()\s,$€£¥]/g, '').replace(/^[A-Z]{3}/, '');
+        if (text === '' || text === '-' || text === '--') return NaN;
+        const number = Number(text);
+        return negative ? -number : number;
+    }
+
+    /**
+     * Normalize a date cell to YYYY-MM-DD
+     * @param {string} format - 'auto', 'mdy' or 'dmy'; ISO dates are read in any format
+     * @returns {string|null} ISO date, or null if it cannot be parsed
+     */
+    parseDate(value, format = 'auto') {
+        const text = String(value || '').trim().replace(/\s+as of.*$/i, '');
+        if (!text) return null;
+        if (/^\d{4}[-/.]?\d{1,2}[-/.]?\d{1,2}/.test(text)) return this.csv.parseDate(text);
+
+        const match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/);
+        if (match) {
+            let [, first, second, y] = match.map(Number);
+            if (y < 100) y += 2000;
+            const dayFirst = format === 'dmy' || (format === 'auto' && first > 12);
+            const [m, d] = dayFirst ? [second, first] : [first, second];
+            const date = new Date(Date.UTC(y, m - 1, d));
+            if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+                return null;
+            }
+            return date.toISOString().split('T')[0];
+        }
+
+        // Named months ("Jan 15, 2024"); read in local time so the day does not shift
+        const parsed = new Date(text);
+        if (isNaN(parsed)) return null;
+        return new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate())).toISOString().split('T')[0];
+    }
+
+    /**
+     * Build a ledger entry from one row
+     * Quantities and amounts are taken as magnitudes; without an action column a negative
+     * quantity is a sale and a positive one a purchase (as in a positions file).
+     * @param {Object} row - { line, cells }
+     * @param {Object} columns - { field: column index }
+     * @param {Object} options - { dateFormat, currency, defaultDate, fileName }
+     * @returns {Object} Entry for TransactionLedger.normalize
+     */
+    mapRow(row, columns, options = {}) {
+        const cell = field => (columns[field] === undefined ? '' : row.cells[columns[field]] || '');
+        const quantity = this.parseNumber(cell('quantity'));
+        const price = this.parseNumber(cell('price'));
+        const amount = this.parseNumber(cell('amount'));
+        const fees = this.parseNumber(cell('fees'));
+
+        let type;
+        if (columns.action !== undefined) {
+            type = this.parseAction(cell('action'));
+            if (!type) {
+                throw new Error(`Unrecognized action "${cell('action')}"`);
+            }
+        } else if (!isNaN(quantity)) {
+            type = quantity < 0 ? 'sell' : 'buy';
+        } else {
+            type = amount < 0 ? 'withdrawal' : 'deposit';
+        }
+
+        let date = options.defaultDate || new Date().toISOString().split('T')[0];
+        if (columns.date !== undefined) {
+            date = this.parseDate(cell('date'), options.dateFormat);
+            if (!date) {
+                throw new Error(`Cannot read the date "${cell('date')}"`);
+            }
+        }
+
+        const symbol = cell('symbol').toUpperCase();
+        if (symbol && !this.symbolPattern.test(symbol)) {
+            throw new Error(`Invalid symbol "${cell('symbol')}"`);
+        }
+
+        const entry = {
+            type,
+            date,
+            symbol,
+            currency: cell('currency') || options.currency || undefined,
+            notes: options.fileName ? `Imported from ${options.fileName}` : 'Imported'
+        };
+        if (type === 'buy' || type === 'sell') {
+            entry.quantity = Math.abs(quantity);
+            entry.price = Math.abs(price);
+            if (isNaN(entry.price) && amount && entry.quantity) {
+                entry.price = Math.abs(amount) / entry.quantity;
+            }
+            entry.fees = isNaN(fees) ? 0 : Math.abs(fees);
+        } else {
+            // Cash rows: the amount column, else quantity times price, else the price alone
+            entry.amount = Math.abs(!isNaN(amount) ? amount
+                : !isNaN(quantity) && !isNaN(price) ? quantity * price
+                    : price);
+        }
+        return entry;
+    }
+
+    // ========== Preview & Import ==========
+
+    /**
+     * Key used to spot a row that is already in the portfolio
+     */
+    duplicateKey(t) {
+        const n = value => (value === undefined ? '' : Number(value).toFixed(6));
+        return [t.type, t.date, t.symbol || '', n(t.quantity), n(t.price), n(t.amount)].join('|');
+    }
+
+    /**
+     * Map and check every row against a portfolio without changing it
+     * A row is a duplicate when the portfolio already has a matching active transaction (same type,
+     * date, symbol, quantity and price or amount); each existing transaction matches one row only.
+     * Rows with a symbol manual entry would refuse or a currency without exchange rates are errors,
+     * as are rows that would oversell a holding or mix currencies once added.
+     * @param {Object} parsed - From parse
+     * @param {Object} mapping - { field: header }
+     * @param {PortfolioStore} store - Portfolio the rows would be added to
+     * @param {Object} options - See mapRow
+     * @returns {Object} { rows: [{ line, status, message, transaction }], counts: { ok, duplicate, error } }
+     */
+    preview(parsed, mapping, store, options = {}) {
+        this.validateMapping(mapping);
+        const columns = {};
+        Object.entries(mapping).forEach(([field, header]) => {
+            const index = parsed.headers.indexOf(header);
+            if (header && index === -1) {
+                throw new Error(`Column "${header}" is not in this file`);
+            }
+            if (header) columns[field] = index;
+        });
+
+        const existing = new Map();
+        store.ledger.activeTransactions().forEach(t => {
+            const key = this.duplicateKey(t);
+            existing.set(key, (existing.get(key) || 0) + 1);
+        });
+
+        const currencies = store.fx.currencies();
+        const rows = parsed.rows.map(row => {
+            try {
+                const entry = this.mapRow(row, columns, options);
+                const transaction = store.ledger.normalize(entry);
+                if (!currencies.includes(transaction.currency)) {
+                    throw new Error(`Unknown currency "${transaction.currency}"`);
+                }
+                const key = this.duplicateKey(transaction);
+                if (existing.get(key) > 0) {
+                    existing.set(key, existing.get(key) - 1);
+                    return { line: row.line, status: 'duplicate', message: 'Already in the portfolio', transaction };
+                }
+                return { line: row.line, status: 'ok', message: '', transaction };
+            } catch (error) {
+                return { line: row.line, status: 'error', message: error.message, transaction: null };
+            }
+        });
+
+        // Replay the additions with the ledger; when that fails, add them one at a time in
+        // date order to find the rows at fault
+        const current = store.ledger.getTransactions();
+        const candidates = rows.filter(row => row.status === 'ok');
+        try {
+            store.ledger.replay([...current, ...candidates.map(row => row.transaction)]);
+        } catch (error) {
+            const accepted = [];
+            candidates
+                .slice()
+                .sort((a, b) => (a.transaction.date < b.transaction.date ? -1 : a.transaction.date > b.transaction.date ? 1 : a.line - b.line))
+                .forEach(row => {
+                    try {
+                        store.ledger.replay([...current, ...accepted, row.transaction]);
+                        accepted.push(row.transaction);
+                    } catch (rowError) {
+                        row.status = 'error';
+                        row.message = rowError.message;
+                    }
+                });
+        }
+
+        const counts = { ok: 0, duplicate: 0, error: 0 };
+        rows.forEach(row => { counts[row.status]++; });
+        return { rows, counts };
+    }
+
+    /**
+     * Add a preview's ok rows to the portfolio in one step; the first buy of a symbol seeds its quote
+     * @returns {number} Number of transactions recorded
+     */
+    commit(store, preview) {
+        const transactions = preview.rows.filter(row => row.status === 'ok').map(row => row.transaction);
+        if (transactions.length === 0) {
+            throw new Error('There are no rows to import');
+        }
+        store.appendTransactions(transactions);
+        transactions
+            .filter(t => t.type === 'buy')
+            .forEach(t => store.seedQuote(t.symbol, { price: t.price }));
+        store.save();
+        return transactions.length;
+    }
+}
+
+// Export for use in other modules
+window.BrokerImport = BrokerImport;
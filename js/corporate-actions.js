@@ -0,0 +1,203 @@
+/**
+ * Corporate Actions Module
+ * Cash dividends, stock splits and reverse splits: parsing, back-adjustment of price
+ * series for backtests, and posting of dividend cash and share changes to the transaction ledger
+ */
+
+class CorporateActions {
+    constructor() {
+        this.types = {
+            dividend: 'Cash dividend',
+            split: 'Stock split',
+            reverseSplit: 'Reverse split'
+        };
+    }
+
+    /**
+     * Parse a split ratio as new shares per old share
+     * Accepts "4:1", "4/1", "4-for-1", "1:10" or a plain number (4 for a 4-for-1 split).
+     * @returns {number} Ratio, or NaN when it cannot be read
+     */
+    parseRatio(value) {
+        if (typeof value === 'number') return value > 0 ? value : NaN;
+        const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+        const match = text.match(/^(\d*\.?\d+)\s*(?::|\/|-?\s*for\s*-?)\s*(\d*\.?\d+)$/);
+        if (match) {
+            const ratio = Number(match[1]) / Number(match[2]);
+            return ratio > 0 && isFinite(ratio) ? ratio : NaN;
+        }
+        const number = Number(text);
+        return text !== '' && number > 0 ? number : NaN;
+    }
+
+    /**
+     * Validate an action and fill in its type from the ratio
+     * @param {Object} action - { symbol, date (ex-date, YYYY-MM-DD), type: 'dividend'|'split'|'reverseSplit', amount, ratio }
+     * @returns {Object} { id, symbol, date, type, amount } or { id, symbol, date, type, ratio }
+     */
+    normalize(action = {}) {
+        const date = String(action.date || '').trim();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+            throw new Error(`Corporate action needs an ex-date as YYYY-MM-DD, got "${action.date}"`);
+        }
+
+        const symbol = String(action.symbol || '').trim().toUpperCase();
+        const makeId = (type, value) => action.id || `${symbol}-${date}-${type}-${Number(value.toFixed(6))}`;
+
+        if (action.type === 'dividend') {
+            const amount = Number(action.amount);
+            if (!(amount > 0) || !isFinite(amount)) {
+                throw new Error(`Dividend on ${date} needs a positive cash amount per share`);
+            }
+            return { id: makeId('dividend', amount), symbol, date, type: 'dividend', amount };
+        }
+
+        if (action.type === 'split' || action.type === 'reverseSplit') {
+            let ratio = this.parseRatio(action.ratio);
+            if (!(ratio > 0) || ratio === 1) {
+                throw new Error(`Split on ${date} needs a ratio such as 4:1 or 1:10`);
+            }
+            // "Reverse split 10:1" means ten old shares become one
+            if (action.type === 'reverseSplit' && ratio > 1) ratio = 1 / ratio;
+            const type = ratio > 1 ? 'split' : 'reverseSplit';
+            return { id: makeId(type, ratio), symbol, date, type, ratio };
+        }
+
+        throw new Error(`Unknown corporate action type: ${action.type}`);
+    }
+
+    /**
+     * Parse a free-text list such as "2020-08-31 split 4:1, 2023-11-10 dividend 0.24"
+     * Entries are separated by commas, semicolons or line breaks.
+     * @param {string} text - Action list
+     * @param {string} symbol - Symbol the actions belong to
+     * @returns {Array} Normalized actions
+     */
+    parseList(text, symbol = '') {
+        return String(text || '')
+            .split(/[,;\n]/)
+            .map(entry => entry.trim())
+            .filter(entry => entry.length > 0)
+            .map(entry => {
+                const match = entry.match(/^(\d{4}-\d{2}-\d{2})\s+(dividend|div|reverse\s*split|split)\s+(\S+)$/i);
+                if (!match) {
+                    throw new Error(`Cannot read corporate action "${entry}"; use e.g. "2020-08-31 split 4:1"`);
+                }
+                const kind = match[2].toLowerCase().replace(/\s+/g, '');
+                const type = kind === 'div' || kind === 'dividend' ? 'dividend' : kind === 'reversesplit' ? 'reverseSplit' : 'split';
+                return this.normalize({
+                    symbol,
+                    date: match[1],
+                    type,
+                    amount: type === 'dividend' ? match[3].replace(/^\$/, '') : undefined,
+                    ratio: type === 'dividend' ? undefined : match[3]
+                });
+            });
+    }
+
+    /**
+     * Merge action lists, dropping duplicates and sorting by ex-date
+     */
+    merge(...lists) {
+        const byId = new Map();
+        lists.flat().forEach(action => byId.set(action.id, action));
+        return [...byId.values()].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    }
+
+    /**
+     * Short label, e.g. "4-for-1 split" or "$0.24 dividend"
+     */
+    describe(action) {
+        if (action.type === 'dividend') {
+            const digits = Number(action.amount.toFixed(2)) === action.amount ? 2 : 4;
+            return `$${action.amount.toFixed(digits)} dividend`;
+        }
+        const format = value => Number(value.toFixed(4)).toString();
+        return action.ratio > 1
+            ? `${format(action.ratio)}-for-1 split`
+            : `1-for-${format(1 / action.ratio)} reverse split`;
+    }
+
+    /**
+     * Back-adjust a daily series so splits and (optionally) dividends do not show up as price jumps
+     * Bars before each ex-date are scaled; the last bar keeps its traded price. Split adjustment
+     * multiplies volume by the ratio so share counts stay comparable.
+     * @param {Array} data - OHLCV bars in date order
+     * @param {Array} actions - Normalized actions for the series' symbol
+     * @param {string} mode - 'total' (splits and dividends), 'splits' or 'none'
+     * @returns {Object} { data, applied } with a new bar array and the actions that fell inside it
+     */
+    adjustSeries(data, actions = [], mode = 'total') {
+        if (mode === 'none' || data.length < 2) return { data, applied: [] };
+
+        const applied = this.merge(actions).filter(action => action.date > data[0].date && action.date <= data[data.length - 1].date &&
+            (action.type !== 'dividend' || mode === 'total'));
+        if (applied.length === 0) return { data, applied };
+
+        // Walk backwards accumulating price and volume factors
+        const adjusted = new Array(data.length);
+        let priceFactor = 1;
+        let volumeFactor = 1;
+        let next = applied.length - 1;
+
+        for (let i = data.length - 1; i >= 0; i--) {
+            const bar = data[i];
+            adjusted[i] = {
+                ...bar,
+                open: bar.open * priceFactor,
+                high: bar.high * priceFactor,
+                low: bar.low * priceFactor,
+                close: bar.close * priceFactor,
+                volume: bar.volume * volumeFactor
+            };
+
+            // Actions going ex between bar i-1 and bar i apply to everything before bar i
+            while (next >= 0 && i > 0 && applied[next].date > data[i - 1].date && applied[next].date <= bar.date) {
+                const action = applied[next];
+                if (action.type === 'dividend') {
+                    const prevClose = data[i - 1].close;
+                    if (action.amount < prevClose) priceFactor *= 1 - action.amount / prevClose;
+                } else {
+                    priceFactor /= action.ratio;
+                    volumeFactor *= action.ratio;
+                }
+                next--;
+            }
+        }
+
+        adjusted.forEach((bar, i) => {
+            bar.returns = i > 0 ? (bar.close - adjusted[i - 1].close) / adjusted[i - 1].close : 0;
+        });
+
+        return { data: adjusted, applied };
+    }
+
+    /**
+     * Post actions to a transaction ledger: dividends as cash on the shares held before the
+     * ex-date, splits as a share-count change. Actions already posted (by id) are skipped,
+     * and nothing is posted for a symbol that was not held going into the ex-date.
+     * @param {TransactionLedger} ledger - Ledger to append to
+     * @param {Array} actions - Normalized actions
+     * @param {string} asOf - Post actions with an ex-date up to this date (YYYY-MM-DD)
+     * @returns {Array} Recorded transactions
+     */
+    postToLedger(ledger, actions = [], asOf = new Date().toISOString().split('T')[0]) {
+        const posted = [];
+
+        this.merge(actions)
+            .filter(action => action.date <= asOf && !ledger.hasAction(action.id))
+            .forEach(action => {
+                const quantity = ledger.quantityBefore(action.symbol, action.date);
+                if (quantity <= 0) return;
+
+                posted.push(ledger.record(action.type === 'dividend'
+                    ? { type: 'dividend', date: action.date, symbol: action.symbol, amount: quantity * action.amount, actionId: action.id, notes: this.describe(action) }
+                    : { type: 'split', date: action.date, symbol: action.symbol, ratio: action.ratio, actionId: action.id, notes: this.describe(action) }));
+            });
+
+        return posted;
+    }
+}
+
+// Export for use in other modules
+window.CorporateActions = CorporateActions;
@@ -0,0 +1,184 @@
+/**
+ * FX Rates Module
+ * Exchange rates for valuing holdings in a base currency. Rates are kept as units of each
+ * currency per US dollar, dated, and converted through the dollar for any other pair.
+ *
+ * Rates come from a pluggable source (any object with async getRates(date), see
+ * FrankfurterRateSource). Fetched rates are saved in localStorage; when a source is not set,
+ * fails or does not quote a currency, the offline table below is used instead.
+ */
+
+class FxRates {
+    /**
+     * @param {Object} source - Optional rate source: { name, historical, async getRates(date) }
+     *        where getRates resolves to { base, date, rates: { currency: units per base unit } } and
+     *        historical says whether past dates can be requested
+     */
+    constructor(source = null) {
+        this.storageKey = 'fxRateHistory';
+        this.source = source;
+        // Approximate units per USD, used when no fetched rate is available
+        this.offlineRates = {
+            USD: 1,
+            EUR: 0.92,
+            GBP: 0.79,
+            JPY: 150,
+            CNY: 7.2,
+            HKD: 7.8,
+            CAD: 1.36,
+            AUD: 1.52,
+            CHF: 0.88,
+            SGD: 1.34,
+            INR: 83,
+            KRW: 1350
+        };
+        this.history = {};
+        this.dates = [];
+        this.load();
+    }
+
+    // ========== Storage ==========
+
+    load() {
+        try {
+            this.history = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Error loading exchange rates:', error);
+            this.history = {};
+        }
+        this.dates = Object.keys(this.history).sort();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+            return true;
+        } catch (error) {
+            console.error('Error saving exchange rates:', error);
+            return false;
+        }
+    }
+
+    // ========== Rate Source ==========
+
+    setSource(source) {
+        this.source = source;
+    }
+
+    /**
+     * Keep rates for a date
+     * @param {string} date - YYYY-MM-DD
+     * @param {Object} rates - { currency: units per base unit }
+     * @param {string} base - Currency the rates are quoted against (defaults to USD)
+     */
+    addRates(date, rates, base = 'USD') {
+        const perBase = { ...rates, [base]: 1 };
+        const usd = perBase.USD;
+        if (!(usd > 0)) {
+            throw new Error(`Rates against ${base} need a USD rate`);
+        }
+        const unitsPerUsd = {};
+        Object.entries(perBase).forEach(([currency, rate]) => {
+            if (rate > 0 && isFinite(rate)) unitsPerUsd[currency.toUpperCase()] = rate / usd;
+        });
+        this.history[date] = { ...(this.history[date] || {}), ...unitsPerUsd };
+        this.dates = Object.keys(this.history).sort();
+    }
+
+    /**
+     * Fetch rates for dates not fetched yet; a source that is not historical is asked only
+     * for today. Failures are logged and leave the stored or offline rates in use.
+     * @param {Array} dates - YYYY-MM-DD dates (defaults to today)
+     * @returns {Promise<number>} Number of dates fetched
+     */
+    async refresh(dates = [new Date().toISOString().split('T')[0]]) {
+        if (!this.source) return 0;
+        const today = new Date().toISOString().split('T')[0];
+        const wanted = [...new Set(dates)]
+            .filter(date => !this.history[date] || date === today)
+            .filter(date => this.source.historical || date === today);
+
+        let fetched = 0;
+        for (const date of wanted) {
+            try {
+                const result = await this.source.getRates(date);
+                this.addRates(date, result.rates, result.base || 'USD');
+                fetched++;
+            } catch (error) {
+                console.warn(`Exchange rates for ${date} unavailable, using stored rates:`, error.message);
+            }
+        }
+        if (fetched > 0) this.save();
+        return fetched;
+    }
+
+    // ========== Conversion ==========
+
+    /**
+     * Currencies with a rate, fetched or offline
+     */
+    currencies() {
+        const known = new Set(Object.keys(this.offlineRates));
+        this.dates.forEach(date => Object.keys(this.history[date]).forEach(currency => known.add(currency)));
+        return [...known].sort();
+    }
+
+    /**
+     * Units of a currency per USD on a date: the latest fetched rate on or before it,
+     * else the offline rate
+     */
+    unitsPerUsd(currency, date = new Date().toISOString().split('T')[0]) {
+        // Binary search for the last stored date on or before the date
+        let low = 0;
+        let high = this.dates.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.dates[mid] <= date) low = mid + 1;
+            else high = mid;
+        }
+        for (let i = low - 1; i >= 0; i--) {
+            const rate = this.history[this.dates[i]][currency];
+            if (rate > 0) return rate;
+        }
+        if (this.offlineRates[currency] > 0) return this.offlineRates[currency];
+        throw new Error(`No exchange rate for ${currency}`);
+    }
+
+    /**
+     * Units of one currency bought by one unit of another
+     */
+    getRate(from, to, date = new Date().toISOString().split('T')[0]) {
+        if (from === to) return 1;
+        return this.unitsPerUsd(to, date) / this.unitsPerUsd(from, date);
+    }
+
+    convert(amount, from, to, date = new Date().toISOString().split('T')[0]) {
+        return amount * this.getRate(from, to, date);
+    }
+}
+
+/**
+ * Daily reference rates from the European Central Bank via the Frankfurter API
+ * (no key needed; weekends and holidays resolve to the previous business day)
+ */
+class FrankfurterRateSource {
+    constructor(baseUrl = 'https://api.frankfurter.app') {
+        this.name = 'Frankfurter (ECB)';
+        this.historical = true;
+        this.baseUrl = baseUrl;
+    }
+
+    async getRates(date) {
+        const today = new Date().toISOString().split('T')[0];
+        const response = await fetch(`${this.baseUrl}/${date && date < today ? date : 'latest'}?from=USD`);
+        if (!response.ok) {
+            throw new Error(`Rate request failed: ${response.status}`);
+        }
+        const data = await response.json();
+        return { base: data.base, date: data.date, rates: data.rates };
+    }
+}
+
+// Export for use in other modules
+window.FxRates = FxRates;
+window.FrankfurterRateSource = FrankfurterRateSource;
@@ -0,0 +1,410 @@
+/**
+ * Historical Data Loader Module
+ * Parses user-supplied daily OHLCV files (CSV or JSON) and validates them for backtesting
+ */
+
+class HistoricalDataLoader {
+    constructor() {
+        // Accepted header spellings, normalized to lowercase without spaces, dashes or underscores
+        this.columnAliases = {
+            date: ['date', 'datetime', 'timestamp', 'time', 'day'],
+            open: ['open', 'o', 'openprice'],
+            high: ['high', 'h', 'highprice'],
+            low: ['low', 'l', 'lowprice'],
+            close: ['close', 'c', 'closeprice', 'last', 'price'],
+            volume: ['volume', 'vol', 'v'],
+            adjClose: ['adjclose', 'adjustedclose', 'adjclosing', 'adjcloseprice'],
+            dividends: ['dividends', 'dividend', 'div', 'cashdividend', 'dividendamount'],
+            splits: ['stocksplits', 'stocksplit', 'splits', 'split', 'splitratio', 'splitfactor']
+        };
+        this.requiredColumns = ['date', 'open', 'high', 'low', 'close'];
+        this.maxReportedIssues = 50;
+    }
+
+    /**
+     * Parse and validate a data file
+     * @param {string} content - File contents
+     * @param {Object} options - Load options
+     * @param {string} options.format - 'csv' or 'json'; detected from fileName or content when omitted
+     * @param {string} options.fileName - Original file name, used for format and symbol detection
+     * @param {boolean} options.adjust - Scale OHLC by adj close / close when adj close is present (default true)
+     * @returns {Object} { data, report }; report.corporateActions lists dividends and splits found in the file
+     */
+    load(content, options = {}) {
+        if (typeof content !== 'string' || content.trim() === '') {
+            throw new Error('The selected file is empty');
+        }
+
+        const format = options.format || this.detectFormat(content, options.fileName);
+        const parsed = format === 'json' ? this.parseJSON(content) : this.parseCSV(content);
+        const result = this.validate(parsed.rows, { adjust: options.adjust !== false });
+
+        result.report = {
+            source: 'file',
+            fileName: options.fileName || null,
+            format: format,
+            symbol: parsed.symbol || this.symbolFromFileName(options.fileName),
+            ...result.report
+        };
+        const corporateActions = new CorporateActions();
+        result.report.corporateActions = result.report.corporateActions.reduce((actions, action) => {
+            try {
+                actions.push(corporateActions.normalize({ ...action, symbol: result.report.symbol }));
+            } catch (error) {
+                result.report.warnings.push(error.message);
+            }
+            return actions;
+        }, []);
+
+        return result;
+    }
+
+    /**
+     * Guess the file format from its name or first character
+     */
+    detectFormat(content, fileName) {
+        if (fileName && /\.json$/i.test(fileName)) return 'json';
+        if (fileName && /\.(csv|txt|tsv)$/i.test(fileName)) return 'csv';
+        const first = content.trim()[0];
+        return first === '[' || first === '{' ? 'json' : 'csv';
+    }
+
+    /**
+     * Use the file name (without extension) as a symbol, e.g. "AAPL.csv" -> "AAPL"
+     */
+    symbolFromFileName(fileName) {
+        if (!fileName) return null;
+        const base = fileName.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+        return /^[A-Za-z0-9.^=-]{1,15}$/.test(base) ? base.toUpperCase() : null;
+    }
+
+    /**
+     * Parse delimited text with a header row
+     * @returns {Object} { rows: [{ line, values: { field: raw } }] }
+     */
+    parseCSV(content) {
+        const lines = content.replace(/^\uFEFF/, '').split(/\r\n|\n|\r/);
+        const headerIndex = lines.findIndex(line => line.trim() !== '');
+        if (headerIndex === -1) {
+            throw new Error('The CSV file has no header row');
+        }
+
+        const headerLine = lines[headerIndex];
+        const delimiter = [',', ';', '\t'].reduce((best, d) =>
+            headerLine.split(d).length > headerLine.split(best).length ? d : best, ',');
+        const columns = this.mapColumns(this.splitCSVLine(headerLine, delimiter));
+
+        const rows = [];
+        for (let i = headerIndex + 1; i < lines.length; i++) {
+            if (lines[i].trim() === '') continue;
+            const cells = this.splitCSVLine(lines[i], delimiter);
+            const values = {};
+            for (const [field, column] of Object.entries(columns)) {
+                values[field] = cells[column.index];
+            }
+            rows.push({ line: i + 1, values });
+        }
+
+        return { rows };
+    }
+
+    /**
+     * Split one CSV line, honouring double-quoted fields
+     */
+    splitCSVLine(line, delimiter) {
+        const cells = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        cells.push(current.trim());
+
+        return cells;
+    }
+
+    /**
+     * Parse a JSON array of bars, or an object wrapping one ({ symbol, data|bars|prices: [...] })
+     * @returns {Object} { rows, symbol }
+     */
+    parseJSON(content) {
+        let json;
+        try {
+            json = JSON.parse(content);
+        } catch (error) {
+            throw new Error('Invalid JSON: ' + error.message);
+        }
+
+        let bars = json;
+        let symbol = null;
+        if (!Array.isArray(json)) {
+            bars = json.data || json.bars || json.prices || json.historicalData;
+            symbol = json.symbol || null;
+        }
+        if (!Array.isArray(bars) || bars.length === 0) {
+            throw new Error('JSON file must contain an array of daily bars');
+        }
+
+        const columns = this.mapColumns(Object.keys(bars.find(b => b && typeof b === 'object') || {}));
+        const rows = bars.map((bar, i) => {
+            const values = {};
+            for (const [field, column] of Object.entries(columns)) {
+                values[field] = bar ? bar[column.key] : undefined;
+            }
+            return { line: i + 1, values };
+        });
+
+        return { rows, symbol: symbol ? String(symbol).toUpperCase() : null };
+    }
+
+    /**
+     * Map canonical field names to the source's columns
+     * @param {Array<string>} headers - Header names in file order
+     * @returns {Object} { field: { index, key } }
+     */
+    mapColumns(headers) {
+        const columns = {};
+        headers.forEach((header, index) => {
+            const normalized = String(header).toLowerCase().replace(/[\s_\-*.]/g, '');
+            for (const [field, aliases] of Object.entries(this.columnAliases)) {
+                if (!columns[field] && aliases.includes(normalized)) {
+                    columns[field] = { index, key: header };
+                }
+            }
+        });
+
+        const missing = this.requiredColumns.filter(field => !columns[field]);
+        if (missing.length > 0) {
+            throw new Error(`Missing required column(s): ${missing.join(', ')}`);
+        }
+
+        return columns;
+    }
+
+    /**
+     * Normalize a date value to YYYY-MM-DD
+     * @returns {string|null} ISO date, or null if it cannot be parsed
+     */
+    parseDate(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        if (typeof value === 'number') {
+            // Unix timestamps in seconds or milliseconds
+            const ms = value < 1e11 ? value * 1000 : value;
+            const date = new Date(ms);
+            return isNaN(date) ? null : date.toISOString().split('T')[0];
+        }
+
+        const text = String(value).trim();
+        let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+        if (!match) {
+            match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+        }
+        if (match) {
+            const [, y, m, d] = match.map(Number);
+            const date = new Date(Date.UTC(y, m - 1, d));
+            if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+                return null;
+            }
+            return date.toISOString().split('T')[0];
+        }
+
+        const parsed = Date.parse(text);
+        return isNaN(parsed) ? null : new Date(parsed).toISOString().split('T')[0];
+    }
+
+    /**
+     * Parse a numeric cell, tolerating thousands separators
+     */
+    parseNumber(value) {
+        if (typeof value === 'number') return value;
+        if (value === undefined || value === null) return NaN;
+        const text = String(value).trim().replace(/,/g, '');
+        return text === '' ? NaN : Number(text);
+    }
+
+    /**
+     * Validate parsed rows and build the cleaned, date-sorted series
+     * @returns {Object} { data, report }
+     */
+    validate(rows, options = {}) {
+        const invalidRows = [];
+        const warnings = [];
+        const byDate = new Map();
+        const duplicates = [];
+        const corporateActions = [];
+        let ohlcIssues = 0;
+        let adjusted = false;
+        let sorted = true;
+        let previousDate = null;
+
+        for (const row of rows) {
+            const v = row.values;
+            const date = this.parseDate(v.date);
+            const bar = {
+                open: this.parseNumber(v.open),
+                high: this.parseNumber(v.high),
+                low: this.parseNumber(v.low),
+                close: this.parseNumber(v.close),
+                volume: v.volume === undefined || v.volume === '' ? 0 : this.parseNumber(v.volume)
+            };
+
+            if (!date) {
+                invalidRows.push({ line: row.line, reason: `Unrecognized date "${v.date}"` });
+                continue;
+            }
+            const badField = ['open', 'high', 'low', 'close'].find(f => !isFinite(bar[f]) || bar[f] <= 0);
+            if (badField) {
+                invalidRows.push({ line: row.line, reason: `Invalid ${badField} price on ${date}` });
+                continue;
+            }
+            if (!isFinite(bar.volume) || bar.volume < 0) {
+                invalidRows.push({ line: row.line, reason: `Invalid volume on ${date}` });
+                continue;
+            }
+
+            if (bar.high < Math.max(bar.open, bar.close, bar.low) || bar.low > Math.min(bar.open, bar.close)) {
+                ohlcIssues++;
+                if (ohlcIssues <= this.maxReportedIssues) {
+                    warnings.push(`Line ${row.line} (${date}): high/low do not bracket open/close`);
+                }
+            }
+
+            const adjClose = v.adjClose === undefined ? NaN : this.parseNumber(v.adjClose);
+            if (options.adjust && isFinite(adjClose) && adjClose > 0 && adjClose !== bar.close) {
+                const factor = adjClose / bar.close;
+                bar.open *= factor;
+                bar.high *= factor;
+                bar.low *= factor;
+                bar.close = adjClose;
+                bar.volume = bar.volume / factor;
+                adjusted = true;
+            }
+
+            if (previousDate && date < previousDate) {
+                sorted = false;
+            }
+            previousDate = date;
+
+            if (byDate.has(date)) {
+                duplicates.push({ date, lines: [byDate.get(date).line, row.line] });
+                continue;
+            }
+
+            // Dividend and split columns are zero or empty on ordinary days
+            const dividend = this.parseNumber(v.dividends);
+            if (dividend > 0) {
+                corporateActions.push({ date, type: 'dividend', amount: dividend });
+            }
+            const split = v.splits === undefined ? '' : String(v.splits).trim();
+            if (split !== '' && split !== '0' && this.parseNumber(split) !== 1 && this.parseNumber(split) !== 0) {
+                corporateActions.push({ date, type: 'split', ratio: split });
+            }
+            byDate.set(date, { line: row.line, date, ...bar });
+        }
+
+        const data = [...byDate.values()]
+            .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+            .map(({ line, ...bar }) => bar);
+
+        data.forEach((bar, i) => {
+            bar.returns = i > 0 ? (bar.close - data[i - 1].close) / data[i - 1].close : 0;
+        });
+
+        const { gaps, holidayGaps } = this.findGaps(data);
+
+        if (data.length < 2) {
+            throw new Error(`Only ${data.length} valid row(s) found; at least 2 are needed`);
+        }
+        if (!sorted) {
+            warnings.unshift('Rows were not in date order and have been sorted');
+        }
+        if (adjusted) {
+            warnings.unshift('Prices were adjusted using the adj close column');
+        }
+        if (ohlcIssues > this.maxReportedIssues) {
+            warnings.push(`${ohlcIssues - this.maxReportedIssues} more high/low inconsistencies not shown`);
+        }
+
+        const splitDates = new Set(corporateActions.filter(action => action.type === 'split').map(action => action.date));
+        const extremeMoves = data.filter(bar => Math.abs(bar.returns) > 0.4 && !splitDates.has(bar.date));
+        extremeMoves.slice(0, 10).forEach(bar => {
+            warnings.push(`${bar.date}: close moved ${(bar.returns * 100).toFixed(1)}% (possible split or bad tick)`);
+        });
+
+        return {
+            data,
+            report: {
+                totalRows: rows.length,
+                validRows: data.length,
+                startDate: data[0].date,
+                endDate: data[data.length - 1].date,
+                invalidRows: invalidRows.slice(0, this.maxReportedIssues),
+                invalidCount: invalidRows.length,
+                duplicates: duplicates.slice(0, this.maxReportedIssues),
+                duplicateCount: duplicates.length,
+                gaps: gaps,
+                holidayGaps: holidayGaps,
+                adjusted: adjusted,
+                corporateActions: corporateActions,
+                warnings: warnings
+            }
+        };
+    }
+
+    /**
+     * Find missing weekdays between consecutive bars
+     * Single missing weekdays are counted as probable exchange holidays rather than gaps.
+     * @returns {Object} { gaps: [{ from, to, missingWeekdays }], holidayGaps }
+     */
+    findGaps(data) {
+        const gaps = [];
+        let holidayGaps = 0;
+
+        for (let i = 1; i < data.length; i++) {
+            const missing = this.countWeekdaysBetween(data[i - 1].date, data[i].date);
+            if (missing === 1) {
+                holidayGaps++;
+            } else if (missing > 1) {
+                gaps.push({ from: data[i - 1].date, to: data[i].date, missingWeekdays: missing });
+            }
+        }
+
+        return { gaps, holidayGaps };
+    }
+
+    /**
+     * Count weekdays strictly between two ISO dates
+     */
+    countWeekdaysBetween(from, to) {
+        const start = new Date(from + 'T00:00:00Z');
+        const end = new Date(to + 'T00:00:00Z');
+        let count = 0;
+        for (let d = new Date(start.getTime() + 86400000); d < end; d = new Date(d.getTime() + 86400000)) {
+            const day = d.getUTCDay();
+            if (day !== 0 && day !== 6) count++;
+        }
+        return count;
+    }
+}
+
+// Export for use in other modules
+window.HistoricalDataLoader = HistoricalDataLoader;
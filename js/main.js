@@ -120,12 +120,10 @@ function insertSampleNews(type) {
 // Load and Save to Local Storage
 function loadFromLocalStorage() {
     try {
-        const savedPortfolio = localStorage.getItem('portfolio');
         const savedHistory = localStorage.getItem('analysisHistory');
         
-        if (savedPortfolio) {
-            portfolio = JSON.parse(savedPortfolio);
-        }
+        // The portfolio store loads (and migrates) its own data
+        rebuildPortfolio();
         
         if (savedHistory) {
             analysisHistory = JSON.parse(savedHistory);
@@ -137,7 +135,7 @@ function loadFromLocalStorage() {
 
 function saveToLocalStorage() {
     try {
-        localStorage.setItem('portfolio', JSON.stringify(portfolio));
+        portfolioStore.save();
         localStorage.setItem('analysisHistory', JSON.stringify(analysisHistory));
     } catch (error) {
         console.error('Error saving to localStorage:', error);
@@ -207,6 +205,7 @@ function debounce(func, wait) {
 function exportData() {
     const data = {
         portfolio: portfolio,
+        ...portfolioStore.exportData(),
         history: analysisHistory,
         exportDate: new Date().toISOString()
     };
@@ -230,8 +229,8 @@ function importData(file) {
     reader.onload = function(e) {
         try {
             const data = JSON.parse(e.target.result);
-            if (data.portfolio) {
-                portfolio = data.portfolio;
+            if (data.transactions || data.portfolio) {
+                restorePortfolio(data);
             }
             if (data.history) {
                 analysisHistory = data.history;
@@ -314,8 +313,13 @@ function clearAllData() {
         portfolio = [];
         analysisHistory = [];
         
-        // Clear localStorage
+        // Clear localStorage, then every named portfolio's snapshots
+        const accounts = portfolioAccounts.list();
         localStorage.clear();
+        portfolioStore.clear()
+            .then(() => Promise.all(accounts.map(account => new PortfolioStore(account.id).destroy())))
+            .then(updatePerformanceChart)
+            .catch(error => console.error('Error clearing portfolio snapshots:', error));
         
         // Restore API settings
         if (apiSettings) {
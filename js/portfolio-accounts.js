@@ -0,0 +1,284 @@
+/**
+ * Portfolio Accounts Module
+ * Named portfolios (e.g. a taxable account, a retirement account and a model portfolio), each
+ * kept in its own PortfolioStore, and a consolidated view that adds them together.
+ * The account list and the account last selected are shared by every portfolio page.
+ */
+
+class PortfolioAccounts {
+    constructor() {
+        this.keys = {
+            accounts: 'portfolioAccounts',
+            active: 'portfolioActiveAccount'
+        };
+        this.defaultId = 'default';
+        this.consolidatedId = 'all';
+        this.accounts = [];
+        this.load();
+    }
+
+    // ========== Storage ==========
+
+    /**
+     * Read the account list; the original portfolio is the first account until others are created
+     */
+    load() {
+        try {
+            this.accounts = JSON.parse(localStorage.getItem(this.keys.accounts)) || [];
+        } catch (error) {
+            console.error('Error loading portfolio accounts:', error);
+            this.accounts = [];
+        }
+        if (this.accounts.length === 0) {
+            this.accounts = [{ id: this.defaultId, name: 'Main Portfolio', createdAt: new Date().toISOString() }];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.keys.accounts, JSON.stringify(this.accounts));
+            return true;
+        } catch (error) {
+            console.error('Error saving portfolio accounts:', error);
+            return false;
+        }
+    }
+
+    // ========== Accounts ==========
+
+    list() {
+        return this.accounts.slice();
+    }
+
+    get(accountId) {
+        return this.accounts.find(account => account.id === accountId) || null;
+    }
+
+    /**
+     * Trim a name and make sure no other account uses it
+     */
+    validateName(name, accountId = null) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Portfolio name is required');
+        }
+        if (this.accounts.some(account => account.id !== accountId && account.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A portfolio named "${trimmed}" already exists`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * @param {string} name - Display name, unique ignoring case
+     * @returns {Object} { id, name, createdAt }
+     */
+    create(name) {
+        const account = {
+            id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+            name: this.validateName(name),
+            createdAt: new Date().toISOString()
+        };
+        this.accounts.push(account);
+        this.save();
+        return account;
+    }
+
+    rename(accountId, name) {
+        const account = this.get(accountId);
+        if (!account) {
+            throw new Error(`Unknown portfolio ${accountId}`);
+        }
+        account.name = this.validateName(name, accountId);
+        this.save();
+        return account;
+    }
+
+    /**
+     * Delete an account with its transactions and snapshots; the last account cannot be deleted
+     */
+    async remove(accountId) {
+        if (!this.get(accountId)) {
+            throw new Error(`Unknown portfolio ${accountId}`);
+        }
+        if (this.accounts.length === 1) {
+            throw new Error('At least one portfolio is required');
+        }
+        await new PortfolioStore(accountId).destroy();
+        this.accounts = this.accounts.filter(account => account.id !== accountId);
+        this.save();
+        if (this.getActiveId() === accountId) {
+            this.setActive(this.accounts[0].id);
+        }
+    }
+
+    /**
+     * Account (or the consolidated view) last selected on any page
+     * @param {boolean} allowConsolidated - When false, the consolidated view resolves to the first account
+     */
+    getActiveId(allowConsolidated = true) {
+        let active = null;
+        try {
+            active = localStorage.getItem(this.keys.active);
+        } catch (error) {
+            console.error('Error loading active portfolio:', error);
+        }
+        if (active === this.consolidatedId && allowConsolidated) return active;
+        return this.get(active) ? active : this.accounts[0].id;
+    }
+
+    setActive(accountId) {
+        if (accountId !== this.consolidatedId && !this.get(accountId)) {
+            throw new Error(`Unknown portfolio ${accountId}`);
+        }
+        try {
+            localStorage.setItem(this.keys.active, accountId);
+        } catch (error) {
+            console.error('Error saving active portfolio:', error);
+        }
+    }
+
+    /**
+     * Report every account in another currency
+     */
+    async setBaseCurrency(currency) {
+        for (const account of this.accounts) {
+            await new PortfolioStore(account.id).setBaseCurrency(currency);
+        }
+    }
+
+    /**
+     * Open an account's store, posting corporate actions recorded while it was closed
+     */
+    openStore(accountId) {
+        const store = new PortfolioStore(accountId);
+        store.postCorporateActions();
+        return store;
+    }
+
+    /**
+     * Stores for one account, or for every account in the consolidated view
+     * The stores share one copy of the market data and exchange rates, so a quote set through any of them is seen by all.
+     * @returns {Array} [{ account, store }]
+     */
+    openStores(accountId) {
+        const accounts = accountId === this.consolidatedId ? this.accounts : [this.get(accountId)].filter(Boolean);
+        const stores = accounts.map(account => ({ account, store: new PortfolioStore(account.id) }));
+        stores.forEach(({ store }) => {
+            if (store !== stores[0].store) {
+                store.fx = stores[0].store.fx;
+                store.marketData = stores[0].store.marketData;
+                store.priceHistory = stores[0].store.priceHistory;
+                store.performance.priceHistory = store.priceHistory;
+            }
+            store.postCorporateActions();
+        });
+        return stores;
+    }
+
+    // ========== Consolidated View ==========
+
+    /**
+     * Holdings of several accounts combined by symbol; lots keep the name of their account
+     * @param {Array} stores - From openStores
+     * @returns {Array} Holdings in the PortfolioStore.getHoldings shape plus accounts: [name]
+     */
+    consolidateHoldings(stores) {
+        const bySymbol = new Map();
+        stores.forEach(({ account, store }) => {
+            store.getHoldings().forEach(holding => {
+                const lots = holding.lots.map(lot => ({ ...lot, account: account.name }));
+                const total = bySymbol.get(holding.symbol);
+                if (!total) {
+                    bySymbol.set(holding.symbol, { ...holding, lots, accounts: [account.name] });
+                    return;
+                }
+                ['quantity', 'costBasis', 'marketValue', 'unrealizedPnL', 'dayChange', 'realizedPnL', 'dividends',
+                    'costBasisBase', 'marketValueBase', 'unrealizedPnLBase', 'dayChangeBase', 'realizedPnLBase', 'dividendsBase']
+                    .forEach(field => { total[field] += holding[field]; });
+                total.openedAt = holding.openedAt < total.openedAt ? holding.openedAt : total.openedAt;
+                total.lastTradeDate = holding.lastTradeDate > total.lastTradeDate ? holding.lastTradeDate : total.lastTradeDate;
+                total.lots = total.lots.concat(lots);
+                total.accounts.push(account.name);
+            });
+        });
+
+        return [...bySymbol.values()].map(total => {
+            const unrealizedPnLPercent = total.costBasis > 0 ? (total.unrealizedPnL / total.costBasis) * 100 : 0;
+            const unrealizedPnLPercentBase = total.costBasisBase > 0 ? (total.unrealizedPnLBase / total.costBasisBase) * 100 : 0;
+            return {
+                ...total,
+                averageCost: total.quantity > 0 ? total.costBasis / total.quantity : 0,
+                unrealizedPnLPercent,
+                unrealizedPnLPercentBase,
+                fxReturnPercent: unrealizedPnLPercentBase - unrealizedPnLPercent
+            };
+        });
+    }
+
+    /**
+     * Sum of the accounts' PortfolioStore.getSummary totals
+     */
+    consolidateSummary(stores) {
+        return stores.reduce((totals, { store }) => {
+            Object.entries(store.getSummary()).forEach(([field, value]) => {
+                totals[field] = (totals[field] || 0) + value;
+            });
+            return totals;
+        }, {});
+    }
+
+    /**
+     * Performance of several accounts as one portfolio: their transactions in date order, with a
+     * split posted to more than one account counted once
+     * @returns {PortfolioPerformance}
+     */
+    consolidatePerformance(stores) {
+        const splits = new Set();
+        const transactions = stores
+            .flatMap(({ store }) => store.ledger.activeTransactions())
+            .filter(t => {
+                if (t.type !== 'split' || !t.actionId) return true;
+                if (splits.has(t.actionId)) return false;
+                splits.add(t.actionId);
+                return true;
+            })
+            .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+        const { store } = stores[0];
+        return new PortfolioPerformance(
+            { activeTransactions: () => transactions, defaultCurrency: store.ledger.defaultCurrency },
+            store.priceHistory,
+            (currency, date) => store.rate(currency, date)
+        );
+    }
+
+    /**
+     * Daily snapshots of several accounts added together; an account without a snapshot on a
+     * day counts at its latest earlier value
+     * @returns {Promise<Array>} [{ date, value, cash, holdings }]
+     */
+    async consolidateSnapshots(stores) {
+        const series = await Promise.all(stores.map(({ store }) => store.snapshots.getRange()));
+        const dates = [...new Set(series.flat().map(snapshot => snapshot.date))].sort();
+        const next = series.map(() => 0);
+        const latest = series.map(() => null);
+
+        return dates.map(date => {
+            const total = { date, value: 0, cash: 0, holdings: {} };
+            series.forEach((snapshots, i) => {
+                while (next[i] < snapshots.length && snapshots[next[i]].date <= date) {
+                    latest[i] = snapshots[next[i]++];
+                }
+                if (!latest[i]) return;
+                total.value += latest[i].value;
+                total.cash += latest[i].cash;
+                Object.entries(latest[i].holdings).forEach(([symbol, value]) => {
+                    total.holdings[symbol] = (total.holdings[symbol] || 0) + value;
+                });
+            });
+            return total;
+        });
+    }
+}
+
+// Export for use in other modules
+window.PortfolioAccounts = PortfolioAccounts;
@@ -67,6 +67,13 @@ function displayPortfolioAnalysis(analysis) {
     // Display risk metrics
     displayRiskMetrics(analysis.metrics);
     
+    const metricsDiv = document.getElementById('portfolioMetrics');
+    if (metricsDiv && analysis.seed !== undefined) {
+        metricsDiv.insertAdjacentHTML('beforeend', `
+            <p class="text-xs text-gray-500 -mt-4 mb-4">Drawdown uses a simulated value history (seed ${analysis.seed})</p>
+        `);
+    }
+    
     // Display diversification analysis
     displayDiversification(analysis.diversification);
     
@@ -8,11 +8,22 @@ class PortfolioAnalyzer {
         this.riskFreeRate = 0.02; // 2% risk-free rate (adjustable)
         this.confidenceLevel = 0.95; // 95% confidence for VaR
         this.tradingDaysPerYear = 252;
+        this.seed = new SeededRandom().seed; // Seed for the simulated value history
+    }
+
+    /**
+     * Set the seed used for simulated values so an analysis can be reproduced
+     * @param {number|string} seed - Seed value; a new random seed is drawn when empty
+     * @returns {number} The normalized seed
+     */
+    setSeed(seed) {
+        this.seed = new SeededRandom(seed).seed;
+        return this.seed;
     }
 
     /**
      * Perform comprehensive portfolio analysis
-     * @param {Array} portfolio - Array of portfolio assets
+     * @param {Array} portfolio - Holdings as returned by PortfolioStore.getHoldings
      * @param {Object} marketData - Market data for context
      * @returns {Object} Complete analysis results
      */
@@ -60,6 +71,7 @@ class PortfolioAnalyzer {
             diversification,
             prosAndCons,
             recommendations,
+            seed: this.seed,
             timestamp: new Date().toISOString()
         };
     }
@@ -403,21 +415,21 @@ class PortfolioAnalyzer {
 
     // Helper methods
     calculateTotalValue(portfolio) {
-        return portfolio.reduce((sum, asset) => sum + (asset.totalValue || 0), 0);
+        return portfolio.reduce((sum, asset) => sum + (asset.marketValue || 0), 0);
     }
 
     calculateReturns(portfolio) {
-        // Calculate historical returns based on buy price and current price
+        // Calculate historical returns based on average cost and current price
         return portfolio.map(asset => {
-            const buyPrice = asset.buyPrice || asset.currentPrice;
-            const currentPrice = asset.currentPrice || buyPrice;
-            return (currentPrice - buyPrice) / buyPrice;
+            const averageCost = asset.averageCost || asset.currentPrice;
+            const currentPrice = asset.currentPrice || averageCost;
+            return (currentPrice - averageCost) / averageCost;
         });
     }
 
     calculateWeights(portfolio, totalValue) {
         if (totalValue === 0) return portfolio.map(() => 0);
-        return portfolio.map(asset => (asset.totalValue || 0) / totalValue);
+        return portfolio.map(asset => (asset.marketValue || 0) / totalValue);
     }
 
     calculateExpectedReturn(returns) {
@@ -452,10 +464,11 @@ class PortfolioAnalyzer {
         const days = 252; // One year of trading days
         const totalValue = this.calculateTotalValue(portfolio);
         const values = [totalValue];
+        const rng = new SeededRandom(this.seed).fork('historicalValues');
         
         for (let i = 1; i < days; i++) {
             // Simulate daily returns with some volatility
-            const dailyReturn = (Math.random() - 0.5) * 0.02; // ±1% daily
+            const dailyReturn = (rng.next() - 0.5) * 0.02; // ±1% daily
             const newValue = values[i - 1] * (1 + dailyReturn);
             values.push(newValue);
         }
@@ -1,11 +1,15 @@
 /**
  * Enhanced Portfolio Manager with Real Yahoo Finance Integration
+ * Holdings are derived from the shared PortfolioStore's transaction ledger and quotes
  */
 
 class EnhancedPortfolioManager {
     constructor(apiClient) {
         this.api = apiClient || window.portfolioAPI;
-        this.holdings = this.loadFromStorage() || [];
+        this.accounts = new PortfolioAccounts();
+        this.store = this.accounts.openStore(this.accounts.getActiveId(false));
+        this.ledger = this.store.ledger;
+        this.holdings = this.buildHoldings();
         this.lastUpdate = null;
         this.charts = {};
         this.refreshInterval = null;
@@ -22,6 +26,47 @@ class EnhancedPortfolioManager {
         this.startAutoRefresh();
     }
 
+    /**
+     * Persist cached quotes; the ledger saves itself on every transaction
+     */
+    saveToStorage() {
+        this.store.save();
+    }
+
+    /**
+     * Store holdings plus the quote fields only this page uses (notes, industry, beta)
+     */
+    buildHoldings() {
+        return this.store.getHoldings().map(holding => {
+            const quote = this.store.getQuote(holding.symbol) || {};
+            const notes = this.ledger.activeTransactions()
+                .filter(t => t.symbol === holding.symbol && t.notes)
+                .map(t => t.notes)
+                .join('; ');
+            
+            return {
+                ...holding,
+                notes,
+                industry: quote.industry,
+                dayChangePercent: quote.changePercent || 0,
+                beta: quote.beta || 1.0
+            };
+        });
+    }
+
+    /**
+     * Save an API quote to the store
+     */
+    cacheQuote(symbol, quote) {
+        if (!(quote.currentPrice > 0)) return;
+        const extra = {};
+        ['sector', 'industry', 'beta'].forEach(field => {
+            if (quote[field]) extra[field] = quote[field];
+        });
+        if (quote.companyName) extra.name = quote.companyName;
+        this.store.setQuote(symbol, { price: quote.currentPrice, previousClose: quote.previousClose, ...extra });
+    }
+
     setupEventListeners() {
         // Set default buy date to today
         const buyDateInput = document.getElementById('buyDate');
@@ -123,73 +168,70 @@ class EnhancedPortfolioManager {
             return;
         }
 
-        // Check for duplicates and offer to merge
+        // Adding to an owned symbol records another purchase in the ledger
         const existingHolding = this.holdings.find(h => h.symbol === symbol);
-        if (existingHolding) {
-            const merge = confirm(`You already own ${symbol}. Do you want to add to your existing position?`);
-            if (merge) {
-                // Calculate weighted average buy price
-                const totalCost = (existingHolding.buyPrice * existingHolding.quantity) + (buyPrice * quantity);
-                const totalQuantity = existingHolding.quantity + quantity;
-                existingHolding.quantity = totalQuantity;
-                existingHolding.buyPrice = totalCost / totalQuantity;
-                existingHolding.buyValue = totalCost;
-                existingHolding.notes = existingHolding.notes + '; ' + notes;
-                
-                await this.updateAssetPrice(existingHolding);
-                this.saveToStorage();
-                this.renderHoldings();
-                this.updateSummaryCards();
-                await this.updateCharts();
-                this.showAlert(`Added ${quantity} shares to existing ${symbol} position`, 'success');
-                this.clearForm();
-                return;
-            } else {
-                return;
-            }
+        if (existingHolding && !confirm(`You already own ${symbol}. Do you want to add to your existing position?`)) {
+            return;
+        }
+
+        try {
+            this.store.buy({ date: buyDate, symbol, assetType: type, quantity, price: buyPrice, notes });
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+            return;
         }
 
         // Get current quote
         try {
-            const quote = await this.api.getQuote(symbol);
-            
-            // Create asset object
-            const asset = {
-                id: Date.now(),
-                type,
+            this.cacheQuote(symbol, await this.api.getQuote(symbol));
+        } catch (error) {
+            console.error(`Error fetching quote for ${symbol}:`, error);
+        }
+
+        this.holdings = this.buildHoldings();
+        this.saveToStorage();
+        this.renderHoldings();
+        this.updateSummaryCards();
+        await this.updateCharts();
+        this.clearForm();
+        this.showAlert(existingHolding
+            ? `Added ${quantity} shares to existing ${symbol} position`
+            : `${symbol} added to portfolio successfully`, 'success');
+    }
+
+    /**
+     * Record a sale from a holding
+     * @param {string} symbol - Holding to sell from
+     * @param {number} quantity - Shares to sell
+     * @param {number} price - Sale price (defaults to the latest quote)
+     * @param {string} date - Trade date (defaults to today)
+     */
+    async sellAsset(symbol, quantity, price = null, date = null) {
+        const holding = this.holdings.find(h => h.symbol === symbol);
+        if (!holding) {
+            this.showAlert(`You do not own ${symbol}`, 'error');
+            return;
+        }
+
+        let transaction;
+        try {
+            transaction = this.store.sell({
+                date: date || new Date().toISOString().split('T')[0],
                 symbol,
                 quantity,
-                buyDate,
-                buyPrice,
-                buyValue: quantity * buyPrice,
-                notes,
-                addedAt: new Date().toISOString(),
-                companyName: quote.companyName,
-                sector: quote.sector,
-                industry: quote.industry,
-                currentPrice: quote.currentPrice,
-                previousClose: quote.previousClose,
-                marketValue: quantity * quote.currentPrice,
-                unrealizedPL: (quantity * quote.currentPrice) - (quantity * buyPrice),
-                unrealizedPLPercent: ((quote.currentPrice - buyPrice) / buyPrice) * 100,
-                dayChange: (quote.currentPrice - quote.previousClose) * quantity,
-                dayChangePercent: quote.dayChangePercent,
-                beta: quote.beta || 1.0
-            };
-
-            // Add to holdings
-            this.holdings.push(asset);
-            this.saveToStorage();
-            this.renderHoldings();
-            this.updateSummaryCards();
-            await this.updateCharts();
-            this.clearForm();
-            this.showAlert(`${symbol} added to portfolio successfully`, 'success');
-            
+                price: price === null ? holding.currentPrice : price
+            });
         } catch (error) {
-            console.error('Error adding asset:', error);
-            this.showAlert('Error adding asset. Please try again.', 'error');
+            this.showAlert(error.message, 'error');
+            return;
         }
+
+        const realized = transaction.quantity * (transaction.price - holding.averageCost);
+        this.holdings = this.buildHoldings();
+        this.renderHoldings();
+        this.updateSummaryCards();
+        await this.updateCharts();
+        this.showAlert(`Sold ${transaction.quantity} ${symbol}; realized ${realized >= 0 ? '+' : '-'}$${Math.abs(realized).toFixed(2)}`, 'success');
     }
 
     /**
@@ -221,19 +263,8 @@ class EnhancedPortfolioManager {
     async updateAssetPrice(asset) {
         try {
             const quote = await this.api.getQuote(asset.symbol);
-            
-            asset.currentPrice = quote.currentPrice;
-            asset.previousClose = quote.previousClose;
-            asset.marketValue = asset.quantity * quote.currentPrice;
-            asset.unrealizedPL = asset.marketValue - asset.buyValue;
-            asset.unrealizedPLPercent = (asset.unrealizedPL / asset.buyValue) * 100;
-            asset.dayChange = (quote.currentPrice - quote.previousClose) * asset.quantity;
-            asset.dayChangePercent = quote.dayChangePercent;
-            asset.companyName = quote.companyName;
-            asset.sector = quote.sector;
-            asset.industry = quote.industry;
-            asset.beta = quote.beta || 1.0;
-            
+            this.cacheQuote(asset.symbol, quote);
+            Object.assign(asset, this.buildHoldings().find(h => h.symbol === asset.symbol));
         } catch (error) {
             console.error(`Error updating price for ${asset.symbol}:`, error);
         }
@@ -255,18 +286,13 @@ class EnhancedPortfolioManager {
                 for (const quote of response.quotes) {
                     const holding = this.holdings.find(h => h.symbol === quote.symbol);
                     if (holding && !quote.error) {
-                        holding.currentPrice = quote.currentPrice;
-                        holding.previousClose = quote.previousClose;
-                        holding.marketValue = holding.quantity * quote.currentPrice;
-                        holding.unrealizedPL = holding.marketValue - holding.buyValue;
-                        holding.unrealizedPLPercent = (holding.unrealizedPL / holding.buyValue) * 100;
-                        holding.dayChange = quote.dayChange * holding.quantity;
-                        holding.dayChangePercent = quote.dayChangePercent;
+                        this.cacheQuote(quote.symbol, quote);
                     }
                 }
                 
                 this.lastUpdate = new Date();
                 this.saveToStorage();
+                this.holdings = this.buildHoldings();
                 this.renderHoldings();
                 this.updateSummaryCards();
                 await this.updateCharts();
@@ -284,12 +310,12 @@ class EnhancedPortfolioManager {
     async updateCharts() {
         if (this.holdings.length === 0) return;
         
-        const totalValue = this.holdings.reduce((sum, asset) => sum + (asset.marketValue || asset.buyValue), 0);
+        const totalValue = this.holdings.reduce((sum, asset) => sum + asset.marketValueBase, 0);
         
         // Update allocation chart
         if (this.charts.allocation) {
             const labels = this.holdings.map(asset => asset.symbol);
-            const data = this.holdings.map(asset => ((asset.marketValue || asset.buyValue) / totalValue * 100).toFixed(2));
+            const data = this.holdings.map(asset => (asset.marketValueBase / totalValue * 100).toFixed(2));
             
             this.charts.allocation.data.labels = labels;
             this.charts.allocation.data.datasets[0].data = data;
@@ -302,7 +328,7 @@ class EnhancedPortfolioManager {
             this.holdings.forEach(asset => {
                 const sector = asset.sector || asset.type.toUpperCase();
                 if (!sectorData[sector]) sectorData[sector] = 0;
-                sectorData[sector] += (asset.marketValue || asset.buyValue);
+                sectorData[sector] += asset.marketValueBase;
             });
             
             const labels = Object.keys(sectorData);
@@ -332,7 +358,7 @@ class EnhancedPortfolioManager {
         try {
             // Calculate start date (earliest buy date or 1 year ago)
             const earliestBuyDate = this.holdings.reduce((earliest, h) => {
-                const buyDate = new Date(h.buyDate);
+                const buyDate = new Date(h.openedAt);
                 return buyDate < earliest ? buyDate : earliest;
             }, new Date());
             
@@ -346,7 +372,7 @@ class EnhancedPortfolioManager {
             const holdingsData = this.holdings.map(h => ({
                 symbol: h.symbol,
                 quantity: h.quantity,
-                buyDate: h.buyDate
+                buyDate: h.openedAt
             }));
             
             const perfData = await this.api.getPortfolioPerformance(
@@ -377,8 +403,8 @@ class EnhancedPortfolioManager {
             const holdingsData = this.holdings.map(h => ({
                 symbol: h.symbol,
                 quantity: h.quantity,
-                buyPrice: h.buyPrice,
-                buyDate: h.buyDate
+                buyPrice: h.averageCost,
+                buyDate: h.openedAt
             }));
             
             const analysis = await this.api.analyzePortfolio(holdingsData);
@@ -402,11 +428,11 @@ class EnhancedPortfolioManager {
      * Calculate portfolio beta
      */
     calculatePortfolioBeta() {
-        const totalValue = this.holdings.reduce((sum, asset) => sum + (asset.marketValue || asset.buyValue), 0);
+        const totalValue = this.holdings.reduce((sum, asset) => sum + asset.marketValueBase, 0);
         if (totalValue === 0) return 0;
         
         return this.holdings.reduce((beta, asset) => {
-            const weight = (asset.marketValue || asset.buyValue) / totalValue;
+            const weight = asset.marketValueBase / totalValue;
             const assetBeta = asset.beta || 1.0;
             return beta + (weight * assetBeta);
         }, 0);
@@ -449,13 +475,13 @@ class EnhancedPortfolioManager {
         const recommendations = [];
         
         // Analyze portfolio composition
-        const totalValue = this.holdings.reduce((sum, asset) => sum + (asset.marketValue || asset.buyValue), 0);
+        const totalValue = this.holdings.reduce((sum, asset) => sum + asset.marketValueBase, 0);
         const sectorWeights = {};
         
         this.holdings.forEach(asset => {
             const sector = asset.sector || 'Unknown';
             if (!sectorWeights[sector]) sectorWeights[sector] = 0;
-            sectorWeights[sector] += (asset.marketValue || asset.buyValue) / totalValue;
+            sectorWeights[sector] += asset.marketValueBase / totalValue;
         });
         
         // Check for over-concentration
@@ -471,7 +497,7 @@ class EnhancedPortfolioManager {
         
         // Check for individual stock concentration
         this.holdings.forEach(asset => {
-            const weight = (asset.marketValue || asset.buyValue) / totalValue;
+            const weight = asset.marketValueBase / totalValue;
             if (weight > 0.25) {
                 recommendations.push({
                     type: 'warning',
@@ -0,0 +1,378 @@
+/**
+ * Portfolio Performance Module
+ * Daily portfolio values from the transaction ledger and recorded prices, time-weighted
+ * return (TWR) by linking daily sub-period returns, and money-weighted return (XIRR).
+ *
+ * External flows are deposits and withdrawals. A portfolio that records buys without
+ * deposits would run a negative cash balance; that shortfall is treated as money added
+ * on the day it occurs, so holdings-only portfolios still get sensible returns.
+ *
+ * Values are in a base currency: holdings and cash in other currencies are converted at each
+ * day's rate. Returns are split into the local-currency return (each day valued at the previous
+ * day's rates) and the FX contribution (the rest).
+ */
+
+class PortfolioPerformance {
+    /**
+     * @param {TransactionLedger} ledger - Source of trades, income and cash flows
+     * @param {Object} priceHistory - { symbol: { 'YYYY-MM-DD': price } } recorded closes or quotes
+     * @param {Function} rate - (currency, date) => base-currency units per unit of the currency;
+     *        without it every amount is taken to be in the base currency
+     */
+    constructor(ledger, priceHistory = {}, rate = null) {
+        this.ledger = ledger;
+        this.priceHistory = priceHistory;
+        this.rate = rate || (() => 1);
+        this.periods = {
+            ytd: 'YTD',
+            oneYear: '1Y',
+            threeYear: '3Y',
+            inception: 'Since Inception'
+        };
+    }
+
+    /**
+     * Date arithmetic on YYYY-MM-DD strings (UTC, so no daylight-saving drift)
+     */
+    addDays(date, days) {
+        const d = new Date(date + 'T00:00:00Z');
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().split('T')[0];
+    }
+
+    daysBetween(from, to) {
+        return (Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / 86400000;
+    }
+
+    /**
+     * Currency of a transaction; records made before currencies were tracked use the ledger's default
+     */
+    currencyOf(transaction) {
+        return transaction.currency || this.ledger.defaultCurrency;
+    }
+
+    /**
+     * Price marks per symbol in date order: recorded prices, plus trade prices on days
+     * without a recorded price
+     */
+    buildMarks(transactions) {
+        const marks = {};
+        Object.entries(this.priceHistory).forEach(([symbol, byDate]) => {
+            marks[symbol] = new Map(Object.entries(byDate).filter(([, price]) => price > 0));
+        });
+        transactions.filter(t => t.type === 'buy' || t.type === 'sell').forEach(t => {
+            if (!marks[t.symbol]) marks[t.symbol] = new Map();
+            if (!marks[t.symbol].has(t.date)) marks[t.symbol].set(t.date, t.price);
+        });
+
+        const sorted = {};
+        Object.entries(marks).forEach(([symbol, byDate]) => {
+            sorted[symbol] = [...byDate.entries()].sort((a, b) => (a[0] < b[0] ? -1 : 1));
+        });
+        return sorted;
+    }
+
+    /**
+     * Daily portfolio values from the first transaction to the end date
+     * Holdings are valued at the latest mark on or before each day, converted at that day's rate.
+     * @param {string} endDate - Last day (defaults to today)
+     * @returns {Array} [{ date, value, holdingsValue, holdings, cash, flow, valueAtPriorRates,
+     *          flowAtPriorRates }] where holdings maps each symbol held to its value, flow is the
+     *          net external money added that day (negative for withdrawals), and the prior-rate
+     *          fields are the same amounts converted at the previous day's rates
+     */
+    valueSeries(endDate = new Date().toISOString().split('T')[0]) {
+        const transactions = this.ledger.activeTransactions();
+        if (transactions.length === 0 || transactions[0].date > endDate) return [];
+
+        const marks = this.buildMarks(transactions);
+        const markIndex = {};
+        const lastPrice = {};
+        const quantities = {};
+        const currencies = {};
+        const cash = {};
+        let next = 0;
+        const series = [];
+        const addCash = (currency, amount) => {
+            cash[currency] = (cash[currency] || 0) + amount;
+        };
+
+        for (let date = transactions[0].date; date <= endDate; date = this.addDays(date, 1)) {
+            const priorDate = this.addDays(date, -1);
+            let flow = 0;
+            let flowAtPriorRates = 0;
+            const addFlow = (currency, amount) => {
+                flow += amount * this.rate(currency, date);
+                flowAtPriorRates += amount * this.rate(currency, priorDate);
+            };
+
+            while (next < transactions.length && transactions[next].date === date) {
+                const t = transactions[next++];
+                switch (t.type) {
+                    case 'buy':
+                        quantities[t.symbol] = (quantities[t.symbol] || 0) + t.quantity;
+                        currencies[t.symbol] = this.currencyOf(t);
+                        addCash(this.currencyOf(t), -(t.quantity * t.price + t.fees));
+                        break;
+                    case 'sell':
+                        quantities[t.symbol] = (quantities[t.symbol] || 0) - t.quantity;
+                        addCash(this.currencyOf(t), t.quantity * t.price - t.fees);
+                        break;
+                    case 'split':
+                        quantities[t.symbol] = (quantities[t.symbol] || 0) * t.ratio;
+                        // A price marked before the split is in old shares
+                        if (lastPrice[t.symbol] && !(marks[t.symbol] || []).some(([d]) => d === date)) {
+                            lastPrice[t.symbol] /= t.ratio;
+                        }
+                        break;
+                    case 'dividend':
+                        addCash(this.currencyOf(t), t.amount);
+                        break;
+                    case 'fee':
+                        addCash(this.currencyOf(t), -t.amount);
+                        break;
+                    case 'deposit':
+                        addCash(this.currencyOf(t), t.amount);
+                        addFlow(this.currencyOf(t), t.amount);
+                        break;
+                    case 'withdrawal':
+                        addCash(this.currencyOf(t), -t.amount);
+                        addFlow(this.currencyOf(t), -t.amount);
+                        break;
+                }
+            }
+
+            // Money the investor must have added to cover a cash shortfall, in each currency
+            let cashValue = 0;
+            let valueAtPriorRates = 0;
+            Object.entries(cash).forEach(([currency, amount]) => {
+                if (amount < -1e-9) {
+                    addFlow(currency, -amount);
+                    cash[currency] = 0;
+                }
+                cashValue += cash[currency] * this.rate(currency, date);
+                valueAtPriorRates += cash[currency] * this.rate(currency, priorDate);
+            });
+
+            let holdingsValue = 0;
+            const holdings = {};
+            Object.entries(quantities).forEach(([symbol, quantity]) => {
+                const symbolMarks = marks[symbol] || [];
+                let i = markIndex[symbol] || 0;
+                while (i < symbolMarks.length && symbolMarks[i][0] <= date) {
+                    lastPrice[symbol] = symbolMarks[i][1];
+                    i++;
+                }
+                markIndex[symbol] = i;
+                if (quantity > 1e-9) {
+                    const localValue = quantity * (lastPrice[symbol] || 0);
+                    holdings[symbol] = localValue * this.rate(currencies[symbol], date);
+                    holdingsValue += holdings[symbol];
+                    valueAtPriorRates += localValue * this.rate(currencies[symbol], priorDate);
+                }
+            });
+
+            series.push({
+                date,
+                value: holdingsValue + cashValue,
+                holdingsValue,
+                holdings,
+                cash: cashValue,
+                flow,
+                valueAtPriorRates,
+                flowAtPriorRates
+            });
+        }
+
+        return series;
+    }
+
+    /**
+     * Link daily returns into a cumulative TWR index
+     * Flows are taken to arrive at the start of the day: r = V(t) / (V(t-1) + flow(t)) - 1.
+     * The local return uses the day's value and flow at the previous day's rates, so it leaves
+     * out that day's currency moves.
+     * @param {Array} series - From valueSeries
+     * @returns {Array} [{ date, dailyReturn, localReturn, index }] with index starting at 1
+     */
+    twrSeries(series) {
+        let index = 1;
+        return series.map((point, i) => {
+            const previous = i > 0 ? series[i - 1].value : 0;
+            const base = previous + point.flow;
+            const dailyReturn = base > 1e-9 ? point.value / base - 1 : 0;
+            const priorBase = previous + (point.flowAtPriorRates === undefined ? point.flow : point.flowAtPriorRates);
+            const priorValue = point.valueAtPriorRates === undefined ? point.value : point.valueAtPriorRates;
+            const localReturn = priorBase > 1e-9 ? priorValue / priorBase - 1 : 0;
+            index *= 1 + dailyReturn;
+            return { date: point.date, dailyReturn, localReturn, index };
+        });
+    }
+
+    /**
+     * Time-weighted return between two dates of a series
+     * @param {string} field - 'dailyReturn' for the base-currency return, 'localReturn' for the
+     *        return excluding currency moves
+     * @returns {number} Cumulative return over (start, end]
+     */
+    twr(series, start, end, field = 'dailyReturn') {
+        return this.twrSeries(series)
+            .filter(point => point.date > start && point.date <= end)
+            .reduce((growth, point) => growth * (1 + point[field]), 1) - 1;
+    }
+
+    /**
+     * Annualized internal rate of return for dated cash flows (XIRR, actual/365)
+     * Newton's method from a 10% guess, falling back to bisection when it does not converge.
+     * @param {Array} flows - [{ date, amount }] from the investor's side: money in is negative
+     * @param {number} periodDays - Length of the rate's period in days (365 for an annual rate)
+     * @returns {number|null} Rate, or null when the flows have no sign change
+     */
+    xirr(flows, periodDays = 365) {
+        const valid = flows.filter(f => Math.abs(f.amount) > 1e-9);
+        if (!valid.some(f => f.amount < 0) || !valid.some(f => f.amount > 0)) return null;
+
+        const first = valid.reduce((min, f) => (f.date < min ? f.date : min), valid[0].date);
+        const terms = valid.map(f => ({ years: this.daysBetween(first, f.date) / periodDays, amount: f.amount }));
+        const npv = rate => terms.reduce((sum, t) => sum + t.amount / Math.pow(1 + rate, t.years), 0);
+        const derivative = rate => terms.reduce((sum, t) => sum - t.years * t.amount / Math.pow(1 + rate, t.years + 1), 0);
+
+        let rate = 0.1;
+        for (let i = 0; i < 50; i++) {
+            const value = npv(rate);
+            const slope = derivative(rate);
+            if (!isFinite(value) || !isFinite(slope) || slope === 0) break;
+            const nextRate = rate - value / slope;
+            if (nextRate <= -1 || !isFinite(nextRate)) break;
+            if (Math.abs(nextRate - rate) < 1e-10) return nextRate;
+            rate = nextRate;
+        }
+
+        // Bisection over a wide bracket
+        let low = -0.9999;
+        let high = 10;
+        let lowValue = npv(low);
+        if (lowValue * npv(high) > 0) return null;
+        for (let i = 0; i < 200; i++) {
+            const mid = (low + high) / 2;
+            const midValue = npv(mid);
+            if (Math.abs(midValue) < 1e-9 || high - low < 1e-12) return mid;
+            if (lowValue * midValue < 0) {
+                high = mid;
+            } else {
+                low = mid;
+                lowValue = midValue;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Money-weighted return between two dates of a series
+     * The value before the window counts as money put in at its start and the closing value
+     * as money taken out at its end.
+     * @param {number} periodDays - Rate period; defaults to annual
+     */
+    mwr(series, start, end, periodDays = 365) {
+        const opening = series.filter(point => point.date <= start).pop();
+        const flows = opening ? [{ date: start, amount: -opening.value }] : [];
+        series
+            .filter(point => point.date > start && point.date <= end && point.flow !== 0)
+            .forEach(point => flows.push({ date: point.date, amount: -point.flow }));
+        const closing = series.filter(point => point.date <= end).pop();
+        if (closing) flows.push({ date: end, amount: closing.value });
+        return this.xirr(flows, periodDays);
+    }
+
+    /**
+     * TWR and XIRR for YTD, one year, three years and since inception
+     * Windows that begin before the first transaction start at inception and are flagged partial.
+     * @param {string} asOf - End date (defaults to today)
+     * Money-weighted returns are annualized only for windows of a year or more, like twrAnnualized;
+     * shorter windows solve for the rate over the window itself.
+     * The local TWR excludes currency moves; fxContribution is the rest of the base-currency TWR.
+     * @returns {Object} { series, periods: { key: { label, start, end, twr, twrAnnualized, twrLocal,
+     *          fxContribution, mwr, partial } } }
+     */
+    periodReturns(asOf = new Date().toISOString().split('T')[0]) {
+        const series = this.valueSeries(asOf);
+        const periods = {};
+        if (series.length === 0) return { series, periods };
+
+        const inception = this.addDays(series[0].date, -1);
+        const yearsBack = years => {
+            const d = new Date(asOf + 'T00:00:00Z');
+            d.setUTCFullYear(d.getUTCFullYear() - years);
+            return d.toISOString().split('T')[0];
+        };
+        const starts = {
+            ytd: `${Number(asOf.slice(0, 4)) - 1}-12-31`,
+            oneYear: yearsBack(1),
+            threeYear: yearsBack(3),
+            inception
+        };
+
+        Object.entries(starts).forEach(([key, windowStart]) => {
+            const partial = windowStart < inception;
+            const start = partial ? inception : windowStart;
+            const twr = this.twr(series, start, asOf);
+            const twrLocal = this.twr(series, start, asOf, 'localReturn');
+            const days = this.daysBetween(start, asOf);
+            const years = days / 365;
+            periods[key] = {
+                label: this.periods[key],
+                start,
+                end: asOf,
+                twr,
+                // Returns over less than a year are not annualized
+                twrAnnualized: years >= 1 ? Math.pow(1 + twr, 1 / years) - 1 : twr,
+                twrLocal,
+                fxContribution: twr - twrLocal,
+                mwr: this.mwr(series, start, asOf, years >= 1 ? 365 : days),
+                partial: partial && key !== 'inception'
+            };
+        });
+
+        return { series, periods };
+    }
+
+    /**
+     * Money-weighted return of one holding: buys are money in, sales and dividends money out,
+     * and the current value is taken out on the end date, each converted at its date's rate
+     * @param {string} symbol - Ledger symbol
+     * @param {number} currentPrice - Price for the closing value, in the holding's currency
+     * @param {string} asOf - End date (defaults to today)
+     * @returns {number|null} Annualized rate, or the rate over the holding period when held less than a year
+     */
+    positionReturn(symbol, currentPrice, asOf = new Date().toISOString().split('T')[0]) {
+        const flows = [];
+        let quantity = 0;
+        let currency = null;
+        const addFlow = (t, amount) => flows.push({ date: t.date, amount: amount * this.rate(this.currencyOf(t), t.date) });
+        this.ledger.activeTransactions()
+            .filter(t => t.symbol === symbol && t.date <= asOf)
+            .forEach(t => {
+                if (t.type === 'buy') {
+                    addFlow(t, -(t.quantity * t.price + t.fees));
+                    quantity += t.quantity;
+                    currency = this.currencyOf(t);
+                } else if (t.type === 'sell') {
+                    addFlow(t, t.quantity * t.price - t.fees);
+                    quantity -= t.quantity;
+                } else if (t.type === 'dividend') {
+                    addFlow(t, t.amount);
+                } else if (t.type === 'fee') {
+                    addFlow(t, -t.amount);
+                } else if (t.type === 'split') {
+                    quantity *= t.ratio;
+                }
+            });
+        if (quantity > 1e-9) flows.push({ date: asOf, amount: quantity * currentPrice * this.rate(currency, asOf) });
+        if (flows.length === 0) return null;
+        const days = this.daysBetween(flows[0].date, asOf);
+        return this.xirr(flows, days >= 365 ? 365 : Math.max(days, 1));
+    }
+}
+
+// Export for use in other modules
+window.PortfolioPerformance = PortfolioPerformance;
@@ -7,30 +7,48 @@
  * - Real-time price updates (simulated Yahoo Finance API)
  * - Comprehensive financial metrics (P&L, CAGR, Sharpe Ratio, Beta)
  * - Portfolio risk analytics (VaR, Volatility, Max Drawdown)
- * - Persistent storage using localStorage
+ * - Persistent storage in the shared PortfolioStore schema, so holdings match the other portfolio pages
+ * - Named portfolios (accounts) with a read-only consolidated view across all of them
+ * - Holdings in any currency, reported in a chosen base currency with the FX contribution to returns
+ * - Append-only transaction ledger; holdings, cost basis, cash and realized P&L are derived from it
+ * - Broker CSV import with column mapping profiles, a preview, duplicate detection and row errors
+ * - Tax lots (FIFO, LIFO, specific lot, average cost) with short/long-term realized gains reports
+ * - Time-weighted and money-weighted (XIRR) returns for YTD, 1Y, 3Y and since inception
+ * - Daily value snapshots in IndexedDB, backfilled from recorded prices, for the performance chart
+ * - Dividend income and split adjustments from recorded corporate actions
  * - Chart.js visualizations
  * - Export functionality (CSV/JSON)
  */
 
 class PortfolioManager {
     constructor() {
+        this.accounts = new PortfolioAccounts();
+        this.openAccount(this.accounts.getActiveId());
         this.positions = [];
-        this.marketData = {};
         this.historicalData = {};
         this.sectorMap = {};
         this.riskFreeRate = 0.05; // 5% annual risk-free rate
         this.marketReturn = 0.10; // 10% expected market return
         this.charts = {};
+        this.brokerImport = new BrokerImport();
+        this.importFile = null;
+        this.importPreview = null;
         
         this.initialize();
     }
 
     initialize() {
-        // Load saved positions from localStorage
-        this.loadPositions();
+        // Derive holdings from the shared store; corporate actions were posted when the account opened
+        this.rebuildPositions();
         
         // Set default date to today
         document.getElementById('buyDateInput').valueAsDate = new Date();
+        document.getElementById('actionDateInput').valueAsDate = new Date();
+        document.getElementById('cashDateInput').valueAsDate = new Date();
+        this.renderAccounts();
+        this.renderCorporateActions();
+        this.renderTransactions();
+        this.renderImportProfiles();
         
         // Initialize charts
         this.initializeCharts();
@@ -42,25 +60,290 @@ class PortfolioManager {
         this.refreshPrices();
     }
 
+    // ========== Accounts ==========
+    
+    /**
+     * Point the page at one account, or at every account for the consolidated view
+     * In the consolidated view the first account's store supplies the shared quotes and corporate actions.
+     */
+    openAccount(accountId) {
+        this.accountId = accountId;
+        this.stores = this.accounts.openStores(accountId);
+        this.store = this.stores[0].store;
+        this.ledger = this.store.ledger;
+        this.actionModel = this.store.actionModel;
+        this.store.fx.setSource(new FrankfurterRateSource());
+        this.performance = this.isConsolidated()
+            ? this.accounts.consolidatePerformance(this.stores)
+            : this.store.performance;
+    }
+
+    isConsolidated() {
+        return this.accountId === this.accounts.consolidatedId;
+    }
+
+    /**
+     * Changes are recorded in one account; the consolidated view is read-only
+     * @returns {boolean} Whether an account is selected
+     */
+    requireAccount() {
+        if (!this.isConsolidated()) return true;
+        this.showNotification('Select an account to make changes; the consolidated view is read-only', 'warning');
+        return false;
+    }
+
+    renderAccounts() {
+        const select = document.getElementById('accountSelect');
+        if (select) {
+            select.innerHTML = [
+                ...this.accounts.list().map(account => `<option value="${account.id}">${this.escapeHtml(account.name)}</option>`),
+                `<option value="${this.accounts.consolidatedId}">All accounts (consolidated)</option>`
+            ].join('');
+            select.value = this.accountId;
+        }
+        
+        const costMethod = document.getElementById('costMethodInput');
+        costMethod.value = this.ledger.costMethod;
+        costMethod.disabled = this.isConsolidated();
+        this.renderCurrencies();
+    }
+
+    // ========== Currencies ==========
+
+    /**
+     * Fill the currency pickers; trade and cash currencies default to the base currency
+     */
+    renderCurrencies() {
+        const currencies = this.store.fx.currencies();
+        const options = selected => currencies
+            .map(code => `<option value="${code}" ${code === selected ? 'selected' : ''}>${code}</option>`).join('');
+        
+        const base = document.getElementById('baseCurrencySelect');
+        if (base) base.innerHTML = options(this.store.baseCurrency);
+        ['currencyInput', 'cashCurrencyInput'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.innerHTML = options(select.value || this.store.baseCurrency);
+        });
+    }
+
+    /**
+     * Report every account in another currency; snapshots are rebuilt in it
+     */
+    async setBaseCurrency(currency) {
+        this.showLoading(true);
+        try {
+            await this.accounts.setBaseCurrency(currency);
+        } catch (error) {
+            this.showLoading(false);
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.openAccount(this.accountId);
+        await this.refreshRates();
+        this.rebuildPositions();
+        this.renderCurrencies();
+        this.renderTransactions();
+        this.updateUI();
+        this.showLoading(false);
+        this.showNotification(`Values are now shown in ${currency}`, 'success');
+    }
+
+    /**
+     * Fetch exchange rates for every open account's foreign-currency transactions
+     */
+    async refreshRates() {
+        for (const { store } of this.stores) {
+            await store.refreshRates();
+        }
+    }
+
+    async switchAccount(accountId) {
+        try {
+            this.accounts.setActive(accountId);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.openAccount(accountId);
+        this.rebuildPositions();
+        this.renderAccounts();
+        this.renderCorporateActions();
+        this.renderTransactions();
+        this.previewImport();
+        this.updateUI();
+    }
+
+    createAccount() {
+        const name = prompt('Name of the new portfolio:');
+        if (name === null) return;
+        
+        let account;
+        try {
+            account = this.accounts.create(name);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.switchAccount(account.id);
+        this.showNotification(`Created portfolio ${account.name}`, 'success');
+    }
+
+    renameAccount() {
+        if (!this.requireAccount()) return;
+        const name = prompt('New name for this portfolio:', this.accounts.get(this.accountId).name);
+        if (name === null) return;
+        
+        try {
+            this.accounts.rename(this.accountId, name);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.renderAccounts();
+        this.showNotification('Portfolio renamed', 'success');
+    }
+
+    async deleteAccount() {
+        if (!this.requireAccount()) return;
+        const account = this.accounts.get(this.accountId);
+        if (!confirm(`Delete the portfolio ${account.name} with all its transactions? This cannot be undone.`)) return;
+        
+        try {
+            await this.accounts.remove(account.id);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        await this.switchAccount(this.accounts.getActiveId());
+        this.showNotification(`Deleted portfolio ${account.name}`, 'success');
+    }
+
     // ========== Data Management ==========
     
-    loadPositions() {
-        const saved = localStorage.getItem('portfolioPositions');
-        if (saved) {
-            this.positions = JSON.parse(saved);
+    /**
+     * Derive holdings from the store (or every account's store, combined by symbol); names and
+     * sectors not known to it come from the lookup tables
+     */
+    rebuildPositions() {
+        const holdings = this.isConsolidated()
+            ? this.accounts.consolidateHoldings(this.stores)
+            : this.store.getHoldings();
+        this.positions = holdings.map(holding => ({
+            ...holding,
+            name: holding.name === holding.symbol ? this.getCompanyName(holding.symbol) : holding.name,
+            sector: holding.sector || this.getSector(holding.symbol)
+        }));
+        this.summary = this.isConsolidated()
+            ? this.accounts.consolidateSummary(this.stores)
+            : this.store.getSummary();
+    }
+
+    // ========== Corporate Actions ==========
+
+    addCorporateAction() {
+        if (!this.requireAccount()) return;
+        const symbol = document.getElementById('actionSymbolInput').value.trim().toUpperCase();
+        const type = document.getElementById('actionTypeInput').value;
+        const date = document.getElementById('actionDateInput').value;
+        const value = document.getElementById('actionValueInput').value.trim();
+        
+        if (!/^[A-Z0-9.^-]{1,12}$/.test(symbol) || !date || !value) {
+            this.showNotification('Please enter a symbol, ex-date and amount or ratio', 'error');
+            return;
+        }
+        
+        let action;
+        let postings;
+        try {
+            ({ action, postings } = this.store.addCorporateAction({
+                symbol,
+                type,
+                date,
+                amount: type === 'dividend' ? value.replace(/^\$/, '') : undefined,
+                ratio: type === 'dividend' ? undefined : value
+            }));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        
+        if (postings.length > 0) {
+            this.rebuildPositions();
+            this.renderTransactions();
         }
+        document.getElementById('actionValueInput').value = '';
+        this.renderCorporateActions();
+        this.updateUI();
+        
+        const dividends = postings.reduce((sum, p) => sum + (p.amount || 0), 0);
+        const message = postings.length === 0
+            ? `Recorded ${symbol} ${this.actionModel.describe(action)}; no holding was affected yet`
+            : action.type === 'dividend'
+                ? `Posted ${this.formatCurrency(dividends)} of ${symbol} dividends`
+                : `Adjusted ${symbol} shares for the ${this.actionModel.describe(action)}`;
+        this.showNotification(message, 'success');
+    }
+
+    removeCorporateAction(actionId) {
+        if (!this.requireAccount()) return;
+        if (confirm('Remove this corporate action? Dividends and share changes already posted stay in the ledger; void them there if needed.')) {
+            this.store.removeCorporateAction(actionId);
+            this.renderCorporateActions();
+        }
+    }
+
+    /**
+     * Post recorded actions that have gone ex to the ledger
+     * @returns {Array} New ledger transactions
+     */
+    postCorporateActions() {
+        const postings = this.stores.flatMap(({ store }) => store.postCorporateActions());
+        
+        if (postings.length > 0) {
+            this.rebuildPositions();
+            this.renderTransactions();
+        }
+        return postings;
     }
 
-    savePositions() {
-        localStorage.setItem('portfolioPositions', JSON.stringify(this.positions));
+    renderCorporateActions() {
+        const container = document.getElementById('corporateActionsList');
+        if (!container) return;
+        
+        if (this.store.corporateActions.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">No dividends or splits recorded.</p>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <table class="min-w-full">
+                <tbody class="divide-y divide-gray-200">
+                    ${this.store.corporateActions.slice().reverse().map(action => `
+                        <tr>
+                            <td class="px-4 py-2 text-gray-600">${action.date}</td>
+                            <td class="px-4 py-2 font-medium">${action.symbol}</td>
+                            <td class="px-4 py-2">${this.actionModel.describe(action)}</td>
+                            <td class="px-4 py-2 text-right">
+                                <button onclick="portfolioApp.removeCorporateAction('${action.id}')" 
+                                        class="text-red-600 hover:text-red-800">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
     }
 
     // ========== Position Management ==========
     
     async addPosition() {
-        const symbol = document.getElementById('symbolInput').value.toUpperCase();
+        if (!this.requireAccount()) return;
+        const symbol = document.getElementById('symbolInput').value.trim().toUpperCase();
         const quantity = parseFloat(document.getElementById('quantityInput').value);
         const buyDate = document.getElementById('buyDateInput').value;
+        const currency = document.getElementById('currencyInput').value;
         let buyPrice = parseFloat(document.getElementById('buyPriceInput').value);
         
         // Validation
@@ -68,81 +351,612 @@ class PortfolioManager {
             this.showNotification('Please fill in all required fields', 'error');
             return;
         }
+        if (!/^[A-Z0-9.^-]{1,12}$/.test(symbol)) {
+            this.showNotification('Please enter a valid ticker symbol', 'error');
+            return;
+        }
         
-        // Check for duplicate position
-        const existing = this.positions.find(p => p.symbol === symbol);
-        if (existing) {
-            if (confirm(`You already have ${symbol} in your portfolio. Do you want to add to this position?`)) {
-                // Average down/up calculation
-                const totalCost = (existing.quantity * existing.buyPrice) + (quantity * (buyPrice || 100));
-                const totalQuantity = existing.quantity + quantity;
-                existing.quantity = totalQuantity;
-                existing.buyPrice = totalCost / totalQuantity;
-                existing.lastUpdated = new Date().toISOString();
-            } else {
-                return;
-            }
-        } else {
-            // Fetch buy price if not provided
+        // Fetch buy price if not provided
+        if (!buyPrice) {
+            buyPrice = await this.fetchHistoricalPrice(symbol, buyDate);
             if (!buyPrice) {
-                buyPrice = await this.fetchHistoricalPrice(symbol, buyDate);
-                if (!buyPrice) {
-                    buyPrice = 100; // Default fallback
-                }
-                document.getElementById('buyPriceInput').value = buyPrice.toFixed(2);
+                buyPrice = 100; // Default fallback
             }
-            
-            // Add new position
-            const position = {
-                id: Date.now().toString(),
-                symbol: symbol,
-                name: this.getCompanyName(symbol),
-                quantity: quantity,
-                buyPrice: buyPrice,
-                buyDate: buyDate,
-                currentPrice: buyPrice,
-                previousClose: buyPrice,
-                sector: this.getSector(symbol),
-                addedAt: new Date().toISOString(),
-                lastUpdated: new Date().toISOString()
-            };
-            
-            this.positions.push(position);
+            document.getElementById('buyPriceInput').value = buyPrice.toFixed(2);
         }
         
-        // Save and refresh
-        this.savePositions();
+        // Each purchase is its own ledger entry; adding to a holding no longer rewrites it
+        try {
+            this.store.buy({ date: buyDate, symbol, currency, quantity, price: buyPrice });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        
+        // Save and refresh; corporate actions before the buy date do not apply to it
+        this.rebuildPositions();
+        this.postCorporateActions();
         this.clearForm();
+        this.renderTransactions();
         await this.refreshPrices();
         this.updateUI();
         
-        this.showNotification(`Successfully added ${symbol} to portfolio`, 'success');
+        this.showNotification(`Recorded purchase of ${quantity} ${symbol}`, 'success');
     }
 
-    removePosition(positionId) {
-        if (confirm('Are you sure you want to remove this position?')) {
-            this.positions = this.positions.filter(p => p.id !== positionId);
-            this.savePositions();
-            this.updateUI();
-            this.showNotification('Position removed successfully', 'success');
+    /**
+     * Record a (partial) sale of a holding
+     * @param {string} symbol - Holding to sell from
+     * @param {number} quantity - Shares to sell; asks when omitted
+     * @param {number} price - Sale price; asks when omitted, defaulting to the current price
+     */
+    sellPosition(symbol, quantity = null, price = null) {
+        if (!this.requireAccount()) return;
+        const position = this.positions.find(p => p.symbol === symbol);
+        if (!position) return;
+        
+        if (quantity === null) {
+            const input = prompt(`Shares of ${symbol} to sell (held: ${+position.quantity.toFixed(6)}):`, position.quantity);
+            if (input === null) return;
+            quantity = parseFloat(input);
+        }
+        if (price === null) {
+            const input = prompt(`Sale price for ${symbol} (${position.currency}):`, position.currentPrice.toFixed(2));
+            if (input === null) return;
+            price = parseFloat(input);
+        }
+        
+        let lots;
+        if (this.ledger.costMethod === 'specific' && position.lots.length > 1) {
+            lots = this.promptLots(position, quantity);
+            if (lots === null) return;
+        }
+        
+        let transaction;
+        const realizedBefore = this.summary.realizedPnL;
+        try {
+            transaction = this.store.sell({
+                date: new Date().toISOString().split('T')[0],
+                symbol,
+                quantity,
+                price,
+                lots
+            });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
         }
+        
+        this.rebuildPositions();
+        const realized = this.summary.realizedPnL - realizedBefore;
+        this.renderTransactions();
+        this.updateUI();
+        this.showNotification(`Sold ${transaction.quantity} ${symbol}; realized ${this.formatCurrency(realized)}`, 'success');
+    }
+
+    /**
+     * Ask which lots a specific-lot sale draws from
+     * @returns {Array|null} [{ lotId, quantity }], or null when cancelled
+     */
+    promptLots(position, quantity) {
+        const listing = position.lots.map((lot, i) =>
+            `${i + 1}) ${lot.date}: ${+lot.quantity.toFixed(6)} @ ${this.formatCurrency(lot.cost / lot.quantity, position.currency)}`).join('\n');
+        
+        // Suggest the highest-cost lots first, which keeps the realized gain lowest
+        let remaining = quantity;
+        const suggestion = position.lots
+            .map((lot, i) => ({ lot, number: i + 1 }))
+            .sort((a, b) => b.lot.cost / b.lot.quantity - a.lot.cost / a.lot.quantity)
+            .map(({ lot, number }) => {
+                const take = Math.min(remaining, lot.quantity);
+                remaining -= take;
+                return take > 0 ? `${number}:${+take.toFixed(6)}` : null;
+            })
+            .filter(Boolean)
+            .join(', ');
+        
+        const input = prompt(`Sell ${quantity} ${position.symbol} from which lots? Enter lot:quantity pairs.\n\n${listing}`, suggestion);
+        if (input === null) return null;
+        
+        return input.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const [number, amount] = part.split(':').map(Number);
+            const lot = position.lots[number - 1];
+            return { lotId: lot ? lot.id : String(number), quantity: amount };
+        });
     }
 
-    editPosition(positionId) {
+    removePosition(positionId) {
+        if (!this.requireAccount()) return;
         const position = this.positions.find(p => p.id === positionId);
-        if (position) {
-            document.getElementById('symbolInput').value = position.symbol;
-            document.getElementById('quantityInput').value = position.quantity;
-            document.getElementById('buyDateInput').value = position.buyDate;
-            document.getElementById('buyPriceInput').value = position.buyPrice;
-            
-            // Remove the position for re-adding
-            this.positions = this.positions.filter(p => p.id !== positionId);
-            this.savePositions();
-            this.updateUI();
+        if (position && confirm(`Close the ${position.symbol} position by selling all ${+position.quantity.toFixed(6)} shares at ${this.formatCurrency(position.currentPrice, position.currency)}?`)) {
+            this.sellPosition(position.symbol, position.quantity, position.currentPrice);
         }
     }
 
+    // ========== Tax Lots ==========
+
+    setCostMethod(method) {
+        if (!this.requireAccount()) return;
+        this.store.setCostMethod(method);
+        this.rebuildPositions();
+        this.updateUI();
+        this.showNotification(`New sales will use ${this.ledger.costMethods[method].toLowerCase()}; past sales keep their method`, 'info');
+    }
+
+    /**
+     * Lots sold from the account, or from every account in the consolidated view, in the base currency
+     */
+    getRealizedGains(year) {
+        return this.stores
+            .flatMap(({ store }) => store.getRealizedGains(year))
+            .sort((a, b) => (a.sold < b.sold ? -1 : a.sold > b.sold ? 1 : 0));
+    }
+
+    /**
+     * Realized gains for a tax year, totalled by holding period
+     */
+    summarizeRealizedGains(year) {
+        const rows = this.getRealizedGains(year);
+        const total = term => rows.filter(r => !term || r.term === term).reduce((sum, r) => ({
+            proceeds: sum.proceeds + r.proceeds,
+            costBasis: sum.costBasis + r.costBasis,
+            gain: sum.gain + r.gain
+        }), { proceeds: 0, costBasis: 0, gain: 0 });
+        
+        return { rows, shortTerm: total('short'), longTerm: total('long'), total: total(null) };
+    }
+
+    renderTaxLots() {
+        const yearSelect = document.getElementById('gainsYearInput');
+        const summaryContainer = document.getElementById('realizedGainsSummary');
+        const lotsContainer = document.getElementById('taxLotsList');
+        if (!yearSelect || !lotsContainer) return;
+        
+        // Years with sales, plus the current year
+        const currentYear = new Date().getFullYear();
+        const years = [...new Set([currentYear, ...this.getRealizedGains().map(r => Number(r.sold.slice(0, 4)))])]
+            .sort((a, b) => b - a);
+        const selected = Number(yearSelect.value) || currentYear;
+        yearSelect.innerHTML = years.map(y => `<option value="${y}" ${y === selected ? 'selected' : ''}>${y}</option>`).join('');
+        
+        const { rows, shortTerm, longTerm, total } = this.summarizeRealizedGains(selected);
+        const cell = (value, currency) => `<td class="px-4 py-2 text-right ${value >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(value, currency)}</td>`;
+        summaryContainer.innerHTML = `
+            <table class="min-w-full">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">${selected} Realized</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Proceeds</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost Basis</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Gain/Loss</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200">
+                    ${[['Short-term', shortTerm], ['Long-term', longTerm], ['Total', total]].map(([label, t]) => `
+                        <tr class="${label === 'Total' ? 'font-semibold' : ''}">
+                            <td class="px-4 py-2">${label}</td>
+                            <td class="px-4 py-2 text-right">${this.formatCurrency(t.proceeds)}</td>
+                            <td class="px-4 py-2 text-right">${this.formatCurrency(t.costBasis)}</td>
+                            ${cell(t.gain)}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="text-xs text-gray-500 mt-1">${rows.length} lot sale${rows.length === 1 ? '' : 's'} · lots held more than one year are long-term</p>
+        `;
+        
+        const today = new Date().toISOString().split('T')[0];
+        const lots = this.positions.flatMap(position => position.lots.map(lot => ({ position, lot })));
+        if (lots.length === 0) {
+            lotsContainer.innerHTML = '<p class="text-gray-500">No open lots.</p>';
+            return;
+        }
+        
+        lotsContainer.innerHTML = `
+            <table class="min-w-full">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Symbol</th>
+                        <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Acquired</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost / Share</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost Basis</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unrealized</th>
+                        <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Term if Sold Today</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200">
+                    ${lots.map(({ position, lot }) => `
+                        <tr>
+                            <td class="px-4 py-2 font-medium">${position.symbol}</td>
+                            <td class="px-4 py-2 text-gray-600">${lot.date}</td>
+                            <td class="px-4 py-2 text-right">${lot.quantity.toFixed(3)}</td>
+                            <td class="px-4 py-2 text-right">${this.formatCurrency(lot.cost / lot.quantity, position.currency)}</td>
+                            <td class="px-4 py-2 text-right">${this.formatCurrency(lot.cost, position.currency)}</td>
+                            ${cell(lot.quantity * position.currentPrice - lot.cost, position.currency)}
+                            <td class="px-4 py-2">${this.ledger.isLongTerm(lot.date, today) ? 'Long-term' : 'Short-term'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Year-end realized gains report: one row per lot sold, then short/long-term totals
+     */
+    exportRealizedGainsCSV() {
+        const year = Number(document.getElementById('gainsYearInput').value) || new Date().getFullYear();
+        const { rows, shortTerm, longTerm, total } = this.summarizeRealizedGains(year);
+        const field = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value;
+        const money = value => value.toFixed(2);
+        
+        const headers = ['Symbol', 'Description', 'Quantity', 'Date Acquired', 'Date Sold', 'Proceeds', 'Cost Basis', 'Gain/Loss', 'Term'];
+        const lines = rows.map(r => [
+            r.symbol,
+            this.getCompanyName(r.symbol),
+            +r.quantity.toFixed(6),
+            r.acquired,
+            r.sold,
+            money(r.proceeds),
+            money(r.costBasis),
+            money(r.gain),
+            r.term === 'long' ? 'Long-term' : 'Short-term'
+        ]);
+        lines.push(
+            ['Total short-term', '', '', '', '', money(shortTerm.proceeds), money(shortTerm.costBasis), money(shortTerm.gain), 'Short-term'],
+            ['Total long-term', '', '', '', '', money(longTerm.proceeds), money(longTerm.costBasis), money(longTerm.gain), 'Long-term'],
+            ['Total', '', '', '', '', money(total.proceeds), money(total.costBasis), money(total.gain), '']
+        );
+        
+        const csv = [
+            headers.join(','),
+            ...lines.map(row => row.map(field).join(','))
+        ].join('\n');
+        
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `realized_gains_${year}_${this.isConsolidated() ? 'all_accounts' : this.ledger.costMethod}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        this.showNotification(`Exported ${rows.length} realized lot${rows.length === 1 ? '' : 's'} for ${year}`, 'success');
+    }
+
+    // ========== Transactions ==========
+
+    /**
+     * Record a cash entry from the transactions form: deposit, withdrawal, fee or a dividend
+     * received outside the recorded corporate actions
+     */
+    addCashTransaction() {
+        if (!this.requireAccount()) return;
+        const type = document.getElementById('cashTypeInput').value;
+        const symbol = document.getElementById('cashSymbolInput').value.trim().toUpperCase();
+        const date = document.getElementById('cashDateInput').value;
+        const amount = parseFloat(document.getElementById('cashAmountInput').value);
+        const currency = document.getElementById('cashCurrencyInput').value;
+        const notes = document.getElementById('cashNotesInput').value.trim();
+        
+        // A dividend is paid in the currency of its holding
+        const holding = type === 'dividend' ? this.store.getHolding(symbol) : null;
+        let transaction;
+        try {
+            transaction = this.store.record({ type, symbol, date, amount, currency: holding ? holding.currency : currency, notes });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        
+        document.getElementById('cashAmountInput').value = '';
+        document.getElementById('cashNotesInput').value = '';
+        this.rebuildPositions();
+        this.renderTransactions();
+        this.updateUI();
+        this.showNotification(`Recorded ${this.ledger.types[type].toLowerCase()} of ${this.formatCurrency(amount, transaction.currency)}`, 'success');
+    }
+
+    /**
+     * Cancel a ledger entry; the entry stays in the history marked as voided
+     */
+    voidTransaction(transactionId) {
+        if (!this.requireAccount()) return;
+        const reason = prompt('Reason for voiding this transaction:', 'Entered in error');
+        if (reason === null) return;
+        
+        try {
+            this.ledger.voidTransaction(transactionId, reason);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        
+        this.rebuildPositions();
+        this.renderTransactions();
+        this.updateUI();
+        this.showNotification('Transaction voided', 'success');
+    }
+
+    describeTransaction(transaction) {
+        const currency = transaction.currency || this.ledger.defaultCurrency;
+        switch (transaction.type) {
+            case 'buy':
+            case 'sell':
+                return `${+transaction.quantity.toFixed(6)} @ ${this.formatCurrency(transaction.price, currency)}` +
+                    (transaction.fees ? ` + ${this.formatCurrency(transaction.fees, currency)} fees` : '');
+            case 'split':
+                return transaction.notes || `${transaction.ratio}-for-1 split`;
+            case 'void': {
+                const target = this.ledger.getTransactions().find(t => t.id === transaction.voids);
+                return `Voids ${target ? `${this.ledger.types[target.type].toLowerCase()} of ${target.date}` : transaction.voids}`;
+            }
+            default:
+                return this.formatCurrency(transaction.amount, currency);
+        }
+    }
+
+    renderTransactions() {
+        const container = document.getElementById('transactionsList');
+        if (!container) return;
+        
+        if (this.isConsolidated()) {
+            container.innerHTML = '<p class="text-gray-500">Select an account to see and edit its transactions.</p>';
+            return;
+        }
+        
+        const transactions = this.ledger.getTransactions();
+        if (transactions.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">No transactions recorded.</p>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <table class="min-w-full">
+                <tbody class="divide-y divide-gray-200">
+                    ${transactions.slice().reverse().map(t => {
+                        const voided = this.ledger.isVoided(t.id);
+                        return `
+                        <tr class="${voided ? 'line-through text-gray-400' : ''}">
+                            <td class="px-4 py-2 text-gray-600">${t.date}</td>
+                            <td class="px-4 py-2 font-medium">${this.ledger.types[t.type]}</td>
+                            <td class="px-4 py-2">${this.escapeHtml(t.symbol || '')}</td>
+                            <td class="px-4 py-2">${this.describeTransaction(t)}</td>
+                            <td class="px-4 py-2 text-gray-500">${t.notes ? this.escapeHtml(t.notes) : ''}</td>
+                            <td class="px-4 py-2 text-right">
+                                ${t.type === 'void' || voided ? '' : `
+                                <button onclick="portfolioApp.voidTransaction('${t.id}')" 
+                                        class="text-red-600 hover:text-red-800" title="Void">
+                                    <i class="fas fa-ban"></i>
+                                </button>`}
+                            </td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // ========== Broker Import ==========
+
+    renderImportProfiles(selected = '') {
+        const select = document.getElementById('importProfileSelect');
+        if (!select) return;
+        select.innerHTML = [
+            '<option value="">Guess from headers</option>',
+            ...this.brokerImport.getProfiles().map(profile =>
+                `<option value="${this.escapeHtml(profile.name)}">${this.escapeHtml(profile.name)}</option>`)
+        ].join('');
+        select.value = selected;
+    }
+
+    /**
+     * Read a broker CSV and open the mapping step, using a saved profile that fits its headers
+     * @param {File} file - Selected file
+     */
+    loadImportFile(file) {
+        if (!file || !this.requireAccount()) return;
+        const reader = new FileReader();
+        reader.onload = e => {
+            let parsed;
+            try {
+                parsed = this.brokerImport.parse(e.target.result);
+            } catch (error) {
+                this.showNotification('Import failed: ' + error.message, 'error');
+                return;
+            }
+            this.importFile = { name: file.name, parsed };
+            const profile = this.brokerImport.findProfile(parsed.headers);
+            this.renderImportWizard(
+                profile ? profile.mapping : this.brokerImport.guessMapping(parsed.headers),
+                profile ? profile.options : {}
+            );
+            this.renderImportProfiles(profile ? profile.name : '');
+            document.getElementById('importProfileName').value = profile ? profile.name : '';
+            this.previewImport();
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Show a column picker per field and the import options
+     * @param {Object} mapping - { field: header }
+     * @param {Object} options - { dateFormat, currency }
+     */
+    renderImportWizard(mapping, options = {}) {
+        const { headers } = this.importFile.parsed;
+        document.getElementById('importMapping').innerHTML = Object.entries(this.brokerImport.fields).map(([field, label]) => `
+            <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">${label}</label>
+                <select data-field="${field}" onchange="portfolioApp.previewImport()"
+                        class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
+                    <option value="">Not in file</option>
+                    ${headers.map(header => `
+                        <option value="${this.escapeHtml(header)}" ${mapping[field] === header ? 'selected' : ''}>${this.escapeHtml(header)}</option>`).join('')}
+                </select>
+            </div>
+        `).join('');
+
+        document.getElementById('importDateFormat').innerHTML = Object.entries(this.brokerImport.dateFormats)
+            .map(([format, label]) => `<option value="${format}" ${format === (options.dateFormat || 'auto') ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        document.getElementById('importCurrency').innerHTML = [
+            `<option value="">Symbol's currency, else ${this.ledger.defaultCurrency}</option>`,
+            ...this.store.fx.currencies().map(code => `<option value="${code}" ${code === options.currency ? 'selected' : ''}>${code}</option>`)
+        ].join('');
+        document.getElementById('importWizard').classList.remove('hidden');
+    }
+
+    readImportMapping() {
+        const mapping = {};
+        document.querySelectorAll('#importMapping select').forEach(select => {
+            if (select.value) mapping[select.dataset.field] = select.value;
+        });
+        return mapping;
+    }
+
+    readImportOptions() {
+        return {
+            dateFormat: document.getElementById('importDateFormat').value,
+            currency: document.getElementById('importCurrency').value,
+            fileName: this.importFile.name
+        };
+    }
+
+    applyImportProfile(name) {
+        if (!this.importFile) return;
+        const profile = this.brokerImport.getProfile(name);
+        const { headers } = this.importFile.parsed;
+        if (profile && Object.values(profile.mapping).some(header => !headers.includes(header))) {
+            this.showNotification(`This file does not have every column of the "${name}" profile`, 'warning');
+        }
+        this.renderImportWizard(profile ? profile.mapping : this.brokerImport.guessMapping(headers), profile ? profile.options : {});
+        document.getElementById('importProfileName').value = profile ? profile.name : '';
+        this.previewImport();
+    }
+
+    saveImportProfile() {
+        if (!this.importFile) return;
+        const name = document.getElementById('importProfileName').value;
+        let profile;
+        try {
+            profile = this.brokerImport.saveProfile(name, this.readImportMapping(), this.readImportOptions());
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.renderImportProfiles(profile.name);
+        this.showNotification(`Saved mapping profile "${profile.name}"`, 'success');
+    }
+
+    deleteImportProfile() {
+        const name = document.getElementById('importProfileSelect').value;
+        if (!name || !confirm(`Delete the mapping profile "${name}"?`)) return;
+        this.brokerImport.deleteProfile(name);
+        this.renderImportProfiles();
+        this.showNotification(`Deleted mapping profile "${name}"`, 'success');
+    }
+
+    /**
+     * Map the file with the chosen columns and list every row with its status
+     */
+    previewImport() {
+        if (!this.importFile) return;
+        const container = document.getElementById('importPreview');
+        const button = document.getElementById('importCommitButton');
+        try {
+            this.importPreview = this.brokerImport.preview(this.importFile.parsed, this.readImportMapping(), this.store, this.readImportOptions());
+        } catch (error) {
+            this.importPreview = null;
+            container.innerHTML = `<p class="text-red-600">${this.escapeHtml(error.message)}</p>`;
+            button.disabled = true;
+            return;
+        }
+
+        const { rows, counts } = this.importPreview;
+        const badges = {
+            ok: '<span class="px-2 py-1 rounded text-xs bg-green-100 text-green-800">Ready</span>',
+            duplicate: '<span class="px-2 py-1 rounded text-xs bg-yellow-100 text-yellow-800">Duplicate</span>',
+            error: '<span class="px-2 py-1 rounded text-xs bg-red-100 text-red-800">Error</span>'
+        };
+        container.innerHTML = `
+            <p class="mb-2">
+                <span class="text-green-700 font-medium">${counts.ok} ready</span> &middot;
+                <span class="text-yellow-700">${counts.duplicate} already in the portfolio</span> &middot;
+                <span class="text-red-700">${counts.error} with errors</span>
+            </p>
+            <table class="min-w-full">
+                <thead class="bg-gray-50">
+                    <tr class="text-left text-xs font-medium text-gray-500 uppercase">
+                        <th class="px-4 py-2">Line</th>
+                        <th class="px-4 py-2">Status</th>
+                        <th class="px-4 py-2">Date</th>
+                        <th class="px-4 py-2">Type</th>
+                        <th class="px-4 py-2">Symbol</th>
+                        <th class="px-4 py-2">Details</th>
+                        <th class="px-4 py-2">Message</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200">
+                    ${rows.map(row => {
+                        const t = row.transaction;
+                        return `
+                        <tr>
+                            <td class="px-4 py-2 text-gray-500">${row.line}</td>
+                            <td class="px-4 py-2">${badges[row.status]}</td>
+                            <td class="px-4 py-2 text-gray-600">${t ? t.date : ''}</td>
+                            <td class="px-4 py-2 font-medium">${t ? this.ledger.types[t.type] : ''}</td>
+                            <td class="px-4 py-2">${t ? this.escapeHtml(t.symbol) : ''}</td>
+                            <td class="px-4 py-2">${t ? this.describeTransaction(t) : ''}</td>
+                            <td class="px-4 py-2 ${row.status === 'error' ? 'text-red-600' : 'text-gray-500'}">${this.escapeHtml(row.message)}</td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+        button.disabled = counts.ok === 0;
+        button.querySelector('span').textContent = `Import ${counts.ok} row${counts.ok === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Record the rows marked ready in the preview
+     */
+    async commitImport() {
+        if (!this.importPreview || !this.requireAccount()) return;
+        const { counts } = this.importPreview;
+        let imported;
+        try {
+            imported = this.brokerImport.commit(this.store, this.importPreview);
+        } catch (error) {
+            this.showNotification('Import failed: ' + error.message, 'error');
+            return;
+        }
+
+        this.cancelImport();
+        this.rebuildPositions();
+        this.postCorporateActions();
+        this.renderTransactions();
+        await this.refreshPrices();
+        this.updateUI();
+
+        const skipped = counts.duplicate + counts.error;
+        this.showNotification(
+            `Imported ${imported} transaction${imported === 1 ? '' : 's'}` + (skipped > 0 ? `, skipped ${skipped} row${skipped === 1 ? '' : 's'}` : ''),
+            skipped > 0 ? 'warning' : 'success'
+        );
+    }
+
+    cancelImport() {
+        this.importFile = null;
+        this.importPreview = null;
+        document.getElementById('importFileInput').value = '';
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('importWizard').classList.add('hidden');
+    }
+
     // ========== Market Data (Simulated) ==========
     
     async fetchHistoricalPrice(symbol, date) {
@@ -158,28 +972,30 @@ class PortfolioManager {
         
         // Simulate API call delay
         await new Promise(resolve => setTimeout(resolve, 1000));
+        await this.refreshRates();
         
         // Update prices for all positions
         for (let position of this.positions) {
             // Simulate price movement
-            const previousPrice = position.currentPrice || position.buyPrice;
+            const previousPrice = position.currentPrice || position.averageCost;
             const dailyChange = (Math.random() - 0.5) * 0.04; // ±2% daily change
             const newPrice = previousPrice * (1 + dailyChange);
             
-            position.previousClose = position.currentPrice || position.buyPrice;
-            position.currentPrice = newPrice;
-            position.lastUpdated = new Date().toISOString();
-            
-            // Update market data cache
-            this.marketData[position.symbol] = {
+            // Update the shared quote; holdings pick it up on rebuild
+            this.store.setQuote(position.symbol, {
                 price: newPrice,
-                previousClose: position.previousClose,
-                change: newPrice - position.previousClose,
-                changePercent: ((newPrice - position.previousClose) / position.previousClose) * 100
-            };
+                previousClose: previousPrice,
+                name: position.name,
+                sector: position.sector
+            });
         }
         
-        this.savePositions();
+        this.store.save();
+        this.rebuildPositions();
+        this.postCorporateActions();
+        for (const { store } of this.stores) {
+            await store.recordSnapshots();
+        }
         this.updateUI();
         this.showLoading(false);
         
@@ -198,17 +1014,18 @@ class PortfolioManager {
         let weights = [];
         let returns = [];
         
+        // Totals are in the base currency; per-share returns are in each holding's own currency
         for (let position of this.positions) {
-            const marketValue = position.quantity * position.currentPrice;
-            const cost = position.quantity * position.buyPrice;
-            const dailyChange = position.quantity * (position.currentPrice - position.previousClose);
+            const marketValue = position.marketValueBase;
+            const cost = position.costBasisBase;
+            const dailyChange = position.dayChangeBase;
             
             totalValue += marketValue;
             totalCost += cost;
             todayChange += dailyChange;
             
             // Calculate individual returns for risk metrics
-            const positionReturn = (position.currentPrice - position.buyPrice) / position.buyPrice;
+            const positionReturn = (position.currentPrice - position.averageCost) / position.averageCost;
             returns.push(positionReturn);
             weights.push(marketValue);
         }
@@ -218,8 +1035,12 @@ class PortfolioManager {
             weights = weights.map(w => w / totalValue);
         }
         
-        // Calculate portfolio metrics
-        const totalPnL = totalValue - totalCost;
+        // Calculate portfolio metrics; dividends received and gains on closed shares count towards P&L
+        const summary = this.summary || this.ledger.getSummary();
+        const unrealizedPnL = totalValue - totalCost;
+        const realizedPnL = summary.realizedPnL;
+        const totalDividends = summary.dividends;
+        const totalPnL = unrealizedPnL + realizedPnL + totalDividends;
         const totalPnLPercent = totalCost > 0 ? (totalPnL / totalCost) * 100 : 0;
         const todayChangePercent = totalValue > 0 ? (todayChange / (totalValue - todayChange)) * 100 : 0;
         
@@ -234,6 +1055,10 @@ class PortfolioManager {
         return {
             totalValue,
             totalCost,
+            totalDividends,
+            unrealizedPnL,
+            realizedPnL,
+            cash: summary.cash,
             totalPnL,
             totalPnLPercent,
             todayChange,
@@ -247,16 +1072,62 @@ class PortfolioManager {
         };
     }
 
+    /**
+     * Money-weighted return of a holding across all its buys, sales and dividends
+     * (annualized once held for a year)
+     */
     calculateCAGR(position) {
-        const buyDate = new Date(position.buyDate);
-        const currentDate = new Date();
-        const daysHeld = (currentDate - buyDate) / (1000 * 60 * 60 * 24);
-        const yearsHeld = daysHeld / 365.25;
+        const rate = this.performance.positionReturn(position.symbol, position.currentPrice);
+        return rate === null ? 0 : rate * 100;
+    }
+
+    // ========== Portfolio Returns ==========
+
+    renderReturns() {
+        const container = document.getElementById('returnsTable');
+        if (!container) return;
+        
+        const { series, periods } = this.performance.periodReturns();
+        if (series.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">Returns appear once transactions are recorded.</p>';
+            return;
+        }
         
-        if (yearsHeld <= 0 || position.buyPrice <= 0) return 0;
+        const percent = value => value === null || !isFinite(value)
+            ? '<span class="text-gray-400">n/a</span>'
+            : `<span class="${value >= 0 ? 'positive' : 'negative'}">${(value * 100).toFixed(2)}%</span>`;
         
-        const cagr = (Math.pow(position.currentPrice / position.buyPrice, 1 / yearsHeld) - 1) * 100;
-        return cagr;
+        container.innerHTML = `
+            <table class="min-w-full text-sm">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Time-Weighted</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">TWR Annualized</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Local Currency</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">FX Contribution</th>
+                        <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Money-Weighted (XIRR)</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200">
+                    ${Object.values(periods).map(p => `
+                        <tr>
+                            <td class="px-4 py-2">${p.label}${p.partial ? ` <span class="text-xs text-gray-500">(since ${p.start})</span>` : ''}</td>
+                            <td class="px-4 py-2 text-right">${percent(p.twr)}</td>
+                            <td class="px-4 py-2 text-right">${percent(p.twrAnnualized)}</td>
+                            <td class="px-4 py-2 text-right">${percent(p.twrLocal)}</td>
+                            <td class="px-4 py-2 text-right">${percent(p.fxContribution)}</td>
+                            <td class="px-4 py-2 text-right">${percent(p.mwr)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="text-xs text-gray-500 mt-2">
+                Time-weighted return links daily returns so deposits and withdrawals do not distort it;
+                money-weighted return (XIRR) reflects the timing of your own cash flows. Periods under a year are not annualized.
+                Returns are in ${this.store.baseCurrency}; the local-currency return leaves out exchange-rate moves and the FX contribution is the difference.
+            </p>
+        `;
     }
 
     calculateWeightedReturn(returns, weights) {
@@ -306,7 +1177,7 @@ class PortfolioManager {
         
         let maxDrawdown = 0;
         for (let position of this.positions) {
-            const drawdown = (position.buyPrice - position.currentPrice) / position.buyPrice;
+            const drawdown = (position.averageCost - position.currentPrice) / position.averageCost;
             maxDrawdown = Math.max(maxDrawdown, drawdown);
         }
         return maxDrawdown;
@@ -325,6 +1196,8 @@ class PortfolioManager {
     updateUI() {
         this.updateMetricsCards();
         this.updateHoldingsTable();
+        this.renderTaxLots();
+        this.renderReturns();
         this.updateCharts();
     }
 
@@ -340,6 +1213,8 @@ class PortfolioManager {
         
         document.getElementById('totalPnL').textContent = this.formatCurrency(metrics.totalPnL);
         document.getElementById('totalPnLPercent').textContent = `${metrics.totalPnLPercent.toFixed(2)}%`;
+        document.getElementById('realizedPnL').textContent = this.formatCurrency(metrics.realizedPnL);
+        document.getElementById('cashBalance').textContent = this.formatCurrency(metrics.cash);
         
         document.getElementById('todayChange').textContent = this.formatCurrency(metrics.todayChange);
         document.getElementById('todayChangePercent').textContent = `${metrics.todayChangePercent.toFixed(2)}%`;
@@ -361,7 +1236,7 @@ class PortfolioManager {
         if (this.positions.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="12" class="text-center py-8 text-gray-500">
+                    <td colspan="14" class="text-center py-8 text-gray-500">
                         No positions in portfolio. Add your first position above.
                     </td>
                 </tr>
@@ -369,29 +1244,38 @@ class PortfolioManager {
             return;
         }
         
+        // Prices are in the holding's currency; values and P&L in the base currency
         tbody.innerHTML = this.positions.map(position => {
-            const marketValue = position.quantity * position.currentPrice;
-            const pnl = (position.currentPrice - position.buyPrice) * position.quantity;
-            const pnlPercent = ((position.currentPrice - position.buyPrice) / position.buyPrice) * 100;
-            const dailyChange = (position.currentPrice - position.previousClose) * position.quantity;
+            const marketValue = position.marketValueBase;
+            const pnl = position.unrealizedPnLBase;
+            const pnlPercent = position.unrealizedPnLPercentBase;
+            const dailyChange = position.dayChangeBase;
             const dailyChangePercent = ((position.currentPrice - position.previousClose) / position.previousClose) * 100;
             const weight = (marketValue / metrics.totalValue) * 100;
             const cagr = this.calculateCAGR(position);
+            const foreign = position.currency !== this.store.baseCurrency;
             
             return `
                 <tr>
                     <td class="px-4 py-3 font-medium">${position.symbol}</td>
                     <td class="px-4 py-3 text-gray-600">${position.name}</td>
                     <td class="px-4 py-3 text-right">${position.quantity.toFixed(3)}</td>
-                    <td class="px-4 py-3 text-right">${this.formatCurrency(position.buyPrice)}</td>
-                    <td class="px-4 py-3 text-right">${this.formatCurrency(position.currentPrice)}</td>
+                    <td class="px-4 py-3 text-right">${this.formatCurrency(position.averageCost, position.currency)}</td>
+                    <td class="px-4 py-3 text-right">${this.formatCurrency(position.currentPrice, position.currency)}</td>
                     <td class="px-4 py-3 text-right font-medium">${this.formatCurrency(marketValue)}</td>
                     <td class="px-4 py-3 text-right ${pnl >= 0 ? 'positive' : 'negative'}">
                         ${this.formatCurrency(pnl)}
                     </td>
                     <td class="px-4 py-3 text-right ${pnlPercent >= 0 ? 'positive' : 'negative'}">
                         ${pnlPercent.toFixed(2)}%
+                        ${foreign ? `<br><span class="text-xs" title="Local-currency return and FX contribution">
+                            ${position.unrealizedPnLPercent.toFixed(2)}% local, ${position.fxReturnPercent >= 0 ? '+' : ''}${position.fxReturnPercent.toFixed(2)}% FX
+                        </span>` : ''}
                     </td>
+                    <td class="px-4 py-3 text-right ${position.realizedPnLBase >= 0 ? 'positive' : 'negative'}">
+                        ${this.formatCurrency(position.realizedPnLBase)}
+                    </td>
+                    <td class="px-4 py-3 text-right">${this.formatCurrency(position.dividendsBase)}</td>
                     <td class="px-4 py-3 text-right ${dailyChange >= 0 ? 'positive' : 'negative'}">
                         ${this.formatCurrency(dailyChange)}
                         <br>
@@ -400,12 +1284,12 @@ class PortfolioManager {
                     <td class="px-4 py-3 text-right">${cagr.toFixed(2)}%</td>
                     <td class="px-4 py-3 text-right">${weight.toFixed(2)}%</td>
                     <td class="px-4 py-3 text-center">
-                        <button onclick="portfolioApp.editPosition('${position.id}')" 
-                                class="text-blue-600 hover:text-blue-800 mr-2">
-                            <i class="fas fa-edit"></i>
+                        <button onclick="portfolioApp.sellPosition('${position.symbol}')" 
+                                class="text-blue-600 hover:text-blue-800 mr-2" title="Sell shares">
+                            <i class="fas fa-minus-circle"></i>
                         </button>
                         <button onclick="portfolioApp.removePosition('${position.id}')" 
-                                class="text-red-600 hover:text-red-800">
+                                class="text-red-600 hover:text-red-800" title="Close position">
                             <i class="fas fa-trash"></i>
                         </button>
                     </td>
@@ -505,37 +1389,18 @@ class PortfolioManager {
     }
 
     updateCharts() {
-        const metrics = this.calculatePortfolioMetrics();
-        
         // Update allocation chart
         const allocationData = this.positions.map(p => ({
             label: p.symbol,
-            value: p.quantity * p.currentPrice
+            value: p.marketValueBase
         }));
         
         this.charts.allocation.data.labels = allocationData.map(d => d.label);
         this.charts.allocation.data.datasets[0].data = allocationData.map(d => d.value);
         this.charts.allocation.update();
         
-        // Update performance chart (simulate historical data)
-        const days = 30;
-        const dates = [];
-        const values = [];
-        const today = new Date();
-        
-        for (let i = days; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            dates.push(date.toLocaleDateString());
-            
-            // Simulate historical portfolio value
-            const randomFactor = 0.95 + Math.random() * 0.1;
-            values.push(metrics.totalValue * randomFactor);
-        }
-        
-        this.charts.performance.data.labels = dates;
-        this.charts.performance.data.datasets[0].data = values;
-        this.charts.performance.update();
+        // Update performance chart from the saved daily snapshots
+        this.updatePerformanceChart();
         
         // Update sector chart
         const sectorData = this.calculateSectorBreakdown();
@@ -544,13 +1409,26 @@ class PortfolioManager {
         this.charts.sector.update();
     }
 
+    async updatePerformanceChart() {
+        try {
+            const snapshots = this.isConsolidated()
+                ? await this.accounts.consolidateSnapshots(this.stores)
+                : await this.store.snapshots.getRange();
+            this.charts.performance.data.labels = snapshots.map(snapshot => snapshot.date);
+            this.charts.performance.data.datasets[0].data = snapshots.map(snapshot => snapshot.value);
+            this.charts.performance.update();
+        } catch (error) {
+            console.error('Error loading portfolio snapshots:', error);
+        }
+    }
+
     calculateSectorBreakdown() {
         const sectors = {};
         const metrics = this.calculatePortfolioMetrics();
         
         for (let position of this.positions) {
             const sector = position.sector || 'Other';
-            const value = position.quantity * position.currentPrice;
+            const value = position.marketValueBase;
             const weight = (value / metrics.totalValue) * 100;
             
             if (sectors[sector]) {
@@ -643,15 +1521,27 @@ class PortfolioManager {
         return prices[symbol] || 100;
     }
 
-    formatCurrency(value) {
+    /**
+     * @param {string} currency - ISO code (defaults to the base currency)
+     */
+    formatCurrency(value, currency = this.store.baseCurrency) {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
-            currency: 'USD',
+            currency,
             minimumFractionDigits: 2,
             maximumFractionDigits: 2
         }).format(value);
     }
 
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     clearForm() {
         document.getElementById('symbolInput').value = '';
         document.getElementById('quantityInput').value = '';
@@ -718,20 +1608,28 @@ class PortfolioManager {
                 exportDate: new Date().toISOString(),
                 portfolioValue: metrics.totalValue,
                 totalPnL: metrics.totalPnL,
-                totalPnLPercent: metrics.totalPnLPercent
+                totalPnLPercent: metrics.totalPnLPercent,
+                totalDividends: metrics.totalDividends,
+                realizedPnL: metrics.realizedPnL,
+                cash: metrics.cash
             },
             positions: this.positions.map(p => ({
                 symbol: p.symbol,
                 name: p.name,
                 quantity: p.quantity,
-                buyPrice: p.buyPrice,
-                buyDate: p.buyDate,
+                averageCost: p.averageCost,
+                openedAt: p.openedAt,
                 currentPrice: p.currentPrice,
                 marketValue: p.quantity * p.currentPrice,
-                pnl: (p.currentPrice - p.buyPrice) * p.quantity,
-                pnlPercent: ((p.currentPrice - p.buyPrice) / p.buyPrice) * 100,
+                pnl: (p.currentPrice - p.averageCost) * p.quantity,
+                pnlPercent: ((p.currentPrice - p.averageCost) / p.averageCost) * 100,
+                dividends: p.dividends,
+                realizedPnL: p.realizedPnL,
                 cagr: this.calculateCAGR(p)
-            }))
+            })),
+            ...(this.isConsolidated()
+                ? { accounts: this.stores.map(({ account, store }) => ({ name: account.name, ...store.exportData() })) }
+                : { account: this.accounts.get(this.accountId).name, ...this.store.exportData() })
         };
         
         // Export as JSON
@@ -750,17 +1648,19 @@ class PortfolioManager {
     }
 
     exportCSV() {
-        const headers = ['Symbol', 'Name', 'Quantity', 'Buy Price', 'Buy Date', 'Current Price', 'Market Value', 'P&L', 'P&L %', 'CAGR'];
+        const headers = ['Symbol', 'Name', 'Quantity', 'Buy Price', 'Buy Date', 'Current Price', 'Market Value', 'Unrealized P&L', 'P&L %', 'Realized P&L', 'Dividends', 'CAGR'];
         const rows = this.positions.map(p => [
             p.symbol,
             p.name,
             p.quantity,
-            p.buyPrice,
-            p.buyDate,
+            p.averageCost,
+            p.openedAt,
             p.currentPrice,
             p.quantity * p.currentPrice,
-            (p.currentPrice - p.buyPrice) * p.quantity,
-            ((p.currentPrice - p.buyPrice) / p.buyPrice) * 100,
+            p.quantity * p.currentPrice - p.costBasis,
+            ((p.quantity * p.currentPrice - p.costBasis) / p.costBasis) * 100,
+            p.realizedPnL,
+            p.dividends,
             this.calculateCAGR(p)
         ]);
         
@@ -1,12 +1,18 @@
 /**
  * Professional Portfolio Management System
  * Includes real-time prices from Yahoo Finance, comprehensive analytics, and risk management
+ * Holdings are read from the shared PortfolioStore, so they match the other portfolio pages;
+ * each named portfolio (account) can be viewed on its own or consolidated with the others.
+ * Daily value snapshots are saved to IndexedDB on each price refresh and backfilled from
+ * Yahoo Finance closes for earlier days. Totals are in the base currency; exchange rates come
+ * from the ECB reference rates (Frankfurter) when they can be fetched.
  */
 
 // Portfolio State Management
 class PortfolioManager {
     constructor() {
-        this.holdings = this.loadFromStorage() || [];
+        this.accounts = new PortfolioAccounts();
+        this.openAccount(this.accounts.getActiveId());
         this.priceCache = new Map();
         this.lastUpdate = null;
         this.charts = {};
@@ -15,12 +21,115 @@ class PortfolioManager {
 
     init() {
         this.setupEventListeners();
+        this.renderAccounts();
         this.renderHoldings();
         this.updateSummaryCards();
         this.initializeCharts();
+        this.updatePerformanceChart();
+        this.backfillSnapshots();
         this.startAutoRefresh();
     }
 
+    // Point the page at one account, or at every account for the consolidated view
+    openAccount(accountId) {
+        this.accountId = accountId;
+        this.stores = this.accounts.openStores(accountId);
+        // In the consolidated view the first account's store holds the shared quotes
+        this.store = this.stores[0].store;
+        this.store.fx.setSource(new FrankfurterRateSource());
+        this.holdings = this.getHoldings();
+    }
+
+    isConsolidated() {
+        return this.accountId === this.accounts.consolidatedId;
+    }
+
+    getHoldings() {
+        return this.isConsolidated() ? this.accounts.consolidateHoldings(this.stores) : this.store.getHoldings();
+    }
+
+    // Changes are recorded in one account; the consolidated view is read-only
+    requireAccount() {
+        if (!this.isConsolidated()) return true;
+        this.showAlert('Select an account to make changes; the consolidated view is read-only', 'warning');
+        return false;
+    }
+
+    // Fill the account switcher
+    renderAccounts() {
+        const select = document.getElementById('accountSelect');
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.accounts.list().forEach(account => select.add(new Option(account.name, account.id)));
+        select.add(new Option('All accounts (consolidated)', this.accounts.consolidatedId));
+        select.value = this.accountId;
+
+        const currency = document.getElementById('assetCurrency');
+        if (currency) {
+            currency.innerHTML = '';
+            this.store.fx.currencies().forEach(code => currency.add(new Option(code, code)));
+            currency.value = this.store.baseCurrency;
+        }
+    }
+
+    async switchAccount(accountId) {
+        try {
+            this.accounts.setActive(accountId);
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+            return;
+        }
+        this.openAccount(accountId);
+        this.renderAccounts();
+        this.renderHoldings();
+        this.updateSummaryCards();
+        this.updateCharts();
+        await this.backfillSnapshots();
+    }
+
+    createAccount() {
+        const name = prompt('Name of the new portfolio:');
+        if (name === null) return;
+
+        try {
+            const account = this.accounts.create(name);
+            this.switchAccount(account.id);
+            this.showAlert(`Created portfolio ${account.name}`, 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    renameAccount() {
+        if (!this.requireAccount()) return;
+        const name = prompt('New name for this portfolio:', this.accounts.get(this.accountId).name);
+        if (name === null) return;
+
+        try {
+            this.accounts.rename(this.accountId, name);
+            this.renderAccounts();
+            this.showAlert('Portfolio renamed', 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    async deleteAccount() {
+        if (!this.requireAccount()) return;
+        const account = this.accounts.get(this.accountId);
+        if (!confirm(`Delete the portfolio ${account.name} with all its transactions? This cannot be undone.`)) return;
+
+        try {
+            await this.accounts.remove(account.id);
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+            return;
+        }
+        await this.switchAccount(this.accounts.getActiveId());
+        this.showAlert(`Deleted portfolio ${account.name}`, 'success');
+    }
+
     setupEventListeners() {
         // Set default buy date to today
         const buyDateInput = document.getElementById('buyDate');
@@ -35,12 +144,15 @@ class PortfolioManager {
 
     // Add new asset to portfolio
     async addAsset() {
+        if (!this.requireAccount()) return;
+
         const type = document.getElementById('assetType').value;
         const symbol = document.getElementById('assetSymbol').value.toUpperCase();
         const quantity = parseFloat(document.getElementById('assetQuantity').value);
         const buyDate = document.getElementById('buyDate').value;
         const buyPrice = parseFloat(document.getElementById('buyPrice').value);
         const notes = document.getElementById('assetNotes').value;
+        const currency = document.getElementById('assetCurrency').value || this.store.baseCurrency;
 
         // Validation
         if (!symbol || !quantity || !buyDate || !buyPrice) {
@@ -48,36 +160,27 @@ class PortfolioManager {
             return;
         }
 
-        // Create asset object
-        const asset = {
-            id: Date.now(),
-            type,
-            symbol,
-            quantity,
-            buyDate,
-            buyPrice,
-            buyValue: quantity * buyPrice,
-            notes,
-            addedAt: new Date().toISOString(),
-            currentPrice: null,
-            marketValue: null,
-            unrealizedPL: null,
-            unrealizedPLPercent: null,
-            dailyChange: null,
-            dailyChangePercent: null
-        };
+        // Record the purchase
+        try {
+            this.store.buy({ date: buyDate, symbol, assetType: type, currency, quantity, price: buyPrice, notes });
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+            return;
+        }
 
         // Fetch current price
-        await this.updateAssetPrice(asset);
-
-        // Add to holdings
-        this.holdings.push(asset);
-        this.saveToStorage();
+        await this.updateAssetPrice(symbol);
+        this.store.save();
+        this.holdings = this.getHoldings();
+        await this.store.recordSnapshots();
         this.renderHoldings();
         this.updateSummaryCards();
         this.updateCharts();
         this.clearForm();
         this.showAlert('Asset added successfully', 'success');
+        
+        // Days since the buy date can now be filled in
+        await this.backfillSnapshots();
     }
 
     // Fetch historical price for buy date
@@ -91,7 +194,7 @@ class PortfolioManager {
             const price = await this.getHistoricalPrice(symbol, buyDate);
             if (price) {
                 document.getElementById('buyPrice').value = price.toFixed(2);
-                this.showAlert(`Fetched price for ${symbol} on ${buyDate}: $${price.toFixed(2)}`, 'info');
+                this.showAlert(`Fetched price for ${symbol} on ${buyDate}: ${price.toFixed(2)}`, 'info');
             }
         } catch (error) {
             console.error('Error fetching historical price:', error);
@@ -130,7 +233,7 @@ class PortfolioManager {
         // Check cache first (5-minute TTL)
         const cached = this.priceCache.get(symbol);
         if (cached && Date.now() - cached.timestamp < 300000) {
-            return cached.price;
+            return { price: cached.price, previousClose: cached.previousClose };
         }
 
         try {
@@ -166,17 +269,39 @@ class PortfolioManager {
         };
     }
 
-    // Update asset with current price
-    async updateAssetPrice(asset) {
-        const priceData = await this.getCurrentPrice(asset.symbol);
-        if (priceData) {
-            asset.currentPrice = priceData.price;
-            asset.previousClose = priceData.previousClose;
-            asset.marketValue = asset.quantity * asset.currentPrice;
-            asset.unrealizedPL = asset.marketValue - asset.buyValue;
-            asset.unrealizedPLPercent = (asset.unrealizedPL / asset.buyValue) * 100;
-            asset.dailyChange = (asset.currentPrice - priceData.previousClose) * asset.quantity;
-            asset.dailyChangePercent = ((asset.currentPrice - priceData.previousClose) / priceData.previousClose) * 100;
+    /**
+     * Daily closes between two dates from Yahoo Finance
+     * @returns {Promise<Object>} { 'YYYY-MM-DD': close }, empty when unavailable
+     */
+    async getPriceHistory(symbol, from, to) {
+        const period1 = Math.floor(Date.parse(from + 'T00:00:00Z') / 1000);
+        const period2 = Math.floor(Date.parse(to + 'T00:00:00Z') / 1000) + 86400;
+        const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?period1=${period1}&period2=${period2}&interval=1d`;
+        const closes = {};
+
+        try {
+            const response = await fetch(`/api/yahoo-proxy?url=${encodeURIComponent(url)}`);
+            const data = await response.json();
+            const result = data.chart?.result?.[0];
+            const timestamps = result?.timestamp || [];
+            const close = result?.indicators?.quote?.[0]?.close || [];
+            timestamps.forEach((timestamp, i) => {
+                if (close[i] > 0) {
+                    closes[new Date(timestamp * 1000).toISOString().split('T')[0]] = close[i];
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching price history:', error);
+        }
+
+        return closes;
+    }
+
+    // Update the shared quote for a symbol with its current price
+    async updateAssetPrice(symbol) {
+        const priceData = await this.getCurrentPrice(symbol);
+        if (priceData && priceData.price > 0) {
+            this.store.setQuote(symbol, { price: priceData.price, previousClose: priceData.previousClose });
         }
     }
 
@@ -185,17 +310,52 @@ class PortfolioManager {
         this.showAlert('Refreshing prices...', 'info');
         
         for (const asset of this.holdings) {
-            await this.updateAssetPrice(asset);
+            await this.updateAssetPrice(asset.symbol);
         }
         
         this.lastUpdate = new Date();
-        this.saveToStorage();
+        this.store.save();
+        for (const { store } of this.stores) {
+            await store.refreshRates();
+        }
+        this.holdings = this.getHoldings();
+        for (const { store } of this.stores) {
+            await store.recordSnapshots();
+        }
         this.renderHoldings();
         this.updateSummaryCards();
         this.updateCharts();
         this.showAlert('Prices updated successfully', 'success');
     }
 
+    /**
+     * Fill in snapshots from the first transaction to yesterday using historical closes
+     * Closes are added to the store's price history; days between closes carry the last one forward.
+     */
+    async backfillSnapshots() {
+        const transactions = this.stores
+            .flatMap(({ store }) => store.ledger.activeTransactions())
+            .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+        if (transactions.length === 0) return;
+
+        const end = new Date();
+        end.setDate(end.getDate() - 1);
+        const endDate = end.toISOString().split('T')[0];
+        const startDate = transactions[0].date;
+        if (startDate >= endDate) return;
+
+        const symbols = [...new Set(transactions.filter(t => t.symbol).map(t => t.symbol))];
+        for (const symbol of symbols) {
+            this.store.addPriceHistory(symbol, await this.getPriceHistory(symbol, startDate, endDate));
+        }
+        this.store.save();
+
+        for (const { store } of this.stores) {
+            await store.recordSnapshots();
+        }
+        await this.updatePerformanceChart();
+    }
+
     // Render holdings table
     renderHoldings() {
         const tbody = document.getElementById('holdingsTableBody');
@@ -209,13 +369,13 @@ class PortfolioManager {
         
         emptyMessage.style.display = 'none';
         
-        // Calculate total portfolio value
-        const totalValue = this.holdings.reduce((sum, asset) => sum + (asset.marketValue || asset.buyValue), 0);
+        // Calculate total portfolio value; prices are in each asset's currency, values in the base currency
+        const totalValue = this.holdings.reduce((sum, asset) => sum + asset.marketValueBase, 0);
         
         tbody.innerHTML = this.holdings.map(asset => {
-            const plClass = asset.unrealizedPL >= 0 ? 'text-green-600' : 'text-red-600';
-            const dailyClass = asset.dailyChange >= 0 ? 'text-green-600' : 'text-red-600';
-            const weight = ((asset.marketValue || asset.buyValue) / totalValue * 100).toFixed(2);
+            const plClass = asset.unrealizedPnLBase >= 0 ? 'text-green-600' : 'text-red-600';
+            const dailyClass = asset.dayChangeBase >= 0 ? 'text-green-600' : 'text-red-600';
+            const weight = (asset.marketValueBase / totalValue * 100).toFixed(2);
             
             return `
                 <tr class="border-b hover:bg-gray-50 transition">
@@ -226,31 +386,32 @@ class PortfolioManager {
                     </td>
                     <td class="px-4 py-3 font-semibold">${asset.symbol}</td>
                     <td class="px-4 py-3 text-right">${asset.quantity.toFixed(3)}</td>
-                    <td class="px-4 py-3 text-right text-sm">${asset.buyDate}</td>
-                    <td class="px-4 py-3 text-right">$${asset.buyPrice.toFixed(2)}</td>
+                    <td class="px-4 py-3 text-right text-sm">${asset.openedAt}</td>
+                    <td class="px-4 py-3 text-right">${this.formatMoney(asset.averageCost, asset.currency)}</td>
                     <td class="px-4 py-3 text-right font-medium">
-                        ${asset.currentPrice ? `$${asset.currentPrice.toFixed(2)}` : 
+                        ${asset.currentPrice ? this.formatMoney(asset.currentPrice, asset.currency) : 
                           '<i class="fas fa-spinner fa-spin text-gray-400"></i>'}
                     </td>
                     <td class="px-4 py-3 text-right font-semibold">
-                        $${(asset.marketValue || asset.buyValue).toFixed(2)}
+                        ${this.formatMoney(asset.marketValueBase)}
                     </td>
                     <td class="px-4 py-3 text-right ${plClass} font-medium">
-                        ${asset.unrealizedPL ? 
-                          `${asset.unrealizedPL >= 0 ? '+' : ''}$${asset.unrealizedPL.toFixed(2)}` : '-'}
+                        ${asset.unrealizedPnLBase ? 
+                          `${asset.unrealizedPnLBase >= 0 ? '+' : ''}${this.formatMoney(asset.unrealizedPnLBase)}` : '-'}
                     </td>
-                    <td class="px-4 py-3 text-right ${plClass}">
-                        ${asset.unrealizedPLPercent ? 
-                          `${asset.unrealizedPLPercent >= 0 ? '+' : ''}${asset.unrealizedPLPercent.toFixed(2)}%` : '-'}
+                    <td class="px-4 py-3 text-right ${plClass}" ${asset.currency !== this.store.baseCurrency ?
+                        `title="${asset.unrealizedPnLPercent.toFixed(2)}% in ${asset.currency}, ${asset.fxReturnPercent.toFixed(2)}% from FX"` : ''}>
+                        ${asset.unrealizedPnLPercentBase ? 
+                          `${asset.unrealizedPnLPercentBase >= 0 ? '+' : ''}${asset.unrealizedPnLPercentBase.toFixed(2)}%` : '-'}
                     </td>
                     <td class="px-4 py-3 text-right">${weight}%</td>
                     <td class="px-4 py-3 text-center">
                         <div class="flex justify-center gap-2">
-                            <button onclick="portfolioManager.editAsset(${asset.id})" 
+                            <button onclick="portfolioManager.editAsset('${asset.id}')" 
                                     class="text-blue-600 hover:text-blue-800">
                                 <i class="fas fa-edit"></i>
                             </button>
-                            <button onclick="portfolioManager.deleteAsset(${asset.id})" 
+                            <button onclick="portfolioManager.deleteAsset('${asset.id}')" 
                                     class="text-red-600 hover:text-red-800">
                                 <i class="fas fa-trash"></i>
                             </button>
@@ -263,20 +424,20 @@ class PortfolioManager {
 
     // Update summary cards
     updateSummaryCards() {
-        const totalValue = this.holdings.reduce((sum, asset) => sum + (asset.marketValue || asset.buyValue), 0);
-        const totalCost = this.holdings.reduce((sum, asset) => sum + asset.buyValue, 0);
+        const totalValue = this.holdings.reduce((sum, asset) => sum + asset.marketValueBase, 0);
+        const totalCost = this.holdings.reduce((sum, asset) => sum + asset.costBasisBase, 0);
         const totalPL = totalValue - totalCost;
         const totalPLPercent = totalCost > 0 ? (totalPL / totalCost) * 100 : 0;
-        const todayChange = this.holdings.reduce((sum, asset) => sum + (asset.dailyChange || 0), 0);
+        const todayChange = this.holdings.reduce((sum, asset) => sum + (asset.dayChangeBase || 0), 0);
         const todayChangePercent = totalValue > 0 ? (todayChange / (totalValue - todayChange)) * 100 : 0;
         
         // Calculate portfolio beta (weighted average)
         const portfolioBeta = this.calculatePortfolioBeta();
         
-        document.getElementById('totalValue').textContent = `$${totalValue.toFixed(2)}`;
-        document.getElementById('totalPL').textContent = `${totalPL >= 0 ? '+' : ''}$${totalPL.toFixed(2)}`;
+        document.getElementById('totalValue').textContent = this.formatMoney(totalValue);
+        document.getElementById('totalPL').textContent = `${totalPL >= 0 ? '+' : ''}${this.formatMoney(totalPL)}`;
         document.getElementById('totalPLPercent').textContent = `${totalPLPercent >= 0 ? '+' : ''}${totalPLPercent.toFixed(2)}%`;
-        document.getElementById('todayChange').textContent = `${todayChange >= 0 ? '+' : ''}$${todayChange.toFixed(2)}`;
+        document.getElementById('todayChange').textContent = `${todayChange >= 0 ? '+' : ''}${this.formatMoney(todayChange)}`;
         document.getElementById('todayChangePercent').textContent = `${todayChangePercent >= 0 ? '+' : ''}${todayChangePercent.toFixed(2)}%`;
         document.getElementById('portfolioBeta').textContent = portfolioBeta.toFixed(2);
         
@@ -306,11 +467,11 @@ class PortfolioManager {
             'cash': 0
         };
         
-        const totalValue = this.holdings.reduce((sum, asset) => sum + (asset.marketValue || asset.buyValue), 0);
+        const totalValue = this.holdings.reduce((sum, asset) => sum + asset.marketValueBase, 0);
         if (totalValue === 0) return 0;
         
         return this.holdings.reduce((beta, asset) => {
-            const weight = (asset.marketValue || asset.buyValue) / totalValue;
+            const weight = asset.marketValueBase / totalValue;
             const assetBeta = typeof sectorBetas[asset.type] === 'object' ? 1.0 : sectorBetas[asset.type] || 1.0;
             return beta + (weight * assetBeta);
         }, 0);
@@ -372,7 +533,7 @@ class PortfolioManager {
                         y: {
                             beginAtZero: false,
                             ticks: {
-                                callback: value => `$${value.toLocaleString()}`
+                                callback: value => this.formatMoney(value)
                             }
                         }
                     }
@@ -411,12 +572,12 @@ class PortfolioManager {
 
     // Update charts
     updateCharts() {
-        const totalValue = this.holdings.reduce((sum, asset) => sum + (asset.marketValue || asset.buyValue), 0);
+        const totalValue = this.holdings.reduce((sum, asset) => sum + asset.marketValueBase, 0);
         
         // Update allocation chart
         if (this.charts.allocation) {
             const labels = this.holdings.map(asset => asset.symbol);
-            const data = this.holdings.map(asset => ((asset.marketValue || asset.buyValue) / totalValue * 100).toFixed(2));
+            const data = this.holdings.map(asset => (asset.marketValueBase / totalValue * 100).toFixed(2));
             
             this.charts.allocation.data.labels = labels;
             this.charts.allocation.data.datasets[0].data = data;
@@ -428,7 +589,7 @@ class PortfolioManager {
             const sectorData = {};
             this.holdings.forEach(asset => {
                 if (!sectorData[asset.type]) sectorData[asset.type] = 0;
-                sectorData[asset.type] += (asset.marketValue || asset.buyValue);
+                sectorData[asset.type] += asset.marketValueBase;
             });
             
             const labels = Object.keys(sectorData);
@@ -439,20 +600,29 @@ class PortfolioManager {
             this.charts.sector.update();
         }
 
-        // Update performance chart (simplified - in production, use historical data)
-        if (this.charts.performance) {
-            const dates = this.generateDateRange(30);
-            const values = this.generatePerformanceData(totalValue, 30);
-            
-            this.charts.performance.data.labels = dates;
-            this.charts.performance.data.datasets[0].data = values;
-            this.charts.performance.update();
-        }
+        // Update performance chart from saved snapshots
+        this.updatePerformanceChart();
 
         // Update risk metrics
         this.updateRiskMetrics();
     }
 
+    // Plot saved daily snapshots
+    async updatePerformanceChart() {
+        if (!this.charts.performance) return;
+
+        try {
+            const snapshots = this.isConsolidated()
+                ? await this.accounts.consolidateSnapshots(this.stores)
+                : await this.store.snapshots.getRange();
+            this.charts.performance.data.labels = snapshots.map(snapshot => new Date(snapshot.date + 'T00:00:00').toLocaleDateString());
+            this.charts.performance.data.datasets[0].data = snapshots.map(snapshot => snapshot.value);
+            this.charts.performance.update();
+        } catch (error) {
+            console.error('Error loading portfolio snapshots:', error);
+        }
+    }
+
     // Update risk metrics
     updateRiskMetrics() {
         // Simplified calculations - in production, use historical data
@@ -465,11 +635,25 @@ class PortfolioManager {
         document.getElementById('maxDrawdown').textContent = `${maxDD.toFixed(2)}%`;
     }
 
-    // Delete asset
-    deleteAsset(id) {
+    // Delete asset: the whole holding is sold at its current price so the ledger keeps its history
+    deleteAsset(symbol) {
+        if (!this.requireAccount()) return;
+        const asset = this.holdings.find(holding => holding.symbol === symbol);
+        if (!asset) return;
         if (confirm('Are you sure you want to remove this asset from your portfolio?')) {
-            this.holdings = this.holdings.filter(asset => asset.id !== id);
-            this.saveToStorage();
+            try {
+                this.store.sell({
+                    date: new Date().toISOString().split('T')[0],
+                    symbol,
+                    quantity: asset.quantity,
+                    price: asset.currentPrice,
+                    notes: 'Removed from portfolio'
+                });
+            } catch (error) {
+                this.showAlert(error.message, 'error');
+                return;
+            }
+            this.holdings = this.getHoldings();
             this.renderHoldings();
             this.updateSummaryCards();
             this.updateCharts();
@@ -487,18 +671,6 @@ class PortfolioManager {
         document.getElementById('assetNotes').value = '';
     }
 
-    // Storage functions
-    saveToStorage() {
-        localStorage.setItem('portfolioHoldings', JSON.stringify(this.holdings));
-        localStorage.setItem('portfolioLastUpdate', this.lastUpdate);
-    }
-
-    loadFromStorage() {
-        const data = localStorage.getItem('portfolioHoldings');
-        this.lastUpdate = localStorage.getItem('portfolioLastUpdate');
-        return data ? JSON.parse(data) : [];
-    }
-
     // Export portfolio
     exportPortfolio() {
         const csv = this.convertToCSV();
@@ -513,23 +685,34 @@ class PortfolioManager {
     }
 
     convertToCSV() {
-        const headers = ['Type', 'Symbol', 'Quantity', 'Buy Date', 'Buy Price', 'Current Price', 'Market Value', 'P&L', 'P&L %'];
+        const base = this.store.baseCurrency;
+        const headers = ['Type', 'Symbol', 'Currency', 'Quantity', 'Buy Date', 'Buy Price', 'Current Price',
+            `Market Value (${base})`, `P&L (${base})`, 'P&L %', 'Local P&L %', 'FX P&L %'];
         const rows = this.holdings.map(asset => [
             asset.type,
             asset.symbol,
+            asset.currency,
             asset.quantity,
-            asset.buyDate,
-            asset.buyPrice,
+            asset.openedAt,
+            asset.averageCost,
             asset.currentPrice || 'N/A',
-            asset.marketValue || asset.buyValue,
-            asset.unrealizedPL || 0,
-            asset.unrealizedPLPercent || 0
+            asset.marketValueBase,
+            asset.unrealizedPnLBase || 0,
+            asset.unrealizedPnLPercentBase || 0,
+            asset.unrealizedPnLPercent || 0,
+            asset.fxReturnPercent || 0
         ]);
         
         return [headers, ...rows].map(row => row.join(',')).join('\n');
     }
 
     // Utility functions
+
+    // Amount in a currency (defaults to the base currency)
+    formatMoney(value, currency = this.store.baseCurrency) {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+    }
+
     showAlert(message, type) {
         // Create toast notification
         const toast = document.createElement('div');
@@ -547,9 +730,11 @@ class PortfolioManager {
                     type === 'warning' ? 'exclamation-triangle' :
                     'info-circle'
                 } mr-2"></i>
-                ${message}
+                <span></span>
             </div>
         `;
+        // Messages carry user input such as portfolio names and symbols, so they go in as text
+        toast.querySelector('span').textContent = message;
         document.body.appendChild(toast);
         
         setTimeout(() => {
@@ -559,26 +744,6 @@ class PortfolioManager {
         }, 3000);
     }
 
-    generateDateRange(days) {
-        const dates = [];
-        for (let i = days - 1; i >= 0; i--) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            dates.push(date.toLocaleDateString());
-        }
-        return dates;
-    }
-
-    generatePerformanceData(currentValue, days) {
-        const values = [];
-        let value = currentValue * 0.9; // Start from 90% of current
-        for (let i = 0; i < days; i++) {
-            value = value * (1 + (Math.random() - 0.5) * 0.02);
-            values.push(value);
-        }
-        return values;
-    }
-
     // Auto-refresh prices
     startAutoRefresh() {
         // Refresh prices every 5 minutes during market hours
@@ -620,4 +785,20 @@ function refreshAllPrices() {
 
 function exportPortfolio() {
     portfolioManager.exportPortfolio();
-}
\ No newline at end of file
+}
+
+function switchAccount(accountId) {
+    portfolioManager.switchAccount(accountId);
+}
+
+function createAccount() {
+    portfolioManager.createAccount();
+}
+
+function renameAccount() {
+    portfolioManager.renameAccount();
+}
+
+function deleteAccount() {
+    portfolioManager.deleteAccount();
+}
@@ -0,0 +1,338 @@
+/**
+ * Portfolio Rebalancer Module
+ * A target allocation model for one portfolio and the trades that bring the portfolio back to it.
+ *
+ * Targets are weights (percent of holdings plus cash, in the base currency) per holding, asset
+ * class or sector, each with a tolerance band. Only groups that have drifted outside their band
+ * are traded, back to their target; groups without a target are left as they are, and whatever
+ * the targets do not allocate stays in cash. The trade list sells before it buys, spends no more
+ * cash than the portfolio has, rounds shares down to lot sizes, never sells no-sell holdings and
+ * drops trades smaller than the minimum trade size.
+ */
+
+class PortfolioRebalancer {
+    /**
+     * @param {PortfolioStore} store - Portfolio to rebalance; the model is saved with it
+     */
+    constructor(store) {
+        this.store = store;
+        this.groupings = {
+            symbol: 'Holding',
+            assetClass: 'Asset class',
+            sector: 'Sector'
+        };
+        this.model = this.defaultModel();
+        this.load();
+    }
+
+    defaultModel() {
+        return {
+            groupBy: 'symbol',
+            tolerance: 5,
+            targets: [],
+            minTradeValue: 0,
+            defaultLotSize: 1,
+            lotSizes: {},
+            noSell: []
+        };
+    }
+
+    // ========== Storage ==========
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.store.keys.targetModel));
+            this.model = saved ? { ...this.defaultModel(), ...saved } : this.defaultModel();
+        } catch (error) {
+            console.error('Error loading target allocation:', error);
+            this.model = this.defaultModel();
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.store.keys.targetModel, JSON.stringify(this.model));
+            return true;
+        } catch (error) {
+            console.error('Error saving target allocation:', error);
+            return false;
+        }
+    }
+
+    // ========== Target Model ==========
+
+    getModel() {
+        return JSON.parse(JSON.stringify(this.model));
+    }
+
+    /**
+     * Validate and save a target model
+     * @param {Object} model - { groupBy, tolerance, targets: [{ key, weight, tolerance }], minTradeValue,
+     *        defaultLotSize, lotSizes: { symbol: shares }, noSell: [symbol] }; weights and tolerances
+     *        are in percent, a target without a tolerance uses the model's
+     * @returns {Object} The saved model
+     */
+    setModel(model) {
+        if (!this.groupings[model.groupBy]) {
+            throw new Error(`Unknown grouping: ${model.groupBy}`);
+        }
+        const percent = (value, label) => {
+            const parsed = Number(value);
+            if (!isFinite(parsed) || parsed < 0 || parsed > 100) {
+                throw new Error(`${label} must be between 0 and 100%`);
+            }
+            return parsed;
+        };
+        const positive = (value, label) => {
+            const parsed = Number(value);
+            if (!isFinite(parsed) || parsed <= 0) {
+                throw new Error(`${label} must be positive`);
+            }
+            return parsed;
+        };
+
+        const tolerance = percent(model.tolerance, 'Tolerance');
+        const seen = new Set();
+        const targets = (model.targets || []).map(target => {
+            const text = String(target.key || '').trim();
+            const key = model.groupBy === 'symbol' ? text.toUpperCase() : model.groupBy === 'assetClass' ? text.toLowerCase() : text;
+            const label = key ? `Target for ${key}` : 'Target';
+            if (!key) {
+                throw new Error(`Each target needs a ${this.groupings[model.groupBy].toLowerCase()}`);
+            }
+            if (seen.has(key.toLowerCase())) {
+                throw new Error(`${key} has more than one target`);
+            }
+            seen.add(key.toLowerCase());
+            const entry = { key, weight: percent(target.weight, label) };
+            if (target.tolerance !== undefined && target.tolerance !== null && target.tolerance !== '') {
+                entry.tolerance = percent(target.tolerance, `Tolerance for ${key}`);
+            }
+            return entry;
+        });
+        const allocated = targets.reduce((sum, target) => sum + target.weight, 0);
+        if (allocated > 100 + 1e-9) {
+            throw new Error(`Target weights add up to ${+allocated.toFixed(2)}%; they cannot exceed 100%`);
+        }
+
+        const lotSizes = {};
+        Object.entries(model.lotSizes || {}).forEach(([symbol, size]) => {
+            lotSizes[symbol.trim().toUpperCase()] = positive(size, `Lot size for ${symbol}`);
+        });
+        const minTradeValue = Number(model.minTradeValue) || 0;
+        if (minTradeValue < 0) {
+            throw new Error('Minimum trade size cannot be negative');
+        }
+
+        this.model = {
+            groupBy: model.groupBy,
+            tolerance,
+            targets,
+            minTradeValue,
+            defaultLotSize: positive(model.defaultLotSize === undefined ? 1 : model.defaultLotSize, 'Lot size'),
+            lotSizes,
+            noSell: [...new Set((model.noSell || []).map(symbol => String(symbol).trim().toUpperCase()).filter(Boolean))]
+        };
+        this.save();
+        return this.getModel();
+    }
+
+    /**
+     * Group a holding belongs to under a grouping
+     */
+    groupOf(holding, groupBy = this.model.groupBy) {
+        if (groupBy === 'assetClass') return holding.type || 'stock';
+        if (groupBy === 'sector') return holding.sector || 'Unclassified';
+        return holding.symbol;
+    }
+
+    /**
+     * Current weight of every held group and every target
+     * @param {string} groupBy - Grouping (defaults to the model's)
+     * @returns {Object} { total, cash, groups: [{ key, value, weight, target, tolerance, drift, outOfBand }] }
+     *          where cash is never negative, and target and tolerance are null for groups without a target
+     */
+    getAllocation(groupBy = this.model.groupBy) {
+        const holdings = this.store.getHoldings();
+        // Buys recorded without deposits leave ledger cash negative; like PortfolioPerformance, the
+        // shortfall counts as capital paid in, so there is no cash to spend rather than a debt
+        const cash = Math.max(0, this.store.getSummary().cash);
+        const total = holdings.reduce((sum, h) => sum + h.marketValueBase, 0) + cash;
+        const targets = groupBy === this.model.groupBy ? this.model.targets : [];
+        const keyOf = key => key.toLowerCase();
+
+        const groups = new Map();
+        holdings.forEach(holding => {
+            const key = this.groupOf(holding, groupBy);
+            const group = groups.get(keyOf(key)) || { key, value: 0 };
+            group.value += holding.marketValueBase;
+            groups.set(keyOf(key), group);
+        });
+        targets.forEach(target => {
+            if (!groups.has(keyOf(target.key))) groups.set(keyOf(target.key), { key: target.key, value: 0 });
+        });
+
+        return {
+            total,
+            cash,
+            groups: [...groups.values()].map(group => {
+                const weight = total > 0 ? (group.value / total) * 100 : 0;
+                const target = targets.find(t => keyOf(t.key) === keyOf(group.key)) || null;
+                const tolerance = target ? (target.tolerance !== undefined ? target.tolerance : this.model.tolerance) : null;
+                const drift = target ? weight - target.weight : 0;
+                return {
+                    ...group,
+                    weight,
+                    target: target ? target.weight : null,
+                    tolerance,
+                    drift,
+                    outOfBand: target !== null && Math.abs(drift) > tolerance + 1e-9
+                };
+            }).sort((a, b) => b.value - a.value)
+        };
+    }
+
+    // ========== Trade List ==========
+
+    lotSize(symbol) {
+        return this.model.lotSizes[symbol] || this.model.defaultLotSize;
+    }
+
+    /**
+     * Whole lots in a quantity, rounded down
+     */
+    roundToLot(quantity, lotSize) {
+        return +(Math.floor(quantity / lotSize + 1e-9) * lotSize).toFixed(8);
+    }
+
+    /**
+     * Trades that bring every group outside its band back to its target
+     * Within a group, sales and purchases are spread over its holdings in proportion to their
+     * value. When the cash on hand plus sale proceeds cannot pay for every purchase, all purchases
+     * are scaled down by the same factor.
+     * @returns {Object} { trades: [{ symbol, group, action, shares, price, currency, estimatedCost }],
+     *          warnings, total, cashBefore, cashAfter, groups } where prices are in the holding's
+     *          currency and estimated costs and values in the base currency; groups is getAllocation's
+     *          with the projected weight after the trades
+     */
+    plan() {
+        const allocation = this.getAllocation();
+        const { total, cash } = allocation;
+        if (!(total > 0)) {
+            throw new Error('The portfolio has no value to rebalance');
+        }
+        const holdings = this.store.getHoldings();
+        const noSell = new Set(this.model.noSell);
+        const warnings = [];
+        const wanted = { sell: [], buy: [] };
+
+        allocation.groups.filter(group => group.outOfBand).forEach(group => {
+            let members = holdings.filter(h => this.groupOf(h).toLowerCase() === group.key.toLowerCase());
+            if (members.length === 0 && this.model.groupBy === 'symbol') {
+                // A symbol with a target that is not held yet is bought at its latest quote
+                const quote = this.store.getQuote(group.key);
+                if (!quote || !(quote.price > 0)) {
+                    warnings.push(`No price for ${group.key}; update its quote to buy it`);
+                    return;
+                }
+                const currency = this.store.ledger.currencyOf(group.key);
+                members = [{ symbol: group.key, quantity: 0, currentPrice: quote.price, currency, fxRate: this.store.rate(currency), marketValueBase: 0 }];
+            }
+            if (members.length === 0) {
+                warnings.push(`Nothing held in ${group.key} to buy more of`);
+                return;
+            }
+
+            const change = (group.target / 100) * total - group.value;
+            const action = change < 0 ? 'sell' : 'buy';
+            const tradable = action === 'sell' ? members.filter(h => !noSell.has(h.symbol)) : members;
+            if (tradable.length === 0) {
+                warnings.push(`${group.key} is over its target, but its holdings are marked no-sell`);
+                return;
+            }
+            const groupValue = tradable.reduce((sum, h) => sum + h.marketValueBase, 0);
+            tradable.forEach(h => {
+                const share = groupValue > 0 ? h.marketValueBase / groupValue : 1 / tradable.length;
+                const value = action === 'sell' ? Math.min(-change * share, h.marketValueBase) : change * share;
+                wanted[action].push({ holding: h, group: group.key, value });
+            });
+            if (action === 'sell' && -change > groupValue + 1e-6) {
+                warnings.push(`${group.key} stays over its target: the rest is in no-sell holdings`);
+            }
+        });
+
+        const trades = [];
+        const addTrade = (action, { holding, group }, value) => {
+            const unitValue = holding.currentPrice * holding.fxRate;
+            let shares = this.roundToLot(value / unitValue, this.lotSize(holding.symbol));
+            if (action === 'sell') shares = Math.min(shares, holding.quantity);
+            const estimatedCost = shares * unitValue;
+            if (shares <= 0) {
+                warnings.push(`${holding.symbol}: the ${action} is smaller than one lot`);
+                return 0;
+            }
+            if (estimatedCost < this.model.minTradeValue) {
+                warnings.push(`${holding.symbol}: the ${action} is below the minimum trade size`);
+                return 0;
+            }
+            trades.push({ symbol: holding.symbol, group, action, shares, price: holding.currentPrice, currency: holding.currency, estimatedCost });
+            return estimatedCost;
+        };
+
+        const proceeds = wanted.sell.reduce((sum, sale) => sum + addTrade('sell', sale, sale.value), 0);
+        const available = cash + proceeds;
+        const needed = wanted.buy.reduce((sum, buy) => sum + buy.value, 0);
+        const scale = needed > available ? available / needed : 1;
+        if (scale < 1) {
+            warnings.push(`Not enough cash for every purchase; purchases are scaled to ${(scale * 100).toFixed(1)}%`);
+        }
+        const spent = wanted.buy.reduce((sum, buy) => sum + addTrade('buy', buy, buy.value * scale), 0);
+
+        const projected = new Map(allocation.groups.map(group => [group.key.toLowerCase(), group.value]));
+        trades.forEach(trade => {
+            const key = trade.group.toLowerCase();
+            projected.set(key, projected.get(key) + (trade.action === 'buy' ? trade.estimatedCost : -trade.estimatedCost));
+        });
+
+        return {
+            trades,
+            warnings,
+            total,
+            cashBefore: cash,
+            cashAfter: cash + proceeds - spent,
+            groups: allocation.groups.map(group => ({ ...group, projectedWeight: (projected.get(group.key.toLowerCase()) / total) * 100 }))
+        };
+    }
+
+    /**
+     * Record a trade list at its prices in one step, sales first
+     * @param {Array} trades - From plan
+     * @param {string} date - Trade date (defaults to today)
+     * @returns {Array} Recorded transactions
+     */
+    post(trades, date = new Date().toISOString().split('T')[0]) {
+        if (trades.length === 0) {
+            throw new Error('There are no trades to post');
+        }
+        const transactions = ['sell', 'buy'].flatMap(action => trades
+            .filter(trade => trade.action === action)
+            .map(trade => this.store.ledger.normalize({
+                type: action,
+                date,
+                symbol: trade.symbol,
+                currency: trade.currency,
+                quantity: trade.shares,
+                price: trade.price,
+                notes: 'Rebalance'
+            })));
+        this.store.appendTransactions(transactions);
+        transactions
+            .filter(t => t.type === 'buy')
+            .forEach(t => this.store.seedQuote(t.symbol, { price: t.price }));
+        this.store.save();
+        return transactions;
+    }
+}
+
+// Export for use in other modules
+window.PortfolioRebalancer = PortfolioRebalancer;
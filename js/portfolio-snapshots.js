@@ -0,0 +1,188 @@
+/**
+ * Portfolio Snapshot Store
+ * Daily snapshots of portfolio value, cash and per-holding value, kept in IndexedDB so
+ * performance charts plot recorded history instead of generated data.
+ *
+ * One snapshot per portfolio per day; a later snapshot on the same day replaces the earlier
+ * one. Snapshots recorded from live prices have source 'quote'; days reconstructed from
+ * historical prices have source 'backfill' and never overwrite a recorded day.
+ * When IndexedDB is unavailable, snapshots are kept in memory for the session.
+ */
+
+class PortfolioSnapshotStore {
+    /**
+     * @param {string} portfolioId - Key separating the snapshots of different portfolios
+     */
+    constructor(portfolioId) {
+        this.portfolioId = portfolioId;
+        this.dbName = 'portfolioHistory';
+        this.storeName = 'snapshots';
+        this.version = 1;
+        this.dbPromise = null;
+        this.memory = new Map();
+    }
+
+    /**
+     * Open the database once; resolves to null when IndexedDB cannot be used
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                try {
+                    const request = indexedDB.open(this.dbName, this.version);
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        if (!db.objectStoreNames.contains(this.storeName)) {
+                            db.createObjectStore(this.storeName, { keyPath: ['portfolioId', 'date'] });
+                        }
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.error('Error opening snapshot database:', request.error);
+                        resolve(null);
+                    };
+                } catch (error) {
+                    console.error('Error opening snapshot database:', error);
+                    resolve(null);
+                }
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Validate a snapshot and tag it with the portfolio
+     * @param {Object} snapshot - { date, value, cash, holdings: { symbol: value } }
+     * @param {string} source - 'quote' or 'backfill'
+     */
+    normalize(snapshot, source) {
+        const date = String(snapshot.date || '');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            throw new Error(`Snapshot needs a date as YYYY-MM-DD, got "${snapshot.date}"`);
+        }
+        const value = Number(snapshot.value);
+        if (!isFinite(value)) {
+            throw new Error(`Snapshot for ${date} needs a numeric value`);
+        }
+        const holdings = {};
+        Object.entries(snapshot.holdings || {}).forEach(([symbol, holdingValue]) => {
+            if (isFinite(holdingValue)) holdings[symbol] = Number(holdingValue);
+        });
+        return {
+            portfolioId: this.portfolioId,
+            date,
+            value,
+            cash: Number(snapshot.cash) || 0,
+            holdings,
+            source,
+            recordedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Write snapshots in one transaction
+     * @returns {Promise<number>} Number written
+     */
+    async putAll(snapshots) {
+        if (snapshots.length === 0) return 0;
+        const db = await this.open();
+        if (!db) {
+            snapshots.forEach(snapshot => this.memory.set(snapshot.date, snapshot));
+            return snapshots.length;
+        }
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readwrite');
+            const store = tx.objectStore(this.storeName);
+            snapshots.forEach(snapshot => store.put(snapshot));
+            tx.oncomplete = () => resolve(snapshots.length);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Record the snapshot for a day from live prices, replacing any earlier one for that day
+     * @param {Object} snapshot - { date, value, cash, holdings }
+     */
+    async record(snapshot) {
+        const entry = this.normalize(snapshot, 'quote');
+        await this.putAll([entry]);
+        return entry;
+    }
+
+    /**
+     * Fill in days from historical prices. Days already recorded from live prices are kept;
+     * earlier backfilled days are replaced when their values have changed.
+     * @param {Array} snapshots - [{ date, value, cash, holdings }]
+     * @returns {Promise<number>} Number of days written
+     */
+    async backfill(snapshots) {
+        if (snapshots.length === 0) return 0;
+        const entries = snapshots.map(snapshot => this.normalize(snapshot, 'backfill'));
+        const dates = entries.map(entry => entry.date).sort();
+        const existing = new Map((await this.getRange(dates[0], dates[dates.length - 1]))
+            .map(snapshot => [snapshot.date, snapshot]));
+
+        const changed = entries.filter(entry => {
+            const current = existing.get(entry.date);
+            if (!current) return true;
+            if (current.source !== 'backfill') return false;
+            return Math.abs(current.value - entry.value) > 1e-6 || Math.abs(current.cash - entry.cash) > 1e-6 ||
+                JSON.stringify(current.holdings) !== JSON.stringify(entry.holdings);
+        });
+        return this.putAll(changed);
+    }
+
+    /**
+     * Snapshots between two dates (inclusive) in date order
+     * @param {string} from - First day, YYYY-MM-DD (defaults to the earliest)
+     * @param {string} to - Last day, YYYY-MM-DD (defaults to the latest)
+     * @returns {Promise<Array>}
+     */
+    async getRange(from = '0000-01-01', to = '9999-12-31') {
+        const db = await this.open();
+        if (!db) {
+            return [...this.memory.values()]
+                .filter(snapshot => snapshot.date >= from && snapshot.date <= to)
+                .sort((a, b) => (a.date < b.date ? -1 : 1));
+        }
+        return new Promise((resolve, reject) => {
+            const range = IDBKeyRange.bound([this.portfolioId, from], [this.portfolioId, to]);
+            const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).getAll(range);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Snapshots for the last number of days, ending today
+     */
+    getRecent(days) {
+        const from = new Date();
+        from.setDate(from.getDate() - days);
+        return this.getRange(from.toISOString().split('T')[0]);
+    }
+
+    /**
+     * Delete all snapshots of this portfolio
+     */
+    async clear() {
+        this.memory.clear();
+        const db = await this.open();
+        if (!db) return;
+        return new Promise((resolve, reject) => {
+            const range = IDBKeyRange.bound([this.portfolioId, '0000-01-01'], [this.portfolioId, '9999-12-31']);
+            const tx = db.transaction(this.storeName, 'readwrite');
+            tx.objectStore(this.storeName).delete(range);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
+
+// Export for use in other modules
+window.PortfolioSnapshotStore = PortfolioSnapshotStore;
@@ -0,0 +1,737 @@
+/**
+ * Portfolio Store Module
+ * The single portfolio model shared by the dashboard (index.html), Portfolio Pro,
+ * Portfolio Management and the portfolio analyzer. Every page reads and writes the same
+ * localStorage schema:
+ *
+ *   portfolioTransactions      transaction ledger (the only source of holdings)
+ *   portfolioMarketData        latest quote per symbol { price, previousClose, change, changePercent, name, sector, updatedAt }
+ *   portfolioPriceHistory      recorded prices { symbol: { 'YYYY-MM-DD': price } }
+ *   portfolioCorporateActions  dividends and splits to post to the ledger
+ *   portfolioCostMethod        how sales relieve tax lots
+ *   portfolioBaseCurrency      currency holdings and totals are reported in
+ *   portfolioTargetModel       target allocation for rebalancing (see PortfolioRebalancer)
+ *   portfolioSchemaVersion     schema version, for migrations
+ *
+ * Named portfolios (see PortfolioAccounts) keep their ledger, cost method, target model and schema version
+ * under the same keys suffixed with ':<portfolio id>'; the default portfolio uses the plain keys.
+ * Quotes, price history and corporate actions are market data and are shared by all portfolios,
+ * as is the base currency.
+ *
+ * Quotes and trades are in each holding's own currency. Holdings carry base-currency values
+ * alongside (see getHoldings); exchange rates come from FxRates.
+ *
+ * Holdings are derived in one shape (see getHoldings). Data saved by the earlier per-page
+ * managers is merged into the default portfolio on first load.
+ */
+
+class PortfolioStore {
+    /**
+     * @param {string} portfolioId - Portfolio to open (defaults to the original, unnamed portfolio)
+     */
+    constructor(portfolioId = 'default') {
+        this.portfolioId = portfolioId;
+        this.schemaVersion = 2;
+        const suffix = portfolioId === 'default' ? '' : `:${portfolioId}`;
+        this.keys = {
+            version: `portfolioSchemaVersion${suffix}`,
+            transactions: `portfolioTransactions${suffix}`,
+            marketData: 'portfolioMarketData',
+            priceHistory: 'portfolioPriceHistory',
+            corporateActions: 'portfolioCorporateActions',
+            costMethod: `portfolioCostMethod${suffix}`,
+            targetModel: `portfolioTargetModel${suffix}`,
+            baseCurrency: 'portfolioBaseCurrency'
+        };
+        this.ledger = new TransactionLedger(this.keys.transactions);
+        this.actionModel = new CorporateActions();
+        this.fx = new FxRates();
+        this.baseCurrency = 'USD';
+        this.marketData = {};
+        this.priceHistory = {};
+        this.corporateActions = [];
+        this.performance = new PortfolioPerformance(this.ledger, this.priceHistory, (currency, date) => this.rate(currency, date));
+        this.snapshots = new PortfolioSnapshotStore(this.keys.transactions);
+        this.load();
+    }
+
+    // ========== Storage ==========
+
+    /**
+     * Read quotes, price history, corporate actions and the cost method, migrating older data once
+     */
+    load() {
+        try {
+            this.marketData = JSON.parse(localStorage.getItem(this.keys.marketData)) || {};
+            this.priceHistory = JSON.parse(localStorage.getItem(this.keys.priceHistory)) || {};
+            this.corporateActions = JSON.parse(localStorage.getItem(this.keys.corporateActions)) || [];
+            const costMethod = localStorage.getItem(this.keys.costMethod);
+            if (costMethod && this.ledger.costMethods[costMethod]) {
+                this.ledger.stampCostMethod(costMethod);
+                this.ledger.setCostMethod(costMethod);
+            }
+            this.baseCurrency = localStorage.getItem(this.keys.baseCurrency) || this.baseCurrency;
+        } catch (error) {
+            console.error('Error loading portfolio data:', error);
+        }
+        this.performance.priceHistory = this.priceHistory;
+
+        if (this.portfolioId === 'default' && Number(localStorage.getItem(this.keys.version)) < this.schemaVersion) {
+            this.migrate();
+        }
+    }
+
+    /**
+     * Write everything except the ledger, which saves itself on every transaction, and stamp
+     * the schema version
+     * @returns {boolean} Whether the data was saved
+     */
+    save() {
+        try {
+            localStorage.setItem(this.keys.marketData, JSON.stringify(this.marketData));
+            localStorage.setItem(this.keys.priceHistory, JSON.stringify(this.priceHistory));
+            localStorage.setItem(this.keys.corporateActions, JSON.stringify(this.corporateActions));
+            localStorage.setItem(this.keys.costMethod, this.ledger.costMethod);
+            localStorage.setItem(this.keys.baseCurrency, this.baseCurrency);
+            localStorage.setItem(this.keys.version, String(this.schemaVersion));
+            return true;
+        } catch (error) {
+            console.error('Error saving portfolio data:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Merge data saved by the earlier per-page managers into this schema
+     * Each source is appended to the ledger and its key removed. A holding tracked on more than
+     * one page is kept once: a trade matching one already merged from another source (same
+     * type, symbol, date, quantity and price) is skipped. A source whose entries cannot be
+     * replayed with the rest (e.g. it sells more than it bought) is left in place and logged.
+     * @returns {Array} Keys that were migrated
+     */
+    migrate() {
+        const read = key => {
+            try {
+                const saved = localStorage.getItem(key);
+                return saved ? JSON.parse(saved) : null;
+            } catch (error) {
+                console.error(`Error reading ${key}:`, error);
+                return null;
+            }
+        };
+        const migrated = [];
+        const tradeKey = t => [t.type, String(t.symbol || '').toUpperCase(), String(t.date || '').slice(0, 10),
+            +Number(t.quantity).toFixed(6), +Number(t.price).toFixed(6)].join('|');
+        const merge = (key, toTransactions) => {
+            const data = read(key);
+            if (!data) return;
+            try {
+                // Count the trades already merged; each can absorb one matching trade from this source
+                const merged = new Map();
+                this.ledger.activeTransactions()
+                    .filter(t => t.type === 'buy' || t.type === 'sell')
+                    .forEach(t => merged.set(tradeKey(t), (merged.get(tradeKey(t)) || 0) + 1));
+                const transactions = toTransactions(data);
+                const active = new Set(this.ledger.activeTransactions(transactions).map(t => t.id));
+                this.appendTransactions(transactions.filter(t => {
+                    if (!active.has(t.id) || (t.type !== 'buy' && t.type !== 'sell')) return true;
+                    const count = merged.get(tradeKey(t)) || 0;
+                    if (count === 0) return true;
+                    merged.set(tradeKey(t), count - 1);
+                    return false;
+                }));
+                localStorage.removeItem(key);
+                migrated.push(key);
+            } catch (error) {
+                console.error(`Could not migrate ${key}:`, error);
+            }
+        };
+
+        // Dashboard: prices per asset, and assets saved before its ledger existed
+        const prices = read('portfolioPrices') || {};
+        Object.entries(prices).forEach(([symbol, price]) => this.seedQuote(symbol, { price }));
+        localStorage.removeItem('portfolioPrices');
+        merge('portfolio', assets => this.assetsToTransactions(assets));
+
+        // Portfolio Pro: its ledger, and positions saved before that ledger existed
+        merge('portfolioProTransactions', transactions => transactions);
+        merge('portfolioPositions', positions => this.positionsToTransactions(positions));
+
+        // Enhanced manager: its ledger and cached quotes
+        merge('enhancedPortfolioTransactions', transactions => transactions);
+        Object.entries(read('enhancedPortfolioQuotes') || {}).forEach(([symbol, quote]) => {
+            this.seedQuote(symbol, { price: quote.currentPrice, previousClose: quote.previousClose, name: quote.companyName, sector: quote.sector });
+        });
+        localStorage.removeItem('enhancedPortfolioQuotes');
+
+        // Portfolio Management: holdings kept as a plain list
+        merge('portfolioHoldings', holdings => this.holdingsToTransactions(holdings));
+        localStorage.removeItem('portfolioLastUpdate');
+
+        this.save();
+        return migrated;
+    }
+
+    /**
+     * Add records from another ledger; the combined ledger must replay cleanly
+     * @param {Array} transactions - Records as returned by TransactionLedger.getTransactions
+     */
+    appendTransactions(transactions) {
+        const ids = new Set(this.ledger.getTransactions().map(t => t.id));
+        const added = transactions.filter(t => !ids.has(t.id));
+        if (added.length > 0) {
+            this.ledger.importTransactions([...this.ledger.getTransactions(), ...added]);
+        }
+    }
+
+    /**
+     * Opening buys for dashboard assets { name, type, amount, buyPrice, currentPrice, addedDate }
+     */
+    assetsToTransactions(assets) {
+        return assets.map(asset => {
+            const symbol = String(asset.name).trim().toUpperCase();
+            if (asset.currentPrice) this.seedQuote(symbol, { price: asset.currentPrice });
+            return this.ledger.normalize({
+                type: 'buy',
+                date: asset.addedDate,
+                symbol,
+                name: asset.name,
+                assetType: asset.type,
+                quantity: asset.amount,
+                price: asset.buyPrice,
+                notes: 'Migrated asset'
+            });
+        });
+    }
+
+    /**
+     * Opening buys for Portfolio Pro positions { symbol, quantity, buyPrice, buyDate, appliedActions }
+     * Splits already applied to a position are undone so the buy is in pre-split shares;
+     * posting the corporate actions replays them along with dividends.
+     */
+    positionsToTransactions(positions) {
+        return positions.map(position => {
+            const applied = new Set(position.appliedActions || []);
+            const splitFactor = this.corporateActions
+                .filter(a => applied.has(a.id) && a.type !== 'dividend')
+                .reduce((factor, a) => factor * a.ratio, 1);
+            if (position.currentPrice) {
+                this.seedQuote(position.symbol, { price: position.currentPrice, previousClose: position.previousClose });
+            }
+            return this.ledger.normalize({
+                type: 'buy',
+                date: position.buyDate,
+                symbol: position.symbol,
+                quantity: position.quantity / splitFactor,
+                price: position.buyPrice * splitFactor,
+                notes: 'Migrated position'
+            });
+        });
+    }
+
+    /**
+     * Opening buys for Portfolio Management holdings { type, symbol, quantity, buyDate, buyPrice, notes }
+     */
+    holdingsToTransactions(holdings) {
+        return holdings.map(holding => {
+            if (holding.currentPrice) {
+                this.seedQuote(holding.symbol, { price: holding.currentPrice, previousClose: holding.previousClose });
+            }
+            return this.ledger.normalize({
+                type: 'buy',
+                date: holding.buyDate,
+                symbol: holding.symbol,
+                assetType: holding.type,
+                quantity: holding.quantity,
+                price: holding.buyPrice,
+                notes: holding.notes || 'Migrated holding'
+            });
+        });
+    }
+
+    // ========== Market Data ==========
+
+    /**
+     * Latest quote for a symbol, or null
+     */
+    getQuote(symbol) {
+        return this.marketData[String(symbol).toUpperCase()] || null;
+    }
+
+    /**
+     * Store a quote and keep its price as the day's mark for return calculations
+     * Call save() once the batch of quotes is in.
+     * @param {string} symbol - Ledger symbol
+     * @param {Object} quote - { price, previousClose, name, sector } (previousClose defaults to the last price)
+     * @returns {Object} Stored quote
+     */
+    setQuote(symbol, quote) {
+        const key = String(symbol).toUpperCase();
+        const price = Number(quote.price);
+        if (!(price > 0) || !isFinite(price)) {
+            throw new Error(`Quote for ${key} needs a positive price`);
+        }
+
+        const previous = this.marketData[key] || {};
+        const previousClose = quote.previousClose > 0 ? Number(quote.previousClose) : (previous.price || price);
+        this.marketData[key] = {
+            ...previous,
+            ...quote,
+            price,
+            previousClose,
+            change: price - previousClose,
+            changePercent: ((price - previousClose) / previousClose) * 100,
+            updatedAt: new Date().toISOString()
+        };
+        this.recordPriceMark(key, price);
+        return this.marketData[key];
+    }
+
+    /**
+     * Store a quote only when the symbol has none yet (e.g. the trade price of a first buy)
+     */
+    seedQuote(symbol, quote) {
+        const key = String(symbol).toUpperCase();
+        if (this.marketData[key] || !(quote.price > 0)) return;
+        const previousClose = quote.previousClose > 0 ? quote.previousClose : quote.price;
+        this.marketData[key] = {
+            price: quote.price,
+            previousClose,
+            change: quote.price - previousClose,
+            changePercent: ((quote.price - previousClose) / previousClose) * 100,
+            updatedAt: new Date().toISOString()
+        };
+        if (quote.name) this.marketData[key].name = quote.name;
+        if (quote.sector) this.marketData[key].sector = quote.sector;
+    }
+
+    /**
+     * Keep a price as a day's mark (the latest quote of the day wins)
+     */
+    recordPriceMark(symbol, price, date = new Date().toISOString().split('T')[0]) {
+        if (!this.priceHistory[symbol]) this.priceHistory[symbol] = {};
+        this.priceHistory[symbol][date] = price;
+    }
+
+    /**
+     * Add historical closes for a symbol
+     * @param {Object} closes - { 'YYYY-MM-DD': price }
+     */
+    addPriceHistory(symbol, closes) {
+        const key = String(symbol).toUpperCase();
+        Object.entries(closes).forEach(([date, price]) => {
+            if (price > 0) this.recordPriceMark(key, price, date);
+        });
+    }
+
+    // ========== Currencies ==========
+
+    /**
+     * Base-currency units per unit of a currency on a date
+     * @param {string} currency - ISO code; records without one are in the ledger's default currency
+     */
+    rate(currency, date = new Date().toISOString().split('T')[0]) {
+        return this.fx.getRate(currency || this.ledger.defaultCurrency, this.baseCurrency, date);
+    }
+
+    /**
+     * Make sure a currency can be converted to the base currency
+     * @returns {string} Upper-case ISO code
+     */
+    checkCurrency(currency) {
+        const code = String(currency || '').trim().toUpperCase();
+        if (!this.fx.currencies().includes(code)) {
+            throw new Error(`No exchange rate for ${currency || 'an empty currency'}`);
+        }
+        return code;
+    }
+
+    /**
+     * Report holdings and totals in another currency
+     * Snapshots hold values in the old currency, so they are rebuilt.
+     */
+    async setBaseCurrency(currency) {
+        this.baseCurrency = this.checkCurrency(currency);
+        this.save();
+        await this.snapshots.clear();
+        await this.recordSnapshots();
+    }
+
+    /**
+     * Fetch exchange rates for today and for the dates of transactions not in the base currency
+     * @returns {Promise<number>} Number of dates fetched
+     */
+    async refreshRates() {
+        const dates = this.ledger.activeTransactions()
+            .filter(t => (t.currency || this.ledger.defaultCurrency) !== this.baseCurrency)
+            .map(t => t.date);
+        if (dates.length === 0) return 0;
+        return this.fx.refresh([...dates, new Date().toISOString().split('T')[0]]);
+    }
+
+    /**
+     * Cash, income, fees and realized P&L in the base currency. Each amount is converted at the
+     * rate of its date (a realized gain is proceeds at the sale date's rate less cost at the
+     * purchase date's); cash is converted at today's rate.
+     * @returns {Object} { cash, deposits, withdrawals, realizedPnL, realizedShortTerm, realizedLongTerm,
+     *          dividends, fees, bySymbol: { symbol: { realizedPnL, dividends } } }
+     */
+    baseTotals() {
+        const { cashByCurrency } = this.ledger.getSummary();
+        const totals = {
+            cash: 0,
+            deposits: 0,
+            withdrawals: 0,
+            realizedPnL: 0,
+            realizedShortTerm: 0,
+            realizedLongTerm: 0,
+            dividends: 0,
+            fees: 0,
+            bySymbol: {}
+        };
+        const symbolTotals = symbol => {
+            if (!totals.bySymbol[symbol]) totals.bySymbol[symbol] = { realizedPnL: 0, dividends: 0 };
+            return totals.bySymbol[symbol];
+        };
+
+        Object.entries(cashByCurrency).forEach(([currency, amount]) => {
+            totals.cash += amount * this.rate(currency);
+        });
+        this.getRealizedGains().forEach(row => {
+            totals.realizedPnL += row.gain;
+            totals[row.term === 'long' ? 'realizedLongTerm' : 'realizedShortTerm'] += row.gain;
+            symbolTotals(row.symbol).realizedPnL += row.gain;
+        });
+        this.ledger.activeTransactions().forEach(t => {
+            const rate = this.rate(t.currency, t.date);
+            switch (t.type) {
+                case 'buy':
+                case 'sell':
+                    totals.fees += t.fees * rate;
+                    break;
+                case 'dividend':
+                    totals.dividends += t.amount * rate;
+                    symbolTotals(t.symbol).dividends += t.amount * rate;
+                    break;
+                case 'fee':
+                    totals.fees += t.amount * rate;
+                    break;
+                case 'deposit':
+                    totals.deposits += t.amount * rate;
+                    break;
+                case 'withdrawal':
+                    totals.withdrawals += t.amount * rate;
+                    break;
+            }
+        });
+        return totals;
+    }
+
+    /**
+     * Closed lot portions in the base currency: proceeds at the sale date's rate and cost at the
+     * purchase date's, so the gain includes the currency move while the lot was held
+     * @param {number} year - Optional calendar year of the sale
+     * @returns {Array} Rows as from TransactionLedger.getRealizedGains
+     */
+    getRealizedGains(year = null) {
+        return this.ledger.getRealizedGains(year).map(row => {
+            const proceeds = row.proceeds * this.rate(row.currency, row.sold);
+            const costBasis = row.costBasis * this.rate(row.currency, row.acquired);
+            return { ...row, proceeds, costBasis, gain: proceeds - costBasis };
+        });
+    }
+
+    // ========== Holdings ==========
+
+    /**
+     * Open holdings valued at the latest quotes
+     * Prices, cost and P&L are in the holding's currency; the *Base fields are in the base
+     * currency, with cost converted at each lot's purchase date and value at today's rate.
+     * unrealizedPnLPercent is the local-currency return and fxReturnPercent what currency moves
+     * added to it in the base currency.
+     * @param {Object} totals - From baseTotals, when already computed
+     * @returns {Array} [{ id, symbol, name, type, sector, currency, quantity, averageCost, costBasis, currentPrice,
+     *          previousClose, marketValue, unrealizedPnL, unrealizedPnLPercent, dayChange,
+     *          realizedPnL, dividends, openedAt, lastTradeDate, lots, fxRate, costBasisBase,
+     *          marketValueBase, unrealizedPnLBase, unrealizedPnLPercentBase, fxReturnPercent,
+     *          dayChangeBase, realizedPnLBase, dividendsBase }] where id is the symbol
+     */
+    getHoldings(totals = this.baseTotals()) {
+        const today = new Date().toISOString().split('T')[0];
+        const yesterday = this.performance.addDays(today, -1);
+        return this.ledger.getPositions().map(position => {
+            const quote = this.marketData[position.symbol] || {};
+            const currentPrice = quote.price || position.lastPrice || position.averageCost;
+            const previousClose = quote.previousClose || currentPrice;
+            const marketValue = position.quantity * currentPrice;
+            const unrealizedPnL = marketValue - position.costBasis;
+            const unrealizedPnLPercent = position.costBasis > 0 ? (unrealizedPnL / position.costBasis) * 100 : 0;
+
+            const fxRate = this.rate(position.currency, today);
+            const costBasisBase = position.lots.reduce((sum, lot) => sum + lot.cost * this.rate(position.currency, lot.date), 0);
+            const marketValueBase = marketValue * fxRate;
+            const unrealizedPnLBase = marketValueBase - costBasisBase;
+            const unrealizedPnLPercentBase = costBasisBase > 0 ? (unrealizedPnLBase / costBasisBase) * 100 : 0;
+            const income = totals.bySymbol[position.symbol] || { realizedPnL: 0, dividends: 0 };
+            return {
+                id: position.symbol,
+                symbol: position.symbol,
+                name: (position.name !== position.symbol && position.name) || quote.name || position.symbol,
+                type: position.assetType || 'stock',
+                sector: quote.sector || null,
+                currency: position.currency,
+                quantity: position.quantity,
+                averageCost: position.averageCost,
+                costBasis: position.costBasis,
+                currentPrice,
+                previousClose,
+                marketValue,
+                unrealizedPnL,
+                unrealizedPnLPercent,
+                dayChange: position.quantity * (currentPrice - previousClose),
+                realizedPnL: position.realizedPnL,
+                dividends: position.dividends,
+                openedAt: position.openedAt,
+                lastTradeDate: position.lastTradeDate,
+                lots: position.lots,
+                fxRate,
+                costBasisBase,
+                marketValueBase,
+                unrealizedPnLBase,
+                unrealizedPnLPercentBase,
+                fxReturnPercent: unrealizedPnLPercentBase - unrealizedPnLPercent,
+                dayChangeBase: position.quantity * (currentPrice * fxRate - previousClose * this.rate(position.currency, yesterday)),
+                realizedPnLBase: income.realizedPnL,
+                dividendsBase: income.dividends
+            };
+        });
+    }
+
+    /**
+     * Holding for a symbol, or null when it is not held
+     */
+    getHolding(symbol) {
+        const key = String(symbol || '').toUpperCase();
+        return this.getHoldings().find(holding => holding.symbol === key) || null;
+    }
+
+    /**
+     * Portfolio totals in the base currency: market value and cost of open holdings plus cash,
+     * realized P&L and income
+     * @returns {Object} { marketValue, costBasis, unrealizedPnL, dayChange, cash, deposits, withdrawals,
+     *          realizedPnL, realizedShortTerm, realizedLongTerm, dividends, fees }
+     */
+    getSummary() {
+        const { bySymbol, ...totals } = this.baseTotals();
+        const holdings = this.getHoldings({ bySymbol });
+        return {
+            marketValue: holdings.reduce((sum, h) => sum + h.marketValueBase, 0),
+            costBasis: holdings.reduce((sum, h) => sum + h.costBasisBase, 0),
+            unrealizedPnL: holdings.reduce((sum, h) => sum + h.unrealizedPnLBase, 0),
+            dayChange: holdings.reduce((sum, h) => sum + h.dayChangeBase, 0),
+            ...totals
+        };
+    }
+
+    // ========== Transactions ==========
+
+    /**
+     * Record a ledger entry in a currency that can be converted to the base currency
+     * @param {Object} entry - As accepted by TransactionLedger.normalize
+     * @returns {Object} Recorded transaction
+     */
+    record(entry) {
+        if (entry.currency) this.checkCurrency(entry.currency);
+        return this.ledger.record(entry);
+    }
+
+    /**
+     * Record a purchase; a first buy of a symbol also seeds its quote with the trade price
+     * @param {Object} entry - { date, symbol, name, assetType, currency, quantity, price, fees, notes }
+     * @returns {Object} Recorded transaction
+     */
+    buy(entry) {
+        const transaction = this.record({ ...entry, type: 'buy' });
+        this.seedQuote(transaction.symbol, { price: transaction.price });
+        this.save();
+        return transaction;
+    }
+
+    /**
+     * Record a sale
+     * @param {Object} entry - { date, symbol, currency, quantity, price, fees, lots, notes }
+     * @returns {Object} Recorded transaction
+     */
+    sell(entry) {
+        return this.record({ ...entry, type: 'sell' });
+    }
+
+    /**
+     * Correct the open remainder of a holding (see TransactionLedger.editHolding)
+     * @param {string} symbol - Holding to correct
+     * @param {Object} entry - { symbol, name, assetType, currency, quantity, price } as held now
+     * @returns {Array} The buys recorded for the open shares
+     */
+    editHolding(symbol, entry) {
+        if (entry.currency) this.checkCurrency(entry.currency);
+        const corrected = this.ledger.editHolding(symbol, entry);
+        this.seedQuote(corrected[0].symbol, { price: Number(entry.price) });
+        this.save();
+        return corrected;
+    }
+
+    /**
+     * Choose how sales recorded from now on relieve tax lots
+     */
+    setCostMethod(method) {
+        this.ledger.setCostMethod(method);
+        this.save();
+    }
+
+    // ========== Corporate Actions ==========
+
+    /**
+     * Record a corporate action and post it if it has gone ex
+     * @param {Object} action - As accepted by CorporateActions.normalize
+     * @returns {Object} { action, postings }
+     */
+    addCorporateAction(action) {
+        const normalized = this.actionModel.normalize(action);
+        if (this.corporateActions.some(a => a.id === normalized.id)) {
+            throw new Error(`${normalized.symbol} ${this.actionModel.describe(normalized)} on ${normalized.date} is already recorded`);
+        }
+        this.corporateActions = this.actionModel.merge(this.corporateActions, [normalized]);
+        this.save();
+        return { action: normalized, postings: this.postCorporateActions() };
+    }
+
+    /**
+     * Forget a corporate action; anything already posted stays in the ledger
+     */
+    removeCorporateAction(actionId) {
+        this.corporateActions = this.corporateActions.filter(a => a.id !== actionId);
+        this.save();
+    }
+
+    /**
+     * Post recorded actions that have gone ex to the ledger
+     * Quotes cached before a split are rescaled to the new share count.
+     * @returns {Array} New ledger transactions
+     */
+    postCorporateActions() {
+        const today = new Date().toISOString().split('T')[0];
+        const postings = this.actionModel.postToLedger(this.ledger, this.corporateActions, today);
+
+        postings.filter(p => p.type === 'split').forEach(posting => {
+            const quote = this.marketData[posting.symbol];
+            if (quote && quote.updatedAt && quote.updatedAt.split('T')[0] < posting.date) {
+                quote.price /= posting.ratio;
+                quote.previousClose /= posting.ratio;
+            }
+        });
+
+        if (postings.length > 0) this.save();
+        return postings;
+    }
+
+    // ========== History ==========
+
+    /**
+     * Save today's snapshot from the latest quotes and backfill earlier days from the
+     * recorded price history and trade prices
+     */
+    async recordSnapshots() {
+        const today = new Date().toISOString().split('T')[0];
+        this.getHoldings().forEach(holding => {
+            if (this.marketData[holding.symbol]) this.recordPriceMark(holding.symbol, holding.currentPrice, today);
+        });
+        const series = this.performance.valueSeries(today);
+        if (series.length === 0) return;
+
+        try {
+            await this.snapshots.backfill(series.slice(0, -1));
+            await this.snapshots.record(series[series.length - 1]);
+        } catch (error) {
+            console.error('Error saving portfolio snapshots:', error);
+        }
+    }
+
+    // ========== Import / Export ==========
+
+    /**
+     * Everything needed to restore the portfolio elsewhere
+     */
+    exportData() {
+        return {
+            schemaVersion: this.schemaVersion,
+            transactions: this.ledger.getTransactions(),
+            marketData: this.marketData,
+            priceHistory: this.priceHistory,
+            corporateActions: this.corporateActions,
+            costMethod: this.ledger.costMethod,
+            baseCurrency: this.baseCurrency
+        };
+    }
+
+    /**
+     * Replace the portfolio from an export. Older files are accepted too: dashboard exports
+     * ({ transactions, prices } or { portfolio }) and Portfolio Pro exports ({ transactions, corporateActions }).
+     * @param {Object} data - Parsed export file
+     */
+    importData(data) {
+        const previousQuotes = this.marketData;
+        this.marketData = { ...(data.marketData || {}) };
+        try {
+            const transactions = Array.isArray(data.transactions) ? data.transactions
+                : Array.isArray(data.portfolio) ? this.assetsToTransactions(data.portfolio) : null;
+            if (!transactions) {
+                throw new Error('No transactions or portfolio in this file');
+            }
+            this.ledger.importTransactions(transactions);
+        } catch (error) {
+            this.marketData = previousQuotes;
+            throw error;
+        }
+
+        Object.entries(data.prices || {}).forEach(([symbol, price]) => this.seedQuote(symbol, { price }));
+        this.priceHistory = { ...(data.priceHistory || {}) };
+        this.performance.priceHistory = this.priceHistory;
+        this.corporateActions = Array.isArray(data.corporateActions) ? data.corporateActions : [];
+        if (data.costMethod && this.ledger.costMethods[data.costMethod]) {
+            this.ledger.stampCostMethod(data.costMethod);
+            this.ledger.setCostMethod(data.costMethod);
+        }
+        this.save();
+    }
+
+    /**
+     * Remove all transactions, quotes, price history and snapshots
+     */
+    async clear() {
+        this.ledger.clear();
+        this.marketData = {};
+        this.priceHistory = {};
+        this.performance.priceHistory = this.priceHistory;
+        this.corporateActions = [];
+        this.save();
+        await this.snapshots.clear();
+    }
+
+    /**
+     * Delete this portfolio's ledger, settings and snapshots, leaving the shared market data
+     */
+    async destroy() {
+        this.ledger.clear();
+        [this.keys.transactions, this.keys.costMethod, this.keys.targetModel, this.keys.version].forEach(key => {
+            try {
+                localStorage.removeItem(key);
+            } catch (error) {
+                console.error(`Error removing ${key}:`, error);
+            }
+        });
+        await this.snapshots.clear();
+    }
+}
+
+// Export for use in other modules
+window.PortfolioStore = PortfolioStore;
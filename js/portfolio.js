@@ -2,10 +2,60 @@
  * Portfolio Management Module
  * Handles asset management, validation, and portfolio operations
  * Includes XSS protection and duplicate detection
+ *
+ * Holdings come from the shared PortfolioStore, so assets added here also appear on the
+ * Portfolio Pro and Portfolio Management pages. Buys, sells and edits are recorded as
+ * transactions, and the `portfolio` array is rebuilt from the store in its holding shape.
+ * Daily value snapshots are saved to IndexedDB and plotted by the performance chart.
+ * The dashboard works on the account selected on the portfolio pages (the first account while
+ * the consolidated view is selected there). Prices are shown in each asset's currency and
+ * values in the base currency chosen on the Portfolio Pro page.
+ * Rebalancing works from a saved target allocation (see PortfolioRebalancer) and posts the
+ * generated trade list to the ledger.
  */
 
+const portfolioAccounts = new PortfolioAccounts();
+const portfolioStore = portfolioAccounts.openStore(portfolioAccounts.getActiveId(false));
+const portfolioRebalancer = new PortfolioRebalancer(portfolioStore);
+let rebalancePlan = null;
+
+/**
+ * Ledger symbol for an asset name
+ */
+function getAssetSymbol(name) {
+    return String(name).trim().toUpperCase();
+}
+
+/**
+ * Rebuild the portfolio array from the store
+ */
+function rebuildPortfolio() {
+    portfolio = portfolioStore.getHoldings();
+}
+
+/**
+ * Save today's snapshot at the latest prices, backfill earlier days from recorded prices,
+ * then redraw the performance chart
+ */
+async function recordPortfolioSnapshot() {
+    await portfolioStore.recordSnapshots();
+    await updatePerformanceChart();
+}
+
+/**
+ * Fill the asset currency picker
+ * @param {string} selected - Currency to select (defaults to the base currency)
+ */
+function renderAssetCurrencies(selected = portfolioStore.baseCurrency) {
+    const select = document.getElementById('assetCurrency');
+    if (!select) return;
+    select.innerHTML = portfolioStore.fx.currencies()
+        .map(code => `<option value="${code}" ${code === selected ? 'selected' : ''}>${code}</option>`).join('');
+}
+
 // Add to Portfolio
 function addToPortfolio() {
+    renderAssetCurrencies();
     const modal = document.getElementById('addAssetModal');
     if (modal) {
         modal.classList.remove('hidden');
@@ -44,6 +94,7 @@ function submitAsset(editMode = false, assetId = null) {
         assetNameRaw;
     const assetAmount = parseFloat(document.getElementById('assetAmount').value);
     const assetPrice = parseFloat(document.getElementById('assetPrice').value);
+    const assetCurrency = document.getElementById('assetCurrency').value || portfolioStore.baseCurrency;
     
     // Comprehensive input validation
     if (!assetName) {
@@ -76,58 +127,56 @@ function submitAsset(editMode = false, assetId = null) {
         return;
     }
     
-    // Check for duplicate assets (same name and type)
+    const symbol = getAssetSymbol(assetName);
+    
+    // Buying more of a held asset adds a purchase to the same holding
     if (!editMode) {
-        const duplicate = portfolio.find(a => 
-            a.name.toLowerCase() === assetName.toLowerCase() && 
-            a.type === assetType
-        );
+        const duplicate = portfolio.find(a => a.id === symbol);
         
         if (duplicate) {
-            if (!confirm(`Asset "${assetName}" already exists. Do you want to add it anyway?`)) {
+            if (!confirm(`Asset "${assetName}" already exists. Do you want to add to this holding?`)) {
                 return;
             }
         }
     }
     
-    if (editMode && assetId) {
-        // Edit existing asset
-        const assetIndex = portfolio.findIndex(a => a.id === assetId);
-        if (assetIndex !== -1) {
-            portfolio[assetIndex] = {
-                ...portfolio[assetIndex],
-                type: assetType,
+    try {
+        if (editMode && assetId) {
+            // Edits reprice the asset's open shares; sales and income stay as recorded
+            const original = portfolio.find(a => a.id === assetId);
+            if (!original) return;
+            
+            portfolioStore.seedQuote(symbol, { price: original.currentPrice });
+            portfolioStore.editHolding(assetId, {
+                symbol,
                 name: assetName,
-                amount: assetAmount,
-                buyPrice: assetPrice,
-                currentPrice: portfolio[assetIndex].currentPrice || assetPrice,
-                totalValue: assetAmount * (portfolio[assetIndex].currentPrice || assetPrice),
-                gainLoss: assetAmount * ((portfolio[assetIndex].currentPrice || assetPrice) - assetPrice),
-                gainLossPercent: ((portfolio[assetIndex].currentPrice || assetPrice) - assetPrice) / assetPrice * 100
-            };
+                assetType,
+                currency: assetCurrency,
+                quantity: assetAmount,
+                price: assetPrice,
+                notes: 'Edited asset'
+            });
             showAlert('Asset updated successfully', 'success');
+        } else {
+            portfolioStore.buy({
+                symbol,
+                name: assetName,
+                assetType,
+                currency: assetCurrency,
+                quantity: assetAmount,
+                price: assetPrice
+            });
+            showAlert(window.i18n ? window.i18n.t('alert.assetAdded') : 'Asset added successfully', 'success');
         }
-    } else {
-        // Add new asset
-        const asset = {
-            id: window.SecurityUtils ? window.SecurityUtils.generateSecureId() : generateId(),
-            type: assetType,
-            name: assetName,
-            amount: assetAmount,
-            buyPrice: assetPrice,
-            currentPrice: assetPrice,
-            totalValue: assetAmount * assetPrice,
-            gainLoss: 0,
-            gainLossPercent: 0,
-            addedDate: new Date().toISOString()
-        };
-        portfolio.push(asset);
-        showAlert(window.i18n ? window.i18n.t('alert.assetAdded') : 'Asset added successfully', 'success');
+    } catch (error) {
+        showAlert(error.message, 'error');
+        return;
     }
     
+    rebuildPortfolio();
     saveToLocalStorage();
     renderPortfolio();
-    updatePerformanceChart();
+    recordPortfolioSnapshot();
     closeAssetModal();
 }
 
@@ -146,22 +195,29 @@ function renderPortfolio() {
         return;
     }
     
-    const totalValue = portfolio.reduce((sum, asset) => sum + asset.totalValue, 0);
-    const totalGainLoss = portfolio.reduce((sum, asset) => sum + asset.gainLoss, 0);
+    const summary = portfolioStore.getSummary();
+    const totalValue = summary.marketValue;
+    const totalGainLoss = summary.unrealizedPnL;
     
     portfolioList.innerHTML = `
         <div class="mb-4 p-3 bg-blue-50 rounded-lg">
             <div class="flex justify-between items-center">
                 <span class="text-sm text-gray-600">Total Value</span>
-                <span class="font-bold text-lg">${formatCurrency(totalValue)}</span>
+                <span class="font-bold text-lg">${formatCurrency(totalValue, portfolioStore.baseCurrency)}</span>
             </div>
             <div class="flex justify-between items-center mt-2">
                 <span class="text-sm text-gray-600">Total P&L</span>
                 <span class="font-bold ${totalGainLoss >= 0 ? 'text-green-600' : 'text-red-600'}">
-                    ${formatCurrency(totalGainLoss)}
+                    ${formatCurrency(totalGainLoss, portfolioStore.baseCurrency)}
                     (${formatPercentage(totalGainLoss / (totalValue - totalGainLoss))})
                 </span>
             </div>
+            <div class="flex justify-between items-center mt-2">
+                <span class="text-sm text-gray-600">Realized P&L</span>
+                <span class="font-bold ${summary.realizedPnL >= 0 ? 'text-green-600' : 'text-red-600'}">
+                    ${formatCurrency(summary.realizedPnL, portfolioStore.baseCurrency)}
+                </span>
+            </div>
         </div>
         ${portfolio.map(asset => createPortfolioItemHTML(asset)).join('')}
     `;
@@ -180,6 +236,12 @@ function renderPortfolio() {
             updateBtn.addEventListener('click', () => updateAssetPrice(asset.id));
         }
         
+        // Sell button
+        const sellBtn = document.getElementById(`sell-${asset.id}`);
+        if (sellBtn) {
+            sellBtn.addEventListener('click', () => sellAsset(asset.id));
+        }
+        
         // Remove button
         const removeBtn = document.getElementById(`remove-${asset.id}`);
         if (removeBtn) {
@@ -194,13 +256,17 @@ function renderPortfolio() {
  * @returns {string} Safe HTML string
  */
 function createPortfolioItemHTML(asset) {
-    const gainLossClass = asset.gainLoss >= 0 ? 'text-green-600' : 'text-red-600';
+    const gainLossClass = asset.unrealizedPnLBase >= 0 ? 'text-green-600' : 'text-red-600';
     const typeIcon = getAssetTypeIcon(asset.type);
     
     // Escape asset name to prevent XSS
     const safeName = window.SecurityUtils ? 
         window.SecurityUtils.escapeHtml(asset.name) : 
         asset.name.replace(/[<>"']/g, '');
+    // Ids are derived from the name too
+    const safeId = window.SecurityUtils ? 
+        window.SecurityUtils.escapeHtml(asset.id) : 
+        asset.id.replace(/[<>"']/g, '');
     
     return `
         <div class="portfolio-item mb-3">
@@ -210,13 +276,16 @@ function createPortfolioItemHTML(asset) {
                     <span class="font-semibold">${safeName}</span>
                 </div>
                 <div class="flex space-x-2">
-                    <button id="edit-${asset.id}" class="text-green-600 hover:text-green-800" title="Edit Asset">
+                    <button id="edit-${safeId}" class="text-green-600 hover:text-green-800" title="Edit Asset">
                         <i class="fas fa-edit text-sm"></i>
                     </button>
-                    <button id="update-${asset.id}" class="text-blue-600 hover:text-blue-800" title="Update Price">
+                    <button id="update-${safeId}" class="text-blue-600 hover:text-blue-800" title="Update Price">
                         <i class="fas fa-sync text-sm"></i>
                     </button>
-                    <button id="remove-${asset.id}" class="text-red-600 hover:text-red-800" title="Remove Asset">
+                    <button id="sell-${safeId}" class="text-orange-600 hover:text-orange-800" title="Sell">
+                        <i class="fas fa-minus-circle text-sm"></i>
+                    </button>
+                    <button id="remove-${safeId}" class="text-red-600 hover:text-red-800" title="Remove Asset">
                         <i class="fas fa-trash text-sm"></i>
                     </button>
                 </div>
@@ -224,26 +293,26 @@ function createPortfolioItemHTML(asset) {
             <div class="grid grid-cols-2 gap-2 text-sm">
                 <div>
                     <span class="text-gray-600">Quantity:</span>
-                    <span class="ml-1">${asset.amount}</span>
+                    <span class="ml-1">${asset.quantity}</span>
                 </div>
                 <div>
                     <span class="text-gray-600">Buy Price:</span>
-                    <span class="ml-1">${formatCurrency(asset.buyPrice)}</span>
+                    <span class="ml-1">${formatCurrency(asset.averageCost, asset.currency)}</span>
                 </div>
                 <div>
                     <span class="text-gray-600">Current:</span>
-                    <span class="ml-1">${formatCurrency(asset.currentPrice)}</span>
+                    <span class="ml-1">${formatCurrency(asset.currentPrice, asset.currency)}</span>
                 </div>
                 <div>
                     <span class="text-gray-600">Value:</span>
-                    <span class="ml-1 font-semibold">${formatCurrency(asset.totalValue)}</span>
+                    <span class="ml-1 font-semibold">${formatCurrency(asset.marketValueBase, portfolioStore.baseCurrency)}</span>
                 </div>
             </div>
             <div class="mt-2 pt-2 border-t border-gray-200">
                 <span class="text-gray-600 text-sm">P&L:</span>
                 <span class="${gainLossClass} font-semibold ml-1">
-                    ${formatCurrency(asset.gainLoss)}
-                    (${formatPercentage(asset.gainLossPercent / 100)})
+                    ${formatCurrency(asset.unrealizedPnLBase, portfolioStore.baseCurrency)}
+                    (${formatPercentage(asset.unrealizedPnLPercentBase / 100)})
                 </span>
             </div>
         </div>
@@ -272,13 +341,14 @@ function editAsset(assetId) {
     // Populate modal with existing values
     document.getElementById('assetType').value = asset.type;
     document.getElementById('assetName').value = asset.name;
-    document.getElementById('assetAmount').value = asset.amount;
-    document.getElementById('assetPrice').value = asset.buyPrice;
+    document.getElementById('assetAmount').value = asset.quantity;
+    document.getElementById('assetPrice').value = asset.averageCost;
+    renderAssetCurrencies(asset.currency);
     
     // Change submit button to update mode
     const submitBtn = document.querySelector('#addAssetModal button[onclick="submitAsset()"]');
     if (submitBtn) {
-        submitBtn.setAttribute('onclick', `submitAsset(true, '${assetId}')`);
+        submitBtn.setAttribute('onclick', `submitAsset(true, ${JSON.stringify(assetId)})`);
         submitBtn.innerHTML = '<i class="fas fa-save mr-2"></i>Update Asset';
     }
     
@@ -322,34 +392,80 @@ function updateAssetPrice(assetId) {
         return;
     }
     
-    // Update asset
-    asset.currentPrice = price;
-    asset.totalValue = asset.amount * asset.currentPrice;
-    asset.gainLoss = asset.totalValue - (asset.amount * asset.buyPrice);
-    asset.gainLossPercent = ((asset.currentPrice - asset.buyPrice) / asset.buyPrice) * 100;
+    // Prices are market data, not transactions
+    portfolioStore.setQuote(asset.id, { price });
+    portfolioStore.save();
+    rebuildPortfolio();
     
     saveToLocalStorage();
     renderPortfolio();
-    updatePerformanceChart();
+    recordPortfolioSnapshot();
     showAlert('Price updated successfully', 'success');
 }
 
+/**
+ * Record a sale of some or all of an asset
+ * @param {string} assetId - Asset ID to sell from
+ * @param {number} quantity - Units to sell; asks when omitted
+ */
+function sellAsset(assetId, quantity = null) {
+    const asset = portfolio.find(a => a.id === assetId);
+    if (!asset) return;
+    
+    if (quantity === null) {
+        const input = prompt(`Units of ${asset.name} to sell (held: ${asset.quantity}):`, asset.quantity);
+        if (input === null) return;
+        quantity = parseFloat(input);
+    }
+    
+    if (isNaN(quantity) || quantity <= 0) {
+        showAlert('Please enter a valid positive amount', 'warning');
+        return;
+    }
+    
+    let realized;
+    try {
+        const before = portfolioStore.getSummary().realizedPnL;
+        portfolioStore.sell({
+            symbol: asset.id,
+            quantity,
+            price: asset.currentPrice
+        });
+        realized = portfolioStore.getSummary().realizedPnL - before;
+    } catch (error) {
+        showAlert(error.message, 'error');
+        return;
+    }
+    
+    rebuildPortfolio();
+    saveToLocalStorage();
+    renderPortfolio();
+    recordPortfolioSnapshot();
+    showAlert(`Sold ${quantity} ${asset.name} at ${formatCurrency(asset.currentPrice, asset.currency)}; realized ${formatCurrency(realized, portfolioStore.baseCurrency)}`, 'success');
+}
+
 // Remove from Portfolio
 function removeFromPortfolio(assetId) {
-    if (confirm('Are you sure you want to remove this asset?')) {
-        portfolio = portfolio.filter(a => a.id !== assetId);
-        saveToLocalStorage();
-        renderPortfolio();
-        updatePerformanceChart();
-        showAlert('Asset removed', 'info');
+    const asset = portfolio.find(a => a.id === assetId);
+    if (asset && confirm('Are you sure you want to remove this asset? It will be recorded as sold at the current price.')) {
+        sellAsset(assetId, asset.quantity);
     }
 }
 
-// Update Performance Chart
-function updatePerformanceChart() {
+/**
+ * Plot saved daily snapshots
+ */
+async function updatePerformanceChart() {
     const ctx = document.getElementById('performanceChart');
     if (!ctx) return;
     
+    let snapshots = [];
+    try {
+        snapshots = await portfolioStore.snapshots.getRange();
+    } catch (error) {
+        console.error('Error loading portfolio snapshots:', error);
+    }
+    
     const chartCtx = ctx.getContext('2d');
     
     // Destroy existing chart if it exists
@@ -357,7 +473,7 @@ function updatePerformanceChart() {
         window.performanceChartInstance.destroy();
     }
     
-    if (portfolio.length === 0) {
+    if (snapshots.length === 0) {
         // Show empty state
         window.performanceChartInstance = new Chart(chartCtx, {
             type: 'line',
@@ -384,22 +500,9 @@ function updatePerformanceChart() {
         return;
     }
     
-    // Generate mock historical data for demonstration
-    const days = 30;
-    const labels = [];
-    const data = [];
-    const totalValue = portfolio.reduce((sum, asset) => sum + asset.totalValue, 0);
-    
-    for (let i = days; i >= 0; i--) {
-        const date = new Date();
-        date.setDate(date.getDate() - i);
-        labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-        
-        // Generate random fluctuation
-        const fluctuation = (Math.random() - 0.5) * 0.02; // ±2% daily change
-        const value = totalValue * (1 + fluctuation * (days - i) / days);
-        data.push(value);
-    }
+    const labels = snapshots.map(snapshot => new Date(snapshot.date + 'T00:00:00')
+        .toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+    const data = snapshots.map(snapshot => snapshot.value);
     
     window.performanceChartInstance = new Chart(chartCtx, {
         type: 'line',
@@ -428,7 +531,7 @@ function updatePerformanceChart() {
                 tooltip: {
                     callbacks: {
                         label: function(context) {
-                            return 'Value: ' + formatCurrency(context.parsed.y);
+                            return 'Value: ' + formatCurrency(context.parsed.y, portfolioStore.baseCurrency);
                         }
                     }
                 }
@@ -447,7 +550,7 @@ function updatePerformanceChart() {
                     },
                     ticks: {
                         callback: function(value) {
-                            return formatCurrency(value);
+                            return formatCurrency(value, portfolioStore.baseCurrency);
                         }
                     }
                 }
@@ -459,24 +562,27 @@ function updatePerformanceChart() {
 // Calculate Portfolio Statistics
 function calculatePortfolioStats() {
     if (portfolio.length === 0) {
+        const { realizedPnL, dividends, cash } = portfolioStore.getSummary();
         return {
             totalValue: 0,
             totalCost: 0,
             totalGainLoss: 0,
             totalGainLossPercent: 0,
+            realizedPnL,
+            dividends,
+            cash,
             bestPerformer: null,
             worstPerformer: null,
             diversification: 0
         };
     }
     
-    const totalValue = portfolio.reduce((sum, asset) => sum + asset.totalValue, 0);
-    const totalCost = portfolio.reduce((sum, asset) => sum + (asset.amount * asset.buyPrice), 0);
+    const { marketValue: totalValue, costBasis: totalCost, realizedPnL, dividends, cash } = portfolioStore.getSummary();
     const totalGainLoss = totalValue - totalCost;
     const totalGainLossPercent = (totalGainLoss / totalCost) * 100;
     
     // Find best and worst performers
-    const sortedByPerformance = [...portfolio].sort((a, b) => b.gainLossPercent - a.gainLossPercent);
+    const sortedByPerformance = [...portfolio].sort((a, b) => b.unrealizedPnLPercentBase - a.unrealizedPnLPercentBase);
     const bestPerformer = sortedByPerformance[0];
     const worstPerformer = sortedByPerformance[sortedByPerformance.length - 1];
     
@@ -489,6 +595,9 @@ function calculatePortfolioStats() {
         totalCost,
         totalGainLoss,
         totalGainLossPercent,
+        realizedPnL,
+        dividends,
+        cash,
         bestPerformer,
         worstPerformer,
         diversification
@@ -500,6 +609,7 @@ function exportPortfolio() {
     const stats = calculatePortfolioStats();
     const exportData = {
         portfolio: portfolio,
+        ...portfolioStore.exportData(),
         statistics: stats,
         exportDate: new Date().toISOString()
     };
@@ -523,11 +633,11 @@ function importPortfolio(file) {
     reader.onload = function(e) {
         try {
             const data = JSON.parse(e.target.result);
-            if (data.portfolio && Array.isArray(data.portfolio)) {
-                portfolio = data.portfolio;
+            if (Array.isArray(data.transactions) || (data.portfolio && Array.isArray(data.portfolio))) {
+                restorePortfolio(data);
                 saveToLocalStorage();
                 renderPortfolio();
-                updatePerformanceChart();
+                recordPortfolioSnapshot();
                 showAlert('Portfolio imported successfully', 'success');
             } else {
                 showAlert('Invalid portfolio file', 'error');
@@ -539,67 +649,242 @@ function importPortfolio(file) {
     reader.readAsText(file);
 }
 
-// Rebalance Portfolio
+/**
+ * Replace the portfolio from an export file (older dashboard exports are accepted too)
+ * @param {Object} data - Parsed export file
+ */
+function restorePortfolio(data) {
+    portfolioStore.importData(data);
+    rebuildPortfolio();
+}
+
+/**
+ * Open the rebalancer with the saved target model; without one, start from the last market
+ * analysis's asset class split, else from the current holdings
+ */
 function rebalancePortfolio() {
-    if (!currentAnalysis || portfolio.length === 0) {
-        showAlert('Please perform market analysis first', 'warning');
+    if (portfolio.length === 0 && !(portfolioStore.getSummary().cash > 0)) {
+        showAlert('Add assets to the portfolio before rebalancing', 'warning');
         return;
     }
     
-    const targetAllocation = currentAnalysis.allocation;
-    const totalValue = portfolio.reduce((sum, asset) => sum + asset.totalValue, 0);
+    const model = portfolioRebalancer.getModel();
+    if (model.targets.length === 0 && currentAnalysis && currentAnalysis.allocation) {
+        const { stocks, bonds, commodities } = currentAnalysis.allocation;
+        model.groupBy = 'assetClass';
+        model.targets = [
+            { key: 'stock', weight: stocks },
+            { key: 'bond', weight: bonds },
+            { key: 'crypto', weight: commodities }
+        ].filter(target => target.weight > 0);
+    }
     
-    // Calculate current allocation
-    const currentAllocation = {
-        stocks: 0,
-        bonds: 0,
-        commodities: 0,
-        cash: 0
+    rebalancePlan = null;
+    renderRebalanceModel(model);
+    document.getElementById('rebalanceModal').classList.remove('hidden');
+}
+
+function closeRebalanceModal() {
+    rebalancePlan = null;
+    document.getElementById('rebalanceModal').classList.add('hidden');
+}
+
+/**
+ * Escape user-entered text (symbols, group names) for the rebalancer's HTML
+ */
+function escapeRebalanceText(value) {
+    return window.SecurityUtils ?
+        window.SecurityUtils.escapeHtml(String(value)) :
+        String(value).replace(/[<>"']/g, '');
+}
+
+/**
+ * One editable row of the targets table
+ * @param {string} key - Holding, asset class or sector ('' for a new row)
+ * @param {number|null} current - Current weight in percent, null when not held
+ * @param {Object} target - { weight, tolerance }, or null for a group without a target
+ */
+function createRebalanceTargetHTML(key, current, target) {
+    return `
+        <tr>
+            <td class="px-2 py-1">
+                <input type="text" value="${escapeRebalanceText(key)}" data-field="key" class="w-full p-1 border rounded">
+            </td>
+            <td class="px-2 py-1 text-right text-gray-600">${current === null ? '-' : current.toFixed(1) + '%'}</td>
+            <td class="px-2 py-1">
+                <input type="number" value="${target ? target.weight : ''}" data-field="weight" min="0" max="100" step="0.1"
+                       oninput="updateRebalanceCashTarget()" placeholder="No target" class="w-full p-1 border rounded text-right">
+            </td>
+            <td class="px-2 py-1">
+                <input type="number" value="${target && target.tolerance !== undefined ? target.tolerance : ''}" data-field="tolerance"
+                       min="0" max="100" step="0.5" placeholder="Default" class="w-full p-1 border rounded text-right">
+            </td>
+            <td class="px-2 py-1 text-right">
+                <button type="button" onclick="this.closest('tr').remove(); updateRebalanceCashTarget()" class="text-red-600 hover:text-red-800" title="Remove target">
+                    <i class="fas fa-times"></i>
+                </button>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Fill the rebalancer form: a row per target and per held group without one
+ * @param {Object} model - As returned by PortfolioRebalancer.getModel
+ */
+function renderRebalanceModel(model) {
+    document.getElementById('rebalanceGroupBy').innerHTML = Object.entries(portfolioRebalancer.groupings)
+        .map(([value, label]) => `<option value="${value}" ${value === model.groupBy ? 'selected' : ''}>${label}</option>`).join('');
+    document.getElementById('rebalanceTolerance').value = model.tolerance;
+    document.getElementById('rebalanceMinTrade').value = model.minTradeValue;
+    document.getElementById('rebalanceDefaultLot').value = model.defaultLotSize;
+    document.getElementById('rebalanceLotSizes').value = Object.entries(model.lotSizes)
+        .map(([symbol, size]) => `${symbol}:${size}`).join(', ');
+    document.getElementById('rebalanceNoSell').value = model.noSell.join(', ');
+    document.getElementById('rebalanceCurrency').textContent = portfolioStore.baseCurrency;
+    
+    const held = portfolioRebalancer.getAllocation(model.groupBy).groups.filter(group => group.value > 0);
+    const weightOf = key => {
+        const group = held.find(g => g.key.toLowerCase() === key.toLowerCase());
+        return group ? group.weight : null;
     };
-    
-    portfolio.forEach(asset => {
-        const percentage = (asset.totalValue / totalValue) * 100;
-        switch(asset.type) {
-            case 'stock':
-                currentAllocation.stocks += percentage;
-                break;
-            case 'bond':
-                currentAllocation.bonds += percentage;
-                break;
-            case 'fund':
-                currentAllocation.stocks += percentage * 0.7; // Assume funds are 70% stocks
-                currentAllocation.bonds += percentage * 0.3;
-                break;
-            case 'crypto':
-                currentAllocation.commodities += percentage;
-                break;
-        }
+    const targeted = new Set(model.targets.map(target => target.key.toLowerCase()));
+    
+    document.getElementById('rebalanceTargets').innerHTML = [
+        ...model.targets.map(target => createRebalanceTargetHTML(target.key, weightOf(target.key), target)),
+        ...held
+            .filter(group => !targeted.has(group.key.toLowerCase()))
+            .map(group => createRebalanceTargetHTML(group.key, group.weight, null))
+    ].join('');
+    document.getElementById('rebalanceTrades').innerHTML = '';
+    document.getElementById('rebalancePostButton').classList.add('hidden');
+    updateRebalanceCashTarget();
+}
+
+/**
+ * Read the rebalancer form; rows without a target weight are left out
+ * @returns {Object} Model for PortfolioRebalancer.setModel
+ */
+function readRebalanceModel() {
+    const targets = [];
+    document.querySelectorAll('#rebalanceTargets tr').forEach(row => {
+        const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+        if (value('weight') === '') return;
+        targets.push({ key: value('key'), weight: value('weight'), tolerance: value('tolerance') });
     });
     
-    // Show rebalancing suggestions
-    const suggestions = [];
+    const lotSizes = {};
+    document.getElementById('rebalanceLotSizes').value.split(',').forEach(pair => {
+        const [symbol, size] = pair.split(':').map(part => part.trim());
+        if (symbol) lotSizes[symbol] = size;
+    });
     
-    if (Math.abs(currentAllocation.stocks - targetAllocation.stocks) > 5) {
-        if (currentAllocation.stocks < targetAllocation.stocks) {
-            suggestions.push(`Increase equity allocation by ${(targetAllocation.stocks - currentAllocation.stocks).toFixed(1)}%`);
-        } else {
-            suggestions.push(`Reduce equity allocation by ${(currentAllocation.stocks - targetAllocation.stocks).toFixed(1)}%`);
-        }
+    return {
+        groupBy: document.getElementById('rebalanceGroupBy').value,
+        tolerance: document.getElementById('rebalanceTolerance').value,
+        targets,
+        minTradeValue: document.getElementById('rebalanceMinTrade').value,
+        defaultLotSize: document.getElementById('rebalanceDefaultLot').value,
+        lotSizes,
+        noSell: document.getElementById('rebalanceNoSell').value.split(',')
+    };
+}
+
+/**
+ * Switching the grouping starts the targets over from the current weights of the new groups
+ */
+function changeRebalanceGrouping(groupBy) {
+    renderRebalanceModel({ ...readRebalanceModel(), groupBy, targets: [] });
+}
+
+function addRebalanceTarget() {
+    document.getElementById('rebalanceTargets').insertAdjacentHTML('beforeend', createRebalanceTargetHTML('', null, null));
+}
+
+/**
+ * Show what the targets leave in cash
+ */
+function updateRebalanceCashTarget() {
+    const allocated = [...document.querySelectorAll('#rebalanceTargets [data-field="weight"]')]
+        .reduce((sum, input) => sum + (parseFloat(input.value) || 0), 0);
+    const label = document.getElementById('rebalanceCashTarget');
+    label.textContent = `Targets: ${allocated.toFixed(1)}%` + (allocated > 100 ? ' (over 100%)' : '; groups without a target are left as they are');
+    label.className = allocated > 100 ? 'text-red-600' : 'text-gray-600';
+}
+
+/**
+ * Save the target model and list the trades that bring the portfolio back to it
+ */
+function generateRebalanceTrades() {
+    try {
+        portfolioRebalancer.setModel(readRebalanceModel());
+        rebalancePlan = portfolioRebalancer.plan();
+    } catch (error) {
+        rebalancePlan = null;
+        showAlert(error.message, 'error');
+        return;
     }
     
-    if (Math.abs(currentAllocation.bonds - targetAllocation.bonds) > 5) {
-        if (currentAllocation.bonds < targetAllocation.bonds) {
-            suggestions.push(`Increase bond allocation by ${(targetAllocation.bonds - currentAllocation.bonds).toFixed(1)}%`);
-        } else {
-            suggestions.push(`Reduce bond allocation by ${(currentAllocation.bonds - targetAllocation.bonds).toFixed(1)}%`);
-        }
+    const { trades, warnings, cashBefore, cashAfter, groups } = rebalancePlan;
+    const base = portfolioStore.baseCurrency;
+    const container = document.getElementById('rebalanceTrades');
+    container.innerHTML = `
+        ${warnings.map(warning => `
+            <p class="text-yellow-700 mb-1"><i class="fas fa-exclamation-triangle mr-1"></i>${escapeRebalanceText(warning)}</p>`).join('')}
+        ${trades.length === 0 ? `
+            <p class="text-gray-600 py-2">Every target is within its band; no trades are needed.</p>` : `
+            <table class="w-full mb-2">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-2 py-2 text-left font-medium text-gray-700">Symbol</th>
+                        <th class="px-2 py-2 text-left font-medium text-gray-700">Action</th>
+                        <th class="px-2 py-2 text-right font-medium text-gray-700">Shares</th>
+                        <th class="px-2 py-2 text-right font-medium text-gray-700">Price</th>
+                        <th class="px-2 py-2 text-right font-medium text-gray-700">Est. Cost</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200">
+                    ${trades.map(trade => `
+                    <tr>
+                        <td class="px-2 py-1 font-medium">${escapeRebalanceText(trade.symbol)}</td>
+                        <td class="px-2 py-1 ${trade.action === 'buy' ? 'text-green-600' : 'text-red-600'}">${trade.action === 'buy' ? 'Buy' : 'Sell'}</td>
+                        <td class="px-2 py-1 text-right">${trade.shares}</td>
+                        <td class="px-2 py-1 text-right">${formatCurrency(trade.price, trade.currency)}</td>
+                        <td class="px-2 py-1 text-right">${formatCurrency(trade.estimatedCost, base)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`}
+        <p class="text-gray-600">
+            Cash ${formatCurrency(cashBefore, base)} &rarr; ${formatCurrency(cashAfter, base)}.
+            After the trades: ${groups.filter(group => group.target !== null)
+                .map(group => `${escapeRebalanceText(group.key)} ${group.weight.toFixed(1)}% &rarr; ${group.projectedWeight.toFixed(1)}% (target ${group.target}%)`)
+                .join(', ')}
+        </p>
+    `;
+    document.getElementById('rebalancePostButton').classList.toggle('hidden', trades.length === 0);
+}
+
+/**
+ * Record the generated trades at their listed prices
+ */
+function postRebalanceTrades() {
+    if (!rebalancePlan || rebalancePlan.trades.length === 0) return;
+    if (!confirm(`Record ${rebalancePlan.trades.length} trade(s) at the listed prices?`)) return;
+    
+    try {
+        portfolioRebalancer.post(rebalancePlan.trades);
+    } catch (error) {
+        showAlert(error.message, 'error');
+        return;
     }
     
-    if (suggestions.length > 0) {
-        alert('Rebalancing suggestions:\n\n' + suggestions.join('\n'));
-    } else {
-        showAlert('Current allocation is close to target', 'success');
-    }
+    const count = rebalancePlan.trades.length;
+    closeRebalanceModal();
+    rebuildPortfolio();
+    saveToLocalStorage();
+    renderPortfolio();
+    recordPortfolioSnapshot();
+    showAlert(`Posted ${count} rebalancing trade(s)`, 'success');
 }
 
 // Initialize performance chart on load
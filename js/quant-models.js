@@ -205,56 +205,123 @@ class QuantitativeAnalysisEngine {
      * MONTE CARLO SIMULATION ENGINE
      * 
      * Using Geometric Brownian Motion with jump diffusion
-     * to model extreme events
+     * to model extreme events. Pass the returned seed back in to reproduce a run.
+     * Paths are streamed: only final values, drawdowns and a sample of paths are kept.
+     * @param {Object} options - { sampleSize: paths kept for charts (default 100), confidenceLevel, onProgress(fraction) }
      */
-    runMonteCarloSimulation(portfolio, horizonDays = 252, simulations = 10000) {
-        const results = [];
+    runMonteCarloSimulation(portfolio, horizonDays = 252, simulations = 10000, seed, options = {}) {
+        this.rng = new SeededRandom(seed);
+        const drift = portfolio.expectedReturn / 252;
+        const diffusion = portfolio.volatility / Math.sqrt(252);
+        const jumpProbability = 0.01; // 1% daily probability
+        
+        return this.simulatePaths(portfolio.currentValue, horizonDays, simulations, options, () => {
+            const randomShock = this.generateRandomNormal();
+            
+            // Jump component (Merton jump diffusion)
+            const jumpSize = this.generateJumpSize();
+            const jump = this.rng.next() < jumpProbability ? jumpSize : 0;
+            
+            return drift + diffusion * randomShock + jump;
+        });
+    }
+
+    /**
+     * FACTOR MODEL SIMULATION
+     * 
+     * Daily portfolio return = alpha + sum of beta x simulated factor return + idiosyncratic noise
+     * @param {Object} portfolio - { currentValue }
+     * @param {Object} factorBetas - Exposure per factor
+     * @param {Object} factorStats - { alpha, tracking_error }
+     * @param {Object} options - Same as runMonteCarloSimulation
+     */
+    runFactorSimulation(portfolio, factorBetas, factorStats, horizonDays = 252, simulations = 1000, seed, options = {}) {
+        this.rng = new SeededRandom(seed);
+        const dt = 1 / 252; // Daily time step
+        const sqrtDt = Math.sqrt(dt);
+        
+        // Factor return statistics (annualized)
+        const factorMeans = { Market: 0.08, Size: 0.02, Value: 0.03, Momentum: 0.04, Quality: 0.03, Volatility: -0.02 };
+        const factorVols = { Market: 0.16, Size: 0.08, Value: 0.06, Momentum: 0.10, Quality: 0.05, Volatility: 0.07 };
+        const exposures = Object.entries(factorBetas);
+        
+        return this.simulatePaths(portfolio.currentValue, horizonDays, simulations, options, () => {
+            let portfolioReturn = factorStats.alpha * dt;
+            
+            for (const [factor, beta] of exposures) {
+                const factorMean = factorMeans[factor] || 0;
+                const factorVol = factorVols[factor] || 0.1;
+                portfolioReturn += beta * (factorMean * dt + factorVol * sqrtDt * this.rng.normal());
+            }
+            
+            // Add idiosyncratic risk
+            return portfolioReturn + factorStats.tracking_error * sqrtDt * this.rng.normal();
+        });
+    }
+
+    /**
+     * Simulate value paths from a daily return generator and summarize them
+     * @param {number} startValue - Initial portfolio value
+     * @param {number} horizonDays - Steps per path
+     * @param {number} simulations - Number of paths
+     * @param {Object} options - { sampleSize, confidenceLevel, onProgress }
+     * @param {Function} nextReturn - Returns the next daily return
+     */
+    simulatePaths(startValue, horizonDays, simulations, options, nextReturn) {
+        const sampleSize = options.sampleSize !== undefined ? options.sampleSize : 100;
+        const confidenceLevel = options.confidenceLevel || 0.95;
+        const progressEvery = Math.max(1, Math.floor(simulations / 100));
+        const finalValues = new Float64Array(simulations);
+        const paths = [];
+        let maxDrawdown = 0;
         
         for (let sim = 0; sim < simulations; sim++) {
-            let portfolioPath = [portfolio.currentValue];
-            let currentValue = portfolio.currentValue;
+            const keepPath = sim < sampleSize;
+            const portfolioPath = keepPath ? [startValue] : null;
+            let currentValue = startValue;
+            let peak = startValue;
             
             for (let day = 0; day < horizonDays; day++) {
-                // Standard diffusion
-                const drift = portfolio.expectedReturn / 252;
-                const diffusion = portfolio.volatility / Math.sqrt(252);
-                const randomShock = this.generateRandomNormal();
-                
-                // Jump component (Merton jump diffusion)
-                const jumpProbability = 0.01; // 1% daily probability
-                const jumpSize = this.generateJumpSize();
-                const jump = Math.random() < jumpProbability ? jumpSize : 0;
-                
-                // Calculate next value
-                const return_ = drift + diffusion * randomShock + jump;
-                currentValue = currentValue * (1 + return_);
-                portfolioPath.push(currentValue);
+                currentValue = currentValue * (1 + nextReturn());
+                if (keepPath) portfolioPath.push(currentValue);
+                if (currentValue > peak) peak = currentValue;
+                maxDrawdown = Math.max(maxDrawdown, (peak - currentValue) / peak);
             }
             
-            results.push({
-                finalValue: currentValue,
-                maxDrawdown: this.calculateMaxDrawdown(portfolioPath),
-                path: portfolioPath
-            });
+            finalValues[sim] = currentValue;
+            if (keepPath) paths.push(portfolioPath);
+            if (options.onProgress && (sim + 1) % progressEvery === 0) {
+                options.onProgress((sim + 1) / simulations);
+            }
         }
 
         // Calculate statistics
-        const sortedFinalValues = results.map(r => r.finalValue).sort((a, b) => a - b);
+        const sortedFinalValues = Array.from(finalValues).sort((a, b) => a - b);
+        const tail = Math.max(1, Math.floor(simulations * 0.05));
         const VaR95 = sortedFinalValues[Math.floor(simulations * 0.05)];
-        const CVaR95 = sortedFinalValues.slice(0, Math.floor(simulations * 0.05))
-            .reduce((a, b) => a + b, 0) / Math.floor(simulations * 0.05);
+        const CVaR95 = sortedFinalValues.slice(0, tail).reduce((a, b) => a + b, 0) / tail;
+        const returns = sortedFinalValues.map(v => v / startValue - 1);
+        const returnMean = returns.reduce((a, b) => a + b, 0) / simulations;
+        const returnVolatility = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - returnMean, 2), 0) / simulations);
 
         return {
+            seed: this.rng.seed,
+            simulations: simulations,
+            horizonDays: horizonDays,
             expectedValue: sortedFinalValues.reduce((a, b) => a + b, 0) / simulations,
             VaR95: VaR95,
             CVaR95: CVaR95,
-            maxDrawdown: Math.max(...results.map(r => r.maxDrawdown)),
-            probabilityOfLoss: results.filter(r => r.finalValue < portfolio.currentValue).length / simulations,
+            maxDrawdown: maxDrawdown,
+            probabilityOfLoss: sortedFinalValues.filter(v => v < startValue).length / simulations,
             confidenceInterval: [
                 sortedFinalValues[Math.floor(simulations * 0.025)],
                 sortedFinalValues[Math.floor(simulations * 0.975)]
             ],
-            paths: results.slice(0, 100).map(r => r.path) // Sample paths for visualization
+            returnMean: returnMean,
+            returnVolatility: returnVolatility,
+            confidenceLevel: confidenceLevel,
+            valueAtConfidence: sortedFinalValues[Math.min(simulations - 1, Math.floor((1 - confidenceLevel) * simulations))],
+            paths: paths // Sample paths for visualization
         };
     }
 
@@ -282,9 +349,8 @@ class QuantitativeAnalysisEngine {
 
     generateRandomNormal() {
         // Box-Muller transform for normal distribution
-        const u1 = Math.random();
-        const u2 = Math.random();
-        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        if (!this.rng) this.rng = new SeededRandom();
+        return this.rng.normal();
     }
 
     generateJumpSize() {
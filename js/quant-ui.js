@@ -6,6 +6,10 @@
 // Initialize Quant Engine
 let quantEngine = null;
 
+// Random source for simulations and mock data; re-seeded on every analysis run
+let quantRandom = new SeededRandom();
+let activeQuantJob = null;
+
 // Utility function for safe chart management
 function safeDestroyChart(canvasId) {
     if (typeof Chart === 'undefined') return;
@@ -63,8 +67,44 @@ document.addEventListener('DOMContentLoaded', function() {
         quantEngine = new QuantitativeAnalysisEngine();
         initializeQuantCharts();
     }, 200);
+    
+    const cancelJobBtn = document.getElementById('quantJobCancel');
+    if (cancelJobBtn) {
+        cancelJobBtn.addEventListener('click', () => {
+            if (activeQuantJob) activeQuantJob.cancel();
+        });
+    }
 });
 
+// Run a simulation job off the main thread with a progress bar; a new run cancels the previous one
+async function runQuantJob(type, payload, label) {
+    if (activeQuantJob) activeQuantJob.cancel();
+    
+    const panel = document.getElementById('quantJobProgress');
+    const bar = document.getElementById('quantJobBar');
+    if (panel) {
+        document.getElementById('quantJobLabel').textContent = label;
+        bar.style.width = '0%';
+        panel.classList.remove('hidden');
+    }
+    
+    const job = simulationJobRunner.run(type, payload, {
+        onProgress: progress => {
+            if (bar) bar.style.width = `${Math.round(progress * 100)}%`;
+        }
+    });
+    activeQuantJob = job;
+    
+    try {
+        return await job.promise;
+    } finally {
+        if (activeQuantJob === job) {
+            activeQuantJob = null;
+            if (panel) panel.classList.add('hidden');
+        }
+    }
+}
+
 // Run Quantitative Analysis
 async function runQuantAnalysis() {
     const analysisType = document.getElementById('analysisType').value;
@@ -72,6 +112,11 @@ async function runQuantAnalysis() {
     const confidenceLevel = parseFloat(document.getElementById('confidenceLevel').value);
     const numSimulations = parseInt(document.getElementById('numSimulations').value);
     
+    // Seed every random draw of this run so it can be reproduced
+    const seedInput = document.getElementById('quantSeed');
+    quantRandom = new SeededRandom(seedInput ? seedInput.value.trim() : undefined);
+    if (seedInput) seedInput.value = quantRandom.seed;
+    
     // Show loading state
     const resultsDiv = document.getElementById('quantResults');
     resultsDiv.classList.remove('hidden');
@@ -126,12 +171,17 @@ async function runQuantAnalysis() {
         
         // Only proceed if we have valid results
         if (results && Object.keys(results).length > 0) {
+            results.seed = quantRandom.seed;
             displayQuantResults(results, analysisType);
         } else {
             throw new Error('No results generated from analysis');
         }
         
     } catch (error) {
+        if (error.cancelled) {
+            showAlert('Simulation cancelled', 'info');
+            return;
+        }
         console.error('Quantitative analysis error:', error);
         
         // Provide more specific error messages
@@ -185,21 +235,26 @@ async function performFactorAnalysis(portfolio, marketData, timeHorizon = 252, c
     // Step 2: Calculate factor statistics
     const factorStats = calculateFactorStatistics(factorBetas, portfolio);
     
-    // Step 3: Run factor-based Monte Carlo simulation
-    const simulationResults = await runFactorBasedSimulation(
-        portfolio, 
-        factorBetas, 
+    // Step 3: Run factor-based Monte Carlo simulation in the background
+    const simulation = await runQuantJob('factorSimulation', {
+        portfolio: { currentValue: portfolio.currentValue },
+        factorBetas,
         factorStats,
-        timeHorizon, 
-        numSimulations
-    );
+        horizonDays: timeHorizon,
+        simulations: numSimulations,
+        seed: quantRandom.fork('factorSimulation').seed,
+        confidenceLevel,
+        sampleSize: 0
+    }, 'Running factor simulation...');
     
-    // Step 4: Calculate risk metrics from simulation
-    const riskMetrics = calculateRiskMetricsFromSimulation(
-        simulationResults, 
-        portfolio.currentValue, 
-        confidenceLevel
-    );
+    // Step 4: Risk metrics from the simulated return distribution
+    const riskFreeRate = 0.03; // 3% risk-free rate
+    const riskMetrics = {
+        expectedReturn: simulation.returnMean,
+        VaR95: portfolio.currentValue - simulation.valueAtConfidence,
+        sharpeRatio: simulation.returnVolatility > 0 ? (simulation.returnMean - riskFreeRate) / simulation.returnVolatility : 0,
+        maxDrawdown: simulation.maxDrawdown
+    };
     
     // Update factor chart
     updateFactorChart(factorBetas);
@@ -292,7 +347,7 @@ async function performPortfolioOptimization(portfolio) {
     const optimizedWeights = portfolio.assets.map(asset => ({
         symbol: asset.symbol,
         currentWeight: asset.weight,
-        optimalWeight: Math.max(0, asset.weight + (Math.random() * 0.2 - 0.1))
+        optimalWeight: Math.max(0, asset.weight + (quantRandom.next() * 0.2 - 0.1))
     }));
     
     // Normalize weights
@@ -301,10 +356,10 @@ async function performPortfolioOptimization(portfolio) {
     
     return {
         weights: optimizedWeights,
-        expectedReturn: 0.095 + Math.random() * 0.03,
-        expectedRisk: 0.14 + Math.random() * 0.02,
-        sharpeRatio: 0.65 + Math.random() * 0.2,
-        diversificationRatio: 1.4 + Math.random() * 0.3
+        expectedReturn: 0.095 + quantRandom.next() * 0.03,
+        expectedRisk: 0.14 + quantRandom.next() * 0.02,
+        sharpeRatio: 0.65 + quantRandom.next() * 0.2,
+        diversificationRatio: 1.4 + quantRandom.next() * 0.3
     };
 }
 
@@ -354,7 +409,16 @@ async function performMonteCarloSimulation(portfolio, horizonDays, numSimulation
         };
     }
     
-    const results = quantEngine.runMonteCarloSimulation(portfolio, horizonDays, numSimulations);
+    const results = await runQuantJob('monteCarlo', {
+        portfolio: {
+            currentValue: portfolio.currentValue,
+            expectedReturn: portfolio.expectedReturn,
+            volatility: portfolio.volatility
+        },
+        horizonDays,
+        simulations: numSimulations,
+        seed: quantRandom.fork('monteCarlo').seed
+    }, 'Running Monte Carlo simulation...');
     
     // Validate results
     if (!results || !results.paths || !Array.isArray(results.paths) || results.paths.length === 0) {
@@ -373,25 +437,10 @@ async function performMonteCarloSimulation(portfolio, horizonDays, numSimulation
         ? ((results.expectedValue / portfolio.currentValue) - 1)
         : 0;
     
-    // Calculate Sharpe ratio from simulation results
+    // Sharpe ratio over the full distribution of simulated returns
     const riskFreeRate = 0.03; // 3% annual risk-free rate
-    let sharpeRatio = 0;
-    let volatility = 0;
-    
-    // Safely calculate statistics from paths
-    if (results.paths && results.paths.length > 0 && results.paths[0].length > 0) {
-        const returns = results.paths
-            .filter(path => path && path.length > 0)
-            .map(path => (path[path.length - 1] / portfolio.currentValue) - 1)
-            .filter(r => !isNaN(r));
-        
-        if (returns.length > 0) {
-            const meanReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
-            const variance = returns.reduce((sum, r) => sum + Math.pow(r - meanReturn, 2), 0) / returns.length;
-            volatility = Math.sqrt(variance);
-            sharpeRatio = volatility > 0 ? (meanReturn - riskFreeRate) / volatility : 0;
-        }
-    }
+    const volatility = results.returnVolatility || 0;
+    const sharpeRatio = volatility > 0 ? (results.returnMean - riskFreeRate) / volatility : 0;
     
     // Update Monte Carlo chart with paths (only if valid data)
     if (results.paths && results.paths.length > 0) {
@@ -471,6 +520,11 @@ function displayQuantResults(results, analysisType) {
         }
     }
     
+    const seedDisplay = document.getElementById('quantSeedDisplay');
+    if (seedDisplay && results.seed !== undefined) {
+        seedDisplay.textContent = `Seed: ${results.seed}`;
+    }
+    
     // Update metrics display
     if (results.expectedReturn !== undefined) {
         document.getElementById('expectedReturn').textContent = 
@@ -671,7 +725,7 @@ function updateMonteCarloChart(paths, initialValue) {
     const datasets = validPaths.slice(0, 50).map((path, i) => ({
         label: `Path ${i + 1}`,
         data: path,
-        borderColor: `rgba(59, 130, 246, ${0.1 + Math.random() * 0.2})`,
+        borderColor: `rgba(59, 130, 246, ${0.1 + (i % 5) * 0.05})`,
         borderWidth: 1,
         pointRadius: 0,
         fill: false
@@ -872,35 +926,35 @@ function calculateFactorBetas(portfolio, marketData) {
     // Market beta - correlation with overall market
     const marketVol = 0.16; // Market volatility
     const portfolioVol = portfolio.volatility || 0.15;
-    const correlation = 0.7 + Math.random() * 0.2; // Portfolio-market correlation
+    const correlation = 0.7 + quantRandom.next() * 0.2; // Portfolio-market correlation
     betas['Market'] = (correlation * portfolioVol) / marketVol;
     
     // Size factor - small cap vs large cap exposure
     const avgMarketCap = calculateAverageMarketCap(portfolio);
     if (avgMarketCap < 10000) {
-        betas['Size'] = 0.3 + Math.random() * 0.2; // Small cap tilt
+        betas['Size'] = 0.3 + quantRandom.next() * 0.2; // Small cap tilt
     } else if (avgMarketCap > 50000) {
-        betas['Size'] = -0.2 - Math.random() * 0.1; // Large cap tilt
+        betas['Size'] = -0.2 - quantRandom.next() * 0.1; // Large cap tilt
     } else {
-        betas['Size'] = -0.05 + Math.random() * 0.1; // Neutral
+        betas['Size'] = -0.05 + quantRandom.next() * 0.1; // Neutral
     }
     
     // Value factor - based on P/E and P/B ratios
-    betas['Value'] = 0.2 + Math.random() * 0.3 - 0.15;
+    betas['Value'] = 0.2 + quantRandom.next() * 0.3 - 0.15;
     
     // Momentum factor - recent performance
-    betas['Momentum'] = 0.1 + Math.random() * 0.2;
+    betas['Momentum'] = 0.1 + quantRandom.next() * 0.2;
     
     // Quality factor - profitability and stability
-    betas['Quality'] = 0.15 + Math.random() * 0.2;
+    betas['Quality'] = 0.15 + quantRandom.next() * 0.2;
     
     // Low volatility factor
     if (portfolioVol < 0.12) {
-        betas['Volatility'] = -0.3 - Math.random() * 0.2;
+        betas['Volatility'] = -0.3 - quantRandom.next() * 0.2;
     } else if (portfolioVol > 0.20) {
-        betas['Volatility'] = 0.2 + Math.random() * 0.2;
+        betas['Volatility'] = 0.2 + quantRandom.next() * 0.2;
     } else {
-        betas['Volatility'] = -0.1 + Math.random() * 0.2 - 0.1;
+        betas['Volatility'] = -0.1 + quantRandom.next() * 0.2 - 0.1;
     }
     
     return betas;
@@ -909,7 +963,7 @@ function calculateFactorBetas(portfolio, marketData) {
 function calculateAverageMarketCap(portfolio) {
     // Mock calculation of average market cap
     // In production, would use real market cap data
-    return 25000 + Math.random() * 30000;
+    return 25000 + quantRandom.next() * 30000;
 }
 
 function calculateFactorStatistics(factorBetas, portfolio) {
@@ -918,11 +972,11 @@ function calculateFactorStatistics(factorBetas, portfolio) {
     // R-squared: proportion of variance explained by factors
     const numFactors = Object.keys(factorBetas).length;
     const avgBeta = Object.values(factorBetas).reduce((a, b) => a + Math.abs(b), 0) / numFactors;
-    const r_squared = Math.min(0.95, 0.6 + avgBeta * 0.3 + Math.random() * 0.1);
+    const r_squared = Math.min(0.95, 0.6 + avgBeta * 0.3 + quantRandom.next() * 0.1);
     
     // Alpha: excess return not explained by factors
     const expectedFactorReturn = Object.values(factorBetas).reduce((sum, beta) => {
-        const factorPremium = 0.03 + Math.random() * 0.04; // Factor risk premium
+        const factorPremium = 0.03 + quantRandom.next() * 0.04; // Factor risk premium
         return sum + beta * factorPremium;
     }, 0);
     
@@ -941,126 +995,6 @@ function calculateFactorStatistics(factorBetas, portfolio) {
     };
 }
 
-async function runFactorBasedSimulation(portfolio, factorBetas, factorStats, timeHorizon, numSimulations) {
-    // Run Monte Carlo simulation using factor model
-    
-    const dt = 1 / 252; // Daily time step
-    const sqrtDt = Math.sqrt(dt);
-    const paths = [];
-    
-    // Factor return statistics (annualized)
-    const factorMeans = {
-        'Market': 0.08,
-        'Size': 0.02,
-        'Value': 0.03,
-        'Momentum': 0.04,
-        'Quality': 0.03,
-        'Volatility': -0.02
-    };
-    
-    const factorVols = {
-        'Market': 0.16,
-        'Size': 0.08,
-        'Value': 0.06,
-        'Momentum': 0.10,
-        'Quality': 0.05,
-        'Volatility': 0.07
-    };
-    
-    for (let sim = 0; sim < numSimulations; sim++) {
-        let value = portfolio.currentValue;
-        const path = [value];
-        
-        for (let t = 1; t <= timeHorizon; t++) {
-            // Generate factor returns
-            let portfolioReturn = factorStats.alpha * dt;
-            
-            for (const [factor, beta] of Object.entries(factorBetas)) {
-                const factorMean = factorMeans[factor] || 0;
-                const factorVol = factorVols[factor] || 0.1;
-                
-                // Random factor return (normal distribution)
-                const z = gaussianRandom();
-                const factorReturn = factorMean * dt + factorVol * sqrtDt * z;
-                
-                // Contribution to portfolio return
-                portfolioReturn += beta * factorReturn;
-            }
-            
-            // Add idiosyncratic risk
-            const idiosyncraticVol = factorStats.tracking_error;
-            portfolioReturn += idiosyncraticVol * sqrtDt * gaussianRandom();
-            
-            // Update portfolio value
-            value = value * (1 + portfolioReturn);
-            path.push(value);
-        }
-        
-        paths.push(path);
-    }
-    
-    return paths;
-}
-
-function calculateRiskMetricsFromSimulation(simulationPaths, initialValue, confidenceLevel) {
-    // Calculate risk metrics from Monte Carlo simulation results
-    
-    const finalValues = simulationPaths.map(path => path[path.length - 1]);
-    const returns = finalValues.map(val => (val - initialValue) / initialValue);
-    
-    // Sort for percentile calculations
-    finalValues.sort((a, b) => a - b);
-    returns.sort((a, b) => a - b);
-    
-    // Expected return (mean)
-    const expectedReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
-    
-    // Value at Risk (VaR)
-    const varIndex = Math.floor((1 - confidenceLevel) * finalValues.length);
-    const VaR95 = initialValue - finalValues[varIndex];
-    
-    // Maximum drawdown
-    let maxDrawdown = 0;
-    simulationPaths.forEach(path => {
-        let peak = path[0];
-        for (let i = 1; i < path.length; i++) {
-            if (path[i] > peak) {
-                peak = path[i];
-            }
-            const drawdown = (peak - path[i]) / peak;
-            if (drawdown > maxDrawdown) {
-                maxDrawdown = drawdown;
-            }
-        }
-    });
-    
-    // Sharpe ratio
-    const riskFreeRate = 0.03; // 3% risk-free rate
-    const excessReturns = returns.map(r => r - riskFreeRate);
-    const meanExcessReturn = excessReturns.reduce((a, b) => a + b, 0) / excessReturns.length;
-    const variance = excessReturns.reduce((sum, r) => sum + Math.pow(r - meanExcessReturn, 2), 0) / excessReturns.length;
-    const volatility = Math.sqrt(variance);
-    const sharpeRatio = volatility > 0 ? meanExcessReturn / volatility : 0;
-    
-    return {
-        expectedReturn,
-        VaR95,
-        sharpeRatio,
-        maxDrawdown,
-        volatility,
-        finalValues,
-        returns
-    };
-}
-
-function gaussianRandom() {
-    // Box-Muller transform for generating normal distribution
-    let u = 0, v = 0;
-    while (u === 0) u = Math.random(); // Converting [0,1) to (0,1)
-    while (v === 0) v = Math.random();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-}
-
 // Risk Calculation Helper Functions
 function calculateAverageCorrelation(assets) {
     // Calculate average pairwise correlation between assets
@@ -1186,7 +1120,7 @@ function getAssetVolatility(asset) {
 function generateMockReturns(length) {
     const returns = [];
     for (let i = 0; i < length; i++) {
-        returns.push((Math.random() - 0.5) * 0.04); // Daily returns between -2% and 2%
+        returns.push((quantRandom.next() - 0.5) * 0.04); // Daily returns between -2% and 2%
     }
     return returns;
 }
@@ -1197,7 +1131,7 @@ function generateMockMarketData() {
     let value = 100;
     
     for (let i = 0; i < 252; i++) {
-        const dailyReturn = (Math.random() - 0.5) * 0.02;
+        const dailyReturn = (quantRandom.next() - 0.5) * 0.02;
         value = value * (1 + dailyReturn);
         prices.push(value);
         returns.push(dailyReturn);
@@ -1248,7 +1182,7 @@ function calculateRollingVolatility(marketData, window = 20) {
 function calculateRollingCorrelation(marketData) {
     // Calculate average correlation between assets
     // For now, return a structured object with average
-    const baseCorr = 0.3 + Math.random() * 0.5;
+    const baseCorr = 0.3 + quantRandom.next() * 0.5;
     return {
         average: baseCorr,
         matrix: [[1, baseCorr], [baseCorr, 1]]
@@ -1272,7 +1206,7 @@ function calculateSkewness(marketData) {
             returns.push((marketData[i] - marketData[i-1]) / marketData[i-1]);
         }
     } else {
-        return -0.5 + Math.random() * 1; // Fallback
+        return -0.5 + quantRandom.next() * 1; // Fallback
     }
     
     if (returns.length < 3) return 0;
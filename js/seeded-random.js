@@ -0,0 +1,106 @@
+/**
+ * Seeded Random Module
+ * Deterministic pseudo-random numbers so simulations can be reproduced from their seed
+ */
+
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Seed value; a fresh random seed is drawn when omitted
+     */
+    constructor(seed) {
+        this.seed = this.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Turn any seed input into an unsigned 32-bit integer
+     */
+    normalizeSeed(seed) {
+        if (seed === undefined || seed === null || seed === '') {
+            return this.createSeed();
+        }
+        const numeric = Number(seed);
+        if (Number.isInteger(numeric) && numeric >= 0 && numeric <= 0xFFFFFFFF) {
+            return numeric;
+        }
+        return this.hashString(String(seed));
+    }
+
+    /**
+     * Draw a new seed from the platform's entropy source
+     */
+    createSeed() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 0xFFFFFFFF);
+    }
+
+    /**
+     * FNV-1a hash of a string to a 32-bit seed
+     */
+    hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next uniform value in [0, 1) (mulberry32)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Uniform value in [min, max)
+     */
+    uniform(min = 0, max = 1) {
+        return min + (max - min) * this.next();
+    }
+
+    /**
+     * Integer in [min, max]
+     */
+    integer(min, max) {
+        return Math.floor(this.uniform(min, max + 1));
+    }
+
+    /**
+     * Standard normal draw (Box-Muller transform)
+     */
+    normal(mean = 0, std = 1) {
+        let u = 0;
+        while (u === 0) u = this.next(); // Avoid log(0)
+        const v = this.next();
+        return mean + std * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Independent generator derived from this seed and a label
+     * Lets e.g. each symbol get its own stream that does not depend on call order.
+     * @param {string} label - Stream name
+     * @returns {SeededRandom} New generator
+     */
+    fork(label) {
+        return new SeededRandom(this.hashString(`${this.seed}:${label}`));
+    }
+
+    /**
+     * Restart the sequence from the original seed
+     */
+    reset() {
+        this.state = this.seed;
+        return this;
+    }
+}
+
+// Export for use in other modules
+window.SeededRandom = SeededRandom;
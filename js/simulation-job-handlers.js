@@ -0,0 +1,122 @@
+/**
+ * Simulation Job Handlers
+ * The long-running jobs (backtests, parameter searches, Monte Carlo) as plain functions of
+ * a serializable payload, so the same code runs inside the simulation worker or, where
+ * workers are unavailable, on the main thread
+ */
+
+class SimulationJobHandlers {
+    /**
+     * Run a job
+     * @param {string} type - backtest | compareExecution | portfolioBacktest | optimize | monteCarlo | factorSimulation
+     * @param {Object} payload - Job input (see the handler for each type)
+     * @param {Function} onProgress - Called with the completed fraction (0-1)
+     * @returns {Promise<Object>} Job result
+     */
+    async handle(type, payload, onProgress = () => {}) {
+        switch (type) {
+            case 'backtest':
+                return this.backtest(payload, onProgress);
+            case 'compareExecution':
+                return this.compareExecution(payload, onProgress);
+            case 'portfolioBacktest':
+                return this.portfolioBacktest(payload, onProgress);
+            case 'optimize':
+                return this.optimize(payload, onProgress);
+            case 'monteCarlo':
+                return this.monteCarlo(payload, onProgress);
+            case 'factorSimulation':
+                return this.factorSimulation(payload, onProgress);
+            default:
+                throw new Error(`Unknown simulation job type: ${type}`);
+        }
+    }
+
+    /**
+     * Rebuild a backtest engine from the data the page already loaded
+     * @param {Object} payload - { seed, data, dataReport, importedData, portfolioData, corporateActions, corporateActionAdjustment }
+     */
+    createEngine(payload) {
+        const engine = new BacktestEngine();
+        if (payload.seed !== undefined) engine.setSeed(payload.seed);
+        engine.historicalData = payload.data || [];
+        engine.dataReport = payload.dataReport || null;
+        engine.importedData = payload.importedData || {};
+        engine.portfolioData = payload.portfolioData || {};
+        engine.corporateActions = payload.corporateActions || {};
+        if (payload.corporateActionAdjustment) engine.setCorporateActionAdjustment(payload.corporateActionAdjustment);
+        return engine;
+    }
+
+    /**
+     * Single-strategy backtest
+     * @param {Object} payload - Engine state plus { strategy, params }
+     */
+    async backtest(payload, onProgress) {
+        const engine = this.createEngine(payload);
+        engine.onProgress = onProgress;
+        return engine.runBacktest(payload.strategy, payload.params);
+    }
+
+    /**
+     * Same strategy with bar-close fills and on the event-driven engine
+     * @param {Object} payload - Engine state plus { strategy, params }
+     */
+    async compareExecution(payload, onProgress) {
+        const engine = this.createEngine(payload);
+        engine.onProgress = onProgress;
+        return engine.compareExecutionModels(payload.strategy, payload.params);
+    }
+
+    /**
+     * Multi-asset backtest over the loaded portfolio series
+     * @param {Object} payload - Engine state plus { config }
+     */
+    async portfolioBacktest(payload, onProgress) {
+        const engine = this.createEngine(payload);
+        engine.onProgress = onProgress;
+        return engine.runPortfolioBacktest(payload.config);
+    }
+
+    /**
+     * Parameter search
+     * @param {Object} payload - Engine state plus { strategy, type: 'split' | 'walkForward', options }
+     */
+    async optimize(payload, onProgress) {
+        const optimizer = new StrategyOptimizer(this.createEngine(payload));
+        optimizer.onProgress = onProgress;
+        return payload.type === 'walkForward'
+            ? optimizer.walkForward(payload.strategy, payload.options)
+            : optimizer.optimize(payload.strategy, payload.options);
+    }
+
+    /**
+     * Jump-diffusion Monte Carlo of portfolio value
+     * @param {Object} payload - { portfolio, horizonDays, simulations, seed, sampleSize, confidenceLevel }
+     */
+    async monteCarlo(payload, onProgress) {
+        const engine = new QuantitativeAnalysisEngine();
+        return engine.runMonteCarloSimulation(payload.portfolio, payload.horizonDays, payload.simulations, payload.seed, {
+            sampleSize: payload.sampleSize,
+            confidenceLevel: payload.confidenceLevel,
+            onProgress
+        });
+    }
+
+    /**
+     * Factor model simulation of portfolio value
+     * @param {Object} payload - monteCarlo payload plus { factorBetas, factorStats }
+     */
+    async factorSimulation(payload, onProgress) {
+        const engine = new QuantitativeAnalysisEngine();
+        return engine.runFactorSimulation(payload.portfolio, payload.factorBetas, payload.factorStats,
+            payload.horizonDays, payload.simulations, payload.seed, {
+                sampleSize: payload.sampleSize,
+                confidenceLevel: payload.confidenceLevel,
+                onProgress
+            });
+    }
+}
+
+// Export for use in other modules
+window.SimulationJobHandlers = SimulationJobHandlers;
@@ -0,0 +1,129 @@
+/**
+ * Simulation Job Runner
+ * Starts simulation jobs in a Web Worker so the page stays responsive, reports
+ * progress and lets the user cancel. Falls back to the main thread when workers
+ * are unavailable (e.g. pages opened from file://).
+ */
+
+class SimulationJobRunner {
+    /**
+     * @param {string} workerUrl - Script for the simulation worker
+     */
+    constructor(workerUrl = 'js/simulation-worker.js') {
+        this.workerUrl = workerUrl;
+        this.nextId = 1;
+        this.workersSupported = typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Start a job
+     * @param {string} type - Job type understood by SimulationJobHandlers
+     * @param {Object} payload - Job input; must be structured-cloneable
+     * @param {Object} options - { onProgress(fraction) }
+     * @returns {Object} { id, promise, cancel() } - promise rejects with error.cancelled set when cancelled
+     */
+    run(type, payload, options = {}) {
+        const id = this.nextId++;
+        const onProgress = options.onProgress || (() => {});
+        const job = { id, worker: null, settle: null };
+
+        job.promise = new Promise((resolve, reject) => {
+            job.settle = (error, result) => {
+                if (!job.settle) return;
+                job.settle = null;
+                if (job.worker) {
+                    job.worker.terminate();
+                    job.worker = null;
+                }
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            if (this.workersSupported) {
+                this.runInWorker(job, type, payload, onProgress);
+            } else {
+                this.runInline(job, type, payload, onProgress);
+            }
+        });
+
+        job.cancel = () => {
+            if (!job.settle) return;
+            const error = new Error('Job cancelled');
+            error.cancelled = true;
+            job.settle(error);
+        };
+
+        return { id, promise: job.promise, cancel: job.cancel };
+    }
+
+    /**
+     * Run a job in a dedicated worker, retrying inline if the worker cannot start
+     */
+    runInWorker(job, type, payload, onProgress) {
+        let worker;
+        try {
+            worker = new Worker(this.workerUrl);
+        } catch (error) {
+            this.workersSupported = false;
+            this.runInline(job, type, payload, onProgress);
+            return;
+        }
+
+        let started = false;
+        job.worker = worker;
+        worker.onmessage = event => {
+            const message = event.data;
+            if (message.id !== job.id || !job.settle) return;
+            started = true;
+
+            if (message.type === 'progress') {
+                onProgress(message.progress);
+            } else if (message.type === 'result') {
+                job.settle(null, message.result);
+            } else if (message.type === 'error') {
+                job.settle(new Error(message.message));
+            }
+        };
+        worker.onerror = event => {
+            event.preventDefault();
+            if (!job.settle) return;
+            if (!started) {
+                // The worker script failed to load; remember that and run here instead
+                console.warn('Simulation worker unavailable, running on the main thread:', event.message);
+                this.workersSupported = false;
+                worker.terminate();
+                job.worker = null;
+                this.runInline(job, type, payload, onProgress);
+            } else {
+                job.settle(new Error(event.message || 'Simulation worker failed'));
+            }
+        };
+        worker.postMessage({ id: job.id, type, payload });
+    }
+
+    /**
+     * Run a job on the main thread
+     * Progress is still reported but cancelling only discards the result.
+     */
+    runInline(job, type, payload, onProgress) {
+        const handlers = new SimulationJobHandlers();
+        // Let the UI paint its progress state before the work blocks the thread
+        setTimeout(() => {
+            if (!job.settle) return;
+            handlers.handle(type, payload, progress => {
+                if (job.settle) onProgress(progress);
+            })
+                .then(result => job.settle && job.settle(null, result))
+                .catch(error => job.settle && job.settle(error));
+        }, 0);
+    }
+}
+
+// Export for use in other modules
+window.SimulationJobRunner = SimulationJobRunner;
+
+// Shared runner for the page
+const simulationJobRunner = new SimulationJobRunner();
@@ -0,0 +1,43 @@
+/**
+ * Simulation Worker
+ * Runs simulation jobs off the main thread. Messages in: { id, type, payload }.
+ * Messages out: { id, type: 'progress', progress }, { id, type: 'result', result }
+ * or { id, type: 'error', message }.
+ */
+
+// The engine modules export onto window
+self.window = self;
+
+importScripts(
+    'seeded-random.js',
+    'quant-models.js',
+    'corporate-actions.js',
+    'historical-data-loader.js',
+    'technical-indicators.js',
+    'backtest.js',
+    'backtest-position-manager.js',
+    'backtest-event-engine.js',
+    'backtest-optimizer.js',
+    'simulation-job-handlers.js'
+);
+
+const handlers = new SimulationJobHandlers();
+
+self.onmessage = async function(event) {
+    const { id, type, payload } = event.data;
+    let lastPercent = -1;
+
+    try {
+        const result = await handlers.handle(type, payload, progress => {
+            // Keep the message channel quiet: one update per whole percent
+            const percent = Math.floor(progress * 100);
+            if (percent !== lastPercent) {
+                lastPercent = percent;
+                self.postMessage({ id, type: 'progress', progress });
+            }
+        });
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
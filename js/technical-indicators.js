@@ -0,0 +1,211 @@
+/**
+ * Technical Indicators Module
+ * Shared indicator calculations for backtest strategies and market data services.
+ * Every series is returned aligned with its input; bars without enough history are null.
+ */
+
+class TechnicalIndicators {
+    /**
+     * Simple moving average
+     * @param {Array<number>} values - Input series
+     * @param {number} period - Window length
+     * @returns {Array<number|null>}
+     */
+    sma(values, period) {
+        const result = new Array(values.length).fill(null);
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            if (i >= period) sum -= values[i - period];
+            if (i >= period - 1) result[i] = sum / period;
+        }
+        return result;
+    }
+
+    /**
+     * Exponential moving average, seeded with the first value
+     * @param {Array<number>} values - Input series
+     * @param {number} period - Smoothing period
+     * @returns {Array<number>}
+     */
+    ema(values, period) {
+        if (values.length === 0) return [];
+        const k = 2 / (period + 1);
+        const ema = [values[0]];
+
+        for (let i = 1; i < values.length; i++) {
+            ema.push(values[i] * k + ema[i - 1] * (1 - k));
+        }
+
+        return ema;
+    }
+
+    /**
+     * Moving average of either kind
+     * @param {string} type - 'sma' or 'ema'
+     */
+    movingAverage(values, period, type = 'sma') {
+        return type === 'ema' ? this.ema(values, period) : this.sma(values, period);
+    }
+
+    /**
+     * Standard deviation over a rolling window (population)
+     */
+    rollingStdDev(values, period) {
+        const means = this.sma(values, period);
+        return values.map((value, i) => {
+            if (means[i] === null) return null;
+            let sumSquares = 0;
+            for (let j = i - period + 1; j <= i; j++) {
+                sumSquares += Math.pow(values[j] - means[i], 2);
+            }
+            return Math.sqrt(sumSquares / period);
+        });
+    }
+
+    /**
+     * Relative Strength Index with Wilder's smoothing
+     * @param {Array<number>} values - Closing prices
+     * @param {number} period - Lookback (default 14)
+     * @returns {Array<number|null>} Values from 0 to 100
+     */
+    rsi(values, period = 14) {
+        const result = new Array(values.length).fill(null);
+        if (values.length <= period) return result;
+
+        let avgGain = 0;
+        let avgLoss = 0;
+        for (let i = 1; i <= period; i++) {
+            const change = values[i] - values[i - 1];
+            if (change > 0) avgGain += change;
+            else avgLoss -= change;
+        }
+        avgGain /= period;
+        avgLoss /= period;
+
+        const toRsi = () => avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+        result[period] = toRsi();
+
+        for (let i = period + 1; i < values.length; i++) {
+            const change = values[i] - values[i - 1];
+            avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+            avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+            result[i] = toRsi();
+        }
+
+        return result;
+    }
+
+    /**
+     * Bollinger Bands
+     * @param {Array<number>} values - Closing prices
+     * @param {number} period - Moving average window (default 20)
+     * @param {number} stdDevs - Band width in standard deviations (default 2)
+     * @returns {Array<Object|null>} { middle, upper, lower, bandwidth }, bandwidth as a fraction of the middle band
+     */
+    bollingerBands(values, period = 20, stdDevs = 2) {
+        const middle = this.sma(values, period);
+        const deviations = this.rollingStdDev(values, period);
+
+        return middle.map((mid, i) => {
+            if (mid === null) return null;
+            const upper = mid + stdDevs * deviations[i];
+            const lower = mid - stdDevs * deviations[i];
+            return { middle: mid, upper, lower, bandwidth: mid !== 0 ? (upper - lower) / mid : 0 };
+        });
+    }
+
+    /**
+     * True range of each bar; the first bar uses its own high-low range
+     * @param {Array} bars - OHLC bars
+     */
+    trueRange(bars) {
+        return bars.map((bar, i) => {
+            const high = bar.high || bar.close;
+            const low = bar.low || bar.close;
+            if (i === 0) return high - low;
+            const prevClose = bars[i - 1].close;
+            return Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+        });
+    }
+
+    /**
+     * Average True Range with Wilder's smoothing
+     * @param {Array} bars - OHLC bars
+     * @param {number} period - Lookback (default 14)
+     * @returns {Array<number|null>}
+     */
+    atr(bars, period = 14) {
+        const ranges = this.trueRange(bars);
+        const result = new Array(bars.length).fill(null);
+        if (bars.length < period) return result;
+
+        let atr = ranges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+        result[period - 1] = atr;
+        for (let i = period; i < bars.length; i++) {
+            atr = (atr * (period - 1) + ranges[i]) / period;
+            result[i] = atr;
+        }
+        return result;
+    }
+
+    /**
+     * Donchian channel: highest high and lowest low of the window ending at each bar
+     * @param {Array} bars - OHLC bars
+     * @param {number} period - Window length (default 20)
+     * @returns {Array<Object|null>} { upper, lower, middle }
+     */
+    donchianChannel(bars, period = 20) {
+        return bars.map((bar, i) => {
+            if (i < period - 1) return null;
+            let upper = -Infinity;
+            let lower = Infinity;
+            for (let j = i - period + 1; j <= i; j++) {
+                upper = Math.max(upper, bars[j].high || bars[j].close);
+                lower = Math.min(lower, bars[j].low || bars[j].close);
+            }
+            return { upper, lower, middle: (upper + lower) / 2 };
+        });
+    }
+
+    /**
+     * Stochastic oscillator
+     * @param {Array} bars - OHLC bars
+     * @param {number} kPeriod - %K lookback (default 14)
+     * @param {number} dPeriod - %D smoothing of %K (default 3)
+     * @returns {Array<Object|null>} { k, d }; d is null until dPeriod %K values exist
+     */
+    stochastic(bars, kPeriod = 14, dPeriod = 3) {
+        const channel = this.donchianChannel(bars, kPeriod);
+        const k = channel.map((range, i) => {
+            if (!range) return null;
+            const width = range.upper - range.lower;
+            return width > 0 ? (bars[i].close - range.lower) / width * 100 : 50;
+        });
+
+        const firstK = kPeriod - 1;
+        const d = new Array(bars.length).fill(null);
+        if (bars.length > firstK) {
+            const smoothed = this.sma(k.slice(firstK), dPeriod);
+            smoothed.forEach((value, i) => {
+                d[firstK + i] = value;
+            });
+        }
+
+        return k.map((value, i) => value === null ? null : { k: value, d: d[i] });
+    }
+
+    /**
+     * Direction of a crossover between two series at index i
+     * @returns {number} 1 when a crosses above b, -1 when it crosses below, otherwise 0
+     */
+    crossover(a, b, i) {
+        if (i < 1 || [a[i], b[i], a[i - 1], b[i - 1]].some(v => v === null || v === undefined)) return 0;
+        if (a[i - 1] <= b[i - 1] && a[i] > b[i]) return 1;
+        if (a[i - 1] >= b[i - 1] && a[i] < b[i]) return -1;
+        return 0;
+    }
+}
+
+// Export for use in other modules
+window.TechnicalIndicators = TechnicalIndicators;
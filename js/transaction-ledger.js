@@ -0,0 +1,665 @@
+/**
+ * Transaction Ledger Module
+ * Append-only record of portfolio transactions. Positions, cost basis, realized P&L and cash
+ * are derived by replaying the ledger; nothing is edited in place. A mistaken entry is voided
+ * by appending a void record, so every change stays visible in the history.
+ *
+ * Each buy opens a tax lot. Sales relieve lots by the cost method in effect when they were
+ * recorded (FIFO, LIFO, average cost, or lots picked on the sale itself) and realized gains
+ * are classed as short-term or long-term by how long each lot was held.
+ *
+ * Every transaction has a currency (ISO code). A position takes the currency of its trades;
+ * cash is kept per currency. Records saved before currencies were tracked count as USD.
+ */
+
+class TransactionLedger {
+    /**
+     * @param {string} storageKey - localStorage key for the transaction list
+     */
+    constructor(storageKey = 'portfolioTransactions') {
+        this.storageKey = storageKey;
+        this.types = {
+            buy: 'Buy',
+            sell: 'Sell',
+            dividend: 'Dividend',
+            fee: 'Fee',
+            deposit: 'Deposit',
+            withdrawal: 'Withdrawal',
+            split: 'Split',
+            void: 'Void'
+        };
+        this.costMethods = {
+            fifo: 'First in, first out',
+            lifo: 'Last in, first out',
+            average: 'Average cost',
+            specific: 'Specific lot'
+        };
+        this.costMethod = 'fifo';
+        this.defaultCurrency = 'USD';
+        this.epsilon = 1e-9; // Quantities closer to zero than this count as a closed position
+        this.transactions = this.loadTransactions();
+    }
+
+    /**
+     * Choose how sales recorded from now on relieve tax lots
+     * Each sale keeps the method it was recorded under, so switching does not change past gains.
+     * Sales that name their lots always use those lots; under 'specific' a sale without
+     * lot picks falls back to FIFO.
+     * @param {string} method - 'fifo', 'lifo', 'average' or 'specific'
+     */
+    setCostMethod(method) {
+        if (!this.costMethods[method]) {
+            throw new Error(`Unknown cost method: ${method}`);
+        }
+        this.stampCostMethod(this.costMethod);
+        this.costMethod = method;
+    }
+
+    /**
+     * Record a cost method on sales saved before each sale carried its own
+     * @param {string} method - Method in effect when those sales were recorded
+     */
+    stampCostMethod(method) {
+        if (!this.costMethods[method]) return;
+        const unstamped = this.transactions.filter(t => t.type === 'sell' && !t.lots && !t.costMethod);
+        unstamped.forEach(t => {
+            t.costMethod = method;
+        });
+        if (unstamped.length > 0) this.saveTransactions();
+    }
+
+    /**
+     * Read saved transactions from localStorage
+     */
+    loadTransactions() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('Error loading transactions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write transactions to localStorage
+     * @returns {boolean} Whether the ledger was saved
+     */
+    saveTransactions() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.transactions));
+            return true;
+        } catch (error) {
+            console.error('Error saving transactions:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate a transaction and fill in defaults
+     * @param {Object} entry - { type, date, symbol, name, assetType, currency, quantity, price, amount, fees, ratio, lots, costMethod, notes, actionId }
+     *        buy/sell need symbol, quantity and price; a sell may pick lots as [{ lotId, quantity }]
+     *        where lotId is the id of the buy that opened the lot, and otherwise keeps costMethod
+     *        (default: the ledger's current method); dividend needs symbol and amount (total cash);
+     *        fee, deposit and withdrawal need amount; split needs symbol and ratio (new shares per old).
+     *        currency defaults to the currency the symbol was last traded in, else USD
+     * @returns {Object} Normalized transaction
+     */
+    normalize(entry = {}) {
+        const type = entry.type;
+        if (!this.types[type] || type === 'void') {
+            throw new Error(`Unknown transaction type: ${type}`);
+        }
+
+        const date = String(entry.date || new Date().toISOString().split('T')[0]).slice(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+            throw new Error(`Invalid transaction date: ${entry.date}`);
+        }
+
+        const symbol = String(entry.symbol || '').trim().toUpperCase();
+        const number = (value, label, allowZero = false) => {
+            const parsed = Number(value);
+            if (!isFinite(parsed) || parsed < 0 || (!allowZero && parsed === 0)) {
+                throw new Error(`${this.types[type]} needs a ${allowZero ? 'non-negative' : 'positive'} ${label}`);
+            }
+            return parsed;
+        };
+
+        const currency = entry.currency ? String(entry.currency).trim().toUpperCase() : this.currencyOf(symbol);
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            throw new Error(`Invalid currency code: ${entry.currency}`);
+        }
+
+        const transaction = {
+            id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+            type,
+            date,
+            symbol,
+            currency,
+            recordedAt: new Date().toISOString()
+        };
+
+        if (['buy', 'sell', 'dividend', 'split'].includes(type) && !symbol) {
+            throw new Error(`${this.types[type]} needs a symbol`);
+        }
+
+        if (type === 'buy' || type === 'sell') {
+            transaction.quantity = number(entry.quantity, 'quantity');
+            transaction.price = number(entry.price, 'price', true);
+            transaction.fees = entry.fees ? number(entry.fees, 'fee', true) : 0;
+            if (type === 'sell' && Array.isArray(entry.lots) && entry.lots.length > 0) {
+                transaction.lots = entry.lots.map(pick => ({ lotId: String(pick.lotId), quantity: number(pick.quantity, 'lot quantity') }));
+                const picked = transaction.lots.reduce((sum, pick) => sum + pick.quantity, 0);
+                if (Math.abs(picked - transaction.quantity) > 1e-6) {
+                    throw new Error(`Lots picked add up to ${+picked.toFixed(6)}, not the ${transaction.quantity} sold`);
+                }
+            } else if (type === 'sell') {
+                transaction.costMethod = this.costMethods[entry.costMethod] ? entry.costMethod : this.costMethod;
+            }
+        } else if (type === 'split') {
+            transaction.ratio = number(entry.ratio, 'ratio');
+        } else {
+            transaction.amount = number(entry.amount, 'amount');
+        }
+
+        if (entry.name) transaction.name = String(entry.name);
+        if (entry.assetType) transaction.assetType = entry.assetType;
+        if (entry.notes) transaction.notes = String(entry.notes);
+        if (entry.actionId) transaction.actionId = entry.actionId;
+
+        return transaction;
+    }
+
+    /**
+     * Currency a symbol was last traded in (the default currency for new symbols and cash)
+     */
+    currencyOf(symbol) {
+        const key = String(symbol || '').toUpperCase();
+        const last = key ? this.transactions.filter(t => t.symbol === key && t.type !== 'void').pop() : null;
+        return (last && last.currency) || this.defaultCurrency;
+    }
+
+    /**
+     * Append a transaction
+     * The ledger is replayed with the new entry first, so a sale of more than is held on
+     * that date (including back-dated entries) is rejected.
+     * @returns {Object} Recorded transaction
+     */
+    record(entry) {
+        const transaction = this.normalize(entry);
+        this.replay([...this.transactions, transaction]);
+        this.transactions.push(transaction);
+        this.saveTransactions();
+        return transaction;
+    }
+
+    /**
+     * Cancel a transaction by appending a void record that points at it
+     * @param {string} id - Transaction to void
+     * @param {string} reason - Shown in the history
+     * @returns {Object} The void record
+     */
+    voidTransaction(id, reason = '') {
+        const record = this.voidRecord(id, reason);
+        this.replay([...this.transactions, record]);
+        this.transactions.push(record);
+        this.saveTransactions();
+        return record;
+    }
+
+    /**
+     * Build (but do not append) a void record for a transaction
+     * @param {string} id - Transaction to void
+     * @param {string} reason - Shown in the history
+     * @returns {Object} The void record
+     */
+    voidRecord(id, reason = '') {
+        const target = this.transactions.find(t => t.id === id);
+        if (!target || target.type === 'void') {
+            throw new Error('Transaction not found');
+        }
+        if (this.isVoided(id)) {
+            throw new Error('Transaction is already voided');
+        }
+
+        const record = {
+            id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+            type: 'void',
+            date: new Date().toISOString().split('T')[0],
+            symbol: target.symbol,
+            voids: id,
+            recordedAt: new Date().toISOString()
+        };
+        if (reason) record.notes = String(reason);
+        return record;
+    }
+
+    /**
+     * Replace the whole ledger, e.g. from an export file
+     * @param {Array} transactions - Records as returned by getTransactions
+     */
+    importTransactions(transactions) {
+        if (!Array.isArray(transactions) || transactions.some(t => !t || !t.id || !this.types[t.type])) {
+            throw new Error('Invalid transaction list');
+        }
+        this.replay(transactions);
+        this.transactions = transactions.slice();
+        this.saveTransactions();
+    }
+
+    /**
+     * Correct the open remainder of a position
+     * Each buy with shares still open is voided and recorded again in the same place: the
+     * part already sold keeps its original price, and the open part is resized and repriced
+     * so the position ends up with the entered quantity at the entered average price. Sales,
+     * dividends, splits and fees stay, and nothing is written unless the corrected ledger
+     * replays with the same realized gains as before.
+     * @param {string} symbol - Position to correct
+     * @param {Object} entry - { symbol, name, assetType, currency, quantity, price, notes } as held now
+     * @returns {Array} The buys recorded for the open shares
+     */
+    editHolding(symbol, entry) {
+        const key = String(symbol).toUpperCase();
+        const before = this.replay();
+        const position = before.positions[key];
+        if (!position || position.quantity <= this.epsilon) {
+            throw new Error(`${key} is not held`);
+        }
+
+        // Split ratio applied to each buy since it was recorded, to map lots back to its units
+        const factors = {};
+        this.activeTransactions().filter(t => t.symbol === key).forEach(t => {
+            if (t.type === 'buy') factors[t.id] = 1;
+            if (t.type === 'split') Object.keys(factors).forEach(id => { factors[id] *= t.ratio; });
+        });
+
+        const open = position.lots.map(lot => ({ lot, buy: this.transactions.find(t => t.id === lot.id) }));
+        const first = open[0].buy;
+        const newSymbol = String(entry.symbol || key).trim().toUpperCase();
+        if (newSymbol !== key && this.activeTransactions().some(t =>
+            t.symbol === key && t.type !== 'buy' && t.date >= first.date)) {
+            throw new Error(`${key} has sales, dividends or splits; it cannot be renamed`);
+        }
+
+        const scale = Number(entry.quantity) / position.quantity;
+        const price = Number(entry.price);
+        const saleOf = id => this.transactions.find(t => t.id === id);
+        const transactions = this.transactions.slice();
+        const voids = [];
+        const corrected = [];
+
+        open.forEach(({ lot, buy }) => {
+            const factor = factors[buy.id];
+            const openQuantity = lot.quantity / factor;
+            const soldQuantity = buy.quantity - openQuantity;
+            const openPart = this.normalize({
+                ...entry,
+                type: 'buy',
+                date: buy.date,
+                symbol: newSymbol,
+                quantity: openQuantity * scale,
+                price: price * factor,
+                fees: buy.fees * openQuantity / buy.quantity,
+                notes: entry.notes || 'Edited holding'
+            });
+            const parts = [openPart];
+            if (soldQuantity > this.epsilon) {
+                const soldPart = this.normalize({
+                    ...buy,
+                    name: entry.name || buy.name,
+                    assetType: entry.assetType || buy.assetType,
+                    quantity: soldQuantity,
+                    fees: buy.fees * soldQuantity / buy.quantity
+                });
+                // Sales relieve the sold part first: oldest first, or newest first under LIFO
+                const lifo = before.realized.some(row => row.lotId === buy.id && saleOf(row.saleId).costMethod === 'lifo');
+                parts[lifo ? 'push' : 'unshift'](soldPart);
+            }
+            transactions.splice(transactions.indexOf(buy) + 1, 0, ...parts);
+            voids.push(this.voidRecord(buy.id, 'Holding edited'));
+            corrected.push(openPart);
+        });
+
+        // Sales that picked a lot by id, or pooled it at the average cost, would be priced differently
+        const after = this.replay([...transactions, ...voids]);
+        const gains = state => state.realized.reduce((sums, row) => {
+            const sale = `${row.saleId}|${row.term}`;
+            sums[sale] = (sums[sale] || 0) + row.gain;
+            return sums;
+        }, {});
+        const was = gains(before);
+        const now = gains(after);
+        if (Object.keys({ ...was, ...now }).some(sale => Math.abs((was[sale] || 0) - (now[sale] || 0)) > 1e-6)) {
+            throw new Error(`Editing ${key} would change the gains of its past sales; record a correcting trade instead`);
+        }
+        this.importTransactions([...transactions, ...voids]);
+        return corrected;
+    }
+
+    /**
+     * Remove every transaction
+     */
+    clear() {
+        this.transactions = [];
+        this.saveTransactions();
+    }
+
+    /**
+     * Whether a void record points at a transaction
+     */
+    isVoided(id) {
+        return this.transactions.some(t => t.type === 'void' && t.voids === id);
+    }
+
+    /**
+     * Whether a corporate action has already been posted
+     */
+    hasAction(actionId) {
+        return this.activeTransactions().some(t => t.actionId === actionId);
+    }
+
+    /**
+     * Every record, including voided entries and void records, in the order they were made
+     * @param {string} symbol - Optional symbol filter
+     */
+    getTransactions(symbol = null) {
+        const key = symbol ? String(symbol).toUpperCase() : null;
+        return this.transactions.filter(t => !key || t.symbol === key);
+    }
+
+    /**
+     * Transactions that count, in date order (same-day entries keep the order they were recorded)
+     */
+    activeTransactions(transactions = this.transactions) {
+        const voided = new Set(transactions.filter(t => t.type === 'void').map(t => t.voids));
+        return transactions
+            .filter(t => t.type !== 'void' && !voided.has(t.id))
+            .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    }
+
+    /**
+     * Whether a lot acquired on one date and sold on another was held for more than a year
+     */
+    isLongTerm(acquired, sold) {
+        const anniversary = new Date(acquired + 'T00:00:00Z');
+        anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+        return sold > anniversary.toISOString().split('T')[0];
+    }
+
+    /**
+     * Split a sale across open lots
+     * @param {Array} lots - Open lots, oldest first
+     * @param {Object} sale - Sell transaction, relieved by its own cost method (the current one if it has none)
+     * @returns {Array} [{ lot, quantity, cost }]
+     */
+    relieveLots(lots, sale) {
+        const open = lots.filter(lot => lot.quantity > this.epsilon);
+        const method = sale.costMethod || this.costMethod;
+
+        if (sale.lots) {
+            return sale.lots.map(pick => {
+                const lot = open.find(l => l.id === pick.lotId);
+                if (!lot) {
+                    throw new Error(`Lot ${pick.lotId} is not open in ${sale.symbol} on ${sale.date}`);
+                }
+                if (pick.quantity > lot.quantity + this.epsilon) {
+                    throw new Error(`Cannot sell ${pick.quantity} from the ${sale.symbol} lot of ${lot.date}; only ${+lot.quantity.toFixed(6)} left`);
+                }
+                return { lot, quantity: Math.min(pick.quantity, lot.quantity), cost: lot.cost * Math.min(pick.quantity, lot.quantity) / lot.quantity };
+            });
+        }
+
+        if (method === 'average') {
+            // Lots are pooled at the average cost and each gives up the same share of its quantity
+            const quantity = open.reduce((sum, lot) => sum + lot.quantity, 0);
+            const averageCost = open.reduce((sum, lot) => sum + lot.cost, 0) / quantity;
+            open.forEach(lot => {
+                lot.cost = lot.quantity * averageCost;
+            });
+            return open.map(lot => {
+                const portion = lot.quantity * sale.quantity / quantity;
+                return { lot, quantity: portion, cost: averageCost * portion };
+            });
+        }
+
+        const ordered = method === 'lifo' ? open.slice().reverse() : open;
+        const picks = [];
+        let remaining = sale.quantity;
+        for (const lot of ordered) {
+            if (remaining <= this.epsilon) break;
+            const quantity = Math.min(remaining, lot.quantity);
+            picks.push({ lot, quantity, cost: lot.cost * quantity / lot.quantity });
+            remaining -= quantity;
+        }
+        return picks;
+    }
+
+    /**
+     * Replay transactions into positions and cash
+     * @param {Array} transactions - Ledger records (defaults to this ledger)
+     * @param {Function} include - Optional filter on active transactions, e.g. by date
+     * @returns {Object} { positions: { symbol: position }, cash, cashByCurrency: { currency: amount },
+     *          deposits, withdrawals, realizedPnL, realizedShortTerm, realizedLongTerm, dividends, fees,
+     *          realized: [closed lot portions] }
+     *          Totals add amounts as recorded, so they are in one currency only when every transaction is.
+     */
+    replay(transactions = this.transactions, include = null) {
+        const state = {
+            positions: {},
+            cash: 0,
+            cashByCurrency: {},
+            deposits: 0,
+            withdrawals: 0,
+            realizedPnL: 0,
+            realizedShortTerm: 0,
+            realizedLongTerm: 0,
+            dividends: 0,
+            fees: 0,
+            realized: []
+        };
+        const positionFor = t => {
+            if (!state.positions[t.symbol]) {
+                state.positions[t.symbol] = {
+                    symbol: t.symbol,
+                    name: t.name || t.symbol,
+                    assetType: t.assetType || null,
+                    currency: t.currency || this.defaultCurrency,
+                    quantity: 0,
+                    costBasis: 0,
+                    averageCost: 0,
+                    lots: [],
+                    realizedPnL: 0,
+                    realizedShortTerm: 0,
+                    realizedLongTerm: 0,
+                    dividends: 0,
+                    fees: 0,
+                    openedAt: null,
+                    lastTradeDate: null,
+                    lastPrice: null
+                };
+            }
+            return state.positions[t.symbol];
+        };
+        const totals = position => {
+            position.lots = position.lots.filter(lot => lot.quantity > this.epsilon);
+            position.quantity = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+            position.costBasis = position.lots.reduce((sum, lot) => sum + lot.cost, 0);
+        };
+
+        const addCash = (t, amount) => {
+            const currency = t.currency || this.defaultCurrency;
+            state.cash += amount;
+            state.cashByCurrency[currency] = (state.cashByCurrency[currency] || 0) + amount;
+        };
+        // A holding is priced in one currency; a closed position may reopen in another
+        const checkCurrency = (position, t) => {
+            const currency = t.currency || this.defaultCurrency;
+            if (currency === position.currency) return;
+            if (t.type === 'buy' && position.quantity <= this.epsilon) {
+                position.currency = currency;
+                return;
+            }
+            throw new Error(`${t.symbol} is held in ${position.currency}; record its ${this.types[t.type].toLowerCase()} of ${t.date} in ${position.currency}`);
+        };
+
+        for (const t of this.activeTransactions(transactions)) {
+            if (include && !include(t)) continue;
+
+            switch (t.type) {
+                case 'buy': {
+                    const position = positionFor(t);
+                    checkCurrency(position, t);
+                    const cost = t.quantity * t.price + t.fees;
+                    if (position.quantity <= this.epsilon) position.openedAt = t.date;
+                    position.lots.push({ id: t.id, date: t.date, quantity: t.quantity, cost });
+                    totals(position);
+                    position.fees += t.fees;
+                    position.lastTradeDate = t.date;
+                    position.lastPrice = t.price;
+                    addCash(t, -cost);
+                    state.fees += t.fees;
+                    break;
+                }
+                case 'sell': {
+                    const position = positionFor(t);
+                    checkCurrency(position, t);
+                    if (t.quantity > position.quantity + this.epsilon) {
+                        throw new Error(`Cannot sell ${t.quantity} ${t.symbol} on ${t.date}; only ${+position.quantity.toFixed(6)} held`);
+                    }
+                    const proceeds = t.quantity * t.price - t.fees;
+
+                    for (const pick of this.relieveLots(position.lots, t)) {
+                        // Sale fees are shared across lots by quantity
+                        const pickProceeds = proceeds * pick.quantity / t.quantity;
+                        const gain = pickProceeds - pick.cost;
+                        const longTerm = this.isLongTerm(pick.lot.date, t.date);
+                        pick.lot.quantity -= pick.quantity;
+                        pick.lot.cost -= pick.cost;
+
+                        state.realized.push({
+                            symbol: t.symbol,
+                            name: position.name,
+                            currency: position.currency,
+                            lotId: pick.lot.id,
+                            saleId: t.id,
+                            acquired: pick.lot.date,
+                            sold: t.date,
+                            quantity: pick.quantity,
+                            proceeds: pickProceeds,
+                            costBasis: pick.cost,
+                            gain,
+                            term: longTerm ? 'long' : 'short'
+                        });
+                        position[longTerm ? 'realizedLongTerm' : 'realizedShortTerm'] += gain;
+                        state[longTerm ? 'realizedLongTerm' : 'realizedShortTerm'] += gain;
+                        position.realizedPnL += gain;
+                        state.realizedPnL += gain;
+                    }
+
+                    totals(position);
+                    position.fees += t.fees;
+                    position.lastTradeDate = t.date;
+                    position.lastPrice = t.price;
+                    addCash(t, proceeds);
+                    state.fees += t.fees;
+                    break;
+                }
+                case 'split': {
+                    // Lots keep their cost and acquisition date; only the share count changes
+                    const position = positionFor(t);
+                    position.lots.forEach(lot => {
+                        lot.quantity *= t.ratio;
+                    });
+                    totals(position);
+                    if (position.lastPrice) position.lastPrice /= t.ratio;
+                    break;
+                }
+                case 'dividend': {
+                    const position = positionFor(t);
+                    checkCurrency(position, t);
+                    position.dividends += t.amount;
+                    addCash(t, t.amount);
+                    state.dividends += t.amount;
+                    break;
+                }
+                case 'fee':
+                    if (t.symbol) positionFor(t).fees += t.amount;
+                    addCash(t, -t.amount);
+                    state.fees += t.amount;
+                    break;
+                case 'deposit':
+                    addCash(t, t.amount);
+                    state.deposits += t.amount;
+                    break;
+                case 'withdrawal':
+                    addCash(t, -t.amount);
+                    state.withdrawals += t.amount;
+                    break;
+            }
+        }
+
+        Object.values(state.positions).forEach(position => {
+            position.averageCost = position.quantity > 0 ? position.costBasis / position.quantity : 0;
+        });
+        return state;
+    }
+
+    /**
+     * Current (or as-of) positions
+     * @param {Object} options - { asOf: include transactions up to this date, includeClosed }
+     * @returns {Array} Positions sorted by symbol
+     */
+    getPositions(options = {}) {
+        const state = this.replay(this.transactions, options.asOf ? t => t.date <= options.asOf : null);
+        return Object.values(state.positions)
+            .filter(position => options.includeClosed || position.quantity > 0)
+            .sort((a, b) => a.symbol.localeCompare(b.symbol));
+    }
+
+    /**
+     * A single position, or null when the symbol was never traded
+     */
+    getPosition(symbol, asOf = null) {
+        const key = String(symbol || '').toUpperCase();
+        return this.getPositions({ asOf, includeClosed: true }).find(p => p.symbol === key) || null;
+    }
+
+    /**
+     * Shares held at the close before a date (e.g. the holders of record for an ex-date)
+     */
+    quantityBefore(symbol, date) {
+        const key = String(symbol || '').toUpperCase();
+        const position = this.replay(this.transactions, t => t.date < date).positions[key];
+        return position ? position.quantity : 0;
+    }
+
+    /**
+     * Cash, realized P&L and income totals
+     * @param {string} asOf - Optional last date to include
+     */
+    getSummary(asOf = null) {
+        const { positions, realized, ...totals } = this.replay(this.transactions, asOf ? t => t.date <= asOf : null);
+        return totals;
+    }
+
+    /**
+     * Open tax lots of a symbol, oldest first
+     * @returns {Array} [{ id, date, quantity, cost, price }] where price is the per-share cost
+     */
+    getLots(symbol) {
+        const position = this.getPosition(symbol);
+        return position ? position.lots.map(lot => ({ ...lot, price: lot.cost / lot.quantity })) : [];
+    }
+
+    /**
+     * Closed lot portions, one row per lot a sale drew from
+     * @param {number} year - Optional calendar year of the sale
+     * @returns {Array} [{ symbol, name, currency, lotId, saleId, acquired, sold, quantity, proceeds, costBasis, gain, term }]
+     */
+    getRealizedGains(year = null) {
+        return this.replay().realized.filter(row => !year || row.sold.startsWith(String(year)));
+    }
+}
+
+// Export for use in other modules
+window.TransactionLedger = TransactionLedger;
@@ -2,6 +2,10 @@
  * Yahoo Finance Service
  * Provides methods to fetch real-time and historical stock data
  * Note: In production, these calls should be made from a backend server to avoid CORS issues
+ *
+ * Mock data is seeded with SeededRandom (seeded-random.js) and indicators come from
+ * TechnicalIndicators (technical-indicators.js). Both are looked up on first use, so a page
+ * that loads only this file can still create the service; its mock data is then unseeded.
  */
 
 class YahooFinanceService {
@@ -9,6 +13,28 @@ class YahooFinanceService {
         this.baseUrl = 'https://query1.finance.yahoo.com';
         this.cache = new Map();
         this.cacheTimeout = 60000; // 1 minute cache
+        this.seed = null; // Drives all mock data so it can be reproduced; drawn on first use unless set
+        this.indicators = null; // Same calculations the backtest strategies use; created on first use
+    }
+
+    /**
+     * Set the seed for mock data and drop cached values generated with the old one
+     * @param {number|string} seed - Seed value; a new random seed is drawn when empty
+     * @returns {number} The normalized seed
+     */
+    setSeed(seed) {
+        this.seed = new SeededRandom(seed).seed;
+        this.cache.clear();
+        return this.seed;
+    }
+
+    /**
+     * Random stream for one mock data set, independent of request order
+     */
+    randomFor(label) {
+        if (typeof SeededRandom === 'undefined') return { next: Math.random };
+        if (this.seed === null) this.seed = new SeededRandom().seed;
+        return new SeededRandom(this.seed).fork(label);
     }
 
     /**
@@ -144,14 +170,15 @@ class YahooFinanceService {
             }
         };
 
+        const rng = this.randomFor(`profile:${symbol}`);
         return profiles[symbol] || {
             name: symbol,
             sector: 'Unknown',
             industry: 'Unknown',
-            marketCap: Math.random() * 100000000000,
-            pe: 15 + Math.random() * 20,
-            beta: 0.8 + Math.random() * 0.8,
-            dividend: Math.random() * 3,
+            marketCap: rng.next() * 100000000000,
+            pe: 15 + rng.next() * 20,
+            beta: 0.8 + rng.next() * 0.8,
+            dividend: rng.next() * 3,
             description: `${symbol} is a publicly traded company.`
         };
     }
@@ -162,35 +189,18 @@ class YahooFinanceService {
     calculateTechnicalIndicators(prices, period = 20) {
         if (!prices || prices.length < period) return null;
 
-        const recentPrices = prices.slice(-period);
-        const sma = recentPrices.reduce((sum, p) => sum + p, 0) / period;
-        
-        // Calculate standard deviation
-        const variance = recentPrices.reduce((sum, p) => sum + Math.pow(p - sma, 2), 0) / period;
-        const stdDev = Math.sqrt(variance);
-        
-        // Bollinger Bands
-        const upperBand = sma + (2 * stdDev);
-        const lowerBand = sma - (2 * stdDev);
-        
-        // RSI (simplified)
-        const changes = [];
-        for (let i = 1; i < recentPrices.length; i++) {
-            changes.push(recentPrices[i] - recentPrices[i - 1]);
-        }
-        const gains = changes.filter(c => c > 0);
-        const losses = changes.filter(c => c < 0).map(Math.abs);
-        const avgGain = gains.length > 0 ? gains.reduce((a, b) => a + b, 0) / changes.length : 0;
-        const avgLoss = losses.length > 0 ? losses.reduce((a, b) => a + b, 0) / changes.length : 0.001;
-        const rs = avgGain / avgLoss;
-        const rsi = 100 - (100 / (1 + rs));
+        if (!this.indicators) this.indicators = new TechnicalIndicators();
+        const last = prices.length - 1;
+        const bands = this.indicators.bollingerBands(prices, period, 2)[last];
+        const rsi = this.indicators.rsi(prices, Math.max(1, Math.min(14, prices.length - 1)))[last];
         
         return {
-            sma,
-            upperBand,
-            lowerBand,
+            sma: bands.middle,
+            ema: this.indicators.ema(prices, period)[last],
+            upperBand: bands.upper,
+            lowerBand: bands.lower,
             rsi,
-            currentPrice: prices[prices.length - 1],
+            currentPrice: prices[last],
             signal: rsi > 70 ? 'OVERBOUGHT' : rsi < 30 ? 'OVERSOLD' : 'NEUTRAL'
         };
     }
@@ -213,22 +223,23 @@ class YahooFinanceService {
 
     // Mock data generators for demonstration
     generateMockQuote(symbol) {
-        const basePrice = 100 + Math.random() * 400;
-        const change = (Math.random() - 0.5) * 10;
+        const rng = this.randomFor(`quote:${symbol}`);
+        const basePrice = 100 + rng.next() * 400;
+        const change = (rng.next() - 0.5) * 10;
         const changePercent = (change / basePrice) * 100;
         
         return {
             symbol,
             price: basePrice,
             previousClose: basePrice - change,
-            open: basePrice - change + (Math.random() - 0.5) * 2,
-            dayHigh: basePrice + Math.random() * 5,
-            dayLow: basePrice - Math.random() * 5,
-            volume: Math.floor(Math.random() * 100000000),
-            avgVolume: Math.floor(Math.random() * 80000000),
-            marketCap: Math.floor(basePrice * 1000000000 * (1 + Math.random() * 10)),
-            pe: 15 + Math.random() * 25,
-            eps: basePrice / (15 + Math.random() * 25),
+            open: basePrice - change + (rng.next() - 0.5) * 2,
+            dayHigh: basePrice + rng.next() * 5,
+            dayLow: basePrice - rng.next() * 5,
+            volume: Math.floor(rng.next() * 100000000),
+            avgVolume: Math.floor(rng.next() * 80000000),
+            marketCap: Math.floor(basePrice * 1000000000 * (1 + rng.next() * 10)),
+            pe: 15 + rng.next() * 25,
+            eps: basePrice / (15 + rng.next() * 25),
             week52High: basePrice * 1.3,
             week52Low: basePrice * 0.7,
             change,
@@ -242,8 +253,9 @@ class YahooFinanceService {
         const end = new Date(endDate);
         const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
         
+        const rng = this.randomFor(`history:${symbol}`);
         const prices = [];
-        let currentPrice = 100 + Math.random() * 200;
+        let currentPrice = 100 + rng.next() * 200;
         
         for (let i = 0; i <= days; i++) {
             const date = new Date(start);
@@ -252,16 +264,16 @@ class YahooFinanceService {
             // Skip weekends
             if (date.getDay() === 0 || date.getDay() === 6) continue;
             
-            const change = (Math.random() - 0.5) * 5;
+            const change = (rng.next() - 0.5) * 5;
             currentPrice = Math.max(10, currentPrice + change);
             
             prices.push({
                 date: date.toISOString().split('T')[0],
-                open: currentPrice - Math.random() * 2,
-                high: currentPrice + Math.random() * 3,
-                low: currentPrice - Math.random() * 3,
+                open: currentPrice - rng.next() * 2,
+                high: currentPrice + rng.next() * 3,
+                low: currentPrice - rng.next() * 3,
                 close: currentPrice,
-                volume: Math.floor(Math.random() * 100000000)
+                volume: Math.floor(rng.next() * 100000000)
             });
         }
         
@@ -286,9 +298,10 @@ class YahooFinanceService {
             { name: 'Communication Services', symbol: 'XLC', change: 1.8 }
         ];
 
+        const rng = this.randomFor('sectors');
         return sectors.map(sector => ({
             ...sector,
-            change: sector.change + (Math.random() - 0.5) * 2
+            change: sector.change + (rng.next() - 0.5) * 2
         }));
     }
 }